@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./interfaces/IDealingCalendar.sol";
+
+contract MockDealingCalendar is IDealingCalendar {
+    bool public open = true;
+
+    function setOpen(bool open_) external {
+        open = open_;
+    }
+
+    function isOpen(uint256) external view returns (bool) {
+        return open;
+    }
+}
@@ -5,32 +5,155 @@ import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
 import "./RWA7540Oracle.sol";
-
-contract RWA7540Vault is ERC4626, Ownable, Pausable {
+import "./interfaces/IERC7540.sol";
+import "./interfaces/IDealingCalendar.sol";
+
+/**
+ * @dev ERC-7540 vault: deposits and redemptions are requested, then claimed through the ERC-4626
+ * deposit, mint, redeem and withdraw functions once settled
+ * Requests accumulate in the current epoch until a manager closes it at a single oracle NAV; the
+ * request id is the epoch id. Deposits are settled in full, redemptions pro rata to the available
+ * liquidity, the unfilled shares rolling over to the next epoch
+ * When a dealing calendar is set, requests are only accepted while the fund deals
+ */
+contract RWA7540Vault is ERC4626, Ownable, Pausable, IERC165, IERC7540Operator, IERC7540Deposit, IERC7540Redeem {
     RWA7540Oracle public immutable oracle;
     uint256 public immutable minDeposit;
     uint256 public constant FEE_DENOMINATOR = 10000;
     uint256 public fee;
     uint256 public totalFees;
 
-    // Async operation tracking
-    struct AsyncOperation {
-        address user;
+    uint256 internal constant PRICE_DECIMALS = 1e6;
+
+    // Totals of an epoch, settled at a single NAV when the epoch is closed
+    struct Epoch {
+        uint256 depositAssets;      // Assets requested for deposit
+        uint256 redeemShares;       // Shares requested for redemption, including the previous epoch's unfilled shares
+        uint256 price;              // NAV of the settlement
+        uint256 depositShares;      // Shares minted for the deposits, net of the fee
+        uint256 redeemedShares;     // Shares redeemed, fewer than redeemShares when liquidity is short
+        uint256 redeemAssets;       // Assets paid for the redeemed shares
+        uint256 closedAt;           // Settlement time, 0 while the epoch is open
+    }
+
+    // Unsettled request of a controller: its epoch and amount (assets for deposits, shares for redemptions)
+    struct Request {
+        uint256 epochId;
         uint256 amount;
-        uint256 timestamp;
-        bool isDeposit;
     }
 
-    mapping(uint256 => AsyncOperation) public asyncOperations;
-    uint256 public nextOperationId;
+    // Settled requests of a controller, aggregated across epochs and claimable pro rata
+    struct ClaimableRequest {
+        uint256 assets;
+        uint256 shares;
+    }
+
+    // Request of a controller in an epoch, merged with its other requests of the same epoch and kind
+    struct RequestRecord {
+        uint256 requestId;          // Epoch of the request
+        bool isRedeem;              // Redeem request, otherwise deposit request
+        uint256 amount;             // Assets requested for deposit or shares requested for redemption
+        uint256 cancelledEpoch;     // Epoch the request was cancelled in, 0 if not cancelled
+    }
+
+    // Status of a request, its settlement computed from the records of the epochs
+    struct RequestStatus {
+        uint256 requestId;          // Epoch of the request
+        bool isRedeem;              // Redeem request, otherwise deposit request
+        uint256 amount;             // Assets requested for deposit or shares requested for redemption
+        uint256 pending;            // Part of amount waiting for settlement
+        uint256 assets;             // Assets settled: requested assets converted, or assets paid for redeemed shares
+        uint256 shares;             // Shares settled: shares minted for the deposit, or requested shares redeemed
+        uint256 price;              // NAV of the last epoch that settled part of the request, 0 if none
+        uint256 settledAt;          // Closing time of that epoch, 0 if none
+        bool cancelled;             // Whether the pending part was cancelled
+    }
+
+    // Epoch accepting requests, starting at 1
+    uint256 public currentEpoch;
+    mapping(uint256 => Epoch) public epochs;
+
+    // Last deposit and redeem requests of each controller, moved to the claimable amounts once settled
+    mapping(address => Request) internal _depositRequests;
+    mapping(address => Request) internal _redeemRequests;
+    // Settled deposit requests: gross assets and shares held by the vault until claimed
+    mapping(address => ClaimableRequest) internal _claimableDeposits;
+    // Settled redeem requests: burned shares and assets held by the vault until claimed
+    mapping(address => ClaimableRequest) internal _claimableRedeems;
+
+    // Requests of each controller, kept once settled as the record of their settlement
+    mapping(address => RequestRecord[]) internal _requestRecords;
+    // Indexes in _requestRecords of the requests of each controller that may still be pending
+    mapping(address => uint256[]) internal _openRequests;
+
+    // Assets escrowed for the deposit requests of the current epoch, excluded from totalAssets
+    uint256 public totalPendingDepositAssets;
+    // Assets owed to all claimable redeem requests, excluded from totalAssets
+    uint256 public totalClaimableRedeemAssets;
+
+    // Pending requests can be cancelled until `cancelWindow` after the last request of the
+    // controller (0 = until settlement), for a fee of `cancelFee` basis points
+    uint256 public constant MAX_CANCEL_FEE = 1000;
+    uint256 public cancelWindow;
+    uint256 public cancelFee;
+    // Time of the last deposit or redeem request of a controller, which opens the cancellation window
+    mapping(address => uint256) internal _depositRequestedAt;
+    mapping(address => uint256) internal _redeemRequestedAt;
+
+    mapping(address => mapping(address => bool)) public isOperator;
+    mapping(address => bool) public isManager;
+
+    // Dealing calendar consulted before accepting requests, none when zero
+    IDealingCalendar public dealingCalendar;
+
+    // Epochs only settle at an oracle price updated within `maxPriceAge`
+    uint256 public maxPriceAge = 7 days;
+
+    // Minimum shares of a redeem request, bounding the controllers settled when an epoch is closed
+    uint256 public minRedeem;
+
+    // Controllers with redeem shares pending in each epoch, rolled over controllers included
+    mapping(uint256 => address[]) internal _redeemControllers;
+    // Last epoch each controller was added to _redeemControllers for
+    mapping(address => uint256) internal _redeemListedEpoch;
+    // Position of each controller in _redeemControllers of its listed epoch
+    mapping(address => uint256) internal _redeemListIndex;
 
     // Events
     event FeeUpdated(uint256 newFee);
-    event AsyncDepositInitiated(uint256 indexed operationId, address indexed user, uint256 amount);
-    event AsyncRedeemInitiated(uint256 indexed operationId, address indexed user, uint256 amount);
-    event AsyncOperationCompleted(uint256 indexed operationId, address indexed user, uint256 amount, bool isDeposit);
     event FeesCollected(uint256 amount);
+    event ManagerUpdated(address indexed manager, bool isManager);
+    event EpochClosed(
+        uint256 indexed epochId,
+        uint256 price,
+        uint256 depositAssets,
+        uint256 depositShares,
+        uint256 redeemShares,
+        uint256 redeemedShares,
+        uint256 redeemAssets
+    );
+    event CancellationTermsUpdated(uint256 window, uint256 fee);
+    event DealingCalendarUpdated(address indexed calendar);
+    event MaxPriceAgeUpdated(uint256 maxPriceAge);
+    event MinRedeemUpdated(uint256 minRedeem);
+    event CancelDepositRequest(
+        address indexed controller,
+        uint256 indexed requestId,
+        address sender,
+        address receiver,
+        uint256 assets,
+        uint256 fee
+    );
+    event CancelRedeemRequest(
+        address indexed controller,
+        uint256 indexed requestId,
+        address sender,
+        address receiver,
+        uint256 shares,
+        uint256 fee
+    );
 
     constructor(
         IERC20 asset_,
@@ -47,109 +170,443 @@ contract RWA7540Vault is ERC4626, Ownable, Pausable {
         oracle = RWA7540Oracle(oracle_);
         minDeposit = minDeposit_;
         fee = fee_;
+        currentEpoch = 1;
+    }
+
+    modifier onlyManager() {
+        require(msg.sender == owner() || isManager[msg.sender], "Not a manager");
+        _;
     }
 
     /**
-     * @dev Initiate an asynchronous deposit
-     * @param assets Amount of assets to deposit
-     * @param receiver Address to receive the shares
-     * @return operationId The ID of the initiated operation
+     * @dev Approve or revoke an operator allowed to request and claim on behalf of the caller
+     * @param operator Address of the operator
+     * @param approved Whether the operator is approved
      */
-    function initiateDeposit(uint256 assets, address receiver) external whenNotPaused returns (uint256 operationId) {
-        require(assets >= minDeposit, "Below min deposit");
-        require(receiver != address(0), "Invalid receiver");
-
-        // Transfer assets from user
-        SafeERC20.safeTransferFrom(IERC20(asset()), msg.sender, address(this), assets);
+    function setOperator(address operator, bool approved) external returns (bool) {
+        require(operator != msg.sender, "Invalid operator");
+        isOperator[msg.sender][operator] = approved;
+        emit OperatorSet(msg.sender, operator, approved);
+        return true;
+    }
 
-        operationId = nextOperationId++;
-        asyncOperations[operationId] = AsyncOperation({
-            user: receiver,
-            amount: assets,
-            timestamp: block.timestamp,
-            isDeposit: true
-        });
+    /**
+     * @dev Add or remove a manager allowed to close epochs
+     * @param manager Address of the manager
+     * @param approved Whether the address is a manager
+     */
+    function setManager(address manager, bool approved) external onlyOwner {
+        require(manager != address(0), "Invalid manager");
+        isManager[manager] = approved;
+        emit ManagerUpdated(manager, approved);
+    }
 
-        emit AsyncDepositInitiated(operationId, receiver, assets);
-        return operationId;
+    /**
+     * @dev Set the dealing calendar, or the zero address to accept requests at any time
+     * @param calendar Address of the dealing calendar
+     */
+    function setDealingCalendar(address calendar) external onlyOwner {
+        dealingCalendar = IDealingCalendar(calendar);
+        emit DealingCalendarUpdated(calendar);
     }
 
     /**
-     * @dev Complete an asynchronous deposit
-     * @param operationId The ID of the operation to complete
+     * @dev Set the maximum age of the oracle price epochs are settled at
+     * @param maxPriceAge_ Maximum time since the last price update, in seconds
      */
-    function completeDeposit(uint256 operationId) external whenNotPaused {
-        AsyncOperation storage operation = asyncOperations[operationId];
-        require(operation.user != address(0), "Operation not found");
-        require(operation.isDeposit, "Not a deposit operation");
-        require(!_isCompleted(operationId), "Operation already completed");
+    function setMaxPriceAge(uint256 maxPriceAge_) external onlyOwner {
+        require(maxPriceAge_ > 0, "Invalid max price age");
+        maxPriceAge = maxPriceAge_;
+        emit MaxPriceAgeUpdated(maxPriceAge_);
+    }
 
-        uint256 assets = operation.amount;
-        uint256 feeAmount = (assets * fee) / FEE_DENOMINATOR;
-        uint256 assetsAfterFee = assets - feeAmount;
-        
-        totalFees += feeAmount;
-        
-        // Mint shares to user
-        _mint(operation.user, assetsAfterFee);
+    /**
+     * @dev Set the minimum shares of a redeem request. Each request with pending shares is settled
+     * in a loop when its epoch is closed, so that the minimum bounds the gas of closeEpoch
+     * @param minRedeem_ Minimum amount of shares per request
+     */
+    function setMinRedeem(uint256 minRedeem_) external onlyOwner {
+        minRedeem = minRedeem_;
+        emit MinRedeemUpdated(minRedeem_);
+    }
 
-        emit AsyncOperationCompleted(operationId, operation.user, assetsAfterFee, true);
-        _markCompleted(operationId);
+    /**
+     * @dev Request an asynchronous deposit in the current epoch, escrowing the assets of owner until settlement
+     * @param assets Amount of assets to deposit
+     * @param controller Address controlling the request, which claims the shares
+     * @param owner Address the assets are taken from
+     * @return requestId The ID of the request, the current epoch
+     */
+    function requestDeposit(
+        uint256 assets,
+        address controller,
+        address owner
+    ) external whenNotPaused returns (uint256 requestId) {
+        require(assets >= minDeposit, "Below min deposit");
+        require(controller != address(0), "Invalid controller");
+        require(_isDealing(), "Dealing closed");
+        _checkCaller(owner);
+
+        SafeERC20.safeTransferFrom(IERC20(asset()), owner, address(this), assets);
+        _settleDeposit(controller);
+        requestId = currentEpoch;
+        _depositRequests[controller] = Request(requestId, _depositRequests[controller].amount + assets);
+        _depositRequestedAt[controller] = block.timestamp;
+        epochs[requestId].depositAssets += assets;
+        totalPendingDepositAssets += assets;
+        _recordRequest(controller, requestId, false, assets);
+
+        emit DepositRequest(controller, owner, requestId, msg.sender, assets);
     }
 
     /**
-     * @dev Initiate an asynchronous redeem
+     * @dev Request an asynchronous redemption in the current epoch, escrowing the shares of owner until settlement
      * @param shares Amount of shares to redeem
-     * @param receiver Address to receive the assets
-     * @param owner Address that owns the shares
-     * @return operationId The ID of the initiated operation
+     * @param controller Address controlling the request, which claims the assets
+     * @param owner Address the shares are taken from
+     * @return requestId The ID of the request, the current epoch
      */
-    function initiateRedeem(
+    function requestRedeem(
         uint256 shares,
-        address receiver,
+        address controller,
         address owner
-    ) external whenNotPaused returns (uint256 operationId) {
+    ) external whenNotPaused returns (uint256 requestId) {
         require(shares > 0, "Invalid shares");
-        require(receiver != address(0), "Invalid receiver");
+        require(shares >= minRedeem, "Below min redeem");
+        require(controller != address(0), "Invalid controller");
         require(owner != address(0), "Invalid owner");
+        require(_isDealing(), "Dealing closed");
 
-        if (msg.sender != owner) {
+        if (msg.sender != owner && !isOperator[owner][msg.sender]) {
             _spendAllowance(owner, msg.sender, shares);
         }
 
-        // Burn shares from owner
-        _burn(owner, shares);
+        _transfer(owner, address(this), shares);
+        _settleRedeem(controller);
+        requestId = currentEpoch;
+        if (_redeemListedEpoch[controller] != requestId) {
+            _listRedeemController(controller, requestId);
+        }
+        _redeemRequests[controller] = Request(requestId, _redeemRequests[controller].amount + shares);
+        _redeemRequestedAt[controller] = block.timestamp;
+        epochs[requestId].redeemShares += shares;
+        _recordRequest(controller, requestId, true, shares);
 
-        operationId = nextOperationId++;
-        asyncOperations[operationId] = AsyncOperation({
-            user: receiver,
-            amount: shares,
-            timestamp: block.timestamp,
-            isDeposit: false
-        });
+        emit RedeemRequest(controller, owner, requestId, msg.sender, shares);
+    }
 
-        emit AsyncRedeemInitiated(operationId, receiver, shares);
-        return operationId;
+    /**
+     * @dev Set the cancellation window and fee of pending requests
+     * @param window Time after the last request of a controller during which it can be cancelled, 0 for no limit
+     * @param cancelFee_ Fee in basis points kept on cancelled requests
+     */
+    function setCancellationTerms(uint256 window, uint256 cancelFee_) external onlyManager {
+        require(cancelFee_ <= MAX_CANCEL_FEE, "Fee too high");
+        cancelWindow = window;
+        cancelFee = cancelFee_;
+        emit CancellationTermsUpdated(window, cancelFee_);
     }
 
     /**
-     * @dev Complete an asynchronous redeem
-     * @param operationId The ID of the operation to complete
+     * @dev Cancel the pending deposit request of a controller and return the escrowed assets,
+     * minus the cancellation fee
+     * @param requestId The ID of the request, the current epoch
+     * @param controller Address controlling the request
+     * @param receiver Address receiving the assets
+     * @return assets Amount of assets returned
      */
-    function completeRedeem(uint256 operationId) external whenNotPaused {
-        AsyncOperation storage operation = asyncOperations[operationId];
-        require(operation.user != address(0), "Operation not found");
-        require(!operation.isDeposit, "Not a redeem operation");
-        require(!_isCompleted(operationId), "Operation already completed");
+    function cancelDepositRequest(
+        uint256 requestId,
+        address controller,
+        address receiver
+    ) external whenNotPaused returns (uint256 assets) {
+        _checkCaller(controller);
+        Request memory request = _depositRequests[controller];
+        require(requestId == currentEpoch && request.epochId == requestId && request.amount > 0, "No pending deposit");
+        _checkCancelWindow(_depositRequestedAt[controller]);
+
+        uint256 pending = request.amount;
+        uint256 feeAmount = (pending * cancelFee) / FEE_DENOMINATOR;
+        assets = pending - feeAmount;
+        delete _depositRequests[controller];
+        _cancelRequests(controller, false);
+        epochs[requestId].depositAssets -= pending;
+        totalPendingDepositAssets -= pending;
+        totalFees += feeAmount;
+        SafeERC20.safeTransfer(IERC20(asset()), receiver, assets);
 
-        uint256 shares = operation.amount;
-        uint256 assets = convertToAssets(shares);
-        
-        // Transfer assets to user
-        SafeERC20.safeTransfer(IERC20(asset()), operation.user, assets);
+        emit CancelDepositRequest(controller, requestId, msg.sender, receiver, assets, feeAmount);
+    }
 
-        emit AsyncOperationCompleted(operationId, operation.user, assets, false);
-        _markCompleted(operationId);
+    /**
+     * @dev Cancel the pending redeem request of a controller and return the escrowed shares,
+     * minus the cancellation fee which is paid in shares to the owner. Shares rolled over from a
+     * partially filled epoch are pending in the current epoch and can be cancelled as well
+     * @param requestId The ID of the request, the current epoch
+     * @param controller Address controlling the request
+     * @param receiver Address receiving the shares
+     * @return shares Amount of shares returned
+     */
+    function cancelRedeemRequest(
+        uint256 requestId,
+        address controller,
+        address receiver
+    ) external whenNotPaused returns (uint256 shares) {
+        _checkCaller(controller);
+        _settleRedeem(controller);
+        Request memory request = _redeemRequests[controller];
+        require(requestId == currentEpoch && request.epochId == requestId && request.amount > 0, "No pending redeem");
+        _checkCancelWindow(_redeemRequestedAt[controller]);
+
+        uint256 pending = request.amount;
+        uint256 feeShares = (pending * cancelFee) / FEE_DENOMINATOR;
+        shares = pending - feeShares;
+        delete _redeemRequests[controller];
+        _unlistRedeemController(controller, requestId);
+        _cancelRequests(controller, true);
+        epochs[requestId].redeemShares -= pending;
+        _transfer(address(this), receiver, shares);
+        if (feeShares > 0) {
+            _transfer(address(this), owner(), feeShares);
+        }
+
+        emit CancelRedeemRequest(controller, requestId, msg.sender, receiver, shares, feeShares);
+    }
+
+    /**
+     * @dev Close the current epoch at the oracle NAV and open the next one
+     * The deposits are settled in full: the fee is taken from the assets and the shares are minted to
+     * the vault until claimed. The redemptions are settled up to the liquidity, deposits of the epoch
+     * included: the redeemed shares are burned and their assets set aside until claimed, the unfilled
+     * shares roll over to the next epoch
+     * The rollover, burned shares and claimable assets add up the rounded amounts of each controller,
+     * so that no rounding dust is burned or set aside without being owed to a controller
+     * @return epochId The ID of the closed epoch
+     */
+    function closeEpoch() external onlyManager whenNotPaused returns (uint256 epochId) {
+        epochId = currentEpoch;
+        Epoch memory epoch = previewCloseEpoch();
+
+        epochs[epochId] = epoch;
+        currentEpoch = epochId + 1;
+        (uint256 rolledOver, uint256 redeemAssets) = _rollOverRedeems(epochId, epoch);
+        epochs[epochId + 1].redeemShares = rolledOver;
+
+        totalFees += (epoch.depositAssets * fee) / FEE_DENOMINATOR;
+        totalPendingDepositAssets -= epoch.depositAssets;
+        totalClaimableRedeemAssets += redeemAssets;
+        _mint(address(this), epoch.depositShares);
+        _burn(address(this), epoch.redeemShares - rolledOver);
+
+        emit EpochClosed(
+            epochId,
+            epoch.price,
+            epoch.depositAssets,
+            epoch.depositShares,
+            epoch.redeemShares,
+            epoch.redeemedShares,
+            epoch.redeemAssets
+        );
+    }
+
+    /**
+     * @dev Simulate the settlement of the current epoch at the current oracle NAV, which must have
+     * been updated within `maxPriceAge`
+     * @return epoch The totals closeEpoch would record
+     */
+    function previewCloseEpoch() public view returns (Epoch memory epoch) {
+        epoch = epochs[currentEpoch];
+        uint256 lastUpdate;
+        (epoch.price, lastUpdate) = oracle.getPrice(address(this));
+        require(block.timestamp <= lastUpdate + maxPriceAge, "Stale price");
+        epoch.closedAt = block.timestamp;
+
+        uint256 depositsAfterFee = epoch.depositAssets - (epoch.depositAssets * fee) / FEE_DENOMINATOR;
+        epoch.depositShares = Math.mulDiv(depositsAfterFee, PRICE_DECIMALS, epoch.price);
+
+        // Deposits of the epoch provide liquidity to its redemptions
+        uint256 liquidity = totalAssets() + depositsAfterFee;
+        epoch.redeemedShares = epoch.redeemShares;
+        epoch.redeemAssets = Math.mulDiv(epoch.redeemShares, epoch.price, PRICE_DECIMALS);
+        if (epoch.redeemAssets > liquidity) {
+            epoch.redeemedShares = Math.mulDiv(liquidity, PRICE_DECIMALS, epoch.price);
+            epoch.redeemAssets = Math.mulDiv(epoch.redeemedShares, epoch.price, PRICE_DECIMALS);
+        }
+    }
+
+    /**
+     * @dev Claim the shares of a settled deposit request of the caller
+     */
+    function deposit(uint256 assets, address receiver) public override returns (uint256) {
+        return deposit(assets, receiver, msg.sender);
+    }
+
+    /**
+     * @dev Claim the shares of a settled deposit request of the caller
+     */
+    function mint(uint256 shares, address receiver) public override returns (uint256) {
+        return mint(shares, receiver, msg.sender);
+    }
+
+    /**
+     * @dev Claim shares, pro rata to assets, from the settled deposit requests of a controller
+     * @param assets Amount of requested assets to claim
+     * @param receiver Address receiving the shares
+     * @param controller Address controlling the request
+     * @return shares Amount of shares received
+     */
+    function deposit(
+        uint256 assets,
+        address receiver,
+        address controller
+    ) public whenNotPaused returns (uint256 shares) {
+        _checkCaller(controller);
+        _settleDeposit(controller);
+        ClaimableRequest storage claimable = _claimableDeposits[controller];
+        require(assets > 0 && assets <= claimable.assets, "Exceeds claimable deposit");
+
+        shares = Math.mulDiv(assets, claimable.shares, claimable.assets);
+        _claimDeposit(claimable, assets, shares, receiver, controller);
+    }
+
+    /**
+     * @dev Claim an exact amount of shares from the settled deposit requests of a controller
+     * @param shares Amount of shares to claim
+     * @param receiver Address receiving the shares
+     * @param controller Address controlling the request
+     * @return assets Amount of requested assets consumed
+     */
+    function mint(
+        uint256 shares,
+        address receiver,
+        address controller
+    ) public whenNotPaused returns (uint256 assets) {
+        _checkCaller(controller);
+        _settleDeposit(controller);
+        ClaimableRequest storage claimable = _claimableDeposits[controller];
+        require(shares > 0 && shares <= claimable.shares, "Exceeds claimable deposit");
+
+        assets = Math.mulDiv(shares, claimable.assets, claimable.shares, Math.Rounding.Ceil);
+        _claimDeposit(claimable, assets, shares, receiver, controller);
+    }
+
+    /**
+     * @dev Claim assets, pro rata to shares, from the settled redeem requests of a controller
+     * @param shares Amount of requested shares to claim
+     * @param receiver Address receiving the assets
+     * @param controller Address controlling the request
+     * @return assets Amount of assets received
+     */
+    function redeem(
+        uint256 shares,
+        address receiver,
+        address controller
+    ) public override whenNotPaused returns (uint256 assets) {
+        _checkCaller(controller);
+        _settleRedeem(controller);
+        ClaimableRequest storage claimable = _claimableRedeems[controller];
+        require(shares > 0 && shares <= claimable.shares, "Exceeds claimable redeem");
+
+        assets = Math.mulDiv(shares, claimable.assets, claimable.shares);
+        _claimRedeem(claimable, assets, shares, receiver, controller);
+    }
+
+    /**
+     * @dev Claim an exact amount of assets from the settled redeem requests of a controller
+     * @param assets Amount of assets to claim
+     * @param receiver Address receiving the assets
+     * @param controller Address controlling the request
+     * @return shares Amount of requested shares consumed
+     */
+    function withdraw(
+        uint256 assets,
+        address receiver,
+        address controller
+    ) public override whenNotPaused returns (uint256 shares) {
+        _checkCaller(controller);
+        _settleRedeem(controller);
+        ClaimableRequest storage claimable = _claimableRedeems[controller];
+        require(assets > 0 && assets <= claimable.assets, "Exceeds claimable redeem");
+
+        shares = Math.mulDiv(assets, claimable.shares, claimable.assets, Math.Rounding.Ceil);
+        _claimRedeem(claimable, assets, shares, receiver, controller);
+    }
+
+    /**
+     * @dev Get the assets of a controller waiting for the settlement of epoch `requestId`
+     */
+    function pendingDepositRequest(uint256 requestId, address controller) external view returns (uint256) {
+        Request memory request = _depositRequests[controller];
+        return request.epochId == requestId && epochs[requestId].closedAt == 0 ? request.amount : 0;
+    }
+
+    /**
+     * @dev Get the settled assets of a controller not claimed yet. Settled requests are aggregated
+     * across epochs, so the amount does not depend on `requestId`
+     */
+    function claimableDepositRequest(uint256, address controller) external view returns (uint256) {
+        return maxDeposit(controller);
+    }
+
+    /**
+     * @dev Get the shares of a controller waiting for the settlement of epoch `requestId`
+     */
+    function pendingRedeemRequest(uint256 requestId, address controller) external view returns (uint256) {
+        (,, Request memory remaining) = _redeemSettlement(_redeemRequests[controller], 0);
+        return remaining.epochId == requestId ? remaining.amount : 0;
+    }
+
+    /**
+     * @dev Get the settled shares of a controller not claimed yet. Settled requests are aggregated
+     * across epochs, so the amount does not depend on `requestId`
+     */
+    function claimableRedeemRequest(uint256, address controller) external view returns (uint256) {
+        return maxRedeem(controller);
+    }
+
+    /**
+     * @dev Get the number of requests of a controller, pending and settled
+     */
+    function requestCount(address controller) external view returns (uint256) {
+        return _requestRecords[controller].length;
+    }
+
+    /**
+     * @dev Get a page of the requests of a controller with their status, oldest first
+     * @param controller Address controlling the requests
+     * @param offset Index of the first request
+     * @param limit Maximum number of requests returned
+     * @return statuses The status of the requests
+     */
+    function getRequests(
+        address controller,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (RequestStatus[] memory statuses) {
+        RequestRecord[] storage records = _requestRecords[controller];
+        if (offset >= records.length) return statuses;
+        uint256 end = limit > records.length - offset ? records.length : offset + limit;
+        statuses = new RequestStatus[](end - offset);
+        for (uint256 i = 0; i < statuses.length; i++) {
+            statuses[i] = _requestStatus(records[offset + i]);
+        }
+    }
+
+    /**
+     * @dev Get the requests of a controller still waiting for settlement, with their status
+     */
+    function getOpenRequests(address controller) external view returns (RequestStatus[] memory statuses) {
+        uint256[] storage open = _openRequests[controller];
+        RequestStatus[] memory candidates = new RequestStatus[](open.length);
+        uint256 count;
+        for (uint256 i = 0; i < open.length; i++) {
+            RequestStatus memory status = _requestStatus(_requestRecords[controller][open[i]]);
+            if (status.pending > 0) candidates[count++] = status;
+        }
+        statuses = new RequestStatus[](count);
+        for (uint256 i = 0; i < count; i++) {
+            statuses[i] = candidates[i];
+        }
     }
 
     /**
@@ -187,55 +644,365 @@ contract RWA7540Vault is ERC4626, Ownable, Pausable {
     }
 
     /**
-     * @dev Check if an operation is completed
-     * @param operationId The ID of the operation to check
+     * @dev Get the current price from the oracle
+     */
+    function getCurrentPrice() public view returns (uint256) {
+        (uint256 price,) = oracle.getPrice(address(this));
+        return price;
+    }
+
+    /**
+     * @dev Get the assets held for shareholders: the vault balance without the collected fees,
+     * the assets escrowed for pending deposits and the assets owed to claimable redemptions
      */
-    function _isCompleted(uint256 operationId) internal view returns (bool) {
-        return asyncOperations[operationId].timestamp == 0;
+    function totalAssets() public view override returns (uint256) {
+        return IERC20(asset()).balanceOf(address(this))
+            - totalFees
+            - totalPendingDepositAssets
+            - totalClaimableRedeemAssets;
     }
 
     /**
-     * @dev Mark an operation as completed
-     * @param operationId The ID of the operation to mark
+     * @dev The share token of the vault (ERC-7575)
      */
-    function _markCompleted(uint256 operationId) internal {
-        delete asyncOperations[operationId];
+    function share() external view returns (address) {
+        return address(this);
     }
 
     /**
-     * @dev Get the current price from the oracle
+     * @dev Get the assets claimable through deposit by a controller
      */
-    function getCurrentPrice() public view returns (uint256) {
-        (uint256 price,) = oracle.getPrice(address(this));
-        return price;
+    function maxDeposit(address controller) public view override returns (uint256) {
+        (uint256 assets,) = _depositSettlement(_depositRequests[controller]);
+        return _claimableDeposits[controller].assets + assets;
+    }
+
+    /**
+     * @dev Get the shares claimable through mint by a controller
+     */
+    function maxMint(address controller) public view override returns (uint256) {
+        (, uint256 shares) = _depositSettlement(_depositRequests[controller]);
+        return _claimableDeposits[controller].shares + shares;
+    }
+
+    /**
+     * @dev Get the assets claimable through withdraw by a controller
+     */
+    function maxWithdraw(address controller) public view override returns (uint256) {
+        (uint256 assets,,) = _redeemSettlement(_redeemRequests[controller], 0);
+        return _claimableRedeems[controller].assets + assets;
+    }
+
+    /**
+     * @dev Get the shares claimable through redeem by a controller
+     */
+    function maxRedeem(address controller) public view override returns (uint256) {
+        (, uint256 shares,) = _redeemSettlement(_redeemRequests[controller], 0);
+        return _claimableRedeems[controller].shares + shares;
     }
 
     /**
-     * @dev Override previewDeposit to include fee calculation
+     * @dev Deposits are asynchronous, previews are not supported (ERC-7540)
      */
-    function previewDeposit(uint256 assets) public view override returns (uint256) {
-        uint256 feeAmount = (assets * fee) / FEE_DENOMINATOR;
-        return assets - feeAmount;
+    function previewDeposit(uint256) public pure override returns (uint256) {
+        revert("Async deposit");
     }
 
     /**
-     * @dev Override previewMint to include fee calculation
+     * @dev Deposits are asynchronous, previews are not supported (ERC-7540)
      */
-    function previewMint(uint256 shares) public view override returns (uint256) {
-        return (shares * FEE_DENOMINATOR) / (FEE_DENOMINATOR - fee);
+    function previewMint(uint256) public pure override returns (uint256) {
+        revert("Async deposit");
     }
 
     /**
-     * @dev Override previewRedeem to include fee calculation
+     * @dev Redemptions are asynchronous, previews are not supported (ERC-7540)
      */
-    function previewRedeem(uint256 shares) public view override returns (uint256) {
-        return shares;
+    function previewRedeem(uint256) public pure override returns (uint256) {
+        revert("Async redeem");
     }
 
     /**
-     * @dev Override previewWithdraw to include fee calculation
+     * @dev Redemptions are asynchronous, previews are not supported (ERC-7540)
      */
-    function previewWithdraw(uint256 assets) public view override returns (uint256) {
-        return assets;
+    function previewWithdraw(uint256) public pure override returns (uint256) {
+        revert("Async redeem");
+    }
+
+    /**
+     * @dev ERC-165 support for the ERC-7540 operator, async deposit and async redeem interfaces and ERC-7575
+     */
+    function supportsInterface(bytes4 interfaceId) public pure returns (bool) {
+        return interfaceId == type(IERC165).interfaceId
+            || interfaceId == type(IERC7540Operator).interfaceId
+            || interfaceId == type(IERC7540Deposit).interfaceId
+            || interfaceId == type(IERC7540Redeem).interfaceId
+            || interfaceId == type(IERC7575).interfaceId;
+    }
+
+    /**
+     * @dev Convert assets to shares at the oracle price
+     */
+    function _convertToShares(uint256 assets, Math.Rounding rounding) internal view override returns (uint256) {
+        return Math.mulDiv(assets, PRICE_DECIMALS, getCurrentPrice(), rounding);
+    }
+
+    /**
+     * @dev Convert shares to assets at the oracle price
+     */
+    function _convertToAssets(uint256 shares, Math.Rounding rounding) internal view override returns (uint256) {
+        return Math.mulDiv(shares, getCurrentPrice(), PRICE_DECIMALS, rounding);
+    }
+
+    /**
+     * @dev Whether requests are accepted now: no dealing calendar, or the calendar is open
+     */
+    function _isDealing() internal view returns (bool) {
+        return address(dealingCalendar) == address(0) || dealingCalendar.isOpen(block.timestamp);
+    }
+
+    /**
+     * @dev Check that the caller is the account or one of its operators
+     */
+    function _checkCaller(address account) internal view {
+        require(msg.sender == account || isOperator[account][msg.sender], "Not owner or operator");
+    }
+
+    /**
+     * @dev Compute the settlement of a deposit request
+     * @return assets Requested assets settled, 0 while the epoch of the request is open
+     * @return shares Shares of the request, pro rata to the shares minted for the epoch
+     */
+    function _depositSettlement(Request memory request) internal view returns (uint256 assets, uint256 shares) {
+        Epoch storage epoch = epochs[request.epochId];
+        if (request.amount == 0 || epoch.closedAt == 0) return (0, 0);
+        return (request.amount, Math.mulDiv(request.amount, epoch.depositShares, epoch.depositAssets));
+    }
+
+    /**
+     * @dev Compute the settlement of a redeem request, following its unfilled shares from epoch to epoch
+     * until `stopEpoch` (0 for none)
+     * @return assets Assets of the request, pro rata to the assets paid by each closed epoch
+     * @return shares Requested shares settled
+     * @return remaining The shares of the request still pending and their epoch
+     */
+    function _redeemSettlement(Request memory request, uint256 stopEpoch)
+        internal
+        view
+        returns (uint256 assets, uint256 shares, Request memory remaining)
+    {
+        remaining = request;
+        while (remaining.amount > 0 && remaining.epochId != stopEpoch && epochs[remaining.epochId].closedAt != 0) {
+            (uint256 filledAssets, uint256 unfilled) = _redeemFill(remaining.amount, epochs[remaining.epochId]);
+            assets += filledAssets;
+            shares += remaining.amount - unfilled;
+            remaining.amount = unfilled;
+            remaining.epochId++;
+        }
+    }
+
+    /**
+     * @dev Compute the part of a controller's redeem shares settled by a closed epoch, rounded down
+     * @return assets Assets paid to the controller, pro rata to the assets paid by the epoch
+     * @return unfilled Shares of the controller rolling over to the next epoch
+     */
+    function _redeemFill(uint256 amount, Epoch memory epoch) internal pure returns (uint256 assets, uint256 unfilled) {
+        unfilled = Math.mulDiv(amount, epoch.redeemShares - epoch.redeemedShares, epoch.redeemShares);
+        assets = Math.mulDiv(amount, epoch.redeemAssets, epoch.redeemShares);
+    }
+
+    /**
+     * @dev Add up the settlement of the controllers with redeem shares pending in a closed epoch and
+     * list the controllers whose shares roll over in the next epoch
+     * @return rolledOver Shares rolling over to the next epoch
+     * @return assets Assets owed to the controllers
+     */
+    function _rollOverRedeems(uint256 epochId, Epoch memory epoch)
+        internal
+        returns (uint256 rolledOver, uint256 assets)
+    {
+        address[] storage controllers = _redeemControllers[epochId];
+        for (uint256 i = 0; i < controllers.length; i++) {
+            address controller = controllers[i];
+            // The pending shares of the controller in the epoch, none if they were cancelled
+            (,, Request memory remaining) = _redeemSettlement(_redeemRequests[controller], epochId);
+            if (remaining.epochId != epochId || remaining.amount == 0) continue;
+
+            (uint256 filledAssets, uint256 unfilled) = _redeemFill(remaining.amount, epoch);
+            assets += filledAssets;
+            rolledOver += unfilled;
+            if (unfilled > 0) {
+                _listRedeemController(controller, epochId + 1);
+            }
+        }
+        delete _redeemControllers[epochId];
+    }
+
+    /**
+     * @dev Add a controller to the controllers with redeem shares pending in an epoch
+     */
+    function _listRedeemController(address controller, uint256 epochId) internal {
+        _redeemListedEpoch[controller] = epochId;
+        _redeemListIndex[controller] = _redeemControllers[epochId].length;
+        _redeemControllers[epochId].push(controller);
+    }
+
+    /**
+     * @dev Remove a controller whose redeem request was cancelled from the controllers of an epoch,
+     * so that cancelled requests do not add to the settlement of the epoch
+     */
+    function _unlistRedeemController(address controller, uint256 epochId) internal {
+        address[] storage controllers = _redeemControllers[epochId];
+        uint256 index = _redeemListIndex[controller];
+        address last = controllers[controllers.length - 1];
+        controllers[index] = last;
+        _redeemListIndex[last] = index;
+        controllers.pop();
+        delete _redeemListedEpoch[controller];
+        delete _redeemListIndex[controller];
+    }
+
+    /**
+     * @dev Move the settled deposit request of a controller to its claimable amounts
+     */
+    function _settleDeposit(address controller) internal {
+        (uint256 assets, uint256 shares) = _depositSettlement(_depositRequests[controller]);
+        if (assets == 0) return;
+        delete _depositRequests[controller];
+        _claimableDeposits[controller].assets += assets;
+        _claimableDeposits[controller].shares += shares;
+        _pruneRequests(controller);
+    }
+
+    /**
+     * @dev Move the settled part of the redeem request of a controller to its claimable amounts
+     */
+    function _settleRedeem(address controller) internal {
+        (uint256 assets, uint256 shares, Request memory remaining) = _redeemSettlement(_redeemRequests[controller], 0);
+        _redeemRequests[controller] = remaining;
+        _claimableRedeems[controller].assets += assets;
+        _claimableRedeems[controller].shares += shares;
+        _pruneRequests(controller);
+    }
+
+    /**
+     * @dev Add a request to the open request of the same epoch and kind of a controller, or record a new one
+     */
+    function _recordRequest(address controller, uint256 requestId, bool isRedeem, uint256 amount) internal {
+        uint256[] storage open = _openRequests[controller];
+        RequestRecord[] storage records = _requestRecords[controller];
+        for (uint256 i = 0; i < open.length; i++) {
+            RequestRecord storage record = records[open[i]];
+            if (record.requestId == requestId && record.isRedeem == isRedeem) {
+                record.amount += amount;
+                return;
+            }
+        }
+        open.push(records.length);
+        records.push(RequestRecord(requestId, isRedeem, amount, 0));
+    }
+
+    /**
+     * @dev Mark the pending requests of a kind of a controller as cancelled in the current epoch
+     */
+    function _cancelRequests(address controller, bool isRedeem) internal {
+        uint256[] storage open = _openRequests[controller];
+        for (uint256 i = open.length; i > 0; i--) {
+            RequestRecord storage record = _requestRecords[controller][open[i - 1]];
+            if (record.isRedeem == isRedeem && _requestStatus(record).pending > 0) {
+                record.cancelledEpoch = currentEpoch;
+                _removeOpenRequest(open, i - 1);
+            }
+        }
+    }
+
+    /**
+     * @dev Remove the settled requests of a controller from its open requests
+     */
+    function _pruneRequests(address controller) internal {
+        uint256[] storage open = _openRequests[controller];
+        for (uint256 i = open.length; i > 0; i--) {
+            if (_requestStatus(_requestRecords[controller][open[i - 1]]).pending == 0) {
+                _removeOpenRequest(open, i - 1);
+            }
+        }
+    }
+
+    /**
+     * @dev Remove an entry of the open requests of a controller, moving the last entry in its place
+     */
+    function _removeOpenRequest(uint256[] storage open, uint256 index) internal {
+        open[index] = open[open.length - 1];
+        open.pop();
+    }
+
+    /**
+     * @dev Compute the status of a request from the records of the epochs
+     */
+    function _requestStatus(RequestRecord memory record) internal view returns (RequestStatus memory status) {
+        status.requestId = record.requestId;
+        status.isRedeem = record.isRedeem;
+        status.amount = record.amount;
+        status.cancelled = record.cancelledEpoch != 0;
+
+        uint256 lastEpoch;
+        if (record.isRedeem) {
+            Request memory remaining;
+            (status.assets, status.shares, remaining) = _redeemSettlement(
+                Request(record.requestId, record.amount),
+                record.cancelledEpoch
+            );
+            status.pending = status.cancelled ? 0 : remaining.amount;
+            lastEpoch = remaining.epochId - 1;
+        } else if (!status.cancelled) {
+            (status.assets, status.shares) = _depositSettlement(Request(record.requestId, record.amount));
+            status.pending = record.amount - status.assets;
+            lastEpoch = record.requestId;
+        }
+
+        if (lastEpoch >= record.requestId && epochs[lastEpoch].closedAt != 0) {
+            status.price = epochs[lastEpoch].price;
+            status.settledAt = epochs[lastEpoch].closedAt;
+        }
+    }
+
+    /**
+     * @dev Check that a request made at `requestedAt` is still in its cancellation window
+     */
+    function _checkCancelWindow(uint256 requestedAt) internal view {
+        require(cancelWindow == 0 || block.timestamp <= requestedAt + cancelWindow, "Cancellation window closed");
+    }
+
+    /**
+     * @dev Deliver claimed shares of a settled deposit request
+     */
+    function _claimDeposit(
+        ClaimableRequest storage claimable,
+        uint256 assets,
+        uint256 shares,
+        address receiver,
+        address controller
+    ) internal {
+        claimable.assets -= assets;
+        claimable.shares -= shares;
+        _transfer(address(this), receiver, shares);
+        emit Deposit(controller, receiver, assets, shares);
+    }
+
+    /**
+     * @dev Deliver claimed assets of a settled redeem request
+     */
+    function _claimRedeem(
+        ClaimableRequest storage claimable,
+        uint256 assets,
+        uint256 shares,
+        address receiver,
+        address controller
+    ) internal {
+        claimable.assets -= assets;
+        claimable.shares -= shares;
+        totalClaimableRedeemAssets -= assets;
+        SafeERC20.safeTransfer(IERC20(asset()), receiver, assets);
+        emit Withdraw(msg.sender, receiver, controller, assets, shares);
     }
-} 
\ No newline at end of file
+}
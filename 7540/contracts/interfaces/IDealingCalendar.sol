@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Dealing calendar of the fund, e.g. the RWA4626DealingCalendar of the RWA4626 contracts
+ */
+interface IDealingCalendar {
+    /**
+     * @dev Whether the fund accepts deposits and redemptions at a given time
+     */
+    function isOpen(uint256 timestamp) external view returns (bool);
+}
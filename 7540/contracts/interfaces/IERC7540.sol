@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Operator approvals of ERC-7540 vaults
+ */
+interface IERC7540Operator {
+    event OperatorSet(address indexed controller, address indexed operator, bool approved);
+
+    /**
+     * @dev Grant or revoke permission for an operator to manage requests on behalf of the caller
+     */
+    function setOperator(address operator, bool approved) external returns (bool);
+
+    /**
+     * @dev Whether an operator may manage requests on behalf of a controller
+     */
+    function isOperator(address controller, address operator) external view returns (bool);
+}
+
+/**
+ * @dev Asynchronous deposits of ERC-7540 vaults
+ */
+interface IERC7540Deposit {
+    event DepositRequest(
+        address indexed controller,
+        address indexed owner,
+        uint256 indexed requestId,
+        address sender,
+        uint256 assets
+    );
+
+    /**
+     * @dev Transfer assets from owner into the vault and submit a request for asynchronous deposit
+     */
+    function requestDeposit(uint256 assets, address controller, address owner) external returns (uint256 requestId);
+
+    /**
+     * @dev Amount of requested assets in pending state for a controller
+     */
+    function pendingDepositRequest(uint256 requestId, address controller) external view returns (uint256 pendingAssets);
+
+    /**
+     * @dev Amount of requested assets in claimable state for a controller
+     */
+    function claimableDepositRequest(uint256 requestId, address controller) external view returns (uint256 claimableAssets);
+
+    /**
+     * @dev Claim shares from a claimable deposit request of a controller
+     */
+    function deposit(uint256 assets, address receiver, address controller) external returns (uint256 shares);
+
+    /**
+     * @dev Claim an exact amount of shares from a claimable deposit request of a controller
+     */
+    function mint(uint256 shares, address receiver, address controller) external returns (uint256 assets);
+}
+
+/**
+ * @dev Asynchronous redemptions of ERC-7540 vaults
+ */
+interface IERC7540Redeem {
+    event RedeemRequest(
+        address indexed controller,
+        address indexed owner,
+        uint256 indexed requestId,
+        address sender,
+        uint256 shares
+    );
+
+    /**
+     * @dev Transfer shares from owner into the vault and submit a request for asynchronous redemption
+     */
+    function requestRedeem(uint256 shares, address controller, address owner) external returns (uint256 requestId);
+
+    /**
+     * @dev Amount of requested shares in pending state for a controller
+     */
+    function pendingRedeemRequest(uint256 requestId, address controller) external view returns (uint256 pendingShares);
+
+    /**
+     * @dev Amount of requested shares in claimable state for a controller
+     */
+    function claimableRedeemRequest(uint256 requestId, address controller) external view returns (uint256 claimableShares);
+}
+
+/**
+ * @dev ERC-7575 vault interface, the ERC-4626 functions without the share token ones
+ * Only used for its ERC-165 interface id
+ */
+interface IERC7575 {
+    function share() external view returns (address);
+    function asset() external view returns (address);
+    function totalAssets() external view returns (uint256);
+    function convertToShares(uint256 assets) external view returns (uint256);
+    function convertToAssets(uint256 shares) external view returns (uint256);
+    function maxDeposit(address receiver) external view returns (uint256);
+    function previewDeposit(uint256 assets) external view returns (uint256);
+    function deposit(uint256 assets, address receiver) external returns (uint256);
+    function maxMint(address receiver) external view returns (uint256);
+    function previewMint(uint256 shares) external view returns (uint256);
+    function mint(uint256 shares, address receiver) external returns (uint256);
+    function maxWithdraw(address owner) external view returns (uint256);
+    function previewWithdraw(uint256 assets) external view returns (uint256);
+    function withdraw(uint256 assets, address receiver, address owner) external returns (uint256);
+    function maxRedeem(address owner) external view returns (uint256);
+    function previewRedeem(uint256 shares) external view returns (uint256);
+    function redeem(uint256 shares, address receiver, address owner) external returns (uint256);
+}
@@ -0,0 +1,54 @@
+// Script previewing the settlement of the current epoch of an RWA7540Vault and closing it
+//
+// Usage: VAULT_ADDRESS=<vault> [CLOSE=1] npx hardhat run scripts/settle_epoch.js --network <network>
+//
+// Without CLOSE=1 the settlement is only printed, so the net asset flow can be arranged with
+// the custodian before the epoch is closed.
+const hre = require("hardhat");
+const { ethers } = hre;
+
+async function main() {
+  const vaultAddress = process.env.VAULT_ADDRESS;
+  if (!vaultAddress) {
+    throw new Error("Please set VAULT_ADDRESS environment variable");
+  }
+
+  const vault = await ethers.getContractAt("RWA7540Vault", vaultAddress);
+  const asset = await ethers.getContractAt("IERC20Metadata", await vault.asset());
+  const assetDecimals = await asset.decimals();
+  const shareDecimals = await vault.decimals();
+  const assets = (value) => ethers.formatUnits(value, assetDecimals);
+  const shares = (value) => ethers.formatUnits(value, shareDecimals);
+
+  const epochId = await vault.currentEpoch();
+  const epoch = await vault.previewCloseEpoch();
+  const fee = epoch.depositAssets * (await vault.fee()) / (await vault.FEE_DENOMINATOR());
+  const depositsAfterFee = epoch.depositAssets - fee;
+
+  console.log(`Settlement of epoch ${epochId} of ${vaultAddress}`);
+  console.log(`  Price:                ${ethers.formatUnits(epoch.price, 6)}`);
+  console.log(`  Deposits:             ${assets(epoch.depositAssets)}`);
+  console.log(`  Fee:                  ${assets(fee)}`);
+  console.log(`  Shares minted:        ${shares(epoch.depositShares)}`);
+  console.log(`  Redemptions:          ${shares(epoch.redeemShares)}`);
+  console.log(`  Redemptions filled:   ${shares(epoch.redeemedShares)}`);
+  console.log(`  Assets paid:          ${assets(epoch.redeemAssets)}`);
+  console.log(`  Net asset flow:       ${assets(depositsAfterFee - epoch.redeemAssets)}`);
+  if (epoch.redeemedShares < epoch.redeemShares) {
+    console.log(`  Rolled to next epoch: ${shares(epoch.redeemShares - epoch.redeemedShares)}`);
+  }
+
+  if (process.env.CLOSE !== "1") {
+    console.log("Set CLOSE=1 to close the epoch");
+    return;
+  }
+
+  const tx = await vault.closeEpoch();
+  await tx.wait();
+  console.log(`Epoch ${epochId} closed in ${tx.hash}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -48,111 +48,431 @@ describe("RWA7540Vault", function () {
         await asset.connect(user2).approve(vault.target, ethers.parseUnits("1000", 6));
     });
 
-    describe("Async Deposit", function () {
-        it("Should initiate and complete deposit", async function () {
-            const depositAmount = ethers.parseUnits("100", 6);
-            
-            // Initiate deposit
-            const tx = await vault.connect(user1).initiateDeposit(depositAmount, user1.address);
-            const receipt = await tx.wait();
-            const event = receipt.logs.find(log => log.fragment?.name === "AsyncDepositInitiated");
-            const operationId = event.args.operationId;
-            
-            // Complete deposit
-            await expect(vault.connect(user1).completeDeposit(operationId))
-                .to.emit(vault, "AsyncOperationCompleted")
-                .withArgs(operationId, user1.address, depositAmount - (depositAmount * BigInt(FEE) / BigInt(10000)), true);
-            
-            // Check balances
-            expect(await vault.balanceOf(user1.address)).to.equal(depositAmount - (depositAmount * BigInt(FEE) / BigInt(10000)));
-            expect(await vault.totalFees()).to.equal(depositAmount * BigInt(FEE) / BigInt(10000));
+    describe("Deposit Requests", function () {
+        const depositAmount = ethers.parseUnits("100", 6);
+        const feeAmount = depositAmount * BigInt(FEE) / BigInt(10000);
+
+        it("Should escrow requested assets as pending in the current epoch", async function () {
+            await expect(vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address))
+                .to.emit(vault, "DepositRequest")
+                .withArgs(user1.address, user1.address, 1, user1.address, depositAmount);
+
+            expect(await vault.pendingDepositRequest(1, user1.address)).to.equal(depositAmount);
+            expect(await vault.pendingDepositRequest(2, user1.address)).to.equal(0);
+            expect(await vault.claimableDepositRequest(1, user1.address)).to.equal(0);
+            expect(await vault.totalPendingDepositAssets()).to.equal(depositAmount);
+            expect(await vault.totalAssets()).to.equal(0);
+            expect(await vault.maxDeposit(user1.address)).to.equal(0);
         });
 
-        it("Should not allow deposit below minimum", async function () {
-            const depositAmount = ethers.parseUnits("50", 6);
-            await expect(
-                vault.connect(user1).initiateDeposit(depositAmount, user1.address)
-            ).to.be.revertedWith("Below min deposit");
+        it("Should settle the epoch at the oracle price and let the controller claim", async function () {
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+
+            const newPrice = ethers.parseUnits("1.25", 6);
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await oracle.updatePrice(vault.target, newPrice);
+
+            const shares = (depositAmount - feeAmount) * INITIAL_PRICE / newPrice;
+            await expect(vault.connect(user1).closeEpoch()).to.be.revertedWith("Not a manager");
+            await expect(vault.closeEpoch())
+                .to.emit(vault, "EpochClosed")
+                .withArgs(1, newPrice, depositAmount, shares, 0, 0, 0);
+            expect(await vault.currentEpoch()).to.equal(2);
+
+            expect(await vault.pendingDepositRequest(1, user1.address)).to.equal(0);
+            expect(await vault.claimableDepositRequest(1, user1.address)).to.equal(depositAmount);
+            expect(await vault.maxMint(user1.address)).to.equal(shares);
+            expect(await vault.totalFees()).to.equal(feeAmount);
+
+            await expect(vault.connect(user2)["deposit(uint256,address,address)"](depositAmount, user2.address, user1.address))
+                .to.be.revertedWith("Not owner or operator");
+            await expect(vault.connect(user1)["deposit(uint256,address)"](depositAmount, user1.address))
+                .to.emit(vault, "Deposit")
+                .withArgs(user1.address, user1.address, depositAmount, shares);
+            expect(await vault.balanceOf(user1.address)).to.equal(shares);
+            expect(await vault.maxDeposit(user1.address)).to.equal(0);
+            expect(await vault.totalAssets()).to.equal(depositAmount - feeAmount);
         });
 
-        it("Should not allow completing non-existent operation", async function () {
-            await expect(
-                vault.connect(user1).completeDeposit(999)
-            ).to.be.revertedWith("Operation not found");
+        it("Should give every request of an epoch the same price", async function () {
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.connect(user2).requestDeposit(depositAmount * 3n, user2.address, user2.address);
+            await vault.closeEpoch();
+
+            const shares1 = await vault.maxMint(user1.address);
+            expect(await vault.maxMint(user2.address)).to.equal(shares1 * 3n);
+
+            // A new request settles the previous one first
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            expect(await vault.pendingDepositRequest(2, user1.address)).to.equal(depositAmount);
+            expect(await vault.maxMint(user1.address)).to.equal(shares1);
         });
 
-        it("Should not allow completing operation twice", async function () {
-            const depositAmount = ethers.parseUnits("100", 6);
-            
-            // Initiate and complete deposit
-            const tx = await vault.connect(user1).initiateDeposit(depositAmount, user1.address);
-            const receipt = await tx.wait();
-            const event = receipt.logs.find(log => log.fragment?.name === "AsyncDepositInitiated");
-            const operationId = event.args.operationId;
-            
-            await vault.connect(user1).completeDeposit(operationId);
-            
-            // Try to complete again
+        it("Should claim pro rata with mint", async function () {
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.closeEpoch();
+            const shares = await vault.maxMint(user1.address);
+
+            await vault.connect(user1)["mint(uint256,address,address)"](shares / 2n, user2.address, user1.address);
+            expect(await vault.balanceOf(user2.address)).to.equal(shares / 2n);
+            expect(await vault.claimableDepositRequest(1, user1.address)).to.equal(depositAmount / 2n);
+
+            await expect(vault.connect(user1)["mint(uint256,address)"](shares, user1.address))
+                .to.be.revertedWith("Exceeds claimable deposit");
+        });
+
+        it("Should not allow deposit below minimum", async function () {
             await expect(
-                vault.connect(user1).completeDeposit(operationId)
-            ).to.be.revertedWith("Operation already completed");
+                vault.connect(user1).requestDeposit(ethers.parseUnits("50", 6), user1.address, user1.address)
+            ).to.be.revertedWith("Below min deposit");
+        });
+
+        it("Should not support synchronous previews", async function () {
+            await expect(vault.previewDeposit(depositAmount)).to.be.revertedWith("Async deposit");
+            await expect(vault.previewRedeem(depositAmount)).to.be.revertedWith("Async redeem");
         });
     });
 
-    describe("Async Redeem", function () {
+    describe("Redeem Requests", function () {
+        let shares;
+
         beforeEach(async function () {
-            // First deposit some assets
-            const depositAmount = ethers.parseUnits("100", 6);
-            const tx = await vault.connect(user1).initiateDeposit(depositAmount, user1.address);
-            const receipt = await tx.wait();
-            const event = receipt.logs.find(log => log.fragment?.name === "AsyncDepositInitiated");
-            const operationId = event.args.operationId;
-            await vault.connect(user1).completeDeposit(operationId);
+            await vault.connect(user1).requestDeposit(ethers.parseUnits("100", 6), user1.address, user1.address);
+            await vault.closeEpoch();
+            shares = await vault.maxMint(user1.address);
+            await vault.connect(user1)["mint(uint256,address,address)"](shares, user1.address, user1.address);
         });
 
-        it("Should initiate and complete redeem", async function () {
-            const redeemAmount = ethers.parseUnits("50", 6);
-            
-            // Initiate redeem
-            const tx = await vault.connect(user1).initiateRedeem(redeemAmount, user1.address, user1.address);
-            const receipt = await tx.wait();
-            const event = receipt.logs.find(log => log.fragment?.name === "AsyncRedeemInitiated");
-            const operationId = event.args.operationId;
-            
-            // Complete redeem
-            await expect(vault.connect(user1).completeRedeem(operationId))
-                .to.emit(vault, "AsyncOperationCompleted")
-                .withArgs(operationId, user1.address, redeemAmount, false);
-            
-            // Check balances
-            expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseUnits("50", 6) - (ethers.parseUnits("100", 6) * BigInt(FEE) / BigInt(10000)));
+        it("Should escrow, settle and claim a redemption", async function () {
+            await expect(vault.connect(user1).requestRedeem(shares, user1.address, user1.address))
+                .to.emit(vault, "RedeemRequest")
+                .withArgs(user1.address, user1.address, 2, user1.address, shares);
+            expect(await vault.balanceOf(user1.address)).to.equal(0);
+            expect(await vault.pendingRedeemRequest(2, user1.address)).to.equal(shares);
+
+            await expect(vault.closeEpoch())
+                .to.emit(vault, "EpochClosed")
+                .withArgs(2, INITIAL_PRICE, 0, 0, shares, shares, shares);
+            expect(await vault.claimableRedeemRequest(2, user1.address)).to.equal(shares);
+            expect(await vault.maxWithdraw(user1.address)).to.equal(shares);
+            expect(await vault.totalSupply()).to.equal(0);
+
+            const balanceBefore = await asset.balanceOf(user2.address);
+            await expect(vault.connect(user1).redeem(shares, user2.address, user1.address))
+                .to.emit(vault, "Withdraw")
+                .withArgs(user1.address, user2.address, user1.address, shares, shares);
+            expect(await asset.balanceOf(user2.address) - balanceBefore).to.equal(shares);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+            expect(await vault.totalAssets()).to.equal(0);
+        });
+
+        it("Should fill redemptions pro rata and roll the rest over when liquidity is short", async function () {
+            // The price doubles but the vault only holds the assets of the first deposit
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await oracle.updatePrice(vault.target, INITIAL_PRICE * 2n);
+            const liquidity = await vault.totalAssets();
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            const preview = await vault.previewCloseEpoch();
+            expect(preview.redeemedShares).to.equal(liquidity / 2n);
+            await vault.closeEpoch();
+
+            expect(await vault.maxWithdraw(user1.address)).to.equal(liquidity);
+            expect(await vault.maxRedeem(user1.address)).to.equal(liquidity / 2n);
+            const remaining = shares - liquidity / 2n;
+            expect(await vault.pendingRedeemRequest(3, user1.address)).to.equal(remaining);
+            expect((await vault.epochs(3)).redeemShares).to.equal(remaining);
+
+            // The next epoch settles the rest with new deposits
+            await vault.connect(user2).requestDeposit(ethers.parseUnits("1000", 6), user2.address, user2.address);
+            await vault.closeEpoch();
+            expect(await vault.pendingRedeemRequest(3, user1.address)).to.equal(0);
+            expect(await vault.maxRedeem(user1.address)).to.equal(shares);
+            await vault.connect(user1).withdraw(await vault.maxWithdraw(user1.address), user1.address, user1.address);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+        });
+
+        it("Should roll over exactly the unfilled shares of each controller", async function () {
+            await vault.connect(user2).requestDeposit(ethers.parseUnits("100", 6), user2.address, user2.address);
+            await vault.closeEpoch();
+            const shares2 = await vault.maxMint(user2.address);
+            await vault.connect(user2)["mint(uint256,address,address)"](shares2, user2.address, user2.address);
+
+            // Pro rata amounts that do not divide evenly
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await oracle.updatePrice(vault.target, INITIAL_PRICE * 3n);
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await vault.connect(user2).requestRedeem(shares2 - 1n, user2.address, user2.address);
+            await vault.closeEpoch();
+
+            const pending1 = await vault.pendingRedeemRequest(4, user1.address);
+            const pending2 = await vault.pendingRedeemRequest(4, user2.address);
+            const epoch = await vault.epochs(3);
+            expect(pending1 + pending2).to.be.lessThan(epoch.redeemShares - epoch.redeemedShares);
+            expect((await vault.epochs(4)).redeemShares).to.equal(pending1 + pending2);
+            // Only the shares owed to the controllers are burned, and their assets set aside
+            expect(await vault.totalSupply()).to.equal(1n + pending1 + pending2);
+            expect(await vault.totalClaimableRedeemAssets())
+                .to.equal(await vault.maxWithdraw(user1.address) + await vault.maxWithdraw(user2.address));
+
+            // Cancelled shares do not roll over again
+            await vault.connect(user2).cancelRedeemRequest(4, user2.address, user2.address);
+            await vault.closeEpoch();
+            expect((await vault.epochs(5)).redeemShares).to.equal(pending1);
+        });
+
+        it("Should let approved spenders request for an owner", async function () {
+            await expect(vault.connect(user2).requestRedeem(shares, user2.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "ERC20InsufficientAllowance");
+
+            await vault.connect(user1).approve(user2.address, shares);
+            await vault.connect(user2).requestRedeem(shares, user2.address, user1.address);
+            expect(await vault.pendingRedeemRequest(2, user2.address)).to.equal(shares);
+            expect(await vault.allowance(user1.address, user2.address)).to.equal(0);
         });
 
         it("Should not allow redeem with zero shares", async function () {
             await expect(
-                vault.connect(user1).initiateRedeem(0, user1.address, user1.address)
+                vault.connect(user1).requestRedeem(0, user1.address, user1.address)
             ).to.be.revertedWith("Invalid shares");
         });
 
-        it("Should not allow completing non-existent redeem operation", async function () {
-            await expect(
-                vault.connect(user1).completeRedeem(999)
-            ).to.be.revertedWith("Operation not found");
+        it("Should not allow redeem below minimum and settle the requests left after cancellations", async function () {
+            const half = shares / 2n;
+            await expect(vault.connect(user1).setMinRedeem(half))
+                .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+            await expect(vault.setMinRedeem(half))
+                .to.emit(vault, "MinRedeemUpdated")
+                .withArgs(half);
+            await expect(vault.connect(user1).requestRedeem(half - 1n, user1.address, user1.address))
+                .to.be.revertedWith("Below min redeem");
+
+            // The cancelled request of the first controller leaves the second one to settle
+            await vault.connect(user1).requestRedeem(half, user1.address, user1.address);
+            await vault.connect(user1).requestRedeem(half, user2.address, user1.address);
+            await vault.connect(user1).cancelRedeemRequest(2, user1.address, user1.address);
+            await vault.connect(user1).requestRedeem(half, user1.address, user1.address);
+            await vault.closeEpoch();
+            expect(await vault.claimableRedeemRequest(2, user1.address)).to.equal(half);
+            expect(await vault.claimableRedeemRequest(2, user2.address)).to.equal(half);
+            expect(await vault.totalClaimableRedeemAssets()).to.equal(half * 2n);
+        });
+
+        it("Should not allow claiming more than settled", async function () {
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await expect(vault.connect(user1).withdraw(1, user1.address, user1.address))
+                .to.be.revertedWith("Exceeds claimable redeem");
+        });
+    });
+
+    describe("Cancellation", function () {
+        const depositAmount = ethers.parseUnits("100", 6);
+
+        it("Should return the escrowed assets of a pending deposit", async function () {
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+
+            await expect(vault.connect(user2).cancelDepositRequest(1, user1.address, user2.address))
+                .to.be.revertedWith("Not owner or operator");
+            await expect(vault.connect(user1).cancelDepositRequest(1, user1.address, user1.address))
+                .to.emit(vault, "CancelDepositRequest")
+                .withArgs(user1.address, 1, user1.address, user1.address, depositAmount, 0);
+
+            expect(await asset.balanceOf(user1.address)).to.equal(ethers.parseUnits("1000", 6));
+            expect(await vault.pendingDepositRequest(1, user1.address)).to.equal(0);
+            expect(await vault.totalPendingDepositAssets()).to.equal(0);
+            expect((await vault.epochs(1)).depositAssets).to.equal(0);
+        });
+
+        it("Should return the escrowed shares of a pending redemption minus the fee", async function () {
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.closeEpoch();
+            const shares = await vault.maxMint(user1.address);
+            await vault.connect(user1)["mint(uint256,address,address)"](shares, user1.address, user1.address);
+
+            await expect(vault.connect(user1).setCancellationTerms(0, 100))
+                .to.be.revertedWith("Not a manager");
+            await expect(vault.setCancellationTerms(0, 100))
+                .to.emit(vault, "CancellationTermsUpdated")
+                .withArgs(0, 100);
+
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            const feeShares = shares * 100n / 10000n;
+            await expect(vault.connect(user1).cancelRedeemRequest(2, user1.address, user1.address))
+                .to.emit(vault, "CancelRedeemRequest")
+                .withArgs(user1.address, 2, user1.address, user1.address, shares - feeShares, feeShares);
+
+            expect(await vault.balanceOf(user1.address)).to.equal(shares - feeShares);
+            expect(await vault.balanceOf(owner.address)).to.equal(feeShares);
+            expect(await vault.pendingRedeemRequest(2, user1.address)).to.equal(0);
+        });
+
+        it("Should only cancel within the cancellation window and before settlement", async function () {
+            await vault.setCancellationTerms(60 * 60, 0);
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await ethers.provider.send("evm_increaseTime", [60 * 60 + 1]);
+            await expect(vault.connect(user1).cancelDepositRequest(1, user1.address, user1.address))
+                .to.be.revertedWith("Cancellation window closed");
+
+            await vault.connect(user2).requestDeposit(depositAmount, user2.address, user2.address);
+            await vault.closeEpoch();
+            await expect(vault.connect(user2).cancelDepositRequest(1, user2.address, user2.address))
+                .to.be.revertedWith("No pending deposit");
+            await expect(vault.setCancellationTerms(0, 1001)).to.be.revertedWith("Fee too high");
+        });
+    });
+
+    describe("Request History", function () {
+        const depositAmount = ethers.parseUnits("100", 6);
+
+        it("Should list open requests and keep the settlement of completed ones", async function () {
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            expect(await vault.requestCount(user1.address)).to.equal(1);
+
+            let open = await vault.getOpenRequests(user1.address);
+            expect(open.length).to.equal(1);
+            expect(open[0].requestId).to.equal(1);
+            expect(open[0].isRedeem).to.be.false;
+            expect(open[0].amount).to.equal(depositAmount * 2n);
+            expect(open[0].pending).to.equal(depositAmount * 2n);
+            expect(open[0].price).to.equal(0);
+
+            const newPrice = ethers.parseUnits("1.25", 6);
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await oracle.updatePrice(vault.target, newPrice);
+            await vault.closeEpoch();
+            const closedAt = (await vault.epochs(1)).closedAt;
+            expect(await vault.getOpenRequests(user1.address)).to.be.empty;
+
+            const shares = await vault.maxMint(user1.address);
+            await vault.connect(user1)["mint(uint256,address,address)"](shares, user1.address, user1.address);
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+
+            open = await vault.getOpenRequests(user1.address);
+            expect(open.length).to.equal(1);
+            expect(open[0].requestId).to.equal(2);
+            expect(open[0].isRedeem).to.be.true;
+
+            const [deposit] = await vault.getRequests(user1.address, 0, 1);
+            expect(deposit.pending).to.equal(0);
+            expect(deposit.assets).to.equal(depositAmount * 2n);
+            expect(deposit.shares).to.equal(shares);
+            expect(deposit.price).to.equal(newPrice);
+            expect(deposit.settledAt).to.equal(closedAt);
+            expect(deposit.cancelled).to.be.false;
+        });
+
+        it("Should follow partially filled redemptions across epochs", async function () {
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.closeEpoch();
+            const shares = await vault.maxMint(user1.address);
+            await vault.connect(user1)["mint(uint256,address,address)"](shares, user1.address, user1.address);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await oracle.updatePrice(vault.target, INITIAL_PRICE * 2n);
+            await vault.connect(user1).requestRedeem(shares, user1.address, user1.address);
+            await vault.closeEpoch();
+
+            let [redeem] = await vault.getRequests(user1.address, 1, 10);
+            expect(redeem.requestId).to.equal(2);
+            expect(redeem.shares).to.equal(shares / 2n);
+            expect(redeem.pending).to.equal(shares - shares / 2n);
+            expect(redeem.price).to.equal(INITIAL_PRICE * 2n);
+            expect((await vault.getOpenRequests(user1.address)).length).to.equal(1);
+
+            await vault.connect(user2).requestDeposit(depositAmount * 5n, user2.address, user2.address);
+            await vault.closeEpoch();
+
+            [redeem] = await vault.getRequests(user1.address, 1, 10);
+            expect(redeem.pending).to.equal(0);
+            expect(redeem.shares).to.equal(shares);
+            expect(redeem.assets).to.equal(await vault.maxWithdraw(user1.address));
+            expect(redeem.settledAt).to.equal((await vault.epochs(3)).closedAt);
+            expect(await vault.getOpenRequests(user1.address)).to.be.empty;
+            expect(await vault.getRequests(user1.address, 2, 10)).to.be.empty;
+            // Unbounded pages do not overflow
+            expect(await vault.getRequests(user1.address, 1, ethers.MaxUint256)).to.have.lengthOf(1);
+            expect(await vault.getRequests(user1.address, ethers.MaxUint256, ethers.MaxUint256)).to.be.empty;
+        });
+
+        it("Should record cancelled requests", async function () {
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.connect(user1).cancelDepositRequest(1, user1.address, user1.address);
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+
+            const requests = await vault.getRequests(user1.address, 0, 10);
+            expect(requests.length).to.equal(2);
+            expect(requests[0].cancelled).to.be.true;
+            expect(requests[0].pending).to.equal(0);
+            expect(requests[1].cancelled).to.be.false;
+            expect(requests[1].pending).to.equal(depositAmount);
+
+            const open = await vault.getOpenRequests(user1.address);
+            expect(open.length).to.equal(1);
+            expect(open[0].amount).to.equal(depositAmount);
         });
+    });
+
+    describe("Dealing Calendar", function () {
+        it("Should only accept requests while the calendar is open", async function () {
+            const MockDealingCalendar = await ethers.getContractFactory("MockDealingCalendar");
+            const calendar = await MockDealingCalendar.deploy();
+            await expect(vault.connect(user1).setDealingCalendar(calendar.target))
+                .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+            await expect(vault.setDealingCalendar(calendar.target))
+                .to.emit(vault, "DealingCalendarUpdated")
+                .withArgs(calendar.target);
 
-        it("Should not allow completing wrong operation type", async function () {
             const depositAmount = ethers.parseUnits("100", 6);
-            
-            // Initiate deposit
-            const tx = await vault.connect(user1).initiateDeposit(depositAmount, user1.address);
-            const receipt = await tx.wait();
-            const event = receipt.logs.find(log => log.fragment?.name === "AsyncDepositInitiated");
-            const operationId = event.args.operationId;
-            
-            // Try to complete as redeem
-            await expect(
-                vault.connect(user1).completeRedeem(operationId)
-            ).to.be.revertedWith("Not a redeem operation");
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.closeEpoch();
+            await vault.connect(user1)["deposit(uint256,address)"](depositAmount, user1.address);
+
+            await calendar.setOpen(false);
+            await expect(vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address))
+                .to.be.revertedWith("Dealing closed");
+            await expect(vault.connect(user1).requestRedeem(1, user1.address, user1.address))
+                .to.be.revertedWith("Dealing closed");
+
+            await vault.setDealingCalendar(ethers.ZeroAddress);
+            await vault.connect(user1).requestRedeem(1, user1.address, user1.address);
+        });
+    });
+
+    describe("Operators", function () {
+        it("Should let operators request and claim for a controller", async function () {
+            const depositAmount = ethers.parseUnits("100", 6);
+            await expect(vault.connect(user2).requestDeposit(depositAmount, user2.address, user1.address))
+                .to.be.revertedWith("Not owner or operator");
+
+            await expect(vault.connect(user1).setOperator(user2.address, true))
+                .to.emit(vault, "OperatorSet")
+                .withArgs(user1.address, user2.address, true);
+            expect(await vault.isOperator(user1.address, user2.address)).to.be.true;
+
+            await vault.connect(user2).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.closeEpoch();
+            await vault.connect(user2)["deposit(uint256,address,address)"](depositAmount, user1.address, user1.address);
+            expect(await vault.balanceOf(user1.address)).to.be.greaterThan(0);
+        });
+
+        it("Should let the owner add managers", async function () {
+            await expect(vault.connect(user1).setManager(user2.address, true))
+                .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+            await expect(vault.setManager(user2.address, true))
+                .to.emit(vault, "ManagerUpdated")
+                .withArgs(user2.address, true);
+
+            await vault.connect(user1).requestDeposit(ethers.parseUnits("100", 6), user1.address, user1.address);
+            await expect(vault.connect(user2).closeEpoch()).to.emit(vault, "EpochClosed");
+        });
+
+        it("Should support the ERC-7540 and ERC-7575 interfaces", async function () {
+            for (const interfaceId of ["0x01ffc9a7", "0xe3bc4e65", "0xce3bbe50", "0x620ee8e4", "0x2f0a18c5"]) {
+                expect(await vault.supportsInterface(interfaceId)).to.be.true;
+            }
+            expect(await vault.supportsInterface("0xffffffff")).to.be.false;
+            expect(await vault.share()).to.equal(vault.target);
         });
     });
 
@@ -160,12 +480,9 @@ describe("RWA7540Vault", function () {
         it("Should collect fees correctly", async function () {
             const depositAmount = ethers.parseUnits("100", 6);
             
-            // Initiate and complete deposit
-            const tx = await vault.connect(user1).initiateDeposit(depositAmount, user1.address);
-            const receipt = await tx.wait();
-            const event = receipt.logs.find(log => log.fragment?.name === "AsyncDepositInitiated");
-            const operationId = event.args.operationId;
-            await vault.connect(user1).completeDeposit(operationId);
+            // Request deposit and settle the epoch
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await vault.closeEpoch();
             
             const expectedFees = depositAmount * BigInt(FEE) / BigInt(10000);
             expect(await vault.totalFees()).to.equal(expectedFees);
@@ -201,12 +518,12 @@ describe("RWA7540Vault", function () {
             
             const depositAmount = ethers.parseUnits("100", 6);
             await expect(
-                vault.connect(user1).initiateDeposit(depositAmount, user1.address)
-            ).to.be.revertedWith("Pausable: paused");
+                vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address)
+            ).to.be.revertedWithCustomError(vault, "EnforcedPause");
             
             await vault.unpause();
-            await expect(vault.connect(user1).initiateDeposit(depositAmount, user1.address))
-                .to.emit(vault, "AsyncDepositInitiated");
+            await expect(vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address))
+                .to.emit(vault, "DepositRequest");
         });
 
         it("Should not allow non-owner to pause", async function () {
@@ -217,6 +534,28 @@ describe("RWA7540Vault", function () {
     });
 
     describe("Price Integration", function () {
+        it("Should not settle an epoch at a stale price", async function () {
+            const depositAmount = ethers.parseUnits("100", 6);
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+            await expect(vault.previewCloseEpoch()).to.be.revertedWith("Stale price");
+            await expect(vault.closeEpoch()).to.be.revertedWith("Stale price");
+
+            await expect(vault.connect(user1).setMaxPriceAge(2 * ONE_WEEK))
+                .to.be.revertedWithCustomError(vault, "OwnableUnauthorizedAccount");
+            await expect(vault.setMaxPriceAge(0)).to.be.revertedWith("Invalid max price age");
+            await expect(vault.setMaxPriceAge(2 * ONE_WEEK))
+                .to.emit(vault, "MaxPriceAgeUpdated")
+                .withArgs(2 * ONE_WEEK);
+            await expect(vault.closeEpoch()).to.emit(vault, "EpochClosed");
+
+            await vault.setMaxPriceAge(ONE_WEEK);
+            await oracle.updatePrice(vault.target, INITIAL_PRICE);
+            await vault.connect(user1).requestDeposit(depositAmount, user1.address, user1.address);
+            await expect(vault.closeEpoch()).to.emit(vault, "EpochClosed");
+        });
+
         it("Should get current price from oracle", async function () {
             expect(await vault.getCurrentPrice()).to.equal(INITIAL_PRICE);
             
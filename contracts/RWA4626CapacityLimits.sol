@@ -0,0 +1,201 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./interfaces/IRWA4626CapacityLimits.sol";
+import "./RWA4626Vault.sol";
+
+/**
+ * @title RWA4626CapacityLimits
+ * @author @haojun222
+ * @notice Capacity limits of an RWA4626Vault: total AUM cap, per-investor maximum holding, maximum
+ * single deposit and per-investor daily inflow
+ * @dev Set on the vault with RWA4626Vault.setCapacityLimits; the vault reflects the limits in maxDeposit
+ * and maxMint, checks each deposit and mint with recordDeposit and each transfer between holders with
+ * checkTransfer. Amounts are in assets, deposits counted fee included and holdings at the last oracle
+ * price net of the fees; days are UTC days. A limit of 0
+ * disables it. Limits managers of the vault (LIMITS_MANAGER_ROLE) set the limits
+ */
+contract RWA4626CapacityLimits is IRWA4626CapacityLimits {
+    /**
+     * @notice Struct to store the deposits of an investor on a day
+     * @param day The day number (timestamp / 1 days)
+     * @param assets The assets deposited that day, fee included
+     */
+    struct Inflow {
+        uint256 day;        // Day of the deposits
+        uint256 assets;     // Assets deposited that day
+    }
+
+    /// @notice Vault whose deposits are limited
+    RWA4626Vault public immutable vault;
+
+    /// @notice Precision of the oracle price times the fee factor of the vault (6 + 18 decimals)
+    uint256 private constant PRICE_PRECISION = 1e24;
+
+    /// @notice Maximum totalAssets of the vault after a deposit
+    uint256 public maxTotalAssets;
+
+    /// @notice Maximum value of the shares of an investor after a deposit or a transfer
+    uint256 public maxHolding;
+
+    /// @notice Maximum assets of a single deposit or mint
+    uint256 public maxDepositSize;
+
+    /// @notice Maximum assets deposited per investor and day
+    uint256 public maxDailyInflow;
+
+    /// @notice Mapping from investor to its latest day of deposits
+    mapping(address => Inflow) private _inflows;
+
+    /**
+     * @notice Emitted when the limits are updated
+     * @param maxTotalAssets The total AUM cap
+     * @param maxHolding The maximum holding per investor
+     * @param maxDepositSize The maximum single deposit
+     * @param maxDailyInflow The maximum daily inflow per investor
+     */
+    event LimitsUpdated(uint256 maxTotalAssets, uint256 maxHolding, uint256 maxDepositSize, uint256 maxDailyInflow);
+
+    /// @notice Error thrown when trying to set an invalid vault address
+    error InvalidVault();
+    /// @notice Error thrown when a deposit is recorded by another address than the vault
+    error CallerNotVault();
+    /// @notice Error thrown when a deposit would take the vault above the total AUM cap
+    error TotalAssetsCapExceeded(uint256 available);
+    /// @notice Error thrown when a deposit would take the holding of the receiver above the maximum
+    error HoldingLimitExceeded(address receiver, uint256 available);
+    /// @notice Error thrown when a deposit exceeds the maximum single deposit
+    error DepositSizeExceeded(uint256 maxDepositSize);
+    /// @notice Error thrown when a deposit would take the daily inflow of the receiver above the maximum
+    error DailyInflowLimitExceeded(address receiver, uint256 available);
+    /// @notice Error thrown when the caller lacks the required role on the vault
+    error AccessControlUnauthorizedAccount(address account, bytes32 neededRole);
+
+    /**
+     * @notice Constructor for RWA4626CapacityLimits, without limits
+     * @param _vault The vault address
+     */
+    constructor(address _vault) {
+        if (_vault == address(0)) revert InvalidVault();
+        vault = RWA4626Vault(_vault);
+    }
+
+    /**
+     * @notice Sets the limits
+     * @dev Only callable by a limits manager of the vault. Deposits already made are not affected
+     * @param _maxTotalAssets The total AUM cap, 0 for none
+     * @param _maxHolding The maximum holding per investor, 0 for none
+     * @param _maxDepositSize The maximum single deposit, 0 for none
+     * @param _maxDailyInflow The maximum daily inflow per investor, 0 for none
+     */
+    function setLimits(
+        uint256 _maxTotalAssets,
+        uint256 _maxHolding,
+        uint256 _maxDepositSize,
+        uint256 _maxDailyInflow
+    ) external {
+        bytes32 role = vault.LIMITS_MANAGER_ROLE();
+        if (!vault.hasRole(role, msg.sender)) revert AccessControlUnauthorizedAccount(msg.sender, role);
+        maxTotalAssets = _maxTotalAssets;
+        maxHolding = _maxHolding;
+        maxDepositSize = _maxDepositSize;
+        maxDailyInflow = _maxDailyInflow;
+        emit LimitsUpdated(_maxTotalAssets, _maxHolding, _maxDepositSize, _maxDailyInflow);
+    }
+
+    /**
+     * @notice Checks a deposit against the limits and records it in the daily inflow of the receiver
+     * @dev Only callable by the vault, before the assets are transferred and the shares minted.
+     * Reverts with the error of the first limit exceeded
+     * @param receiver The address receiving the shares
+     * @param assets The amount of assets deposited, fee included
+     */
+    function recordDeposit(address receiver, uint256 assets) external {
+        if (msg.sender != address(vault)) revert CallerNotVault();
+
+        uint256 available = _totalAssetsRoom();
+        if (assets > available) revert TotalAssetsCapExceeded(available);
+        available = _holdingRoom(receiver);
+        if (assets > available) revert HoldingLimitExceeded(receiver, available);
+        if (maxDepositSize != 0 && assets > maxDepositSize) revert DepositSizeExceeded(maxDepositSize);
+        uint256 inflow = dailyInflow(receiver);
+        available = _room(maxDailyInflow, inflow);
+        if (assets > available) revert DailyInflowLimitExceeded(receiver, available);
+
+        _inflows[receiver] = Inflow(block.timestamp / 1 days, inflow + assets);
+    }
+
+    /**
+     * @notice Checks a transfer of shares against the maximum holding of the receiver
+     * @dev Called by the vault before the shares are moved, so that the maximum holding cannot be
+     * bypassed by buying shares from other holders. Reverts with HoldingLimitExceeded
+     * @param receiver The address receiving the shares
+     * @param shares The amount of shares transferred
+     */
+    function checkTransfer(address receiver, uint256 shares) external view {
+        if (maxHolding == 0) return;
+        uint256 available = _holdingRoom(receiver);
+        if (_value(shares) > available) revert HoldingLimitExceeded(receiver, available);
+    }
+
+    /**
+     * @notice Gets the maximum amount of assets a receiver can deposit under the limits
+     * @param receiver The address receiving the shares
+     * @return The smallest room left by the limits, the maximum uint256 without limits
+     */
+    function maxDeposit(address receiver) external view returns (uint256) {
+        uint256 available = Math.min(_totalAssetsRoom(), _holdingRoom(receiver));
+        if (maxDepositSize != 0) available = Math.min(available, maxDepositSize);
+        return Math.min(available, _room(maxDailyInflow, dailyInflow(receiver)));
+    }
+
+    /**
+     * @notice Gets the assets an investor deposited today
+     * @param investor The address of the investor
+     * @return The assets deposited since midnight UTC, fee included
+     */
+    function dailyInflow(address investor) public view returns (uint256) {
+        Inflow storage inflow = _inflows[investor];
+        return inflow.day == block.timestamp / 1 days ? inflow.assets : 0;
+    }
+
+    /**
+     * @notice Gets the assets that can still be deposited under the total AUM cap
+     * @return The room left, the maximum uint256 without cap
+     */
+    function _totalAssetsRoom() internal view returns (uint256) {
+        if (maxTotalAssets == 0) return type(uint256).max;
+        return _room(maxTotalAssets, vault.totalAssets());
+    }
+
+    /**
+     * @notice Gets the assets a receiver can still deposit under the maximum holding
+     * @param receiver The address receiving the shares
+     * @return The room left, the maximum uint256 without maximum
+     */
+    function _holdingRoom(address receiver) internal view returns (uint256) {
+        if (maxHolding == 0) return type(uint256).max;
+        return _room(maxHolding, _value(vault.balanceOf(receiver)));
+    }
+
+    /**
+     * @notice Values shares at the last oracle price net of the fees, even when it is stale
+     * @dev Matches convertToAssets while the price is fresh, and keeps transfers open while it is stale
+     * @param shares The amount of shares
+     * @return The value of the shares in assets, rounded down
+     */
+    function _value(uint256 shares) internal view returns (uint256) {
+        return Math.mulDiv(shares, vault.getCurrentPrice() * vault.feeFactor(), PRICE_PRECISION);
+    }
+
+    /**
+     * @notice Gets the room left under a limit
+     * @param limit The limit, 0 for none
+     * @param used The amount used
+     * @return The room left, floored at zero, the maximum uint256 without limit
+     */
+    function _room(uint256 limit, uint256 used) internal pure returns (uint256) {
+        if (limit == 0) return type(uint256).max;
+        return limit > used ? limit - used : 0;
+    }
+}
@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./RWA4626Vault.sol";
+import "./interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title RWA4626ChainlinkAdapter
+ * @author @haojun222
+ * @notice Exposes the share price of one vault as a Chainlink AggregatorV3Interface feed
+ * @dev Answers are the RWA4626Oracle prices of the vault net of the management and performance fees it
+ * charged so far (RWA4626Vault.feeFactor, as in RWA4626Vault.sharePrice); past rounds are restated with
+ * the current fee factor. Round ids are the oracle update count of the vault: round 1 is the initial
+ * price and each accepted update opens the next round. Like Chainlink feeds, reads never revert on a
+ * stale price; consumers detect staleness from `updatedAt` (see also `heartbeat` and `isStale`)
+ */
+contract RWA4626ChainlinkAdapter is AggregatorV3Interface {
+    using Math for uint256;
+
+    /// @notice Oracle contract the prices are read from
+    RWA4626Oracle public immutable oracle;
+
+    /// @notice Vault whose share price is exposed
+    address public immutable asset;
+
+    /// @notice Constant for price decimals, matching RWA4626Oracle
+    uint8 private constant PRICE_DECIMALS = 6;
+
+    /// @notice Precision of the fee factor of the vault (18 decimals)
+    uint256 private constant FEE_FACTOR_PRECISION = 1e18;
+
+    /// @notice Description of the feed, e.g. "rwaUSDC / USD"
+    string private _description;
+
+    /// @notice Error thrown when trying to set an invalid oracle address
+    error InvalidOracle();
+    /// @notice Error thrown when the asset is not registered in the oracle
+    error AssetNotActive();
+    /// @notice Error thrown when a round id does not fit the oracle update count
+    error RoundNotFound();
+
+    /**
+     * @notice Constructor for RWA4626ChainlinkAdapter
+     * @param _oracle The oracle address
+     * @param _asset The asset (vault) address
+     * @param description_ The description of the feed
+     */
+    constructor(address _oracle, address _asset, string memory description_) {
+        if (_oracle == address(0)) revert InvalidOracle();
+        if (!RWA4626Oracle(_oracle).isAssetActive(_asset)) revert AssetNotActive();
+        oracle = RWA4626Oracle(_oracle);
+        asset = _asset;
+        _description = description_;
+    }
+
+    /**
+     * @notice Returns the number of decimals of the answers
+     * @return The price decimals (6)
+     */
+    function decimals() external pure returns (uint8) {
+        return PRICE_DECIMALS;
+    }
+
+    /**
+     * @notice Returns a description of the feed
+     * @return The description
+     */
+    function description() external view returns (string memory) {
+        return _description;
+    }
+
+    /**
+     * @notice Returns the version of the adapter
+     * @return The version
+     */
+    function version() external pure returns (uint256) {
+        return 1;
+    }
+
+    /**
+     * @notice Returns the data of a past round
+     * @dev Reverts for rounds older than the oracle price history (RWA4626Oracle.MAX_OBSERVATIONS)
+     * @param _roundId The round id (oracle update id)
+     * @return roundId The round id
+     * @return answer The share price in USD (6 decimals)
+     * @return startedAt The time the price was set
+     * @return updatedAt The time the price was set
+     * @return answeredInRound The round id
+     */
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        if (_roundId == 0 || _roundId > oracle.getUpdateCount(asset)) revert RoundNotFound();
+        RWA4626Oracle.Observation memory observation = oracle.getObservation(asset, _roundId);
+        uint256 price = _sharePrice(observation.price);
+        return (_roundId, int256(price), observation.timestamp, observation.timestamp, _roundId);
+    }
+
+    /**
+     * @notice Returns the data of the latest round
+     * @dev `updatedAt` is the last oracle update time, even when the update interval has lapsed
+     * @return roundId The round id (oracle update count)
+     * @return answer The share price in USD (6 decimals)
+     * @return startedAt The time the price was set
+     * @return updatedAt The time the price was set
+     * @return answeredInRound The round id
+     */
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        roundId = uint80(oracle.getUpdateCount(asset));
+        answer = int256(_sharePrice(oracle.getPrice(asset)));
+        startedAt = oracle.getLastUpdateTime(asset);
+        updatedAt = startedAt;
+        answeredInRound = roundId;
+    }
+
+    /**
+     * @notice Returns the maximum expected time between two updates
+     * @return The oracle update interval of the asset
+     */
+    function heartbeat() external view returns (uint256) {
+        return oracle.getUpdateInterval(asset);
+    }
+
+    /**
+     * @notice Checks if the price is stale, i.e. the oracle update interval has lapsed
+     * @return True if the vault would require a price update
+     */
+    function isStale() external view returns (bool) {
+        return block.timestamp >= oracle.getLastUpdateTime(asset) + oracle.getUpdateInterval(asset);
+    }
+
+    /**
+     * @notice Gets the price of the shares of the vault at an oracle price
+     * @param oraclePrice The oracle price (6 decimals)
+     * @return The share price (6 decimals)
+     */
+    function _sharePrice(uint256 oraclePrice) internal view returns (uint256) {
+        return oraclePrice.mulDiv(RWA4626Vault(asset).feeFactor(), FEE_FACTOR_PRECISION);
+    }
+}
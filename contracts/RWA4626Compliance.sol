@@ -0,0 +1,242 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IRWA4626Compliance.sol";
+
+/**
+ * @title RWA4626Compliance
+ * @author @haojun222
+ * @notice KYC allowlist registry restricting who may hold RWA4626Vault shares
+ * @dev Each allowlisted investor has a jurisdiction code (ISO 3166-1 alpha-2, e.g. "US") and a KYC
+ * expiry date; an investor is verified until the expiry date unless their jurisdiction is blocked.
+ * Compliance officers manage the allowlist and freeze accounts; the owner manages the officers
+ * and the blocked jurisdictions. One registry can serve several vaults
+ */
+contract RWA4626Compliance is IRWA4626Compliance, Ownable {
+    /**
+     * @notice Struct to store an allowlist entry
+     * @param jurisdiction Jurisdiction code of the investor (ISO 3166-1 alpha-2)
+     * @param expiry Timestamp at which the KYC verification expires
+     */
+    struct Investor {
+        bytes2 jurisdiction;    // ISO 3166-1 alpha-2 code, e.g. "US"
+        uint64 expiry;          // KYC expiry timestamp
+    }
+
+    /// @notice Mapping from account to its allowlist entry
+    mapping(address => Investor) private _investors;
+
+    /// @notice Whether an account is frozen
+    mapping(address => bool) public isFrozen;
+
+    /// @notice Whether an address may manage the allowlist
+    mapping(address => bool) public isComplianceOfficer;
+
+    /// @notice Whether investors of a jurisdiction are refused
+    mapping(bytes2 => bool) public isJurisdictionBlocked;
+
+    /**
+     * @notice Emitted when an allowlist entry is added or updated
+     * @param account The address of the investor
+     * @param jurisdiction The jurisdiction code of the investor
+     * @param expiry The KYC expiry timestamp
+     */
+    event InvestorUpdated(address indexed account, bytes2 jurisdiction, uint64 expiry);
+
+    /**
+     * @notice Emitted when an allowlist entry is removed
+     * @param account The address of the investor
+     */
+    event InvestorRemoved(address indexed account);
+
+    /**
+     * @notice Emitted when an account is frozen
+     * @param account The address of the account
+     */
+    event AccountFrozen(address indexed account);
+
+    /**
+     * @notice Emitted when an account is unfrozen
+     * @param account The address of the account
+     */
+    event AccountUnfrozen(address indexed account);
+
+    /**
+     * @notice Emitted when a jurisdiction is blocked or unblocked
+     * @param jurisdiction The jurisdiction code
+     * @param blocked Whether investors of the jurisdiction are refused
+     */
+    event JurisdictionBlockedUpdated(bytes2 indexed jurisdiction, bool blocked);
+
+    /**
+     * @notice Emitted when a compliance officer is added
+     * @param officer The address of the officer
+     */
+    event ComplianceOfficerAdded(address indexed officer);
+
+    /**
+     * @notice Emitted when a compliance officer is removed
+     * @param officer The address of the officer
+     */
+    event ComplianceOfficerRemoved(address indexed officer);
+
+    /// @notice Error thrown when trying to allowlist the zero address
+    error InvalidAccount();
+    /// @notice Error thrown when the jurisdiction code is empty
+    error InvalidJurisdiction();
+    /// @notice Error thrown when the expiry date is not in the future
+    error InvalidExpiry();
+    /// @notice Error thrown when the account is not on the allowlist
+    error InvestorNotFound();
+    /// @notice Error thrown when trying to add or remove an invalid compliance officer
+    error InvalidComplianceOfficer();
+    /// @notice Error thrown when batch arrays have different lengths
+    error LengthMismatch();
+
+    /**
+     * @notice Modifier restricting a function to the owner and the compliance officers
+     */
+    modifier onlyComplianceOfficer() {
+        if (msg.sender != owner() && !isComplianceOfficer[msg.sender]) {
+            revert OwnableUnauthorizedAccount(msg.sender);
+        }
+        _;
+    }
+
+    /**
+     * @notice Constructor initializes the registry with the deployer as owner
+     */
+    constructor() Ownable(msg.sender) {}
+
+    /**
+     * @notice Adds or updates an allowlist entry
+     * @dev Only callable by the owner or a compliance officer
+     * @param account The address of the investor
+     * @param jurisdiction The jurisdiction code of the investor
+     * @param expiry The KYC expiry timestamp
+     */
+    function setInvestor(address account, bytes2 jurisdiction, uint64 expiry) external onlyComplianceOfficer {
+        _setInvestor(account, jurisdiction, expiry);
+    }
+
+    /**
+     * @notice Adds or updates several allowlist entries
+     * @dev Only callable by the owner or a compliance officer
+     * @param accounts The addresses of the investors
+     * @param jurisdictions The jurisdiction codes of the investors
+     * @param expiries The KYC expiry timestamps
+     */
+    function setInvestors(
+        address[] calldata accounts,
+        bytes2[] calldata jurisdictions,
+        uint64[] calldata expiries
+    ) external onlyComplianceOfficer {
+        if (accounts.length != jurisdictions.length || accounts.length != expiries.length) revert LengthMismatch();
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _setInvestor(accounts[i], jurisdictions[i], expiries[i]);
+        }
+    }
+
+    /**
+     * @notice Removes an allowlist entry
+     * @dev Only callable by the owner or a compliance officer. The account keeps its frozen status
+     * @param account The address of the investor
+     */
+    function removeInvestor(address account) external onlyComplianceOfficer {
+        if (_investors[account].expiry == 0) revert InvestorNotFound();
+        delete _investors[account];
+        emit InvestorRemoved(account);
+    }
+
+    /**
+     * @notice Freezes an account, e.g. following a court order
+     * @dev Only callable by the owner or a compliance officer. Frozen shares can only be moved
+     * with RWA4626Vault.forcedTransfer
+     * @param account The address of the account
+     */
+    function freeze(address account) external onlyComplianceOfficer {
+        isFrozen[account] = true;
+        emit AccountFrozen(account);
+    }
+
+    /**
+     * @notice Unfreezes an account
+     * @dev Only callable by the owner or a compliance officer
+     * @param account The address of the account
+     */
+    function unfreeze(address account) external onlyComplianceOfficer {
+        isFrozen[account] = false;
+        emit AccountUnfrozen(account);
+    }
+
+    /**
+     * @notice Blocks or unblocks the investors of a jurisdiction
+     * @dev Only callable by the owner
+     * @param jurisdiction The jurisdiction code
+     * @param blocked Whether investors of the jurisdiction are refused
+     */
+    function setJurisdictionBlocked(bytes2 jurisdiction, bool blocked) external onlyOwner {
+        if (jurisdiction == bytes2(0)) revert InvalidJurisdiction();
+        isJurisdictionBlocked[jurisdiction] = blocked;
+        emit JurisdictionBlockedUpdated(jurisdiction, blocked);
+    }
+
+    /**
+     * @notice Adds a compliance officer
+     * @dev Only callable by the owner
+     * @param officer The address of the officer
+     */
+    function addComplianceOfficer(address officer) external onlyOwner {
+        if (officer == address(0) || isComplianceOfficer[officer]) revert InvalidComplianceOfficer();
+        isComplianceOfficer[officer] = true;
+        emit ComplianceOfficerAdded(officer);
+    }
+
+    /**
+     * @notice Removes a compliance officer
+     * @dev Only callable by the owner
+     * @param officer The address of the officer
+     */
+    function removeComplianceOfficer(address officer) external onlyOwner {
+        if (!isComplianceOfficer[officer]) revert InvalidComplianceOfficer();
+        isComplianceOfficer[officer] = false;
+        emit ComplianceOfficerRemoved(officer);
+    }
+
+    /**
+     * @notice Returns the allowlist entry of an account
+     * @param account The address of the investor
+     * @return jurisdiction The jurisdiction code, or 0 when not allowlisted
+     * @return expiry The KYC expiry timestamp, or 0 when not allowlisted
+     */
+    function getInvestor(address account) external view returns (bytes2 jurisdiction, uint64 expiry) {
+        Investor storage investor = _investors[account];
+        return (investor.jurisdiction, investor.expiry);
+    }
+
+    /**
+     * @notice Checks if an account may receive and hold shares
+     * @dev Frozen accounts may still be verified; see isFrozen
+     * @param account The address of the account
+     * @return True if the account is allowlisted, its KYC has not expired and its jurisdiction is not blocked
+     */
+    function isVerified(address account) external view returns (bool) {
+        Investor storage investor = _investors[account];
+        return investor.expiry > block.timestamp && !isJurisdictionBlocked[investor.jurisdiction];
+    }
+
+    /**
+     * @notice Adds or updates an allowlist entry
+     * @param account The address of the investor
+     * @param jurisdiction The jurisdiction code of the investor
+     * @param expiry The KYC expiry timestamp
+     */
+    function _setInvestor(address account, bytes2 jurisdiction, uint64 expiry) internal {
+        if (account == address(0)) revert InvalidAccount();
+        if (jurisdiction == bytes2(0)) revert InvalidJurisdiction();
+        if (expiry <= block.timestamp) revert InvalidExpiry();
+        _investors[account] = Investor(jurisdiction, expiry);
+        emit InvestorUpdated(account, jurisdiction, expiry);
+    }
+}
@@ -0,0 +1,256 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/IRWA4626DealingCalendar.sol";
+
+/**
+ * @title RWA4626DealingCalendar
+ * @author @haojun222
+ * @notice Dealing calendar telling RWA4626Vault and RWA7540Vault when the fund accepts deposits and redemptions
+ * @dev The fund deals during a daily window on the open days of a weekly schedule, except on holidays
+ * (whole days) and during blackouts (e.g. month-end NAV strikes). All times are UTC; days start at
+ * midnight UTC and are numbered from the unix epoch. The owner manages the calendar, e.g. with
+ * scripts/load_calendar.js. One calendar can serve several vaults
+ */
+contract RWA4626DealingCalendar is IRWA4626DealingCalendar, Ownable {
+    /**
+     * @notice Struct to store a blackout
+     * @param start Timestamp from which the fund does not deal
+     * @param end Timestamp from which the fund deals again
+     */
+    struct Blackout {
+        uint64 start;   // Start of the blackout, included
+        uint64 end;     // End of the blackout, excluded
+    }
+
+    /// @notice Days looked ahead by nextOpenWindow
+    uint256 public constant MAX_LOOKAHEAD_DAYS = 366;
+
+    /// @notice Open days of the week, bit 0 for Monday to bit 6 for Sunday
+    uint8 public openDays;
+
+    /// @notice Start of the daily dealing window, in seconds after midnight UTC
+    uint32 public openTime;
+
+    /// @notice End of the daily dealing window, in seconds after midnight UTC
+    uint32 public closeTime;
+
+    /// @notice Mapping from day number to whether the day is a holiday
+    mapping(uint256 => bool) private _holidays;
+
+    /// @notice Blackouts, in no particular order
+    Blackout[] private _blackouts;
+
+    /**
+     * @notice Emitted when the weekly schedule is updated
+     * @param openDays The open days of the week, bit 0 for Monday
+     * @param openTime The start of the daily window, in seconds after midnight UTC
+     * @param closeTime The end of the daily window, in seconds after midnight UTC
+     */
+    event WeeklyScheduleUpdated(uint8 openDays, uint32 openTime, uint32 closeTime);
+
+    /**
+     * @notice Emitted when a holiday is added or removed
+     * @param day The day number (timestamp / 1 days)
+     * @param closed Whether the day is a holiday
+     */
+    event HolidayUpdated(uint256 indexed day, bool closed);
+
+    /**
+     * @notice Emitted when a blackout is added
+     * @param start The start of the blackout
+     * @param end The end of the blackout
+     */
+    event BlackoutAdded(uint64 start, uint64 end);
+
+    /**
+     * @notice Emitted when a blackout is removed
+     * @param start The start of the blackout
+     * @param end The end of the blackout
+     */
+    event BlackoutRemoved(uint64 start, uint64 end);
+
+    /// @notice Error thrown when the daily window is empty or exceeds a day
+    error InvalidSchedule();
+    /// @notice Error thrown when a blackout does not end after its start
+    error InvalidBlackout();
+    /// @notice Error thrown when the blackout index does not exist
+    error BlackoutNotFound();
+
+    /**
+     * @notice Constructor initializes the calendar with the deployer as owner, dealing all day Monday to Friday
+     */
+    constructor() Ownable(msg.sender) {
+        _setWeeklySchedule(0x1f, 0, 1 days);
+    }
+
+    /**
+     * @notice Sets the weekly schedule
+     * @dev Only callable by the owner
+     * @param _openDays The open days of the week, bit 0 for Monday to bit 6 for Sunday
+     * @param _openTime The start of the daily window, in seconds after midnight UTC
+     * @param _closeTime The end of the daily window, in seconds after midnight UTC
+     */
+    function setWeeklySchedule(uint8 _openDays, uint32 _openTime, uint32 _closeTime) external onlyOwner {
+        _setWeeklySchedule(_openDays, _openTime, _closeTime);
+    }
+
+    /**
+     * @notice Adds or removes holidays
+     * @dev Only callable by the owner
+     * @param dates Timestamps within the days
+     * @param closed Whether the days are holidays
+     */
+    function setHolidays(uint256[] calldata dates, bool closed) external onlyOwner {
+        for (uint256 i = 0; i < dates.length; i++) {
+            uint256 day = dates[i] / 1 days;
+            _holidays[day] = closed;
+            emit HolidayUpdated(day, closed);
+        }
+    }
+
+    /**
+     * @notice Adds a blackout
+     * @dev Only callable by the owner
+     * @param start The timestamp from which the fund does not deal
+     * @param end The timestamp from which the fund deals again
+     */
+    function addBlackout(uint64 start, uint64 end) external onlyOwner {
+        if (end <= start) revert InvalidBlackout();
+        _blackouts.push(Blackout(start, end));
+        emit BlackoutAdded(start, end);
+    }
+
+    /**
+     * @notice Removes a blackout
+     * @dev Only callable by the owner. The last blackout takes the index of the removed one
+     * @param index The index of the blackout
+     */
+    function removeBlackout(uint256 index) external onlyOwner {
+        if (index >= _blackouts.length) revert BlackoutNotFound();
+        _removeBlackout(index);
+    }
+
+    /**
+     * @notice Removes the blackouts that have ended, which every isOpen call would still read
+     * @dev Only callable by the owner
+     * @return removed The number of blackouts removed
+     */
+    function pruneBlackouts() external onlyOwner returns (uint256 removed) {
+        uint256 i = 0;
+        while (i < _blackouts.length) {
+            if (_blackouts[i].end <= block.timestamp) {
+                _removeBlackout(i);
+                removed++;
+            } else {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * @notice Returns the blackouts
+     * @return The blackouts, in no particular order
+     */
+    function getBlackouts() external view returns (Blackout[] memory) {
+        return _blackouts;
+    }
+
+    /**
+     * @notice Checks if a day is a holiday
+     * @param timestamp A timestamp within the day
+     * @return True if the day is a holiday
+     */
+    function isHoliday(uint256 timestamp) external view returns (bool) {
+        return _holidays[timestamp / 1 days];
+    }
+
+    /**
+     * @notice Checks if the fund deals at a given time
+     * @param timestamp The time to check
+     * @return True on an open day that is not a holiday, within the daily window and outside the blackouts
+     */
+    function isOpen(uint256 timestamp) public view returns (bool) {
+        uint256 time = timestamp % 1 days;
+        return _isDealingDay(timestamp / 1 days) && time >= openTime && time < closeTime &&
+            _blackoutEnd(timestamp) == 0;
+    }
+
+    /**
+     * @notice Finds the next time window during which the fund deals
+     * @dev Windows end at midnight at the latest, even when the next day is open from midnight
+     * @param from The time to search from; the window returned is the current one if the fund deals then
+     * @return start The start of the window, `from` when open then, 0 when none in the next MAX_LOOKAHEAD_DAYS days
+     * @return end The end of the window, 0 when none
+     */
+    function nextOpenWindow(uint256 from) external view returns (uint256 start, uint256 end) {
+        uint256 day = from / 1 days;
+        for (uint256 i = 0; i <= MAX_LOOKAHEAD_DAYS; i++) {
+            if (_isDealingDay(day + i)) {
+                uint256 dayStart = (day + i) * 1 days;
+                start = Math.max(from, dayStart + openTime);
+                end = dayStart + closeTime;
+                // Skip the blackouts covering the start of the window
+                for (uint256 blackoutEnd = _blackoutEnd(start); blackoutEnd != 0; blackoutEnd = _blackoutEnd(start)) {
+                    start = blackoutEnd;
+                }
+                if (start < end) {
+                    // Stop at the next blackout
+                    for (uint256 j = 0; j < _blackouts.length; j++) {
+                        if (_blackouts[j].start > start && _blackouts[j].start < end) end = _blackouts[j].start;
+                    }
+                    return (start, end);
+                }
+            }
+        }
+        return (0, 0);
+    }
+
+    /**
+     * @notice Sets the weekly schedule
+     * @param _openDays The open days of the week, bit 0 for Monday to bit 6 for Sunday
+     * @param _openTime The start of the daily window, in seconds after midnight UTC
+     * @param _closeTime The end of the daily window, in seconds after midnight UTC
+     */
+    function _setWeeklySchedule(uint8 _openDays, uint32 _openTime, uint32 _closeTime) internal {
+        if (_openDays >= 0x80 || _openTime >= _closeTime || _closeTime > 1 days) revert InvalidSchedule();
+        openDays = _openDays;
+        openTime = _openTime;
+        closeTime = _closeTime;
+        emit WeeklyScheduleUpdated(_openDays, _openTime, _closeTime);
+    }
+
+    /**
+     * @notice Removes a blackout, moving the last one to its index
+     * @param index The index of the blackout
+     */
+    function _removeBlackout(uint256 index) internal {
+        Blackout memory blackout = _blackouts[index];
+        _blackouts[index] = _blackouts[_blackouts.length - 1];
+        _blackouts.pop();
+        emit BlackoutRemoved(blackout.start, blackout.end);
+    }
+
+    /**
+     * @notice Checks if a day is open in the weekly schedule and not a holiday
+     * @param day The day number; day 0, 1 January 1970, was a Thursday
+     * @return True if the fund deals on the day
+     */
+    function _isDealingDay(uint256 day) internal view returns (bool) {
+        return openDays & (1 << ((day + 3) % 7)) != 0 && !_holidays[day];
+    }
+
+    /**
+     * @notice Gets the end of a blackout covering a given time
+     * @param timestamp The time to check
+     * @return The end of the first blackout found covering the time, 0 when none
+     */
+    function _blackoutEnd(uint256 timestamp) internal view returns (uint256) {
+        for (uint256 i = 0; i < _blackouts.length; i++) {
+            if (_blackouts[i].start <= timestamp && timestamp < _blackouts[i].end) return _blackouts[i].end;
+        }
+        return 0;
+    }
+}
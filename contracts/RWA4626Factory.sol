@@ -0,0 +1,306 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./RWA4626Vault.sol";
+import "./RWA4626Oracle.sol";
+
+/**
+ * @title RWA4626Factory
+ * @author @haojun222
+ * @notice Factory contract for creating oracle-backed RWA4626Vault instances
+ * @dev Each vault represents a separate RWA fund or share class; several vaults can share the
+ * same underlying asset. Vaults are ERC-1167 minimal proxies (clones) of a single RWA4626Vault
+ * implementation, optionally deployed with CREATE2 at a deterministic address.
+ * When given an initial price, the factory also registers the new vault in the oracle, which
+ * requires the factory to be an asset registrar of the oracle
+ */
+contract RWA4626Factory is Ownable {
+    /// @notice RWA4626Vault implementation cloned by new vaults
+    address public implementation;
+
+    /// @notice Oracle contract used by new vaults
+    RWA4626Oracle public oracle;
+
+    /// @notice Default minimum deposit amount for new vaults
+    uint256 public defaultMinDeposit;
+
+    /// @notice Default fee in basis points for new vaults
+    uint256 public defaultFee;
+
+    /// @notice Whether an address is a vault created by this factory
+    mapping(address => bool) public isVault;
+
+    /// @notice Array of all created vaults
+    address[] private _allVaults;
+
+    /// @notice Mapping from asset address to the vaults (share classes) created for it
+    mapping(address => address[]) private _vaultsByAsset;
+
+    /**
+     * @notice Emitted when a new vault is created
+     * @param vault The address of the created vault
+     * @param asset The address of the underlying asset token
+     * @param name The name of the vault
+     * @param symbol The symbol of the vault
+     * @param manager The address of the owner of the new vault
+     */
+    event NewVaultCreated(
+        address indexed vault,
+        address indexed asset,
+        string name,
+        string symbol,
+        address indexed manager
+    );
+
+    /**
+     * @notice Emitted when the implementation cloned by new vaults is updated
+     * @param oldImplementation The previous implementation address
+     * @param newImplementation The new implementation address
+     */
+    event ImplementationUpdated(address indexed oldImplementation, address indexed newImplementation);
+
+    /**
+     * @notice Emitted when the oracle used by new vaults is updated
+     * @param oldOracle The previous oracle address
+     * @param newOracle The new oracle address
+     */
+    event OracleUpdated(address indexed oldOracle, address indexed newOracle);
+
+    /**
+     * @notice Emitted when the default minimum deposit is updated
+     * @param oldMinDeposit The previous default minimum deposit
+     * @param newMinDeposit The new default minimum deposit
+     */
+    event DefaultMinDepositUpdated(uint256 oldMinDeposit, uint256 newMinDeposit);
+
+    /**
+     * @notice Emitted when the default fee is updated
+     * @param oldFee The previous default fee
+     * @param newFee The new default fee
+     */
+    event DefaultFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    /// @notice Error thrown when trying to create a vault for an invalid asset
+    error InvalidAsset();
+    /// @notice Error thrown when trying to set an invalid oracle address
+    error InvalidOracle();
+    /// @notice Error thrown when trying to set an invalid implementation address
+    error InvalidImplementation();
+    /// @notice Error thrown when an index is out of bounds
+    error IndexOutOfBounds();
+
+    /**
+     * @notice Constructor initializes the factory with the deployer as owner
+     * @param _implementation The RWA4626Vault implementation cloned by new vaults
+     * @param _oracle The oracle used by new vaults
+     * @param _defaultMinDeposit The default minimum deposit amount for new vaults
+     * @param _defaultFee The default fee in basis points for new vaults
+     */
+    constructor(
+        address _implementation,
+        address _oracle,
+        uint256 _defaultMinDeposit,
+        uint256 _defaultFee
+    ) Ownable(msg.sender) {
+        if (_implementation.code.length == 0) revert InvalidImplementation();
+        if (_oracle == address(0)) revert InvalidOracle();
+        implementation = _implementation;
+        oracle = RWA4626Oracle(_oracle);
+        defaultMinDeposit = _defaultMinDeposit;
+        defaultFee = _defaultFee;
+    }
+
+    /**
+     * @notice Creates a new vault owned by the caller
+     * @dev Only callable by the owner. The vault is registered in the oracle when `initialPrice` is not zero
+     * @param asset The address of the underlying asset token
+     * @param name The name of the new vault
+     * @param symbol The symbol of the new vault
+     * @param minDeposit The minimum deposit amount
+     * @param fee The fee in basis points
+     * @param initialPrice The initial price in USD (6 decimals), or 0 to skip the oracle registration
+     * @param updateInterval The oracle update interval, used when registering the vault
+     * @return vault The address of the new vault
+     */
+    function createVault(
+        address asset,
+        string memory name,
+        string memory symbol,
+        uint256 minDeposit,
+        uint256 fee,
+        uint256 initialPrice,
+        uint256 updateInterval
+    ) public onlyOwner returns (address vault) {
+        if (asset == address(0)) revert InvalidAsset();
+        vault = Clones.clone(implementation);
+        _setUpVault(vault, asset, name, symbol, minDeposit, fee, initialPrice, updateInterval);
+    }
+
+    /**
+     * @notice Creates a new vault owned by the caller at a deterministic address (CREATE2)
+     * @dev Only callable by the owner. The address only depends on the salt and the implementation,
+     * see predictVaultAddress. The vault is registered in the oracle when `initialPrice` is not zero
+     * @param salt The CREATE2 salt, usable once
+     * @param asset The address of the underlying asset token
+     * @param name The name of the new vault
+     * @param symbol The symbol of the new vault
+     * @param minDeposit The minimum deposit amount
+     * @param fee The fee in basis points
+     * @param initialPrice The initial price in USD (6 decimals), or 0 to skip the oracle registration
+     * @param updateInterval The oracle update interval, used when registering the vault
+     * @return vault The address of the new vault
+     */
+    function createVaultDeterministic(
+        bytes32 salt,
+        address asset,
+        string memory name,
+        string memory symbol,
+        uint256 minDeposit,
+        uint256 fee,
+        uint256 initialPrice,
+        uint256 updateInterval
+    ) external onlyOwner returns (address vault) {
+        if (asset == address(0)) revert InvalidAsset();
+        vault = Clones.cloneDeterministic(implementation, salt);
+        _setUpVault(vault, asset, name, symbol, minDeposit, fee, initialPrice, updateInterval);
+    }
+
+    /**
+     * @notice Creates a new vault with the default minimum deposit and fee
+     * @dev Only callable by the owner
+     * @param asset The address of the underlying asset token
+     * @param name The name of the new vault
+     * @param symbol The symbol of the new vault
+     * @param initialPrice The initial price in USD (6 decimals), or 0 to skip the oracle registration
+     * @param updateInterval The oracle update interval, used when registering the vault
+     * @return vault The address of the new vault
+     */
+    function createVaultWithDefaults(
+        address asset,
+        string memory name,
+        string memory symbol,
+        uint256 initialPrice,
+        uint256 updateInterval
+    ) external onlyOwner returns (address vault) {
+        return createVault(asset, name, symbol, defaultMinDeposit, defaultFee, initialPrice, updateInterval);
+    }
+
+    /**
+     * @notice Sets the implementation cloned by new vaults
+     * @dev Only callable by the owner. Existing vaults keep their implementation
+     * @param _implementation The new implementation address
+     */
+    function setImplementation(address _implementation) external onlyOwner {
+        if (_implementation.code.length == 0) revert InvalidImplementation();
+        address oldImplementation = implementation;
+        implementation = _implementation;
+        emit ImplementationUpdated(oldImplementation, _implementation);
+    }
+
+    /**
+     * @notice Sets the oracle used by new vaults
+     * @dev Only callable by the owner. Existing vaults keep their oracle
+     * @param _oracle The new oracle address
+     */
+    function setOracle(address _oracle) external onlyOwner {
+        if (_oracle == address(0)) revert InvalidOracle();
+        address oldOracle = address(oracle);
+        oracle = RWA4626Oracle(_oracle);
+        emit OracleUpdated(oldOracle, _oracle);
+    }
+
+    /**
+     * @notice Sets the default minimum deposit amount for new vaults
+     * @dev Only callable by the owner
+     * @param _defaultMinDeposit The new default minimum deposit amount
+     */
+    function setDefaultMinDeposit(uint256 _defaultMinDeposit) external onlyOwner {
+        uint256 oldMinDeposit = defaultMinDeposit;
+        defaultMinDeposit = _defaultMinDeposit;
+        emit DefaultMinDepositUpdated(oldMinDeposit, _defaultMinDeposit);
+    }
+
+    /**
+     * @notice Sets the default fee for new vaults
+     * @dev Only callable by the owner
+     * @param _defaultFee The new default fee in basis points
+     */
+    function setDefaultFee(uint256 _defaultFee) external onlyOwner {
+        uint256 oldFee = defaultFee;
+        defaultFee = _defaultFee;
+        emit DefaultFeeUpdated(oldFee, _defaultFee);
+    }
+
+    /**
+     * @notice Returns the number of vaults created
+     * @return The number of vaults
+     */
+    function vaultCount() external view returns (uint256) {
+        return _allVaults.length;
+    }
+
+    /**
+     * @notice Returns the address of a vault at a specific index
+     * @param index The index of the vault
+     * @return The address of the vault
+     */
+    function getVaultAtIndex(uint256 index) external view returns (address) {
+        if (index >= _allVaults.length) revert IndexOutOfBounds();
+        return _allVaults[index];
+    }
+
+    /**
+     * @notice Returns all vaults created for an asset
+     * @param asset The address of the underlying asset token
+     * @return The vault addresses, in creation order
+     */
+    function getVaultsForAsset(address asset) external view returns (address[] memory) {
+        return _vaultsByAsset[asset];
+    }
+
+    /**
+     * @notice Predicts the address of a vault created with createVaultDeterministic
+     * @param salt The CREATE2 salt
+     * @return The vault address
+     */
+    function predictVaultAddress(bytes32 salt) external view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, salt);
+    }
+
+    /**
+     * @notice Initializes a new clone, registers it in the oracle and records it
+     * @param vault The address of the new clone
+     * @param asset The address of the underlying asset token
+     * @param name The name of the new vault
+     * @param symbol The symbol of the new vault
+     * @param minDeposit The minimum deposit amount
+     * @param fee The fee in basis points
+     * @param initialPrice The initial price in USD (6 decimals), or 0 to skip the oracle registration
+     * @param updateInterval The oracle update interval, used when registering the vault
+     */
+    function _setUpVault(
+        address vault,
+        address asset,
+        string memory name,
+        string memory symbol,
+        uint256 minDeposit,
+        uint256 fee,
+        uint256 initialPrice,
+        uint256 updateInterval
+    ) internal {
+        RWA4626Vault(vault).initialize(IERC20(asset), name, symbol, address(oracle), minDeposit, fee, msg.sender);
+
+        if (initialPrice != 0) {
+            oracle.addAsset(vault, initialPrice, updateInterval);
+        }
+
+        isVault[vault] = true;
+        _allVaults.push(vault);
+        _vaultsByAsset[asset].push(vault);
+
+        emit NewVaultCreated(vault, asset, name, symbol, msg.sender);
+    }
+}
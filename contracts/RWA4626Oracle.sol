@@ -1,8 +1,11 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlDefaultAdminRules.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 /**
  * @title RWA4626Oracle
@@ -10,24 +13,145 @@ import "@openzeppelin/contracts/security/Pausable.sol";
  * @notice Oracle contract for providing price feeds to RWA4626 vaults
  * @dev This contract manages price feeds for Real World Assets (RWA) vaults
  * It allows adding assets, updating prices, and enforcing minimum update intervals
+ * Prices can also be submitted as EIP-712 signed reports relayed by anyone
+ * Access is split in roles: price reporters post prices, oracle admins manage assets and
+ * pricing settings, pausers pause and unpause, guardians can only pause. The default admin
+ * grants the roles and is transferred in two steps (AccessControlDefaultAdminRules)
  */
-contract RWA4626Oracle is Ownable, Pausable {
+contract RWA4626Oracle is AccessControlDefaultAdminRules, Pausable, EIP712, Nonces {
     /**
      * @notice Struct to store price data for each asset
      * @param price Current price in USD (6 decimals)
      * @param lastUpdateTime Timestamp of last price update
      * @param updateInterval Minimum time required between updates
      * @param isActive Whether this price feed is currently active
+     * @param maxDeviationUp Maximum price increase per update in basis points (0 = unbounded)
+     * @param maxDeviationDown Maximum price decrease per update in basis points (0 = unbounded)
+     * @param confirmOutOfBand Whether out-of-band updates are parked for confirmation instead of rejected
      */
     struct PriceData {
-        uint256 price;           // Current price in USD (6 decimals)
-        uint256 lastUpdateTime;  // Timestamp of last update
-        uint256 updateInterval;  // Minimum time between updates
-        bool isActive;           // Whether this price feed is active
+        uint256 price;             // Current price in USD (6 decimals)
+        uint256 lastUpdateTime;    // Timestamp of last update
+        uint256 updateInterval;    // Minimum time between updates
+        bool isActive;             // Whether this price feed is active
+        uint256 maxDeviationUp;    // Max increase per update in bps (0 = unbounded)
+        uint256 maxDeviationDown;  // Max decrease per update in bps (0 = unbounded)
+        bool confirmOutOfBand;     // Park out-of-band updates instead of reverting
     }
 
+    /**
+     * @notice Struct to store an out-of-band price awaiting confirmation
+     * @param price The proposed price in USD (6 decimals)
+     * @param proposedAt Timestamp at which the price was proposed
+     */
+    struct PendingPrice {
+        uint256 price;       // Proposed price in USD (6 decimals)
+        uint256 proposedAt;  // Timestamp of the proposal
+    }
+
+    /**
+     * @notice Struct to store the submissions of a quorum round
+     * @param prices The submitted prices in USD (6 decimals)
+     * @param submitters The submitter of each price
+     * @param hasSubmitted Whether a submitter already submitted in this round
+     */
+    struct Round {
+        uint256[] prices;                     // Submitted prices in USD (6 decimals)
+        address[] submitters;                 // Submitter of each price
+        mapping(address => bool) hasSubmitted; // Submitters that already submitted
+    }
+
+    /**
+     * @notice Struct of an EIP-712 signed price report
+     * @param asset The address of the asset
+     * @param price The reported price in USD (6 decimals)
+     * @param timestamp The time at which the reporter produced the report
+     * @param nonce The reporter nonce, used once
+     */
+    struct PriceReport {
+        address asset;      // Asset the price is reported for
+        uint256 price;      // Reported price in USD (6 decimals)
+        uint256 timestamp;  // Time at which the report was signed
+        uint256 nonce;      // Reporter nonce
+    }
+
+    /// @notice Number of observations retained per asset
+    uint256 public constant MAX_OBSERVATIONS = 64;
+
+    /**
+     * @notice Struct of a historical price observation
+     * @param price The price in USD (6 decimals)
+     * @param timestamp The time from which the price was in effect
+     */
+    struct Observation {
+        uint256 price;      // Price in USD (6 decimals)
+        uint256 timestamp;  // Time from which the price was in effect
+    }
+
+    /**
+     * @notice Struct of the bounded ring buffer of observations of an asset
+     * @param count The number of observations written since the asset was added
+     * @param items The ring buffer, slot `count % MAX_OBSERVATIONS` is written next
+     */
+    struct ObservationBuffer {
+        uint256 count;                        // Observations written so far
+        Observation[MAX_OBSERVATIONS] items;  // Ring buffer
+    }
+
+    /// @notice Constant for basis points (100%)
+    uint256 private constant BPS = 10000;
+
+    /// @notice Role allowed to pause and unpause the oracle
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice Role allowed to post prices and sign price reports, administered by ORACLE_ADMIN_ROLE
+    bytes32 public constant PRICE_REPORTER_ROLE = keccak256("PRICE_REPORTER_ROLE");
+
+    /// @notice Role allowed to manage assets, reporters, submitters and pricing settings
+    bytes32 public constant ORACLE_ADMIN_ROLE = keccak256("ORACLE_ADMIN_ROLE");
+
+    /// @notice Role allowed to pause the oracle in an emergency, but not to unpause it
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @notice EIP-712 type hash of PriceReport
+    bytes32 public constant PRICE_REPORT_TYPEHASH =
+        keccak256("PriceReport(address asset,uint256 price,uint256 timestamp,uint256 nonce)");
+
     /// @notice Mapping from asset address to its price data
     mapping(address => PriceData) private _priceData;
+
+    /// @notice Mapping from asset address to its pending out-of-band price
+    mapping(address => PendingPrice) private _pendingPrices;
+
+    /// @notice Mapping from asset address to its price history
+    mapping(address => ObservationBuffer) private _observations;
+
+    /// @notice Address allowed to confirm pending out-of-band prices
+    address public priceConfirmer;
+
+    /// @notice Whether an address is a registered price submitter
+    mapping(address => bool) public isPriceSubmitter;
+
+    /// @notice Number of registered price submitters
+    uint256 public submitterCount;
+
+    /// @notice Number of agreeing submissions required to finalize a price (0 = price reporter updates)
+    uint256 public quorum;
+
+    /// @notice Maximum distance from the median for a submission to agree, in basis points
+    uint256 public submissionTolerance;
+
+    /// @notice Mapping from asset address to its current round id
+    mapping(address => uint256) private _currentRound;
+
+    /// @notice Mapping from asset address and round id to the round submissions
+    mapping(address => mapping(uint256 => Round)) private _rounds;
+
+    /// @notice Maximum age of a signed price report when it is relayed
+    uint256 public maxReportAge = 1 hours;
+
+    /// @notice Whether an address (e.g. a vault factory) may register new assets
+    mapping(address => bool) public isAssetRegistrar;
     
     /**
      * @notice Emitted when a price is updated for an asset
@@ -59,6 +183,148 @@ contract RWA4626Oracle is Ownable, Pausable {
      */
     event UpdateIntervalChanged(address indexed asset, uint256 oldInterval, uint256 newInterval);
 
+    /**
+     * @notice Emitted when the deviation bounds are changed for an asset
+     * @param asset The address of the asset
+     * @param maxDeviationUp The maximum increase per update in basis points
+     * @param maxDeviationDown The maximum decrease per update in basis points
+     * @param confirmOutOfBand Whether out-of-band updates are parked for confirmation
+     */
+    event DeviationBoundsChanged(
+        address indexed asset,
+        uint256 maxDeviationUp,
+        uint256 maxDeviationDown,
+        bool confirmOutOfBand
+    );
+
+    /**
+     * @notice Emitted when an out-of-band price is parked for confirmation
+     * @param asset The address of the asset
+     * @param currentPrice The price currently in effect
+     * @param proposedPrice The parked price
+     */
+    event PricePending(address indexed asset, uint256 currentPrice, uint256 proposedPrice);
+
+    /**
+     * @notice Emitted when a pending price is confirmed and applied
+     * @param asset The address of the asset
+     * @param confirmer The address that confirmed the price
+     * @param price The confirmed price
+     */
+    event PendingPriceConfirmed(address indexed asset, address indexed confirmer, uint256 price);
+
+    /**
+     * @notice Emitted when a pending price is discarded
+     * @param asset The address of the asset
+     * @param price The discarded price
+     */
+    event PendingPriceRejected(address indexed asset, uint256 price);
+
+    /**
+     * @notice Emitted when the price confirmer is changed
+     * @param oldConfirmer The previous confirmer
+     * @param newConfirmer The new confirmer
+     */
+    event PriceConfirmerUpdated(address indexed oldConfirmer, address indexed newConfirmer);
+
+    /**
+     * @notice Emitted when a price submitter is registered
+     * @param submitter The address of the submitter
+     */
+    event PriceSubmitterAdded(address indexed submitter);
+
+    /**
+     * @notice Emitted when a price submitter is removed
+     * @param submitter The address of the submitter
+     */
+    event PriceSubmitterRemoved(address indexed submitter);
+
+    /**
+     * @notice Emitted when the quorum is changed
+     * @param oldQuorum The previous quorum
+     * @param newQuorum The new quorum
+     */
+    event QuorumUpdated(uint256 oldQuorum, uint256 newQuorum);
+
+    /**
+     * @notice Emitted when the submission tolerance is changed
+     * @param oldTolerance The previous tolerance in basis points
+     * @param newTolerance The new tolerance in basis points
+     */
+    event SubmissionToleranceUpdated(uint256 oldTolerance, uint256 newTolerance);
+
+    /**
+     * @notice Emitted when a submitter submits a price
+     * @param asset The address of the asset
+     * @param roundId The round the price was submitted to
+     * @param submitter The address of the submitter
+     * @param price The submitted price
+     */
+    event PriceSubmitted(address indexed asset, uint256 indexed roundId, address indexed submitter, uint256 price);
+
+    /**
+     * @notice Emitted when a round reaches quorum and its median price is applied
+     * @param asset The address of the asset
+     * @param roundId The finalized round
+     * @param price The median price
+     * @param submissions The number of submissions in the round
+     */
+    event RoundFinalized(address indexed asset, uint256 indexed roundId, uint256 price, uint256 submissions);
+
+    /**
+     * @notice Emitted when an oracle admin discards the submissions of an open round
+     * @param asset The address of the asset
+     * @param roundId The discarded round
+     */
+    event RoundReset(address indexed asset, uint256 indexed roundId);
+
+    /**
+     * @notice Emitted when a price reporter is authorized
+     * @param reporter The address of the reporter
+     */
+    event PriceReporterAdded(address indexed reporter);
+
+    /**
+     * @notice Emitted when a price reporter is removed
+     * @param reporter The address of the reporter
+     */
+    event PriceReporterRemoved(address indexed reporter);
+
+    /**
+     * @notice Emitted when an asset registrar is authorized
+     * @param registrar The address of the registrar
+     */
+    event AssetRegistrarAdded(address indexed registrar);
+
+    /**
+     * @notice Emitted when an asset registrar is removed
+     * @param registrar The address of the registrar
+     */
+    event AssetRegistrarRemoved(address indexed registrar);
+
+    /**
+     * @notice Emitted when the maximum report age is changed
+     * @param oldMaxAge The previous maximum age
+     * @param newMaxAge The new maximum age
+     */
+    event MaxReportAgeUpdated(uint256 oldMaxAge, uint256 newMaxAge);
+
+    /**
+     * @notice Emitted when a signed price report is relayed
+     * @param asset The address of the asset
+     * @param reporter The address that signed the report
+     * @param relayer The address that submitted the report
+     * @param price The reported price
+     * @param nonce The reporter nonce used
+     */
+    event SignedPriceSubmitted(
+        address indexed asset,
+        address indexed reporter,
+        address relayer,
+        uint256 price,
+        uint256 nonce
+    );
+
     /// @notice Error thrown when trying to access an inactive asset
     error AssetNotActive();
     /// @notice Error thrown when trying to update price too frequently
@@ -69,15 +335,60 @@ contract RWA4626Oracle is Ownable, Pausable {
     error InvalidUpdateInterval();
     /// @notice Error thrown when trying to add an asset that already exists
     error AssetAlreadyExists();
+    /// @notice Error thrown when a price moves more than the configured deviation bounds
+    error PriceDeviationTooHigh();
+    /// @notice Error thrown when trying to set deviation bounds above 100% for decreases
+    error InvalidDeviationBounds();
+    /// @notice Error thrown when there is no pending price for an asset
+    error NoPendingPrice();
+    /// @notice Error thrown when the caller is not the price confirmer
+    error NotPriceConfirmer();
+    /// @notice Error thrown when trying to set an invalid price confirmer
+    error InvalidPriceConfirmer();
+    /// @notice Error thrown when the caller is not a registered price submitter
+    error NotPriceSubmitter();
+    /// @notice Error thrown when trying to register an invalid or duplicate submitter
+    error InvalidPriceSubmitter();
+    /// @notice Error thrown when a submitter submits twice in the same round
+    error AlreadySubmitted();
+    /// @notice Error thrown when the quorum exceeds the number of submitters
+    error InvalidQuorum();
+    /// @notice Error thrown when a price reporter updates a price while a quorum is required
+    error QuorumRequired();
+    /// @notice Error thrown when a report is not signed by an authorized reporter
+    error NotPriceReporter();
+    /// @notice Error thrown when trying to authorize an invalid or duplicate reporter
+    error InvalidPriceReporter();
+    /// @notice Error thrown when a report is older than the maximum report age
+    error ReportExpired();
+    /// @notice Error thrown when a report is dated in the future or before the last update
+    error InvalidReportTimestamp();
+    /// @notice Error thrown when trying to set a zero maximum report age
+    error InvalidMaxReportAge();
+    /// @notice Error thrown when a query reaches before the oldest retained observation
+    error ObservationTooOld();
+    /// @notice Error thrown when trying to compute a TWAP over an invalid window
+    error InvalidWindow();
+    /// @notice Error thrown when querying an update that did not happen yet
+    error ObservationNotFound();
+    /// @notice Error thrown when trying to authorize an invalid or duplicate registrar
+    error InvalidAssetRegistrar();
 
     /**
-     * @notice Constructor initializes the contract with the deployer as owner
+     * @notice Constructor initializes the contract with the deployer as default admin
+     * @dev The deployer also holds every role until they are handed over (see scripts/migrate_roles.js)
      */
-    constructor() Ownable(msg.sender) {}
+    constructor() AccessControlDefaultAdminRules(0, msg.sender) EIP712("RWA4626Oracle", "1") {
+        _setRoleAdmin(PRICE_REPORTER_ROLE, ORACLE_ADMIN_ROLE);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(PRICE_REPORTER_ROLE, msg.sender);
+        _grantRole(ORACLE_ADMIN_ROLE, msg.sender);
+        _grantRole(GUARDIAN_ROLE, msg.sender);
+    }
 
     /**
      * @notice Adds a new asset to the oracle
-     * @dev Only callable by the owner
+     * @dev Only callable by an oracle admin or an asset registrar
      * @param asset The address of the asset to add
      * @param initialPrice The initial price in USD (6 decimals)
      * @param updateInterval The minimum time between updates
@@ -86,7 +397,10 @@ contract RWA4626Oracle is Ownable, Pausable {
         address asset,
         uint256 initialPrice,
         uint256 updateInterval
-    ) external onlyOwner {
+    ) external {
+        if (!hasRole(ORACLE_ADMIN_ROLE, msg.sender) && !isAssetRegistrar[msg.sender]) {
+            revert AccessControlUnauthorizedAccount(msg.sender, ORACLE_ADMIN_ROLE);
+        }
         if (_priceData[asset].isActive) revert AssetAlreadyExists();
         if (initialPrice == 0) revert InvalidPrice();
         if (updateInterval == 0) revert InvalidUpdateInterval();
@@ -95,54 +409,315 @@ contract RWA4626Oracle is Ownable, Pausable {
             price: initialPrice,
             lastUpdateTime: block.timestamp,
             updateInterval: updateInterval,
-            isActive: true
+            isActive: true,
+            maxDeviationUp: 0,
+            maxDeviationDown: 0,
+            confirmOutOfBand: false
         });
+        _observations[asset].count = 0;
+        _recordObservation(asset, initialPrice);
 
         emit AssetAdded(asset, initialPrice, updateInterval);
     }
 
     /**
      * @notice Removes an asset from the oracle
-     * @dev Only callable by the owner
+     * @dev Only callable by an oracle admin
      * @param asset The address of the asset to remove
      */
-    function removeAsset(address asset) external onlyOwner {
+    function removeAsset(address asset) external onlyRole(ORACLE_ADMIN_ROLE) {
         if (!_priceData[asset].isActive) revert AssetNotActive();
         
         delete _priceData[asset];
+        delete _pendingPrices[asset];
+        _currentRound[asset]++;
         emit AssetRemoved(asset);
     }
 
     /**
      * @notice Updates the price for an asset
-     * @dev Only callable by the owner, enforces minimum update interval
+     * @dev Only callable by a price reporter while no quorum is configured, enforces minimum
+     * update interval and deviation bounds. An update outside the bounds reverts, or is
+     * parked as pending when the asset requires confirmation of out-of-band updates.
      * @param asset The address of the asset
      * @param newPrice The new price in USD (6 decimals)
      */
-    function updatePrice(address asset, uint256 newPrice) external onlyOwner {
+    function updatePrice(address asset, uint256 newPrice) external onlyRole(PRICE_REPORTER_ROLE) {
+        if (quorum != 0) revert QuorumRequired();
+        _checkUpdate(asset, newPrice);
+        _proposePrice(asset, newPrice);
+    }
+
+    /**
+     * @notice Applies a price report signed by an authorized reporter
+     * @dev Callable by anyone, so reporters can sign offline and let a relayer pay the gas.
+     * Each reporter nonce is usable once, the report must be at most `maxReportAge` old and
+     * newer than the last update, and the price goes through the same checks as a direct update.
+     * @param report The signed price report
+     * @param signature The EIP-712 signature of the report
+     */
+    function submitSignedPrice(PriceReport calldata report, bytes calldata signature) external {
+        if (quorum != 0) revert QuorumRequired();
+
+        bytes32 structHash = keccak256(
+            abi.encode(PRICE_REPORT_TYPEHASH, report.asset, report.price, report.timestamp, report.nonce)
+        );
+        address reporter = ECDSA.recover(_hashTypedDataV4(structHash), signature);
+        if (!hasRole(PRICE_REPORTER_ROLE, reporter)) revert NotPriceReporter();
+        _useCheckedNonce(reporter, report.nonce);
+
+        if (report.timestamp > block.timestamp) revert InvalidReportTimestamp();
+        if (block.timestamp - report.timestamp > maxReportAge) revert ReportExpired();
+        if (report.timestamp <= _priceData[report.asset].lastUpdateTime) revert InvalidReportTimestamp();
+
+        _checkUpdate(report.asset, report.price);
+        emit SignedPriceSubmitted(report.asset, reporter, msg.sender, report.price, report.nonce);
+        _proposePrice(report.asset, report.price);
+    }
+
+    /**
+     * @notice Grants the price reporter role, allowing to post prices and sign price reports
+     * @dev Only callable by an oracle admin
+     * @param reporter The address of the reporter
+     */
+    function addPriceReporter(address reporter) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (reporter == address(0) || !_grantRole(PRICE_REPORTER_ROLE, reporter)) revert InvalidPriceReporter();
+        emit PriceReporterAdded(reporter);
+    }
+
+    /**
+     * @notice Revokes the price reporter role
+     * @dev Only callable by an oracle admin
+     * @param reporter The address of the reporter
+     */
+    function removePriceReporter(address reporter) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (!_revokeRole(PRICE_REPORTER_ROLE, reporter)) revert InvalidPriceReporter();
+        emit PriceReporterRemoved(reporter);
+    }
+
+    /**
+     * @notice Checks if an address holds the price reporter role
+     * @param reporter The address of the reporter
+     * @return True if the address may post prices and sign price reports
+     */
+    function isPriceReporter(address reporter) external view returns (bool) {
+        return hasRole(PRICE_REPORTER_ROLE, reporter);
+    }
+
+    /**
+     * @notice Authorizes an address to register new assets
+     * @dev Only callable by an oracle admin
+     * @param registrar The address of the registrar
+     */
+    function addAssetRegistrar(address registrar) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (registrar == address(0) || isAssetRegistrar[registrar]) revert InvalidAssetRegistrar();
+        isAssetRegistrar[registrar] = true;
+        emit AssetRegistrarAdded(registrar);
+    }
+
+    /**
+     * @notice Removes an asset registrar
+     * @dev Only callable by an oracle admin
+     * @param registrar The address of the registrar
+     */
+    function removeAssetRegistrar(address registrar) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (!isAssetRegistrar[registrar]) revert InvalidAssetRegistrar();
+        isAssetRegistrar[registrar] = false;
+        emit AssetRegistrarRemoved(registrar);
+    }
+
+    /**
+     * @notice Sets the maximum age of a signed report when it is relayed
+     * @dev Only callable by an oracle admin
+     * @param _maxReportAge The new maximum age in seconds
+     */
+    function setMaxReportAge(uint256 _maxReportAge) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (_maxReportAge == 0) revert InvalidMaxReportAge();
+        uint256 oldMaxAge = maxReportAge;
+        maxReportAge = _maxReportAge;
+        emit MaxReportAgeUpdated(oldMaxAge, _maxReportAge);
+    }
+
+    /**
+     * @notice Submits a price to the current round of an asset
+     * @dev Only callable by registered submitters, once per round. The round is finalized
+     * with the median of its submissions as soon as `quorum` of them are within
+     * `submissionTolerance` of that median; the median then goes through the same
+     * deviation bounds as a direct update.
+     * @param asset The address of the asset
+     * @param price The submitted price in USD (6 decimals)
+     */
+    function submitPrice(address asset, uint256 price) external {
+        if (!isPriceSubmitter[msg.sender]) revert NotPriceSubmitter();
+        if (quorum == 0) revert InvalidQuorum();
+        _checkUpdate(asset, price);
+
+        uint256 roundId = _currentRound[asset];
+        Round storage round = _rounds[asset][roundId];
+        if (round.hasSubmitted[msg.sender]) revert AlreadySubmitted();
+
+        _dropRemovedSubmissions(round);
+        round.hasSubmitted[msg.sender] = true;
+        round.prices.push(price);
+        round.submitters.push(msg.sender);
+        emit PriceSubmitted(asset, roundId, msg.sender, price);
+
+        if (round.prices.length < quorum) return;
+
+        uint256 median = _median(round.prices);
+        uint256 agreeing;
+        for (uint256 i = 0; i < round.prices.length; i++) {
+            uint256 diff = round.prices[i] > median ? round.prices[i] - median : median - round.prices[i];
+            if (diff * BPS <= median * submissionTolerance) agreeing++;
+        }
+        if (agreeing < quorum) return;
+
+        _currentRound[asset] = roundId + 1;
+        emit RoundFinalized(asset, roundId, median, round.prices.length);
+        _proposePrice(asset, median);
+    }
+
+    /**
+     * @notice Discards the submissions of the current round of an asset
+     * @dev Only callable by an oracle admin, e.g. when submitters cannot agree
+     * @param asset The address of the asset
+     */
+    function resetRound(address asset) external onlyRole(ORACLE_ADMIN_ROLE) {
+        uint256 roundId = _currentRound[asset];
+        _currentRound[asset] = roundId + 1;
+        emit RoundReset(asset, roundId);
+    }
+
+    /**
+     * @notice Registers a price submitter
+     * @dev Only callable by an oracle admin
+     * @param submitter The address of the submitter
+     */
+    function addPriceSubmitter(address submitter) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (submitter == address(0) || isPriceSubmitter[submitter]) revert InvalidPriceSubmitter();
+        isPriceSubmitter[submitter] = true;
+        submitterCount++;
+        emit PriceSubmitterAdded(submitter);
+    }
+
+    /**
+     * @notice Removes a price submitter
+     * @dev Only callable by an oracle admin, cannot leave fewer submitters than the quorum.
+     * The prices it submitted to open rounds are dropped: they no longer count toward the
+     * median or the quorum and are left out of getCurrentRound
+     * @param submitter The address of the submitter
+     */
+    function removePriceSubmitter(address submitter) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (!isPriceSubmitter[submitter]) revert InvalidPriceSubmitter();
+        if (submitterCount - 1 < quorum) revert InvalidQuorum();
+        isPriceSubmitter[submitter] = false;
+        submitterCount--;
+        emit PriceSubmitterRemoved(submitter);
+    }
+
+    /**
+     * @notice Sets the number of agreeing submissions required to finalize a price
+     * @dev Only callable by an oracle admin. Setting it to zero returns pricing to the price reporters.
+     * @param _quorum The new quorum
+     */
+    function setQuorum(uint256 _quorum) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (_quorum > submitterCount) revert InvalidQuorum();
+        uint256 oldQuorum = quorum;
+        quorum = _quorum;
+        emit QuorumUpdated(oldQuorum, _quorum);
+    }
+
+    /**
+     * @notice Sets how far from the median a submission may be and still agree
+     * @dev Only callable by an oracle admin
+     * @param _submissionTolerance The new tolerance in basis points
+     */
+    function setSubmissionTolerance(uint256 _submissionTolerance) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (_submissionTolerance > BPS) revert InvalidDeviationBounds();
+        uint256 oldTolerance = submissionTolerance;
+        submissionTolerance = _submissionTolerance;
+        emit SubmissionToleranceUpdated(oldTolerance, _submissionTolerance);
+    }
+
+    /**
+     * @notice Confirms and applies the pending out-of-band price of an asset
+     * @dev Only callable by the price confirmer
+     * @param asset The address of the asset
+     */
+    function confirmPendingPrice(address asset) external {
+        if (msg.sender != priceConfirmer) revert NotPriceConfirmer();
+        if (!_priceData[asset].isActive) revert AssetNotActive();
+
+        uint256 price = _pendingPrices[asset].price;
+        if (price == 0) revert NoPendingPrice();
+
+        delete _pendingPrices[asset];
+        _setPrice(asset, price);
+
+        emit PendingPriceConfirmed(asset, msg.sender, price);
+    }
+
+    /**
+     * @notice Discards the pending out-of-band price of an asset
+     * @dev Callable by an oracle admin or the price confirmer
+     * @param asset The address of the asset
+     */
+    function rejectPendingPrice(address asset) external {
+        if (!hasRole(ORACLE_ADMIN_ROLE, msg.sender) && msg.sender != priceConfirmer) revert NotPriceConfirmer();
+
+        uint256 price = _pendingPrices[asset].price;
+        if (price == 0) revert NoPendingPrice();
+
+        delete _pendingPrices[asset];
+        emit PendingPriceRejected(asset, price);
+    }
+
+    /**
+     * @notice Sets the maximum price move allowed per update for an asset
+     * @dev Only callable by an oracle admin
+     * @param asset The address of the asset
+     * @param maxDeviationUp The maximum increase in basis points (0 = unbounded)
+     * @param maxDeviationDown The maximum decrease in basis points (0 = unbounded)
+     * @param confirmOutOfBand Whether out-of-band updates are parked for confirmation instead of rejected
+     */
+    function setDeviationBounds(
+        address asset,
+        uint256 maxDeviationUp,
+        uint256 maxDeviationDown,
+        bool confirmOutOfBand
+    ) external onlyRole(ORACLE_ADMIN_ROLE) {
         PriceData storage data = _priceData[asset];
         if (!data.isActive) revert AssetNotActive();
-        if (newPrice == 0) revert InvalidPrice();
-        
-        // Check if enough time has passed since last update
-        if (block.timestamp < data.lastUpdateTime + data.updateInterval) {
-            revert UpdateTooFrequent();
-        }
+        if (maxDeviationDown > BPS) revert InvalidDeviationBounds();
 
-        uint256 oldPrice = data.price;
-        data.price = newPrice;
-        data.lastUpdateTime = block.timestamp;
+        data.maxDeviationUp = maxDeviationUp;
+        data.maxDeviationDown = maxDeviationDown;
+        data.confirmOutOfBand = confirmOutOfBand;
 
-        emit PriceUpdated(asset, oldPrice, newPrice);
+        emit DeviationBoundsChanged(asset, maxDeviationUp, maxDeviationDown, confirmOutOfBand);
+    }
+
+    /**
+     * @notice Sets the address allowed to confirm pending prices
+     * @dev Only callable by an oracle admin. The confirmer must not be a price reporter.
+     * @param _priceConfirmer The new price confirmer
+     */
+    function setPriceConfirmer(address _priceConfirmer) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (_priceConfirmer == address(0) || hasRole(PRICE_REPORTER_ROLE, _priceConfirmer)) {
+            revert InvalidPriceConfirmer();
+        }
+        address oldConfirmer = priceConfirmer;
+        priceConfirmer = _priceConfirmer;
+        emit PriceConfirmerUpdated(oldConfirmer, _priceConfirmer);
     }
 
     /**
      * @notice Changes the update interval for an asset
-     * @dev Only callable by the owner
+     * @dev Only callable by an oracle admin
      * @param asset The address of the asset
      * @param newInterval The new update interval
      */
-    function setUpdateInterval(address asset, uint256 newInterval) external onlyOwner {
+    function setUpdateInterval(address asset, uint256 newInterval) external onlyRole(ORACLE_ADMIN_ROLE) {
         if (!_priceData[asset].isActive) revert AssetNotActive();
         if (newInterval == 0) revert InvalidUpdateInterval();
 
@@ -182,6 +757,166 @@ contract RWA4626Oracle is Ownable, Pausable {
         return _priceData[asset].updateInterval;
     }
 
+    /**
+     * @notice Gets the deviation bounds for an asset
+     * @param asset The address of the asset
+     * @return maxDeviationUp The maximum increase per update in basis points (0 = unbounded)
+     * @return maxDeviationDown The maximum decrease per update in basis points (0 = unbounded)
+     * @return confirmOutOfBand Whether out-of-band updates are parked for confirmation
+     */
+    function getDeviationBounds(address asset)
+        external
+        view
+        returns (uint256 maxDeviationUp, uint256 maxDeviationDown, bool confirmOutOfBand)
+    {
+        PriceData storage data = _priceData[asset];
+        if (!data.isActive) revert AssetNotActive();
+        return (data.maxDeviationUp, data.maxDeviationDown, data.confirmOutOfBand);
+    }
+
+    /**
+     * @notice Gets the pending out-of-band price for an asset
+     * @param asset The address of the asset
+     * @return price The pending price (0 if none)
+     * @return proposedAt The timestamp at which it was proposed
+     */
+    function getPendingPrice(address asset) external view returns (uint256 price, uint256 proposedAt) {
+        PendingPrice storage pending = _pendingPrices[asset];
+        return (pending.price, pending.proposedAt);
+    }
+
+    /**
+     * @notice Gets the current round of an asset and its submissions
+     * @param asset The address of the asset
+     * @return roundId The current round id
+     * @return prices The prices submitted so far in this round by registered submitters
+     */
+    function getCurrentRound(address asset) external view returns (uint256 roundId, uint256[] memory prices) {
+        roundId = _currentRound[asset];
+        Round storage round = _rounds[asset][roundId];
+        uint256 count;
+        for (uint256 i = 0; i < round.submitters.length; i++) {
+            if (isPriceSubmitter[round.submitters[i]]) count++;
+        }
+        prices = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < round.submitters.length; i++) {
+            if (isPriceSubmitter[round.submitters[i]]) prices[count++] = round.prices[i];
+        }
+    }
+
+    /**
+     * @notice Checks whether a submitter already submitted in the current round of an asset
+     * @param asset The address of the asset
+     * @param submitter The address of the submitter
+     * @return Whether the submitter already submitted
+     */
+    function hasSubmitted(address asset, address submitter) external view returns (bool) {
+        return _rounds[asset][_currentRound[asset]].hasSubmitted[submitter];
+    }
+
+    /**
+     * @notice Gets the price that was in effect for an asset at a given time
+     * @param asset The address of the asset
+     * @param timestamp The time to query
+     * @return The price in USD (6 decimals) in effect at `timestamp`
+     */
+    function getPriceAt(address asset, uint256 timestamp) external view returns (uint256) {
+        if (!_priceData[asset].isActive) revert AssetNotActive();
+        ObservationBuffer storage buffer = _observations[asset];
+        uint256 size = _observationSize(buffer);
+
+        // Binary search for the last observation at or before the timestamp
+        uint256 low = 0;
+        uint256 high = size;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (_observationAt(buffer, mid).timestamp <= timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        if (low == 0) revert ObservationTooOld();
+        return _observationAt(buffer, low - 1).price;
+    }
+
+    /**
+     * @notice Gets the number of prices an asset received since it was added, the initial price included
+     * @param asset The address of the asset
+     * @return The update count, also the id of the latest update
+     */
+    function getUpdateCount(address asset) external view returns (uint256) {
+        if (!_priceData[asset].isActive) revert AssetNotActive();
+        return _observations[asset].count;
+    }
+
+    /**
+     * @notice Gets a retained observation by update id
+     * @param asset The address of the asset
+     * @param updateId The update id, 1 being the initial price
+     * @return The observation
+     */
+    function getObservation(address asset, uint256 updateId) external view returns (Observation memory) {
+        if (!_priceData[asset].isActive) revert AssetNotActive();
+        ObservationBuffer storage buffer = _observations[asset];
+        if (updateId == 0 || updateId > buffer.count) revert ObservationNotFound();
+        if (buffer.count - updateId >= MAX_OBSERVATIONS) revert ObservationTooOld();
+        return buffer.items[(updateId - 1) % MAX_OBSERVATIONS];
+    }
+
+    /**
+     * @notice Gets the most recent observations of an asset
+     * @param asset The address of the asset
+     * @param n The maximum number of observations to return
+     * @return observations The observations, oldest first
+     */
+    function getObservations(address asset, uint256 n) external view returns (Observation[] memory observations) {
+        if (!_priceData[asset].isActive) revert AssetNotActive();
+        ObservationBuffer storage buffer = _observations[asset];
+        uint256 size = _observationSize(buffer);
+        if (n > size) n = size;
+
+        observations = new Observation[](n);
+        for (uint256 i = 0; i < n; i++) {
+            observations[i] = _observationAt(buffer, size - n + i);
+        }
+    }
+
+    /**
+     * @notice Gets the time-weighted average price of an asset over a trailing window
+     * @param asset The address of the asset
+     * @param window The length of the window ending now, in seconds
+     * @return The time-weighted average price in USD (6 decimals)
+     */
+    function getTwap(address asset, uint256 window) external view returns (uint256) {
+        if (!_priceData[asset].isActive) revert AssetNotActive();
+        if (window == 0 || window > block.timestamp) revert InvalidWindow();
+        ObservationBuffer storage buffer = _observations[asset];
+
+        uint256 start = block.timestamp - window;
+        uint256 cursor = block.timestamp;
+        uint256 weighted;
+        for (uint256 i = _observationSize(buffer); i > 0 && cursor > start; i--) {
+            Observation memory observation = _observationAt(buffer, i - 1);
+            uint256 from = observation.timestamp > start ? observation.timestamp : start;
+            weighted += observation.price * (cursor - from);
+            cursor = from;
+        }
+        if (cursor > start) revert ObservationTooOld();
+        return weighted / window;
+    }
+
+    /**
+     * @notice Checks if the price of an asset can be updated now
+     * @param asset The address of the asset
+     * @return Whether the asset is active and its update interval has passed
+     */
+    function canUpdate(address asset) external view returns (bool) {
+        PriceData storage data = _priceData[asset];
+        return data.isActive && block.timestamp >= data.lastUpdateTime + data.updateInterval;
+    }
+
     /**
      * @notice Checks if an asset is active
      * @param asset The address of the asset
@@ -191,19 +926,168 @@ contract RWA4626Oracle is Ownable, Pausable {
         return _priceData[asset].isActive;
     }
 
+    /**
+     * @notice Checks that an asset accepts a new price now
+     * @param asset The address of the asset
+     * @param newPrice The new price in USD (6 decimals)
+     */
+    function _checkUpdate(address asset, uint256 newPrice) internal view {
+        PriceData storage data = _priceData[asset];
+        if (!data.isActive) revert AssetNotActive();
+        if (newPrice == 0) revert InvalidPrice();
+
+        // Check if enough time has passed since last update
+        if (block.timestamp < data.lastUpdateTime + data.updateInterval) {
+            revert UpdateTooFrequent();
+        }
+    }
+
+    /**
+     * @notice Drops the submissions of removed submitters from a round
+     * @dev Called before each submission, so a removed submitter never counts toward the quorum
+     * @param round The round to clean up
+     */
+    function _dropRemovedSubmissions(Round storage round) internal {
+        for (uint256 i = round.submitters.length; i > 0; i--) {
+            address submitter = round.submitters[i - 1];
+            if (isPriceSubmitter[submitter]) continue;
+
+            // Swap with the last entry, which was already checked
+            uint256 last = round.submitters.length - 1;
+            round.submitters[i - 1] = round.submitters[last];
+            round.prices[i - 1] = round.prices[last];
+            round.submitters.pop();
+            round.prices.pop();
+            round.hasSubmitted[submitter] = false;
+        }
+    }
+
+    /**
+     * @notice Applies a new price, or parks it as pending when it is out of bounds
+     * @dev Reverts on out-of-band prices unless the asset requires confirmation
+     * @param asset The address of the asset
+     * @param newPrice The new price in USD (6 decimals)
+     */
+    function _proposePrice(address asset, uint256 newPrice) internal {
+        PriceData storage data = _priceData[asset];
+        if (!_isWithinBounds(data, newPrice)) {
+            if (!data.confirmOutOfBand) revert PriceDeviationTooHigh();
+
+            _pendingPrices[asset] = PendingPrice({
+                price: newPrice,
+                proposedAt: block.timestamp
+            });
+            emit PricePending(asset, data.price, newPrice);
+            return;
+        }
+
+        delete _pendingPrices[asset];
+        _setPrice(asset, newPrice);
+    }
+
+    /**
+     * @notice Applies a new price to an asset
+     * @param asset The address of the asset
+     * @param newPrice The new price in USD (6 decimals)
+     */
+    function _setPrice(address asset, uint256 newPrice) internal {
+        PriceData storage data = _priceData[asset];
+        uint256 oldPrice = data.price;
+        data.price = newPrice;
+        data.lastUpdateTime = block.timestamp;
+        _recordObservation(asset, newPrice);
+
+        emit PriceUpdated(asset, oldPrice, newPrice);
+    }
+
+    /**
+     * @notice Appends a price to the history of an asset, overwriting the oldest entry when full
+     * @param asset The address of the asset
+     * @param price The price in USD (6 decimals)
+     */
+    function _recordObservation(address asset, uint256 price) internal {
+        ObservationBuffer storage buffer = _observations[asset];
+        buffer.items[buffer.count % MAX_OBSERVATIONS] = Observation({
+            price: price,
+            timestamp: block.timestamp
+        });
+        buffer.count++;
+    }
+
+    /**
+     * @notice Returns the number of retained observations
+     * @param buffer The observation buffer
+     */
+    function _observationSize(ObservationBuffer storage buffer) internal view returns (uint256) {
+        return buffer.count < MAX_OBSERVATIONS ? buffer.count : MAX_OBSERVATIONS;
+    }
+
+    /**
+     * @notice Returns a retained observation by chronological index
+     * @param buffer The observation buffer
+     * @param index The index, 0 being the oldest retained observation
+     */
+    function _observationAt(ObservationBuffer storage buffer, uint256 index)
+        internal
+        view
+        returns (Observation memory)
+    {
+        uint256 oldest = buffer.count < MAX_OBSERVATIONS ? 0 : buffer.count % MAX_OBSERVATIONS;
+        return buffer.items[(oldest + index) % MAX_OBSERVATIONS];
+    }
+
+    /**
+     * @notice Checks whether a new price is within the deviation bounds of an asset
+     * @param data The price data of the asset
+     * @param newPrice The new price in USD (6 decimals)
+     * @return Whether the move from the current price is within bounds
+     */
+    function _isWithinBounds(PriceData storage data, uint256 newPrice) internal view returns (bool) {
+        uint256 oldPrice = data.price;
+        if (newPrice > oldPrice) {
+            return data.maxDeviationUp == 0 || (newPrice - oldPrice) * BPS <= oldPrice * data.maxDeviationUp;
+        }
+        return data.maxDeviationDown == 0 || (oldPrice - newPrice) * BPS <= oldPrice * data.maxDeviationDown;
+    }
+
+    /**
+     * @notice Computes the median of a list of prices
+     * @dev Sorts the list in place; rounds are small so insertion sort is enough
+     * @param sorted The prices, copied to memory by the caller
+     * @return The median (average of the two middle values for an even count)
+     */
+    function _median(uint256[] memory sorted) internal pure returns (uint256) {
+        for (uint256 i = 1; i < sorted.length; i++) {
+            uint256 value = sorted[i];
+            uint256 j = i;
+            while (j > 0 && sorted[j - 1] > value) {
+                sorted[j] = sorted[j - 1];
+                j--;
+            }
+            sorted[j] = value;
+        }
+
+        uint256 middle = sorted.length / 2;
+        if (sorted.length % 2 == 1) return sorted[middle];
+        return (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
     /**
      * @notice Pauses the oracle
-     * @dev Only callable by the owner
+     * @dev Only callable by a pauser or a guardian
      */
-    function pause() external onlyOwner {
+    function pause() external {
+        if (!hasRole(PAUSER_ROLE, msg.sender) && !hasRole(GUARDIAN_ROLE, msg.sender)) {
+            revert AccessControlUnauthorizedAccount(msg.sender, PAUSER_ROLE);
+        }
         _pause();
     }
 
     /**
      * @notice Unpauses the oracle
-     * @dev Only callable by the owner
+     * @dev Only callable by a pauser
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 } 
\ No newline at end of file
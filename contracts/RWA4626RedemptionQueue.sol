@@ -0,0 +1,448 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./RWA4626Vault.sol";
+
+/**
+ * @title RWA4626RedemptionQueue
+ * @author @haojun222
+ * @notice FIFO queue for redemptions of an RWA4626Vault beyond the assets the vault holds
+ * @dev Holders escrow their shares in the queue at the current oracle price, or at the next NAV
+ * depending on the pricing mode. Capital managers of the vault process the queue in order once the
+ * vault is funded (e.g. with returnCapital): the queue redeems the escrowed shares at their price
+ * through RWA4626Vault.redeemQueued, and each receiver claims its assets. Under a redemption gate, the
+ * first redemption beyond the capacity left in the gate period is partially filled and the rest waits
+ * for the next periods. The part of a direct redemption of the vault beyond that capacity or the
+ * liquidity of the vault is queued here by the vault. Owners can cancel their redemptions until they are priced, so that
+ * the price cannot be waited for before deciding to redeem.
+ * The queue needs the vault REDEMPTION_QUEUE_ROLE and, with a compliance module, to be verified; set as
+ * the redemption queue of the vault, its obligations are reserved out of the vault liquidity
+ */
+contract RWA4626RedemptionQueue is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using Math for uint256;
+
+    /**
+     * @notice Prices of queued redemptions
+     */
+    enum PricingMode {
+        CurrentPrice,   // oracle price when the redemption is queued, which must be fresh
+        NextNav         // price of the first oracle update after the redemption is queued, or the current
+                        // price once that update is out of the oracle history or the oracle was replaced
+    }
+
+    /**
+     * @notice Struct to store a queued redemption
+     * @param owner The account whose shares are escrowed
+     * @param receiver The account receiving the assets
+     * @param shares The amount of shares escrowed
+     * @param price The price of the redemption, 0 until the next NAV for NextNav redemptions
+     * @param updateId The oracle update id when queued
+     * @param oracle The oracle of the vault when queued
+     * @param redeemedShares The shares redeemed so far, less than shares while partially filled
+     * @param assets The assets paid so far, net of the exit fee
+     * @param processed Whether all the shares were redeemed, or the redemption cancelled
+     * @param claimed Whether the assets were sent to the receiver
+     * @param cancelled Whether the shares were returned to the owner
+     */
+    struct Redemption {
+        address owner;          // Account whose shares are escrowed
+        address receiver;       // Account receiving the assets
+        uint256 shares;         // Shares escrowed
+        uint256 price;          // Price (6 decimals), 0 until priced
+        uint256 updateId;       // Oracle update id when queued
+        address oracle;         // Oracle of the vault when queued
+        uint256 redeemedShares; // Shares redeemed so far
+        uint256 assets;         // Assets paid so far, net of the exit fee
+        bool processed;         // All shares redeemed, or cancelled
+        bool claimed;           // Assets sent to the receiver
+        bool cancelled;         // Shares returned to the owner
+    }
+
+    /// @notice Vault whose shares are queued
+    RWA4626Vault public immutable vault;
+
+    /// @notice Underlying asset of the vault, paid to the receivers
+    IERC20 public immutable asset;
+
+    /// @notice Constant for price decimals (6 decimals)
+    uint256 private constant PRICE_DECIMALS = 1e6;
+
+    /// @notice Precision of the fee factor of the vault (18 decimals)
+    uint256 private constant FEE_FACTOR_PRECISION = 1e18;
+
+    /// @notice Pricing of the redemptions queued from now on
+    PricingMode public pricingMode;
+
+    /// @notice Id of the next redemption to process, every earlier one being processed
+    uint256 public nextRedemptionId;
+
+    /// @notice Shares escrowed by the redemptions not processed yet
+    uint256 public totalQueuedShares;
+
+    /// @notice Gross value of the shares escrowed at a known price, not processed yet
+    uint256 public totalPricedAssets;
+
+    /// @notice Shares escrowed waiting for the next NAV, not processed yet
+    uint256 public totalUnpricedShares;
+
+    /// @notice Assets of processed redemptions not claimed yet, held by the queue
+    uint256 public totalUnclaimedAssets;
+
+    /// @notice Queued redemptions, the id being the index
+    Redemption[] private _redemptions;
+
+    /**
+     * @notice Event emitted when the pricing mode is updated
+     * @param mode The new pricing mode
+     */
+    event PricingModeUpdated(PricingMode mode);
+
+    /**
+     * @notice Event emitted when shares are escrowed in the queue
+     * @param id The id of the redemption
+     * @param owner The account whose shares are escrowed
+     * @param receiver The account receiving the assets
+     * @param shares The amount of shares
+     * @param price The price of the redemption, 0 when priced at the next NAV
+     */
+    event RedemptionQueued(
+        uint256 indexed id,
+        address indexed owner,
+        address indexed receiver,
+        uint256 shares,
+        uint256 price
+    );
+
+    /**
+     * @notice Event emitted when the shares of a redemption are redeemed
+     * @param id The id of the redemption
+     * @param price The price of the redemption
+     * @param assets The assets paid, net of the exit fee
+     */
+    event RedemptionProcessed(uint256 indexed id, uint256 price, uint256 assets);
+
+    /**
+     * @notice Event emitted when part of the shares of a redemption are redeemed, the gate being reached
+     * @param id The id of the redemption
+     * @param shares The amount of shares redeemed
+     * @param assets The assets paid, net of the exit fee
+     */
+    event RedemptionPartiallyFilled(uint256 indexed id, uint256 shares, uint256 assets);
+
+    /**
+     * @notice Event emitted when the shares of a redemption not redeemed yet are returned to its owner
+     * @param id The id of the redemption
+     * @param shares The amount of shares returned
+     */
+    event RedemptionCancelled(uint256 indexed id, uint256 shares);
+
+    /**
+     * @notice Event emitted when the assets of a redemption are sent to its receiver
+     * @param id The id of the redemption
+     * @param receiver The account receiving the assets
+     * @param assets The amount of assets
+     */
+    event RedemptionClaimed(uint256 indexed id, address indexed receiver, uint256 assets);
+
+    /// @notice Error thrown when trying to set an invalid vault address
+    error InvalidVault();
+    /// @notice Error thrown when queuing zero shares
+    error InvalidShares();
+    /// @notice Error thrown when the receiver is the zero address
+    error InvalidReceiver();
+    /// @notice Error thrown when queuing at the current price while it is stale
+    error PriceUpdateRequired();
+    /// @notice Error thrown when the redemption id does not exist
+    error RedemptionNotFound();
+    /// @notice Error thrown when claiming a redemption not processed yet
+    error RedemptionNotProcessed();
+    /// @notice Error thrown when claiming a redemption twice
+    error RedemptionAlreadyClaimed();
+    /// @notice Error thrown when cancelling a redemption already processed or cancelled
+    error RedemptionAlreadyProcessed();
+    /// @notice Error thrown when cancelling a redemption whose price is known
+    error RedemptionAlreadyPriced();
+    /// @notice Error thrown when someone else than the owner cancels a redemption
+    error NotRedemptionOwner(address account);
+    /// @notice Error thrown when someone else than the vault queues the excess of a gated redemption
+    error CallerNotVault(address account);
+    /// @notice Error thrown when the caller lacks the required role on the vault
+    error AccessControlUnauthorizedAccount(address account, bytes32 neededRole);
+
+    /**
+     * @notice Constructor for RWA4626RedemptionQueue
+     * @param _vault The vault address
+     */
+    constructor(address _vault) {
+        if (_vault == address(0)) revert InvalidVault();
+        vault = RWA4626Vault(_vault);
+        asset = IERC20(RWA4626Vault(_vault).asset());
+    }
+
+    /**
+     * @notice Sets the pricing of the redemptions queued from now on
+     * @dev Only callable by the default admin of the vault
+     * @param mode The new pricing mode
+     */
+    function setPricingMode(PricingMode mode) external {
+        _checkVaultRole(vault.DEFAULT_ADMIN_ROLE());
+        pricingMode = mode;
+        emit PricingModeUpdated(mode);
+    }
+
+    /**
+     * @notice Escrows shares of the caller in the queue, to be redeemed once the vault is funded
+     * @dev The caller approves the queue for the shares. At the current price, the price is locked
+     * now and must be fresh; at the next NAV, it is set by the next oracle update
+     * @param shares The amount of shares
+     * @param receiver The account receiving the assets
+     * @return id The id of the redemption
+     */
+    function requestRedeem(uint256 shares, address receiver) external nonReentrant returns (uint256 id) {
+        id = _queueRedemption(msg.sender, receiver, shares);
+        IERC20(address(vault)).safeTransferFrom(msg.sender, address(this), shares);
+    }
+
+    /**
+     * @notice Queues the part of a redemption of the vault beyond its gate capacity or its liquidity
+     * @dev Only callable by the vault, which already moved the shares of the owner to the queue
+     * @param owner The account whose shares are escrowed
+     * @param receiver The account receiving the assets
+     * @param shares The amount of shares
+     * @return id The id of the redemption
+     */
+    function queueRedemption(address owner, address receiver, uint256 shares)
+        external
+        nonReentrant
+        returns (uint256 id)
+    {
+        if (msg.sender != address(vault)) revert CallerNotVault(msg.sender);
+        id = _queueRedemption(owner, receiver, shares);
+    }
+
+    /**
+     * @notice Records a redemption of escrowed shares at the pricing mode of the queue
+     * @dev At the current price, the price is locked now and must be fresh; at the next NAV, it is set
+     * by the next oracle update
+     * @param owner The account whose shares are escrowed
+     * @param receiver The account receiving the assets
+     * @param shares The amount of shares
+     * @return id The id of the redemption
+     */
+    function _queueRedemption(address owner, address receiver, uint256 shares) internal returns (uint256 id) {
+        if (shares == 0) revert InvalidShares();
+        if (receiver == address(0)) revert InvalidReceiver();
+
+        uint256 price;
+        RWA4626Oracle oracle = vault.oracle();
+        if (pricingMode == PricingMode.CurrentPrice) {
+            if (vault.isPriceUpdateRequired()) revert PriceUpdateRequired();
+            price = _sharePrice(vault.getCurrentPrice());
+            totalPricedAssets += shares.mulDiv(price, PRICE_DECIMALS);
+        } else {
+            totalUnpricedShares += shares;
+        }
+
+        id = _redemptions.length;
+        _redemptions.push(Redemption(
+            owner,
+            receiver,
+            shares,
+            price,
+            oracle.getUpdateCount(address(vault)),
+            address(oracle),
+            0,
+            0,
+            false,
+            false,
+            false
+        ));
+        totalQueuedShares += shares;
+        emit RedemptionQueued(id, owner, receiver, shares, price);
+    }
+
+    /**
+     * @notice Redeems queued redemptions in order, as long as they are priced and the vault holds their assets
+     * @dev Only callable by a capital manager of the vault. Stops at the first redemption that cannot be
+     * processed, so later ones never overtake it; a redemption beyond the capacity left in the gate
+     * period of the vault is partially filled. Cancelled redemptions are skipped but count toward
+     * `maxRedemptions`, so that cancelling many redemptions cannot make the queue too long to process
+     * @param maxRedemptions The maximum number of redemptions to go through, cancelled ones included
+     * @return processed The number of redemptions processed, the partially filled one included
+     */
+    function processQueue(uint256 maxRedemptions) external nonReentrant returns (uint256 processed) {
+        _checkVaultRole(vault.CAPITAL_MANAGER_ROLE());
+
+        uint256 id = nextRedemptionId;
+        for (uint256 visited = 0; visited < maxRedemptions && id < _redemptions.length; visited++) {
+            Redemption storage redemption = _redemptions[id];
+            // Skip the cancelled redemptions
+            if (redemption.processed) {
+                id++;
+                continue;
+            }
+            uint256 price = redemption.price;
+            if (price == 0) {
+                price = _nextNav(redemption);
+                if (price == 0) break;
+                // Priced at the next NAV from now on
+                redemption.price = price;
+                totalUnpricedShares -= redemption.shares;
+                totalPricedAssets += redemption.shares.mulDiv(price, PRICE_DECIMALS);
+            }
+            uint256 remaining = redemption.shares - redemption.redeemedShares;
+            uint256 shares = Math.min(remaining, vault.gateCapacity());
+            uint256 gross = shares.mulDiv(price, PRICE_DECIMALS);
+            if (shares == 0 || gross > _vaultLiquidity()) break;
+
+            // Difference of the values before and after, so that the fills add up to the queued value
+            totalPricedAssets -= remaining.mulDiv(price, PRICE_DECIMALS) -
+                (remaining - shares).mulDiv(price, PRICE_DECIMALS);
+            uint256 assets = vault.redeemQueued(shares, price);
+            redemption.redeemedShares += shares;
+            redemption.assets += assets;
+            totalQueuedShares -= shares;
+            totalUnclaimedAssets += assets;
+            processed++;
+            if (shares < remaining) {
+                emit RedemptionPartiallyFilled(id, shares, assets);
+                break;
+            }
+            redemption.processed = true;
+            emit RedemptionProcessed(id, price, redemption.assets);
+            id++;
+        }
+        nextRedemptionId = id;
+    }
+
+    /**
+     * @notice Cancels a redemption of the caller and returns its shares
+     * @dev Only callable by the owner of the redemption, until it is priced: redemptions at the current
+     * price cannot be cancelled, those at the next NAV only until the oracle publishes it. Otherwise
+     * holders could queue at a locked price and cancel when the NAV rises above it
+     * @param id The id of the redemption
+     * @return shares The amount of shares returned
+     */
+    function cancelRequest(uint256 id) external nonReentrant returns (uint256 shares) {
+        if (id >= _redemptions.length) revert RedemptionNotFound();
+        Redemption storage redemption = _redemptions[id];
+        if (msg.sender != redemption.owner) revert NotRedemptionOwner(msg.sender);
+        if (redemption.processed) revert RedemptionAlreadyProcessed();
+        if (redemption.price != 0 || _nextNav(redemption) != 0) revert RedemptionAlreadyPriced();
+
+        shares = redemption.shares;
+        totalUnpricedShares -= shares;
+        totalQueuedShares -= shares;
+        redemption.processed = true;
+        redemption.cancelled = true;
+        IERC20(address(vault)).safeTransfer(redemption.owner, shares);
+        emit RedemptionCancelled(id, shares);
+    }
+
+    /**
+     * @notice Sends the assets of a processed redemption to its receiver
+     * @dev Callable by anyone
+     * @param id The id of the redemption
+     * @return assets The amount of assets sent
+     */
+    function claim(uint256 id) external nonReentrant returns (uint256 assets) {
+        if (id >= _redemptions.length) revert RedemptionNotFound();
+        Redemption storage redemption = _redemptions[id];
+        if (!redemption.processed) revert RedemptionNotProcessed();
+        if (redemption.claimed) revert RedemptionAlreadyClaimed();
+
+        redemption.claimed = true;
+        assets = redemption.assets;
+        totalUnclaimedAssets -= assets;
+        asset.safeTransfer(redemption.receiver, assets);
+        emit RedemptionClaimed(id, redemption.receiver, assets);
+    }
+
+    /**
+     * @notice Returns the number of redemptions ever queued
+     * @return The number of redemptions, also the id of the next one
+     */
+    function redemptionCount() external view returns (uint256) {
+        return _redemptions.length;
+    }
+
+    /**
+     * @notice Gets a queued redemption
+     * @param id The id of the redemption
+     * @return The redemption
+     */
+    function getRedemption(uint256 id) external view returns (Redemption memory) {
+        if (id >= _redemptions.length) revert RedemptionNotFound();
+        return _redemptions[id];
+    }
+
+    /**
+     * @notice Gets the position of a redemption in the queue
+     * @param id The id of the redemption
+     * @return The number of redemptions to process before it, itself included; 0 once processed
+     */
+    function queuePosition(uint256 id) external view returns (uint256) {
+        if (id >= _redemptions.length) revert RedemptionNotFound();
+        return id < nextRedemptionId ? 0 : id - nextRedemptionId + 1;
+    }
+
+    /**
+     * @notice Gets the assets needed to process the whole queue, before the exit fee
+     * @dev Redemptions waiting for the next NAV are valued at the latest oracle price
+     * @return The gross value of the queued shares
+     */
+    function queuedLiabilities() external view returns (uint256) {
+        if (totalUnpricedShares == 0) return totalPricedAssets;
+        return totalPricedAssets + totalUnpricedShares.mulDiv(_sharePrice(vault.getCurrentPrice()), PRICE_DECIMALS);
+    }
+
+    /**
+     * @notice Gets the price of the first oracle update after a redemption was queued
+     * @dev Falls back to the current price, once fresh, when that update is no longer in the oracle
+     * history or the oracle of the vault was replaced, so that the redemption cannot block the queue
+     * @param redemption The redemption
+     * @return The share price at that update, 0 while there is no later update
+     */
+    function _nextNav(Redemption storage redemption) internal view returns (uint256) {
+        RWA4626Oracle oracle = vault.oracle();
+        if (address(oracle) == redemption.oracle) {
+            uint256 updateId = redemption.updateId;
+            if (oracle.getUpdateCount(address(vault)) <= updateId) return 0;
+            try oracle.getObservation(address(vault), updateId + 1) returns (RWA4626Oracle.Observation memory observation) {
+                return _sharePrice(observation.price);
+            } catch {}
+        }
+        return vault.isPriceUpdateRequired() ? 0 : _sharePrice(vault.getCurrentPrice());
+    }
+
+    /**
+     * @notice Gets the assets the vault holds for shareholders, the liquidity reserved for the queue included
+     * @return The vault balance of the underlying asset minus its unclaimed fees, floored at zero
+     */
+    function _vaultLiquidity() internal view returns (uint256) {
+        (, uint256 liquidity) = asset.balanceOf(address(vault)).trySub(vault.totalFees());
+        return liquidity;
+    }
+
+    /**
+     * @notice Gets the price of the shares of the vault at an oracle price
+     * @dev Net of the management and performance fees charged by the vault so far (see RWA4626Vault.feeFactor)
+     * @param oraclePrice The oracle price (6 decimals)
+     * @return The share price (6 decimals)
+     */
+    function _sharePrice(uint256 oraclePrice) internal view returns (uint256) {
+        return oraclePrice.mulDiv(vault.feeFactor(), FEE_FACTOR_PRECISION);
+    }
+
+    /**
+     * @notice Reverts if the caller lacks a role on the vault
+     * @param role The role id
+     */
+    function _checkVaultRole(bytes32 role) internal view {
+        if (!vault.hasRole(role, msg.sender)) revert AccessControlUnauthorizedAccount(msg.sender, role);
+    }
+}
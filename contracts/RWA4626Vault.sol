@@ -1,13 +1,20 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC4626Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/extensions/AccessControlDefaultAdminRulesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./RWA4626Oracle.sol";
+import "./interfaces/IRWA4626Compliance.sol";
+import "./interfaces/IRWA4626DealingCalendar.sol";
+import "./interfaces/IRWA4626CapacityLimits.sol";
+import "./interfaces/IRWA4626RedemptionQueue.sol";
+import "./libraries/RWA4626Lockups.sol";
+import "./libraries/RWA4626RedemptionGate.sol";
+import "./libraries/RWA4626Timelock.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
 
 
@@ -18,25 +25,152 @@ import "@openzeppelin/contracts/utils/math/Math.sol";
  * @dev This contract implements the ERC4626 standard for tokenized vaults
  * It integrates with an oracle for price updates and includes fee mechanisms
  * Shares are calculated as assets/price to maintain a 1:1 ratio with the underlying asset
+ * The vault is initializable so it can serve as the implementation of ERC-1167 clones
+ * (see RWA4626Factory.createVault and createVaultDeterministic); direct deployments are initialized by the constructor
+ * When a compliance module is set, shares can only be minted and transferred to verified accounts
+ * and frozen accounts cannot move their shares, except through forcedTransfer
+ * Access is split in roles: fee managers set and collect fees, oracle admins swap the oracle,
+ * pausers pause and unpause, guardians can only pause. The default admin grants the roles,
+ * manages the remaining settings and is transferred in two steps (AccessControlDefaultAdminRules)
+ * Changes of the oracle, the fees, the minimum deposit, the compliance and capacity limits modules,
+ * the redemption queue, custodian approvals and the timelock delay itself are queued for `timelockDelay` before anyone can
+ * execute them, and can be cancelled by a guardian
+ * Once the oracle price is stale, deposits stop; whether conversions, previews and redemptions keep
+ * working at the last price depends on the stale price policy (see StalePricePolicy)
+ * Capital managers move assets to and from whitelisted custodians and report their valuations, which
+ * make up the assets held off-chain; deposits and redemptions check the oracle NAV against the assets
+ * tracked this way, and withdrawals are limited to the assets held by the vault.
+ * Redemptions beyond that liquidity go through the redemption queue (see RWA4626RedemptionQueue),
+ * whose obligations are reserved out of the liquidity left to direct withdrawals
+ * A redemption gate limits the shares redeemed per period to a share of the supply, the excess being
+ * deferred to later periods through the queue, and shares minted by deposits can be locked up for a period
+ * When a dealing calendar is set, deposits and redemptions are only accepted while the fund deals
+ * Capacity limits (see RWA4626CapacityLimits) cap deposits and are reflected in maxDeposit and maxMint
  */
-contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
+contract RWA4626Vault is
+    Initializable,
+    ERC4626Upgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    AccessControlDefaultAdminRulesUpgradeable
+{
     using SafeERC20 for IERC20;
     using Math for uint256;
 
-    /// @notice Oracle contract for price updates
-    RWA4626Oracle public oracle;
-    
-    /// @notice Minimum deposit amount required
-    uint256 public minDeposit;
-    
-    /// @notice Fee in basis points (1 = 0.01%)
-    uint256 public fee;
-    
-    /// @notice Total fees collected
+    /**
+     * @notice Behaviours of the vault once the oracle price is stale
+     */
+    enum StalePricePolicy {
+        Strict,     // conversions, previews and transactions revert
+        Grace,      // as ViewsOnly, but redemptions continue at the last price minus a haircut for a grace period
+        ViewsOnly   // conversions and previews use the last price, transactions revert
+    }
+
+    /// @notice Timelocked settings (oracle, fees, minimum deposit, modules, custodians) and their queued changes
+    RWA4626Timelock.Settings private _settings;
+
+    /// @notice Fees collected or accrued and not withdrawn yet, a liability excluded from totalAssets
     uint256 public totalFees;
 
+    /// @notice Address receiving the fees
+    address public feeRecipient;
+
+    /// @notice Highest share price (6 decimals) after a fee checkpoint, 0 until the first checkpoint
+    uint256 public highWaterMark;
+
+    /// @notice Timestamp of the last management and performance fee checkpoint
+    uint256 public lastFeeAccrual;
+
+    /// @notice Part of the oracle price left to the shares by the management and performance fees (18 decimals)
+    uint256 public feeFactor;
+
+    /// @notice Behaviour of the vault once the oracle price is stale
+    StalePricePolicy public stalePricePolicy;
+
+    /// @notice Time after the price became stale during which redemptions continue, under the Grace policy
+    uint256 public staleGracePeriod;
+
+    /// @notice Discount in basis points on the last price for redemptions during the grace period
+    uint256 public staleHaircut;
+
+    /// @notice Mapping from custodian to the assets it holds for the vault: capital deployed and not returned yet,
+    /// or its last reported valuation
+    mapping(address => uint256) public deployedCapital;
+
+    /// @notice Assets held by custodians, the sum of deployedCapital, included in totalAssets
+    uint256 public offchainAssets;
+
+    /// @notice Maximum gap in basis points between the oracle NAV and totalAssets for deposits and redemptions; 0 disables the check
+    uint256 public maxNavDeviation;
+
+    /// @notice Redemption gate and its current period
+    RWA4626RedemptionGate.Gate private _gate;
+
+    /// @notice Lock-up of the shares minted by deposits and mints, in seconds
+    uint256 public lockupPeriod;
+
+    /// @notice Lock-ups of the shares minted to each account, by increasing maturity
+    mapping(address => RWA4626Lockups.Lockups) private _lockups;
+
+    /// @notice Role allowed to pause and unpause the vault
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice Role allowed to set the fees and the fee recipient, and to send the collected fees
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice Role allowed to swap the price oracle
+    bytes32 public constant ORACLE_ADMIN_ROLE = keccak256("ORACLE_ADMIN_ROLE");
+
+    /// @notice Role allowed to pause the vault in an emergency, but not to unpause it
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    /// @notice Role allowed to deploy capital to custodians and return it
+    bytes32 public constant CAPITAL_MANAGER_ROLE = keccak256("CAPITAL_MANAGER_ROLE");
+
+    /// @notice Role of the redemption queue, allowed to redeem the shares it escrows at their queued price
+    bytes32 public constant REDEMPTION_QUEUE_ROLE = keccak256("REDEMPTION_QUEUE_ROLE");
+
+    /// @notice Role allowed to set the capacity limits (see RWA4626CapacityLimits)
+    bytes32 public constant LIMITS_MANAGER_ROLE = keccak256("LIMITS_MANAGER_ROLE");
+
     /// @notice Constant for price decimals (6 decimals)
     uint256 private constant PRICE_DECIMALS = 1e6;
+
+    /// @notice Constant for basis points (100%)
+    uint256 private constant BPS = 10000;
+
+    /// @notice Precision of feeFactor (18 decimals)
+    uint256 private constant FEE_FACTOR_PRECISION = 1e18;
+
+    /// @notice Maximum entry or exit fee in basis points (10%)
+    uint256 private constant MAX_FEE = 1000;
+
+    /// @notice Maximum annual management fee in basis points (5%)
+    uint256 private constant MAX_MANAGEMENT_FEE = 500;
+
+    /// @notice Maximum performance fee in basis points (30%)
+    uint256 private constant MAX_PERFORMANCE_FEE = 3000;
+
+    /// @notice Length of a year for the management fee accrual
+    uint256 private constant SECONDS_PER_YEAR = 365 days;
+
+    /// @notice Timelock delay of new vaults
+    uint256 private constant DEFAULT_TIMELOCK_DELAY = 2 days;
+
+    /// @notice Minimum timelock delay
+    uint256 private constant MIN_TIMELOCK_DELAY = 1 hours;
+
+    /// @notice Maximum timelock delay
+    uint256 private constant MAX_TIMELOCK_DELAY = 30 days;
+
+    /// @notice Maximum grace period for redemptions at a stale price
+    uint256 private constant MAX_STALE_GRACE_PERIOD = 30 days;
+
+    /// @notice Maximum haircut on redemptions at a stale price in basis points (20%)
+    uint256 private constant MAX_STALE_HAIRCUT = 2000;
+
+    /// @notice Maximum lock-up period
+    uint256 private constant MAX_LOCKUP_PERIOD = 365 days;
     
     /**
      * @notice Emitted when the oracle address is updated
@@ -59,12 +193,175 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
      */
     event FeeUpdated(uint256 oldFee, uint256 newFee);
 
+    /**
+     * @notice Emitted when the exit fee is updated
+     * @param oldFee The previous exit fee
+     * @param newFee The new exit fee
+     */
+    event ExitFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    /**
+     * @notice Emitted when the fee recipient is updated
+     * @param oldRecipient The previous fee recipient
+     * @param newRecipient The new fee recipient
+     */
+    event FeeRecipientUpdated(address indexed oldRecipient, address indexed newRecipient);
+
     /**
      * @notice Emitted when fees are withdrawn
-     * @param admin The address that withdrew the fees
+     * @param recipient The fee recipient the fees were sent to
      * @param amount The amount of fees withdrawn
      */
-    event FeesWithdrawn(address indexed admin, uint256 amount);
+    event FeesWithdrawn(address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Emitted when the management fee is updated
+     * @param oldFee The previous annual management fee
+     * @param newFee The new annual management fee
+     */
+    event ManagementFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    /**
+     * @notice Emitted when the performance fee is updated
+     * @param oldFee The previous performance fee
+     * @param newFee The new performance fee
+     */
+    event PerformanceFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    /**
+     * @notice Emitted at each fee checkpoint that charges fees
+     * @param managementFees The assets charged for the management fee
+     * @param performanceFees The assets charged for the performance fee
+     * @param price The share price after the fees
+     */
+    event FeesAccrued(uint256 managementFees, uint256 performanceFees, uint256 price);
+
+    /**
+     * @notice Emitted when the compliance module is updated
+     * @param oldCompliance The previous compliance module
+     * @param newCompliance The new compliance module
+     */
+    event ComplianceUpdated(address indexed oldCompliance, address indexed newCompliance);
+
+    /**
+     * @notice Emitted when shares are moved by the default admin or a compliance officer
+     * @param from The address the shares are taken from
+     * @param to The address receiving the shares
+     * @param amount The amount of shares
+     * @param officer The address that forced the transfer
+     */
+    event ForcedTransfer(address indexed from, address indexed to, uint256 amount, address indexed officer);
+
+    /**
+     * @notice Emitted when the timelock delay is updated
+     * @param oldDelay The previous delay
+     * @param newDelay The new delay
+     */
+    event TimelockDelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    /**
+     * @notice Emitted when a parameter change is queued
+     * @param changeType The parameter being changed
+     * @param value The new value
+     * @param eta Timestamp from which the change can be executed
+     */
+    event ChangeQueued(RWA4626Timelock.ChangeType indexed changeType, uint256 value, uint256 eta);
+
+    /**
+     * @notice Emitted when a queued parameter change is executed
+     * @param changeType The parameter changed
+     * @param value The new value
+     */
+    event ChangeExecuted(RWA4626Timelock.ChangeType indexed changeType, uint256 value);
+
+    /**
+     * @notice Emitted when a queued parameter change is cancelled
+     * @param changeType The parameter that was being changed
+     * @param value The discarded value
+     */
+    event ChangeCancelled(RWA4626Timelock.ChangeType indexed changeType, uint256 value);
+
+    /**
+     * @notice Emitted when the stale price policy is updated
+     * @param policy The new policy
+     * @param gracePeriod The grace period for redemptions, 0 unless the policy is Grace
+     * @param haircut The haircut on redemptions in basis points, 0 unless the policy is Grace
+     */
+    event StalePricePolicyUpdated(StalePricePolicy policy, uint256 gracePeriod, uint256 haircut);
+
+    /**
+     * @notice Event emitted when a custodian is added or removed
+     * @param custodian The address of the custodian
+     * @param approved Whether capital can be deployed to the custodian
+     */
+    event CustodianUpdated(address indexed custodian, bool approved);
+
+    /**
+     * @notice Event emitted when assets are sent to a custodian
+     * @param custodian The address of the custodian
+     * @param amount The amount of assets
+     * @param offchainAssets The assets held off-chain afterwards
+     */
+    event CapitalDeployed(address indexed custodian, uint256 amount, uint256 offchainAssets);
+
+    /**
+     * @notice Event emitted when assets are returned by a custodian
+     * @param custodian The address of the custodian
+     * @param amount The amount of assets
+     * @param offchainAssets The assets held off-chain afterwards
+     */
+    event CapitalReturned(address indexed custodian, uint256 amount, uint256 offchainAssets);
+
+    /**
+     * @notice Event emitted when the valuation of the assets held by a custodian is reported
+     * @param custodian The address of the custodian
+     * @param oldValue The previous assets of the custodian
+     * @param newValue The reported assets of the custodian
+     * @param offchainAssets The assets held off-chain afterwards
+     */
+    event CustodianValuationReported(address indexed custodian, uint256 oldValue, uint256 newValue, uint256 offchainAssets);
+
+    /**
+     * @notice Event emitted when the maximum NAV deviation is updated
+     * @param oldDeviation The previous maximum deviation in basis points
+     * @param newDeviation The new maximum deviation in basis points
+     */
+    event MaxNavDeviationUpdated(uint256 oldDeviation, uint256 newDeviation);
+
+    /**
+     * @notice Event emitted when the redemption gate is updated
+     * @param gate The maximum shares redeemed per period in basis points of the supply, 0 when disabled
+     * @param period The length of the gate periods in seconds
+     */
+    event RedemptionGateUpdated(uint256 gate, uint256 period);
+
+    /**
+     * @notice Event emitted when the lock-up period is updated
+     * @param oldPeriod The old lock-up period
+     * @param newPeriod The new lock-up period
+     */
+    event LockupPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
+
+    /**
+     * @notice Emitted when the dealing calendar is updated
+     * @param oldCalendar The previous dealing calendar
+     * @param newCalendar The new dealing calendar
+     */
+    event CalendarUpdated(address indexed oldCalendar, address indexed newCalendar);
+
+    /**
+     * @notice Emitted when the capacity limits module is updated
+     * @param oldLimits The previous capacity limits module
+     * @param newLimits The new capacity limits module
+     */
+    event CapacityLimitsUpdated(address indexed oldLimits, address indexed newLimits);
+
+    /**
+     * @notice Emitted when the redemption queue is updated
+     * @param oldQueue The previous redemption queue
+     * @param newQueue The new redemption queue
+     */
+    event RedemptionQueueUpdated(address indexed oldQueue, address indexed newQueue);
     
     /// @notice Error thrown when trying to set an invalid oracle address
     error InvalidOracle();
@@ -72,6 +369,8 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
     error InvalidMinDeposit();
     /// @notice Error thrown when trying to set an invalid fee
     error InvalidFee();
+    /// @notice Error thrown when trying to set an invalid fee recipient
+    error InvalidFeeRecipient();
     /// @notice Error thrown when deposit amount is below minimum
     error DepositTooSmall();
     /// @notice Error thrown when oracle is not active
@@ -80,9 +379,42 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
     error PriceUpdateRequired();
     /// @notice Error thrown when price is invalid
     error InvalidPrice();
+    /// @notice Error thrown when an account not verified by the compliance module would receive or send shares
+    error AccountNotVerified(address account);
+    /// @notice Error thrown when a frozen account would receive or send shares
+    error AccountFrozen(address account);
+    /// @notice Error thrown when a change of the same parameter is already queued
+    error ChangeAlreadyPending();
+    /// @notice Error thrown when no change of the parameter is queued
+    error NoPendingChange();
+    /// @notice Error thrown when executing a change before its delay has passed
+    error ChangeNotReady(uint256 eta);
+    /// @notice Error thrown when the timelock delay is out of bounds
+    error InvalidTimelockDelay();
+    /// @notice Error thrown when trying to set an invalid stale price policy
+    error InvalidStalePricePolicy();
+    /// @notice Error thrown when moving capital to or from an address that is not a custodian
+    error InvalidCustodian(address custodian);
+    /// @notice Error thrown when deploying more assets than the vault holds
+    error InsufficientLiquidity();
+    /// @notice Error thrown when trying to set an invalid redemption gate
+    error InvalidRedemptionGate();
+    /// @notice Error thrown when trying to set a lock-up period above the maximum
+    error InvalidLockupPeriod();
+    /// @notice Error thrown when a redemption exceeds the capacity left in the gate period
+    error RedemptionGateExceeded();
+    /// @notice Error thrown when moving or redeeming shares still locked up
+    error SharesLocked(address account);
+    /// @notice Error thrown when depositing or redeeming while the dealing calendar is closed
+    error DealingClosed();
+    /// @notice Error thrown when trying to set a maximum NAV deviation above 100%
+    error InvalidNavDeviation();
+    /// @notice Error thrown when the oracle NAV is further from totalAssets than maxNavDeviation allows
+    error NavMismatch(uint256 nav, uint256 totalAssets);
 
     /**
      * @notice Constructor initializes the vault with required parameters
+     * @dev Deploying with a zero asset creates a clone implementation, which cannot be initialized
      * @param _asset The underlying asset token
      * @param _name The name of the vault token
      * @param _symbol The symbol of the vault token
@@ -97,76 +429,460 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
         address _oracle,
         uint256 _minDeposit,
         uint256 _fee
-    ) ERC4626(_asset) ERC20(_name, _symbol) Ownable(msg.sender) {
+    ) {
+        if (address(_asset) == address(0)) {
+            _disableInitializers();
+        } else {
+            initialize(_asset, _name, _symbol, _oracle, _minDeposit, _fee, msg.sender);
+        }
+    }
+
+    /**
+     * @notice Initializes a clone of the vault
+     * @dev Called once, in the clone deployment transaction
+     * @param _asset The underlying asset token
+     * @param _name The name of the vault token
+     * @param _symbol The symbol of the vault token
+     * @param _oracle The address of the price oracle
+     * @param _minDeposit The minimum deposit amount
+     * @param _fee The fee in basis points
+     * @param _owner The default admin of the vault, also granted every role
+     */
+    function initialize(
+        IERC20 _asset,
+        string memory _name,
+        string memory _symbol,
+        address _oracle,
+        uint256 _minDeposit,
+        uint256 _fee,
+        address _owner
+    ) public initializer {
+        __ERC20_init(_name, _symbol);
+        __ERC4626_init(_asset);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+        __AccessControlDefaultAdminRules_init(0, _owner);
+        _grantRole(PAUSER_ROLE, _owner);
+        _grantRole(FEE_MANAGER_ROLE, _owner);
+        _grantRole(ORACLE_ADMIN_ROLE, _owner);
+        _grantRole(GUARDIAN_ROLE, _owner);
+        _grantRole(CAPITAL_MANAGER_ROLE, _owner);
+        _grantRole(LIMITS_MANAGER_ROLE, _owner);
+
         if (_oracle == address(0)) revert InvalidOracle();
         if (_minDeposit == 0) revert InvalidMinDeposit();
-        if (_fee > 1000) revert InvalidFee(); // Max 10% fee
+        if (_fee > MAX_FEE) revert InvalidFee();
         
-        oracle = RWA4626Oracle(_oracle);
-        minDeposit = _minDeposit;
-        fee = _fee;
+        _settings.oracle = RWA4626Oracle(_oracle);
+        _settings.minDeposit = _minDeposit;
+        _settings.fee = _fee;
+        feeRecipient = _owner;
+        lastFeeAccrual = block.timestamp;
+        feeFactor = FEE_FACTOR_PRECISION;
+        _settings.timelockDelay = DEFAULT_TIMELOCK_DELAY;
     }
 
     /**
-     * @notice Sets the oracle address
-     * @dev Only callable by the owner
+     * @notice Queues a change of the oracle address
+     * @dev Only callable by an oracle admin. Takes effect with executeChange after the timelock delay
      * @param _oracle The new oracle address
      */
-    function setOracle(address _oracle) external onlyOwner {
+    function setOracle(address _oracle) external onlyRole(ORACLE_ADMIN_ROLE) {
         if (_oracle == address(0)) revert InvalidOracle();
-        address oldOracle = address(oracle);
-        oracle = RWA4626Oracle(_oracle);
-        emit OracleUpdated(oldOracle, _oracle);
+        _queueChange(RWA4626Timelock.ChangeType.Oracle, uint256(uint160(_oracle)));
     }
 
     /**
-     * @notice Sets the minimum deposit amount
-     * @dev Only callable by the owner
+     * @notice Queues a change of the minimum deposit amount
+     * @dev Only callable by the default admin. Takes effect with executeChange after the timelock delay
      * @param _minDeposit The new minimum deposit amount
      */
-    function setMinDeposit(uint256 _minDeposit) external onlyOwner {
+    function setMinDeposit(uint256 _minDeposit) external onlyRole(DEFAULT_ADMIN_ROLE) {
         if (_minDeposit == 0) revert InvalidMinDeposit();
-        uint256 oldMinDeposit = minDeposit;
-        minDeposit = _minDeposit;
-        emit MinDepositUpdated(oldMinDeposit, _minDeposit);
+        _queueChange(RWA4626Timelock.ChangeType.MinDeposit, _minDeposit);
     }
 
     /**
-     * @notice Sets the fee
-     * @dev Only callable by the owner
+     * @notice Queues a change of the entry fee
+     * @dev Only callable by a fee manager. Takes effect with executeChange after the timelock delay
      * @param _fee The new fee in basis points
      */
-    function setFee(uint256 _fee) external onlyOwner {
-        if (_fee > 1000) revert InvalidFee(); // Max 10% fee
-        uint256 oldFee = fee;
-        fee = _fee;
-        emit FeeUpdated(oldFee, _fee);
+    function setFee(uint256 _fee) external onlyRole(FEE_MANAGER_ROLE) {
+        if (_fee > MAX_FEE) revert InvalidFee();
+        _queueChange(RWA4626Timelock.ChangeType.Fee, _fee);
     }
 
     /**
-     * @notice Withdraws collected fees
-     * @dev Only callable by the owner
+     * @notice Queues a change of the timelock delay
+     * @dev Only callable by the default admin. Takes effect with executeChange after the current delay
+     * @param _timelockDelay The new delay in seconds
      */
-    function withdrawFees() external onlyOwner {
-        uint256 amount = totalFees;
-        totalFees = 0;
-        IERC20(asset()).safeTransfer(owner(), amount);
-        emit FeesWithdrawn(owner(), amount);
+    function setTimelockDelay(uint256 _timelockDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_timelockDelay < MIN_TIMELOCK_DELAY || _timelockDelay > MAX_TIMELOCK_DELAY) {
+            revert InvalidTimelockDelay();
+        }
+        _queueChange(RWA4626Timelock.ChangeType.TimelockDelay, _timelockDelay);
+    }
+
+    /**
+     * @notice Applies a queued change once its delay has passed
+     * @dev Callable by anyone. Management and performance fee changes charge the fees accrued so
+     * far first, which needs a fresh price
+     * @param changeType The parameter to change
+     */
+    function executeChange(RWA4626Timelock.ChangeType changeType) external {
+        uint256 value = RWA4626Timelock.take(_settings, changeType);
+        if (
+            changeType == RWA4626Timelock.ChangeType.ManagementFee ||
+            changeType == RWA4626Timelock.ChangeType.PerformanceFee
+        ) {
+            // Fees accrued so far are charged at the previous rate first
+            _accrueFees();
+        }
+        RWA4626Timelock.execute(_settings, changeType, value);
+    }
+
+    /**
+     * @notice Discards a queued change
+     * @dev Only callable by a guardian
+     * @param changeType The parameter whose change is discarded
+     */
+    function cancelChange(RWA4626Timelock.ChangeType changeType) external onlyRole(GUARDIAN_ROLE) {
+        RWA4626Timelock.cancel(_settings, changeType);
+    }
+
+    /**
+     * @notice Gets the queued change of a parameter
+     * @param changeType The parameter
+     * @return The queued change, with a zero eta when nothing is queued
+     */
+    function getPendingChange(
+        RWA4626Timelock.ChangeType changeType
+    ) external view returns (RWA4626Timelock.PendingChange memory) {
+        return _settings.pending[changeType];
+    }
+
+    /**
+     * @notice Gets all queued changes
+     * @return changes The queued changes, in ChangeType order
+     */
+    function pendingChanges() external view returns (RWA4626Timelock.PendingChange[] memory) {
+        return RWA4626Timelock.pendingChanges(_settings);
+    }
+
+    /**
+     * @notice Sets the behaviour of the vault once the oracle price is stale
+     * @dev Only callable by an oracle admin. The grace period and haircut only apply to the Grace
+     * policy and must be 0 for the others
+     * @param policy The new policy
+     * @param gracePeriod Time after the price became stale during which redemptions continue
+     * @param haircut Discount in basis points on the last price for redemptions during the grace period
+     */
+    function setStalePricePolicy(
+        StalePricePolicy policy,
+        uint256 gracePeriod,
+        uint256 haircut
+    ) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (policy == StalePricePolicy.Grace) {
+            if (gracePeriod == 0 || gracePeriod > MAX_STALE_GRACE_PERIOD || haircut > MAX_STALE_HAIRCUT) {
+                revert InvalidStalePricePolicy();
+            }
+        } else if (gracePeriod != 0 || haircut != 0) {
+            revert InvalidStalePricePolicy();
+        }
+        stalePricePolicy = policy;
+        staleGracePeriod = gracePeriod;
+        staleHaircut = haircut;
+        emit StalePricePolicyUpdated(policy, gracePeriod, haircut);
+    }
+
+    /**
+     * @notice Queues a change of the exit fee
+     * @dev Only callable by a fee manager. Takes effect with executeChange after the timelock delay
+     * @param _exitFee The new exit fee in basis points
+     */
+    function setExitFee(uint256 _exitFee) external onlyRole(FEE_MANAGER_ROLE) {
+        if (_exitFee > MAX_FEE) revert InvalidFee();
+        _queueChange(RWA4626Timelock.ChangeType.ExitFee, _exitFee);
+    }
+
+    /**
+     * @notice Queues a change of the annual management fee
+     * @dev Only callable by a fee manager. Takes effect with executeChange after the timelock delay,
+     * fees accrued until then being charged at the previous rate
+     * @param _managementFee The new annual management fee in basis points
+     */
+    function setManagementFee(uint256 _managementFee) external onlyRole(FEE_MANAGER_ROLE) {
+        if (_managementFee > MAX_MANAGEMENT_FEE) revert InvalidFee();
+        _queueChange(RWA4626Timelock.ChangeType.ManagementFee, _managementFee);
+    }
+
+    /**
+     * @notice Queues a change of the performance fee
+     * @dev Only callable by a fee manager. Takes effect with executeChange after the timelock delay,
+     * fees accrued until then being charged at the previous rate
+     * @param _performanceFee The new performance fee in basis points
+     */
+    function setPerformanceFee(uint256 _performanceFee) external onlyRole(FEE_MANAGER_ROLE) {
+        if (_performanceFee > MAX_PERFORMANCE_FEE) revert InvalidFee();
+        _queueChange(RWA4626Timelock.ChangeType.PerformanceFee, _performanceFee);
+    }
+
+    /**
+     * @notice Charges the management and performance fees accrued since the last checkpoint
+     * @dev Callable by anyone; also done before every deposit, mint, withdrawal and redemption
+     */
+    function accrueFees() external nonReentrant {
+        _accrueFees();
+    }
+
+    /**
+     * @notice Sets the address receiving the collected fees
+     * @dev Only callable by a fee manager. Fees not withdrawn yet go to the new recipient
+     * @param _feeRecipient The new fee recipient
+     */
+    function setFeeRecipient(address _feeRecipient) external onlyRole(FEE_MANAGER_ROLE) {
+        if (_feeRecipient == address(0)) revert InvalidFeeRecipient();
+        address oldRecipient = feeRecipient;
+        feeRecipient = _feeRecipient;
+        emit FeeRecipientUpdated(oldRecipient, _feeRecipient);
+    }
+
+    /**
+     * @notice Sends the fees to the fee recipient
+     * @dev Only callable by a fee manager. Fees accrued on capital held by custodians are paid
+     * once it is returned to the vault
+     */
+    function withdrawFees() external onlyRole(FEE_MANAGER_ROLE) {
+        uint256 amount = Math.min(totalFees, IERC20(asset()).balanceOf(address(this)));
+        totalFees -= amount;
+        IERC20(asset()).safeTransfer(feeRecipient, amount);
+        emit FeesWithdrawn(feeRecipient, amount);
+    }
+
+    /**
+     * @notice Queues a change of the compliance module
+     * @dev Only callable by the default admin. Takes effect with executeChange after the timelock delay.
+     * The zero address lifts the transfer restrictions
+     * @param _compliance The new compliance module
+     */
+    function setCompliance(address _compliance) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _queueChange(RWA4626Timelock.ChangeType.Compliance, uint256(uint160(_compliance)));
+    }
+
+    /**
+     * @notice Queues a change of the dealing calendar
+     * @dev Only callable by the default admin. Takes effect with executeChange after the timelock delay,
+     * so holders can redeem before a calendar closing the fund applies. The zero address lets the vault
+     * deal at any time
+     * @param _calendar The new dealing calendar
+     */
+    function setCalendar(address _calendar) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _queueChange(RWA4626Timelock.ChangeType.Calendar, uint256(uint160(_calendar)));
+    }
+
+    /**
+     * @notice Queues a change of the capacity limits module
+     * @dev Only callable by the default admin. Takes effect with executeChange after the timelock delay.
+     * The zero address lifts the capacity limits
+     * @param _capacityLimits The new capacity limits module
+     */
+    function setCapacityLimits(address _capacityLimits) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _queueChange(RWA4626Timelock.ChangeType.CapacityLimits, uint256(uint160(_capacityLimits)));
+    }
+
+    /**
+     * @notice Queues a change of the redemption queue whose obligations are reserved out of availableLiquidity
+     * @dev Only callable by the default admin. Takes effect with executeChange after the timelock delay.
+     * The queue also needs the REDEMPTION_QUEUE_ROLE to redeem
+     * @param _redemptionQueue The new redemption queue, or the zero address to reserve nothing
+     */
+    function setRedemptionQueue(address _redemptionQueue) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _queueChange(RWA4626Timelock.ChangeType.RedemptionQueue, uint256(uint160(_redemptionQueue)));
+    }
+
+    /**
+     * @notice Moves shares regardless of the frozen status of the holder, e.g. following a court order
+     * @dev Only callable by the default admin or a compliance officer of the compliance module.
+     * The receiver must still be verified and not frozen. Shares beyond the unlocked balance of the
+     * holder are taken from its running lock-ups, which move to the receiver
+     * @param from The address the shares are taken from
+     * @param to The address receiving the shares
+     * @param amount The amount of shares
+     */
+    function forcedTransfer(address from, address to, uint256 amount) external {
+        if (
+            !hasRole(DEFAULT_ADMIN_ROLE, msg.sender) &&
+            (address(_settings.compliance) == address(0) || !_settings.compliance.isComplianceOfficer(msg.sender))
+        ) {
+            revert AccessControlUnauthorizedAccount(msg.sender, DEFAULT_ADMIN_ROLE);
+        }
+        if (from == address(0)) revert ERC20InvalidSender(address(0));
+        if (to == address(0)) revert ERC20InvalidReceiver(address(0));
+        _checkAccount(to, true);
+        uint256 balance = balanceOf(from);
+        if (amount > balance) revert ERC20InsufficientBalance(from, balance, amount);
+        uint256 unlocked = balance - lockedShares(from);
+        if (amount > unlocked) RWA4626Lockups.move(_lockups[from], _lockups[to], amount - unlocked);
+        // Skip the compliance checks of _update, which would refuse a frozen sender
+        ERC20Upgradeable._update(from, to, amount);
+        emit ForcedTransfer(from, to, amount, msg.sender);
+    }
+
+    /**
+     * @notice Queues the approval of a custodian capital can be deployed to, or removes a custodian
+     * @dev Only callable by the default admin. Approvals take effect with executeChange after the
+     * timelock delay; removals, which only stop deployments, take effect immediately. Capital can
+     * still be returned by a removed custodian
+     * @param custodian The address of the custodian
+     * @param approved Whether capital can be deployed to the custodian
+     */
+    function setCustodian(address custodian, bool approved) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (custodian == address(0)) revert InvalidCustodian(custodian);
+        if (approved) {
+            _queueChange(RWA4626Timelock.ChangeType.Custodian, uint256(uint160(custodian)));
+        } else {
+            _settings.isCustodian[custodian] = false;
+            emit CustodianUpdated(custodian, false);
+        }
+    }
+
+    /**
+     * @notice Sends assets held by the vault to a custodian, e.g. to buy T-bills
+     * @dev Only callable by a capital manager. The assets move from the vault balance to the capital of
+     * the custodian and offchainAssets, leaving totalAssets unchanged
+     * @param custodian The address of the custodian
+     * @param amount The amount of assets
+     */
+    function deployCapital(address custodian, uint256 amount)
+        external
+        nonReentrant
+        whenNotPaused
+        onlyRole(CAPITAL_MANAGER_ROLE)
+    {
+        if (!_settings.isCustodian[custodian]) revert InvalidCustodian(custodian);
+        if (amount > availableLiquidity()) revert InsufficientLiquidity();
+
+        deployedCapital[custodian] += amount;
+        offchainAssets += amount;
+        IERC20(asset()).safeTransfer(custodian, amount);
+        emit CapitalDeployed(custodian, amount, offchainAssets);
+    }
+
+    /**
+     * @notice Takes assets back from a custodian, which must have approved the vault
+     * @dev Only callable by a capital manager. The assets move from the capital of the custodian and
+     * offchainAssets to the vault balance; assets returned above the capital of the custodian (gains
+     * not reported yet) leave it at zero
+     * @param custodian The address of the custodian
+     * @param amount The amount of assets
+     */
+    function returnCapital(address custodian, uint256 amount) external nonReentrant onlyRole(CAPITAL_MANAGER_ROLE) {
+        if (deployedCapital[custodian] == 0 && !_settings.isCustodian[custodian]) revert InvalidCustodian(custodian);
+
+        uint256 held = Math.min(amount, deployedCapital[custodian]);
+        deployedCapital[custodian] -= held;
+        offchainAssets -= held;
+        IERC20(asset()).safeTransferFrom(custodian, address(this), amount);
+        emit CapitalReturned(custodian, amount, offchainAssets);
+    }
+
+    /**
+     * @notice Redeems shares escrowed by the redemption queue at the price they were queued at
+     * @dev Only callable by the redemption queue (see RWA4626RedemptionQueue). The exit fee is charged
+     * as for redeem; the stale price haircut is not, the price being set by the queue. Only while the fund deals
+     * @param shares The amount of shares, held by the caller
+     * @param price The price of the redemption (6 decimals)
+     * @return assets The amount of assets sent to the caller, net of the exit fee
+     */
+    function redeemQueued(uint256 shares, uint256 price)
+        external
+        nonReentrant
+        whenNotPaused
+        onlyRole(REDEMPTION_QUEUE_ROLE)
+        returns (uint256 assets)
+    {
+        _checkDealing();
+        uint256 gross = shares.mulDiv(price, PRICE_DECIMALS);
+        // The liquidity reserved for the queue is available to it
+        if (gross > _unreservedLiquidity()) revert InsufficientLiquidity();
+        assets = gross - _feeOnGross(gross, _settings.exitFee);
+        _withdraw(msg.sender, msg.sender, msg.sender, assets, shares);
+    }
+
+    /**
+     * @notice Sets the redemption gate
+     * @dev Only callable by the default admin. Starts a new gate period at the next redemption
+     * @param gate The maximum shares redeemed per period in basis points of the supply, 0 to disable the gate
+     * @param period The length of the gate periods in seconds
+     */
+    function setRedemptionGate(uint256 gate, uint256 period) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        RWA4626RedemptionGate.set(_gate, gate, period);
+        emit RedemptionGateUpdated(gate, period);
+    }
+
+    /**
+     * @notice Sets the lock-up of the shares minted by deposits and mints from now on
+     * @dev Only callable by the default admin. Shares minted earlier keep their maturity
+     * @param _lockupPeriod The new lock-up period in seconds, 0 to disable lock-ups
+     */
+    function setLockupPeriod(uint256 _lockupPeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_lockupPeriod > MAX_LOCKUP_PERIOD) revert InvalidLockupPeriod();
+        uint256 oldPeriod = lockupPeriod;
+        lockupPeriod = _lockupPeriod;
+        emit LockupPeriodUpdated(oldPeriod, _lockupPeriod);
+    }
+
+    /**
+     * @notice Records the valuation of the assets held by a custodian, e.g. from its statement
+     * @dev Only callable by a capital manager, for an approved custodian or one still holding assets
+     * @param custodian The address of the custodian
+     * @param value The value of the assets the custodian holds for the vault
+     */
+    function reportCustodianValuation(address custodian, uint256 value) external onlyRole(CAPITAL_MANAGER_ROLE) {
+        uint256 oldValue = deployedCapital[custodian];
+        if (oldValue == 0 && !_settings.isCustodian[custodian]) revert InvalidCustodian(custodian);
+        deployedCapital[custodian] = value;
+        offchainAssets = offchainAssets - oldValue + value;
+        emit CustodianValuationReported(custodian, oldValue, value, offchainAssets);
+    }
+
+    /**
+     * @notice Sets the maximum gap between the oracle NAV and totalAssets for deposits and redemptions
+     * @dev Only callable by an oracle admin
+     * @param _maxNavDeviation The maximum deviation in basis points of totalAssets, 0 to disable the check
+     */
+    function setMaxNavDeviation(uint256 _maxNavDeviation) external onlyRole(ORACLE_ADMIN_ROLE) {
+        if (_maxNavDeviation > BPS) revert InvalidNavDeviation();
+        uint256 oldDeviation = maxNavDeviation;
+        maxNavDeviation = _maxNavDeviation;
+        emit MaxNavDeviationUpdated(oldDeviation, _maxNavDeviation);
+    }
+
+    /**
+     * @notice Gets the oracle NAV of the vault
+     * @return The value of all shares at the oracle price net of the fees
+     */
+    function oracleNav() public view returns (uint256) {
+        return totalSupply().mulDiv(sharePrice(), PRICE_DECIMALS);
     }
 
     /**
      * @notice Pauses the vault
-     * @dev Only callable by the owner
+     * @dev Only callable by a pauser or a guardian
      */
-    function pause() external onlyOwner {
+    function pause() external {
+        if (!hasRole(PAUSER_ROLE, msg.sender) && !hasRole(GUARDIAN_ROLE, msg.sender)) {
+            revert AccessControlUnauthorizedAccount(msg.sender, PAUSER_ROLE);
+        }
         _pause();
     }
 
     /**
      * @notice Unpauses the vault
-     * @dev Only callable by the owner
+     * @dev Only callable by a pauser
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
@@ -175,8 +891,40 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
      * @return The current price in USD (6 decimals)
      */
     function getCurrentPrice() public view returns (uint256) {
-        if (!oracle.isAssetActive(address(this))) revert OracleNotActive();
-        return oracle.getPrice(address(this));
+        if (!_isOracleActive()) revert OracleNotActive();
+        return _settings.oracle.getPrice(address(this));
+    }
+
+    /**
+     * @notice Gets the share price: the oracle price net of the management and performance fees charged so far
+     * @dev The oracle price is the NAV before those fees, so price consumers (the redemption queue, the
+     * capacity limits, RWA4626ChainlinkAdapter) apply feeFactor as well
+     * @return The price in USD (6 decimals)
+     */
+    function sharePrice() public view returns (uint256) {
+        return getCurrentPrice().mulDiv(feeFactor, FEE_FACTOR_PRECISION);
+    }
+
+    /**
+     * @notice Gets the management and performance fees accrued since the last checkpoint
+     * @return managementFees The assets the next checkpoint charges for the management fee
+     * @return performanceFees The assets the next checkpoint charges for the performance fee
+     */
+    function accruedFees() public view returns (uint256 managementFees, uint256 performanceFees) {
+        uint256 supply = totalSupply();
+        if (supply == 0) return (0, 0);
+
+        // Pro-rata share of the annual fee on the assets under management
+        uint256 price = sharePrice();
+        managementFees = supply.mulDiv(price, PRICE_DECIMALS).mulDiv(
+            _settings.managementFee * (block.timestamp - lastFeeAccrual),
+            BPS * SECONDS_PER_YEAR
+        );
+
+        // Share of the gains above the high-water mark
+        if (highWaterMark != 0 && price > highWaterMark) {
+            performanceFees = supply.mulDiv((price - highWaterMark) * _settings.performanceFee, PRICE_DECIMALS * BPS);
+        }
     }
 
     /**
@@ -184,10 +932,148 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
      * @return Whether a price update is required
      */
     function isPriceUpdateRequired() public view returns (bool) {
-        if (!oracle.isAssetActive(address(this))) revert OracleNotActive();
-        uint256 lastUpdate = oracle.getLastUpdateTime(address(this));
-        uint256 interval = oracle.getUpdateInterval(address(this));
-        return block.timestamp >= lastUpdate + interval;
+        if (!_isOracleActive()) revert OracleNotActive();
+        return block.timestamp >= _staleSince();
+    }
+
+    /**
+     * @notice Checks if redemptions continue at the stale price
+     * @return Whether the price is stale, the policy is Grace and the grace period has not elapsed
+     */
+    function isInGracePeriod() public view returns (bool) {
+        if (stalePricePolicy != StalePricePolicy.Grace || !isPriceUpdateRequired()) return false;
+        return block.timestamp < _staleSince() + staleGracePeriod;
+    }
+
+    /**
+     * @notice Gets the oracle contract for price updates
+     * @return The oracle
+     */
+    function oracle() public view returns (RWA4626Oracle) {
+        return _settings.oracle;
+    }
+
+    /**
+     * @notice Gets the minimum deposit amount required
+     * @return The minimum deposit
+     */
+    function minDeposit() external view returns (uint256) {
+        return _settings.minDeposit;
+    }
+
+    /**
+     * @notice Gets the entry fee, charged on deposits and mints
+     * @return The fee in basis points (1 = 0.01%)
+     */
+    function fee() external view returns (uint256) {
+        return _settings.fee;
+    }
+
+    /**
+     * @notice Gets the exit fee, charged on withdrawals and redemptions
+     * @return The fee in basis points (1 = 0.01%)
+     */
+    function exitFee() external view returns (uint256) {
+        return _settings.exitFee;
+    }
+
+    /**
+     * @notice Gets the annual management fee
+     * @return The fee in basis points of the assets under management
+     */
+    function managementFee() external view returns (uint256) {
+        return _settings.managementFee;
+    }
+
+    /**
+     * @notice Gets the performance fee
+     * @return The fee in basis points of the price gains above the high-water mark
+     */
+    function performanceFee() external view returns (uint256) {
+        return _settings.performanceFee;
+    }
+
+    /**
+     * @notice Gets the compliance module restricting who may hold shares
+     * @return The module, zero for unrestricted shares
+     */
+    function compliance() external view returns (IRWA4626Compliance) {
+        return _settings.compliance;
+    }
+
+    /**
+     * @notice Gets the delay between queuing a timelocked change and executing it
+     * @return The delay in seconds
+     */
+    function timelockDelay() external view returns (uint256) {
+        return _settings.timelockDelay;
+    }
+
+    /**
+     * @notice Checks if capital can be deployed to an address
+     * @param custodian The address
+     * @return True if the custodian is approved
+     */
+    function isCustodian(address custodian) external view returns (bool) {
+        return _settings.isCustodian[custodian];
+    }
+
+    /**
+     * @notice Gets the capacity limits consulted before deposits and mints
+     * @return The module, none when zero
+     */
+    function capacityLimits() external view returns (IRWA4626CapacityLimits) {
+        return _settings.capacityLimits;
+    }
+
+    /**
+     * @notice Gets the redemption queue whose obligations are reserved out of availableLiquidity
+     * @return The queue, none when zero
+     */
+    function redemptionQueue() external view returns (IRWA4626RedemptionQueue) {
+        return _settings.redemptionQueue;
+    }
+
+    /**
+     * @notice Gets the dealing calendar consulted before deposits and redemptions
+     * @return The calendar, none when zero
+     */
+    function calendar() external view returns (IRWA4626DealingCalendar) {
+        return _settings.calendar;
+    }
+
+    /**
+     * @notice Gets the shares that can still be redeemed during the current gate period
+     * @dev A new period starts with a capacity of `redemptionGate` of the supply
+     * @return The amount of shares, the maximum uint256 when the gate is disabled
+     */
+    function gateCapacity() public view returns (uint256) {
+        return RWA4626RedemptionGate.capacity(_gate, totalSupply());
+    }
+
+    /**
+     * @notice Gets the redemption gate
+     * @return The maximum shares redeemed per gate period, in basis points of the supply at its start; 0 when disabled
+     */
+    function redemptionGate() external view returns (uint256) {
+        return _gate.gate;
+    }
+
+    /**
+     * @notice Gets the length of the gate periods
+     * @return The length in seconds (e.g. 1 days, 7 days), periods starting at multiples of it
+     */
+    function gatePeriod() external view returns (uint256) {
+        return _gate.period;
+    }
+
+    /**
+     * @notice Gets the shares of an account still locked up
+     * @param account The address of the account
+     * @return shares The amount of shares minted to the account that have not matured
+     */
+    function lockedShares(address account) public view returns (uint256) {
+        return RWA4626Lockups.lockedShares(_lockups[account]);
     }
 
     /**
@@ -201,14 +1087,9 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
         uint256 assets,
         Math.Rounding rounding
     ) internal view override returns (uint256) {
-        if (isPriceUpdateRequired()) revert PriceUpdateRequired();
-        
-        uint256 price = getCurrentPrice();
-        if (price == 0) revert InvalidPrice();
-        
         // Calculate shares as assets/price
-        // Multiply by PRICE_DECIMALS to maintain precision
-        return Math.mulDiv(assets, PRICE_DECIMALS, price, rounding);
+        // Multiply by PRICE_DECIMALS and FEE_FACTOR_PRECISION to maintain precision
+        return Math.mulDiv(assets, PRICE_DECIMALS * FEE_FACTOR_PRECISION, _conversionPrice(), rounding);
     }
 
     /**
@@ -222,19 +1103,16 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
         uint256 shares,
         Math.Rounding rounding
     ) internal view override returns (uint256) {
-        if (isPriceUpdateRequired()) revert PriceUpdateRequired();
-        
-        uint256 price = getCurrentPrice();
-        if (price == 0) revert InvalidPrice();
-        
         // Calculate assets as shares * price
-        // Divide by PRICE_DECIMALS to maintain precision
-        return Math.mulDiv(shares, price, PRICE_DECIMALS, rounding);
+        // Divide by PRICE_DECIMALS and FEE_FACTOR_PRECISION to maintain precision
+        return Math.mulDiv(shares, _conversionPrice(), PRICE_DECIMALS * FEE_FACTOR_PRECISION, rounding);
     }
 
     /**
      * @notice Deposits assets into the vault
-     * @dev Overrides ERC4626 deposit function to add fee collection
+     * @dev Overrides ERC4626 deposit function to add minimum deposit and price update checks.
+     * The entry fee is deducted from `assets` before conversion (see previewDeposit). Each condition of
+     * maxDeposit is checked with its own error, the capacity limits when recording the deposit
      * @param assets The amount of assets to deposit
      * @param receiver The address to receive the shares
      * @return The amount of shares minted
@@ -246,23 +1124,17 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
         whenNotPaused
         returns (uint256)
     {
-        if (assets < minDeposit) revert DepositTooSmall();
-        if (isPriceUpdateRequired()) revert PriceUpdateRequired();
-        
-        uint256 shares = super.deposit(assets, receiver);
-        
-        // Calculate and collect fee
-        uint256 feeAmount = (assets * fee) / 10000;
-        if (feeAmount > 0) {
-            totalFees += feeAmount;
-        }
-        
+        if (assets < _settings.minDeposit) revert DepositTooSmall();
+        _beforeEnter(receiver);
+        uint256 shares = previewDeposit(assets);
+        _deposit(_msgSender(), receiver, assets, shares);
         return shares;
     }
 
     /**
      * @notice Mints shares by depositing assets
-     * @dev Overrides ERC4626 mint function to add price update check
+     * @dev Overrides ERC4626 mint function to add price update check. Each condition of maxMint is
+     * checked with its own error, the capacity limits when recording the deposit
      * @param shares The amount of shares to mint
      * @param receiver The address to receive the shares
      * @return The amount of assets deposited
@@ -274,8 +1146,10 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
         whenNotPaused
         returns (uint256)
     {
-        if (isPriceUpdateRequired()) revert PriceUpdateRequired();
-        return super.mint(shares, receiver);
+        _beforeEnter(receiver);
+        uint256 assets = previewMint(shares);
+        _deposit(_msgSender(), receiver, assets, shares);
+        return assets;
     }
 
     /**
@@ -293,17 +1167,22 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
         whenNotPaused
         returns (uint256)
     {
-        if (isPriceUpdateRequired()) revert PriceUpdateRequired();
+        _beforeExit();
         return super.withdraw(assets, receiver, owner);
     }
 
     /**
      * @notice Redeems shares for assets
-     * @dev Overrides ERC4626 redeem function to add price update check
+     * @dev Overrides ERC4626 redeem function to add price update check. With a redemption queue set,
+     * the shares beyond maxRedeem, for lack of capacity left in the gate period or of liquidity, are
+     * moved to the queue, to be redeemed once the vault can pay them, and only the rest is redeemed
+     * now; the queue refuses them with its PriceUpdateRequired error while the price is stale if it
+     * prices redemptions at the current price, and locked up shares cannot be moved. Without a queue,
+     * redeeming beyond maxRedeem reverts with ERC4626ExceededMaxRedeem
      * @param shares The amount of shares to redeem
      * @param receiver The address to receive the assets
      * @param owner The address that owns the shares
-     * @return The amount of assets withdrawn
+     * @return The amount of assets withdrawn now
      */
     function redeem(uint256 shares, address receiver, address owner)
         public
@@ -312,39 +1191,434 @@ contract RWA4626Vault is ERC4626, ReentrancyGuard, Pausable, Ownable {
         whenNotPaused
         returns (uint256)
     {
-        if (isPriceUpdateRequired()) revert PriceUpdateRequired();
-        return super.redeem(shares, receiver, owner);
+        _beforeExit();
+        uint256 maxShares = maxRedeem(owner);
+        if (shares <= maxShares || address(_settings.redemptionQueue) == address(0)) {
+            return super.redeem(shares, receiver, owner);
+        }
+        // Redeem what the vault can pay now, before the queued shares reserve their liquidity
+        uint256 assets = super.redeem(maxShares, receiver, owner);
+        uint256 deferred = shares - maxShares;
+        if (msg.sender != owner) _spendAllowance(owner, msg.sender, deferred);
+        _transfer(owner, address(_settings.redemptionQueue), deferred);
+        _settings.redemptionQueue.queueRedemption(owner, receiver, deferred);
+        return assets;
+    }
+
+    /**
+     * @notice Returns the assets managed for shareholders
+     * @dev Overrides ERC4626 totalAssets to exclude the collected fees still held by the vault and
+     * include the assets held by custodians
+     * @return The assets held by the vault plus offchainAssets, minus the unclaimed fees
+     */
+    function totalAssets() public view override returns (uint256) {
+        (, uint256 assets) = (IERC20(asset()).balanceOf(address(this)) + offchainAssets).trySub(totalFees);
+        return assets;
     }
 
     /**
-     * @notice Converts assets to shares
-     * @dev Overrides ERC4626 convertToShares function to add price update check
-     * @param assets The amount of assets
+     * @notice Returns the assets held by the vault for shareholders, available to withdrawals
+     * @dev The obligations of the redemption queue are reserved, so direct redemptions cannot take
+     * the liquidity returned for the queue ahead of it
+     * @return The vault balance of the underlying asset minus the unclaimed fees and the queued
+     * liabilities, floored at zero
+     */
+    function availableLiquidity() public view returns (uint256) {
+        uint256 liquidity = _unreservedLiquidity();
+        if (address(_settings.redemptionQueue) == address(0)) return liquidity;
+        (, liquidity) = liquidity.trySub(_settings.redemptionQueue.queuedLiabilities());
+        return liquidity;
+    }
+
+    /**
+     * @notice Previews the shares minted for a deposit, net of the entry fee
+     * @param assets The amount of assets deposited, fee included
      * @return The amount of shares
      */
-    function convertToShares(uint256 assets)
-        public
-        view
-        override
-        returns (uint256)
-    {
+    function previewDeposit(uint256 assets) public view override returns (uint256) {
+        return _convertToShares(assets - _feeOnGross(assets, _settings.fee), Math.Rounding.Floor);
+    }
+
+    /**
+     * @notice Previews the assets needed to mint shares, entry fee included
+     * @param shares The amount of shares to mint
+     * @return The amount of assets, fee included
+     */
+    function previewMint(uint256 shares) public view override returns (uint256) {
+        uint256 assets = _convertToAssets(shares, Math.Rounding.Ceil);
+        return assets + _feeOnNet(assets, _settings.fee);
+    }
+
+    /**
+     * @notice Previews the shares burned to withdraw assets, exit fee and stale price haircut included
+     * @param assets The amount of assets received, net of the fee and haircut
+     * @return The amount of shares
+     */
+    function previewWithdraw(uint256 assets) public view override returns (uint256) {
+        assets += _feeOnNet(assets, _settings.exitFee);
+        return _convertToShares(assets + _feeOnNet(assets, _exitHaircut()), Math.Rounding.Ceil);
+    }
+
+    /**
+     * @notice Previews the assets received for redeeming shares, net of the exit fee and stale price haircut
+     * @param shares The amount of shares to redeem
+     * @return The amount of assets, net of the fee and haircut
+     */
+    function previewRedeem(uint256 shares) public view override returns (uint256) {
+        uint256 assets = _convertToAssets(shares, Math.Rounding.Floor);
+        assets -= _feeOnGross(assets, _exitHaircut());
+        return assets - _feeOnGross(assets, _settings.exitFee);
+    }
+
+    /**
+     * @notice Returns the maximum amount of assets a receiver can deposit
+     * @dev Zero while deposits are impossible (paused vault, closed dealing calendar, stale price) or
+     * when the compliance module refuses the receiver, otherwise capped by the capacity limits
+     * @param receiver The address receiving the shares
+     * @return The maximum amount of assets
+     */
+    function maxDeposit(address receiver) public view override returns (uint256) {
+        if (!_canEnter() || !_isAllowedReceiver(receiver)) return 0;
+        return address(_settings.capacityLimits) == address(0) ? type(uint256).max : _settings.capacityLimits.maxDeposit(receiver);
+    }
+
+    /**
+     * @notice Returns the maximum amount of shares a receiver can mint
+     * @dev Zero while mints are impossible (paused vault, closed dealing calendar, stale price) or
+     * when the compliance module refuses the receiver, otherwise the shares of the maximum deposit
+     * @param receiver The address receiving the shares
+     * @return The maximum amount of shares
+     */
+    function maxMint(address receiver) public view override returns (uint256) {
+        uint256 assets = maxDeposit(receiver);
+        return assets == 0 || assets == type(uint256).max ? assets : previewDeposit(assets);
+    }
+
+    /**
+     * @notice Returns the maximum amount of assets an owner can withdraw, net of the exit fee
+     * @dev Zero while withdrawals are impossible (paused vault, closed dealing calendar, stale price
+     * outside the grace period), limited by the assets held by the vault, the locked up shares and the redemption gate
+     * @param owner The address that owns the shares
+     * @return The maximum amount of assets
+     */
+    function maxWithdraw(address owner) public view override returns (uint256) {
+        return _canExit() ? Math.min(previewRedeem(_redeemableShares(owner)), _withdrawableLiquidity()) : 0;
+    }
+
+    /**
+     * @notice Returns the maximum amount of shares an owner can redeem
+     * @dev Zero while redemptions are impossible (paused vault, closed dealing calendar, stale price
+     * outside the grace period), limited by the assets held by the vault, the locked up shares and the redemption gate
+     * @param owner The address that owns the shares
+     * @return The maximum amount of shares
+     */
+    function maxRedeem(address owner) public view override returns (uint256) {
+        if (!_canExit()) return 0;
+        uint256 shares = _redeemableShares(owner);
+        uint256 liquidity = _withdrawableLiquidity();
+        if (previewRedeem(shares) > liquidity) {
+            shares = previewWithdraw(liquidity);
+            // previewWithdraw rounds up
+            if (previewRedeem(shares) > liquidity) shares -= 1;
+        }
+        return shares;
+    }
+
+    /**
+     * @notice Internal function handling deposits and mints
+     * @dev Records the entry fee included in `assets` as a liability of the vault, locks the shares up
+     * for `lockupPeriod`, never maturing before the previous lock-up of the receiver and merged with it
+     * when both mature the same day. The capacity limits
+     * check and record the deposit first
+     * @param caller The address depositing the assets
+     * @param receiver The address receiving the shares
+     * @param assets The amount of assets deposited, fee included
+     * @param shares The amount of shares minted
+     */
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal override {
+        if (address(_settings.capacityLimits) != address(0)) _settings.capacityLimits.recordDeposit(receiver, assets);
+        totalFees += _feeOnGross(assets, _settings.fee);
+        super._deposit(caller, receiver, assets, shares);
+        if (lockupPeriod != 0) RWA4626Lockups.add(_lockups[receiver], shares, block.timestamp + lockupPeriod);
+    }
+
+    /**
+     * @notice Internal function handling withdrawals and redemptions
+     * @dev Records the exit fee kept on top of `assets` as a liability of the vault and counts the
+     * shares against the redemption gate
+     * @param caller The address withdrawing the assets
+     * @param receiver The address receiving the assets
+     * @param owner The address that owns the shares
+     * @param assets The amount of assets sent, net of the fee
+     * @param shares The amount of shares burned
+     */
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 assets,
+        uint256 shares
+    ) internal override {
+        if (_gate.gate != 0) RWA4626RedemptionGate.record(_gate, shares, totalSupply());
+        totalFees += _feeOnNet(assets, _settings.exitFee);
+        super._withdraw(caller, receiver, owner, assets, shares);
+    }
+
+    /**
+     * @notice Transfers, mints or burns shares
+     * @dev Overrides ERC20 _update to consult the compliance module: frozen accounts can neither
+     * send nor receive shares, senders of transfers and receivers must be verified. Redemptions
+     * (burns) stay open to unverified holders so expired investors can exit, and so do the escrows of
+     * their shares in the redemption queue and their return on cancellation. Shares locked up can
+     * neither be transferred nor burned. Transfers between holders are checked against the maximum
+     * holding of the capacity limits, escrows in and out of the redemption queue excepted
+     * @param from The address the shares are taken from, zero for mints
+     * @param to The address receiving the shares, zero for burns
+     * @param value The amount of shares
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0)) {
+            uint256 locked = lockedShares(from);
+            if (locked != 0 && value + locked > balanceOf(from)) revert SharesLocked(from);
+        }
+        bool fromQueue = hasRole(REDEMPTION_QUEUE_ROLE, from);
+        bool toQueue = hasRole(REDEMPTION_QUEUE_ROLE, to);
+        if (from != address(0)) _checkAccount(from, to != address(0) && !toQueue);
+        if (to != address(0)) _checkAccount(to, !fromQueue);
+        if (
+            from != address(0) && to != address(0) && address(_settings.capacityLimits) != address(0) &&
+            !fromQueue && !toQueue
+        ) {
+            _settings.capacityLimits.checkTransfer(to, value);
+        }
+        super._update(from, to, value);
+    }
+
+    /**
+     * @notice Reverts if the compliance module refuses an account as sender or receiver of shares
+     * @param account The address sending or receiving the shares
+     * @param verified Whether the account must be verified, frozen accounts being always refused
+     */
+    function _checkAccount(address account, bool verified) internal view {
+        if (address(_settings.compliance) == address(0)) return;
+        if (_settings.compliance.isFrozen(account)) revert AccountFrozen(account);
+        if (verified && !_settings.compliance.isVerified(account)) revert AccountNotVerified(account);
+    }
+
+    /**
+     * @notice Checks if the compliance module accepts an account as receiver of shares
+     * @param receiver The address receiving the shares
+     * @return True if there is no compliance module or the receiver is verified and not frozen
+     */
+    function _isAllowedReceiver(address receiver) internal view returns (bool) {
+        return address(_settings.compliance) == address(0) ||
+            (!_settings.compliance.isFrozen(receiver) && _settings.compliance.isVerified(receiver));
+    }
+
+    /**
+     * @notice Checks if the dealing calendar accepts deposits and redemptions now
+     * @return True if there is no calendar or it is open
+     */
+    function _isDealing() internal view returns (bool) {
+        return address(_settings.calendar) == address(0) || _settings.calendar.isOpen(block.timestamp);
+    }
+
+    /**
+     * @notice Reverts if the dealing calendar is closed
+     */
+    function _checkDealing() internal view {
+        if (!_isDealing()) revert DealingClosed();
+    }
+
+    /**
+     * @notice Gets the price used by conversions and previews
+     * @dev The oracle price times feeFactor, unrounded. Reverts on a stale price under the Strict
+     * policy; the other policies use the last price
+     * @return price The price in USD (24 decimals)
+     */
+    function _conversionPrice() internal view returns (uint256 price) {
+        if (stalePricePolicy == StalePricePolicy.Strict && isPriceUpdateRequired()) revert PriceUpdateRequired();
+        price = getCurrentPrice() * feeFactor;
+        if (price == 0) revert InvalidPrice();
+    }
+
+    /**
+     * @notice Gets the haircut applied to withdrawals and redemptions
+     * @return The stale price haircut in basis points during the grace period, 0 otherwise
+     */
+    function _exitHaircut() internal view returns (uint256) {
+        return isInGracePeriod() ? staleHaircut : 0;
+    }
+
+    /**
+     * @notice Checks if the oracle prices the vault
+     * @return Whether the vault is an active asset of the oracle
+     */
+    function _isOracleActive() internal view returns (bool) {
+        return _settings.oracle.isAssetActive(address(this));
+    }
+
+    /**
+     * @notice Gets the time the oracle price becomes stale
+     * @return The last update time plus the update interval of the vault
+     */
+    function _staleSince() internal view returns (uint256) {
+        return _settings.oracle.getLastUpdateTime(address(this)) + _settings.oracle.getUpdateInterval(address(this));
+    }
+
+    /**
+     * @notice Checks if deposits and mints are possible
+     * @return True if the vault is not paused, the fund deals and the price is fresh
+     */
+    function _canEnter() internal view returns (bool) {
+        return !paused() && _isDealing() && _isOracleActive() && !isPriceUpdateRequired();
+    }
+
+    /**
+     * @notice Checks if withdrawals and redemptions are possible
+     * @return True if the vault is not paused, the fund deals and the price is fresh or in its grace period
+     */
+    function _canExit() internal view returns (bool) {
+        return !paused() && _isDealing() && _isOracleActive() &&
+            (!isPriceUpdateRequired() || isInGracePeriod());
+    }
+
+    /**
+     * @notice Checks that a deposit or mint can go through and runs the fee checkpoint
+     * @dev Only for a receiver the compliance module accepts, while the fund deals and at a fresh price
+     * @param receiver The address receiving the shares
+     */
+    function _beforeEnter(address receiver) internal {
+        _checkAccount(receiver, true);
+        _checkDealing();
         if (isPriceUpdateRequired()) revert PriceUpdateRequired();
-        return super.convertToShares(assets);
+        _accrueFees();
+        _checkNav();
     }
 
     /**
-     * @notice Converts shares to assets
-     * @dev Overrides ERC4626 convertToAssets function to add price update check
-     * @param shares The amount of shares
-     * @return The amount of assets
+     * @notice Checks that a withdrawal or redemption can go through and runs the fee checkpoint
+     * @dev Only while the fund deals. At a stale price, only possible during the grace period and without
+     * checkpoint, which needs a fresh price; the fees of the period are charged at the next checkpoint
      */
-    function convertToAssets(uint256 shares)
-        public
-        view
-        override
-        returns (uint256)
-    {
+    function _beforeExit() internal {
+        _checkDealing();
+        if (!isPriceUpdateRequired()) {
+            _accrueFees();
+        } else if (!isInGracePeriod()) {
+            revert PriceUpdateRequired();
+        }
+        _checkNav();
+    }
+
+    /**
+     * @notice Gets the assets held by the vault for shareholders, the redemption queue included
+     * @return The vault balance of the underlying asset minus the unclaimed fees, floored at zero
+     */
+    function _unreservedLiquidity() internal view returns (uint256) {
+        (, uint256 liquidity) = IERC20(asset()).balanceOf(address(this)).trySub(totalFees);
+        return liquidity;
+    }
+
+    /**
+     * @notice Gets the assets the vault can pay out to withdrawals
+     * @return The available liquidity minus the exit fee kept on it
+     */
+    function _withdrawableLiquidity() internal view returns (uint256) {
+        uint256 liquidity = availableLiquidity();
+        return liquidity - _feeOnGross(liquidity, _settings.exitFee);
+    }
+
+    /**
+     * @notice Gets the shares an owner can redeem, ignoring the liquidity of the vault
+     * @param owner The address that owns the shares
+     * @return The shares not locked up, up to the capacity left in the gate period
+     */
+    function _redeemableShares(address owner) internal view returns (uint256) {
+        uint256 balance = balanceOf(owner);
+        uint256 locked = lockedShares(owner);
+        return Math.min(balance > locked ? balance - locked : 0, gateCapacity());
+    }
+
+    /**
+     * @notice Checks the oracle NAV against totalAssets, when maxNavDeviation is set
+     * @dev Reverts with NavMismatch when they are more than maxNavDeviation of totalAssets apart
+     */
+    function _checkNav() internal view {
+        if (maxNavDeviation == 0) return;
+        uint256 nav = oracleNav();
+        uint256 assets = totalAssets();
+        uint256 gap = nav > assets ? nav - assets : assets - nav;
+        if (gap > assets.mulDiv(maxNavDeviation, BPS)) revert NavMismatch(nav, assets);
+    }
+
+    /**
+     * @notice Queues a parameter change, executable after the timelock delay
+     * @param changeType The parameter to change
+     * @param value The new value
+     */
+    function _queueChange(RWA4626Timelock.ChangeType changeType, uint256 value) internal {
+        RWA4626Timelock.queue(_settings, changeType, value);
+    }
+
+    /**
+     * @notice Fee checkpoint: charges the accrued management and performance fees to the shares
+     * @dev The fees are added to totalFees and feeFactor lowers the share price by the same value, so
+     * the shares stay backed by totalAssets. Raises the high-water mark to the share price after the
+     * fees when it is exceeded. Requires a fresh price, except while the vault has no shares and nothing can accrue
+     */
+    function _accrueFees() internal {
+        if (totalSupply() == 0) {
+            lastFeeAccrual = block.timestamp;
+            if (_isOracleActive() && !isPriceUpdateRequired()) {
+                _raiseHighWaterMark(sharePrice());
+            }
+            return;
+        }
+
         if (isPriceUpdateRequired()) revert PriceUpdateRequired();
-        return super.convertToAssets(shares);
+        (uint256 managementFees, uint256 performanceFees) = accruedFees();
+        lastFeeAccrual = block.timestamp;
+
+        uint256 fees = managementFees + performanceFees;
+        if (fees > 0) {
+            uint256 value = totalSupply().mulDiv(sharePrice(), PRICE_DECIMALS);
+            // Never charges more than the value of the shares
+            fees = Math.min(fees, value);
+            totalFees += fees;
+            feeFactor = feeFactor.mulDiv(value - fees, value);
+            emit FeesAccrued(managementFees, performanceFees, sharePrice());
+        }
+        _raiseHighWaterMark(sharePrice());
+    }
+
+    /**
+     * @notice Raises the high-water mark to a price above it
+     * @param price The current price (6 decimals)
+     */
+    function _raiseHighWaterMark(uint256 price) internal {
+        if (price > highWaterMark) {
+            highWaterMark = price;
+        }
+    }
+
+    /**
+     * @notice Computes the fee part of an amount that includes the fee
+     * @param assets The amount, fee included
+     * @param feeBps The fee in basis points of the amount
+     * @return The fee, rounded up
+     */
+    function _feeOnGross(uint256 assets, uint256 feeBps) internal pure returns (uint256) {
+        return assets.mulDiv(feeBps, BPS, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @notice Computes the fee to add to an amount so that the fee is `feeBps` of the total
+     * @param assets The amount, fee excluded
+     * @param feeBps The fee in basis points of the total
+     * @return The fee, rounded up
+     */
+    function _feeOnNet(uint256 assets, uint256 feeBps) internal pure returns (uint256) {
+        return assets.mulDiv(feeBps, BPS - feeBps, Math.Rounding.Ceil);
     }
-} 
\ No newline at end of file
+}
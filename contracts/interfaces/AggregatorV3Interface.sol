@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title AggregatorV3Interface
+ * @notice Chainlink price feed interface, as consumed by lending protocols and dashboards
+ */
+interface AggregatorV3Interface {
+    /**
+     * @notice Returns the number of decimals of the answers
+     */
+    function decimals() external view returns (uint8);
+
+    /**
+     * @notice Returns a description of the feed
+     */
+    function description() external view returns (string memory);
+
+    /**
+     * @notice Returns the version of the feed implementation
+     */
+    function version() external view returns (uint256);
+
+    /**
+     * @notice Returns the data of a past round
+     * @param _roundId The round id
+     */
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+
+    /**
+     * @notice Returns the data of the latest round
+     */
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IRWA4626CapacityLimits
+ * @notice Capacity limits consulted by RWA4626Vault before deposits, mints and transfers
+ */
+interface IRWA4626CapacityLimits {
+    /**
+     * @notice Gets the maximum amount of assets a receiver can deposit under the limits
+     * @param receiver The address receiving the shares
+     */
+    function maxDeposit(address receiver) external view returns (uint256);
+
+    /**
+     * @notice Checks a deposit against the limits and records it, reverting when a limit is exceeded
+     * @dev Only callable by the vault, before the assets are transferred and the shares minted
+     * @param receiver The address receiving the shares
+     * @param assets The amount of assets deposited, fee included
+     */
+    function recordDeposit(address receiver, uint256 assets) external;
+
+    /**
+     * @notice Checks a transfer of shares against the maximum holding of the receiver, reverting when exceeded
+     * @dev Called by the vault before the shares are moved
+     * @param receiver The address receiving the shares
+     * @param shares The amount of shares transferred
+     */
+    function checkTransfer(address receiver, uint256 shares) external view;
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IRWA4626Compliance
+ * @notice Compliance module consulted by RWA4626Vault before shares move
+ */
+interface IRWA4626Compliance {
+    /**
+     * @notice Checks if an account may receive and hold shares
+     * @param account The address of the account
+     */
+    function isVerified(address account) external view returns (bool);
+
+    /**
+     * @notice Checks if an account is frozen, i.e. may neither send nor receive shares
+     * @param account The address of the account
+     */
+    function isFrozen(address account) external view returns (bool);
+
+    /**
+     * @notice Checks if an account may manage the allowlist and force transfers
+     * @param account The address of the account
+     */
+    function isComplianceOfficer(address account) external view returns (bool);
+}
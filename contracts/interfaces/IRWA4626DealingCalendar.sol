@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IRWA4626DealingCalendar
+ * @notice Dealing calendar consulted by RWA4626Vault before accepting deposits and redemptions
+ */
+interface IRWA4626DealingCalendar {
+    /**
+     * @notice Checks if the fund deals at a given time
+     * @param timestamp The time to check
+     */
+    function isOpen(uint256 timestamp) external view returns (bool);
+}
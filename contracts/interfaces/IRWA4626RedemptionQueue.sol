@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IRWA4626RedemptionQueue
+ * @notice Redemption queue whose obligations RWA4626Vault reserves out of its liquidity
+ */
+interface IRWA4626RedemptionQueue {
+    /**
+     * @notice Gets the assets needed to process the whole queue, before the exit fee
+     */
+    function queuedLiabilities() external view returns (uint256);
+
+    /**
+     * @notice Queues the part of a redemption beyond the capacity left in the gate period of the vault
+     * @dev Called by the vault once it moved the shares of the owner to the queue
+     * @param owner The account whose shares are escrowed
+     * @param receiver The account receiving the assets
+     * @param shares The amount of shares
+     * @return id The id of the redemption
+     */
+    function queueRedemption(address owner, address receiver, uint256 shares) external returns (uint256 id);
+}
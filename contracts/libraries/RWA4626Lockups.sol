@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title RWA4626Lockups
+ * @author @haojun222
+ * @notice Lock-ups of the shares minted to an account of an RWA4626Vault
+ * @dev Linked to the vault to keep it under the contract size limit. Maturities never decrease, so the
+ * lock-ups still running are the last ones. Lock-ups maturing on the same UTC day are merged, which
+ * bounds the running lock-ups of an account by the longest lock-up period in days, and matured
+ * lock-ups are pruned as new ones are added
+ */
+library RWA4626Lockups {
+    /**
+     * @notice Struct to store shares locked up by a deposit
+     * @param shares The amount of shares minted
+     * @param maturity Timestamp from which the shares can be redeemed and transferred
+     */
+    struct Lockup {
+        uint256 shares;     // Shares minted
+        uint256 maturity;   // End of the lock-up
+    }
+
+    /**
+     * @notice Struct to store the lock-ups of an account
+     * @param head Index of the first lock-up not pruned yet
+     * @param items The lock-ups, by increasing maturity
+     */
+    struct Lockups {
+        uint256 head;       // First lock-up not pruned
+        Lockup[] items;     // Lock-ups by increasing maturity
+    }
+
+    /**
+     * @notice Gets the shares still locked up
+     * @param lockups The lock-ups of the account
+     * @return shares The amount of shares that have not matured
+     */
+    function lockedShares(Lockups storage lockups) public view returns (uint256 shares) {
+        Lockup[] storage items = lockups.items;
+        for (uint256 i = items.length; i > lockups.head && items[i - 1].maturity > block.timestamp; i--) {
+            shares += items[i - 1].shares;
+        }
+    }
+
+    /**
+     * @notice Locks shares up, never maturing before the previous lock-up of the account
+     * @dev Merged into the last lock-up when both mature the same day; matured lock-ups are pruned first
+     * @param lockups The lock-ups of the account
+     * @param shares The amount of shares
+     * @param maturity The end of the lock-up
+     */
+    function add(Lockups storage lockups, uint256 shares, uint256 maturity) public {
+        Lockup[] storage items = lockups.items;
+        uint256 head = lockups.head;
+        while (head < items.length && items[head].maturity <= block.timestamp) {
+            delete items[head];
+            head++;
+        }
+        lockups.head = head;
+
+        if (head < items.length) {
+            Lockup storage last = items[items.length - 1];
+            maturity = Math.max(maturity, last.maturity);
+            if (maturity / 1 days == last.maturity / 1 days) {
+                last.shares += shares;
+                last.maturity = maturity;
+                return;
+            }
+        }
+        items.push(Lockup(shares, maturity));
+    }
+
+    /**
+     * @notice Moves locked up shares of an account to another
+     * @dev The shares are taken from the last lock-ups and stay locked up for the receiver until the
+     * latest of their maturities
+     * @param from The lock-ups the shares are taken from
+     * @param to The lock-ups of the receiver
+     * @param shares The amount of shares, at most the shares still locked up in `from`
+     */
+    function move(Lockups storage from, Lockups storage to, uint256 shares) public {
+        Lockup[] storage items = from.items;
+        add(to, shares, items[items.length - 1].maturity);
+        for (uint256 i = items.length; shares != 0; i--) {
+            Lockup storage lockup = items[i - 1];
+            uint256 moved = Math.min(shares, lockup.shares);
+            lockup.shares -= moved;
+            shares -= moved;
+        }
+    }
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title RWA4626RedemptionGate
+ * @author @haojun222
+ * @notice Redemption gate of an RWA4626Vault, limiting the shares redeemed per period to a share of the supply
+ * @dev Linked to the vault to keep it under the contract size limit. Periods start at multiples of
+ * their length; the supply is taken at the first redemption of each period
+ */
+library RWA4626RedemptionGate {
+    using Math for uint256;
+
+    /// @notice Basis points denominator
+    uint256 private constant BPS = 10000;
+
+    /**
+     * @notice Struct to store the gate and its current period
+     * @param gate The maximum shares redeemed per period in basis points of the supply, 0 when disabled
+     * @param period The length of the periods in seconds
+     * @param periodEnd The end of the current period, 0 until the first gated redemption
+     * @param supply The supply at the first redemption of the current period
+     * @param redeemed The shares redeemed during the current period
+     */
+    struct Gate {
+        uint256 gate;       // Basis points of the supply per period
+        uint256 period;     // Period length in seconds
+        uint256 periodEnd;  // End of the current period
+        uint256 supply;     // Supply at the start of the current period
+        uint256 redeemed;   // Shares redeemed during the current period
+    }
+
+    /// @notice Error thrown when setting a gate above 100% or without period
+    error InvalidRedemptionGate();
+    /// @notice Error thrown when redeeming more shares than the capacity left in the gate period
+    error RedemptionGateExceeded();
+
+    /**
+     * @notice Sets the gate, starting a new period at the next redemption
+     * @param self The gate
+     * @param gate The maximum shares redeemed per period in basis points of the supply, 0 to disable the gate
+     * @param period The length of the periods in seconds
+     */
+    function set(Gate storage self, uint256 gate, uint256 period) public {
+        if (gate > BPS || (gate != 0 && period == 0)) revert InvalidRedemptionGate();
+        self.gate = gate;
+        self.period = period;
+        self.periodEnd = 0;
+    }
+
+    /**
+     * @notice Gets the shares that can still be redeemed during the current period
+     * @param self The gate
+     * @param supply The current supply of shares
+     * @return The amount of shares, the maximum uint256 when the gate is disabled
+     */
+    function capacity(Gate storage self, uint256 supply) public view returns (uint256) {
+        if (self.gate == 0) return type(uint256).max;
+        if (block.timestamp >= self.periodEnd) return supply.mulDiv(self.gate, BPS);
+        uint256 limit = self.supply.mulDiv(self.gate, BPS);
+        return limit > self.redeemed ? limit - self.redeemed : 0;
+    }
+
+    /**
+     * @notice Counts redeemed shares against the gate, starting a new period when the last one ended
+     * @dev Reverts with RedemptionGateExceeded beyond the capacity left
+     * @param self The gate
+     * @param shares The amount of shares redeemed
+     * @param supply The supply of shares before the redemption
+     */
+    function record(Gate storage self, uint256 shares, uint256 supply) public {
+        if (self.gate == 0) return;
+        if (shares > capacity(self, supply)) revert RedemptionGateExceeded();
+        if (block.timestamp >= self.periodEnd) {
+            self.periodEnd = (block.timestamp / self.period + 1) * self.period;
+            self.supply = supply;
+            self.redeemed = 0;
+        }
+        self.redeemed += shares;
+    }
+}
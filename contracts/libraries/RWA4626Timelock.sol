@@ -0,0 +1,221 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../RWA4626Oracle.sol";
+import "../interfaces/IRWA4626Compliance.sol";
+import "../interfaces/IRWA4626CapacityLimits.sol";
+import "../interfaces/IRWA4626RedemptionQueue.sol";
+import "../interfaces/IRWA4626DealingCalendar.sol";
+
+/**
+ * @title RWA4626Timelock
+ * @author @haojun222
+ * @notice Timelocked settings of an RWA4626Vault and the changes queued for them
+ * @dev Linked to the vault to keep it under the contract size limit. The vault checks the roles and
+ * validates the new values before queuing them; at most one change is queued per change type. The
+ * events are declared by the vault as well, for its ABI
+ */
+library RWA4626Timelock {
+    /**
+     * @notice Kinds of timelocked parameter changes
+     */
+    enum ChangeType {
+        Oracle,         // setOracle, value is the oracle address
+        Fee,            // setFee, value is the fee in basis points
+        MinDeposit,     // setMinDeposit, value is the minimum deposit
+        TimelockDelay,  // setTimelockDelay, value is the delay in seconds
+        ExitFee,        // setExitFee, value is the exit fee in basis points
+        ManagementFee,  // setManagementFee, value is the annual fee in basis points
+        PerformanceFee, // setPerformanceFee, value is the fee in basis points
+        Compliance,     // setCompliance, value is the module address
+        CapacityLimits, // setCapacityLimits, value is the module address
+        Custodian,      // setCustodian, value is the address of the custodian to approve
+        RedemptionQueue, // setRedemptionQueue, value is the queue address
+        Calendar        // setCalendar, value is the calendar address
+    }
+
+    /**
+     * @notice Struct to store a queued parameter change
+     * @param changeType The parameter being changed
+     * @param value The new value (addresses are stored as uint256)
+     * @param eta Timestamp from which the change can be executed, 0 when nothing is queued
+     */
+    struct PendingChange {
+        ChangeType changeType;  // Parameter being changed
+        uint256 value;          // New value
+        uint256 eta;            // Earliest execution time
+    }
+
+    /**
+     * @notice Struct to store the timelocked settings and their queued changes
+     * @param oracle Oracle contract for price updates
+     * @param minDeposit Minimum deposit amount required
+     * @param fee Entry fee in basis points
+     * @param timelockDelay Delay between queuing a change and executing it
+     * @param exitFee Exit fee in basis points, kept on withdrawals and redemptions
+     * @param managementFee Annual management fee in basis points of the assets under management
+     * @param performanceFee Performance fee in basis points of the price gains above the high-water mark
+     * @param compliance Compliance module restricting who may hold shares, or zero for unrestricted shares
+     * @param capacityLimits Capacity limits consulted before deposits and mints, none when zero
+     * @param redemptionQueue Redemption queue whose obligations are reserved out of the liquidity, none when zero
+     * @param calendar Dealing calendar consulted before deposits and redemptions, none when zero
+     * @param isCustodian Mapping from address to whether capital can be deployed to it
+     * @param pending Mapping from change type to the queued change of that type
+     */
+    struct Settings {
+        RWA4626Oracle oracle;
+        uint256 minDeposit;
+        uint256 fee;
+        uint256 timelockDelay;
+        uint256 exitFee;
+        uint256 managementFee;
+        uint256 performanceFee;
+        IRWA4626Compliance compliance;
+        IRWA4626CapacityLimits capacityLimits;
+        IRWA4626RedemptionQueue redemptionQueue;
+        IRWA4626DealingCalendar calendar;
+        mapping(address => bool) isCustodian;
+        mapping(ChangeType => PendingChange) pending;
+    }
+
+    /// @notice Emitted when the oracle address is updated
+    event OracleUpdated(address indexed oldOracle, address indexed newOracle);
+    /// @notice Emitted when the minimum deposit amount is updated
+    event MinDepositUpdated(uint256 oldMinDeposit, uint256 newMinDeposit);
+    /// @notice Emitted when the entry fee is updated
+    event FeeUpdated(uint256 oldFee, uint256 newFee);
+    /// @notice Emitted when the timelock delay is updated
+    event TimelockDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    /// @notice Emitted when the exit fee is updated
+    event ExitFeeUpdated(uint256 oldFee, uint256 newFee);
+    /// @notice Emitted when the management fee is updated
+    event ManagementFeeUpdated(uint256 oldFee, uint256 newFee);
+    /// @notice Emitted when the performance fee is updated
+    event PerformanceFeeUpdated(uint256 oldFee, uint256 newFee);
+    /// @notice Emitted when the compliance module is updated
+    event ComplianceUpdated(address indexed oldCompliance, address indexed newCompliance);
+    /// @notice Emitted when the capacity limits module is updated
+    event CapacityLimitsUpdated(address indexed oldLimits, address indexed newLimits);
+    /// @notice Emitted when a custodian is approved or removed
+    event CustodianUpdated(address indexed custodian, bool approved);
+    /// @notice Emitted when the redemption queue is updated
+    event RedemptionQueueUpdated(address indexed oldQueue, address indexed newQueue);
+    /// @notice Emitted when the dealing calendar is updated
+    event CalendarUpdated(address indexed oldCalendar, address indexed newCalendar);
+    /// @notice Emitted when a change is queued
+    event ChangeQueued(ChangeType indexed changeType, uint256 value, uint256 eta);
+    /// @notice Emitted when a queued change is executed
+    event ChangeExecuted(ChangeType indexed changeType, uint256 value);
+    /// @notice Emitted when a queued change is cancelled
+    event ChangeCancelled(ChangeType indexed changeType, uint256 value);
+
+    /// @notice Error thrown when a change of the same parameter is already queued
+    error ChangeAlreadyPending();
+    /// @notice Error thrown when no change of the parameter is queued
+    error NoPendingChange();
+    /// @notice Error thrown when executing a change before its delay has passed
+    error ChangeNotReady(uint256 eta);
+
+    /**
+     * @notice Queues a change, executable after the timelock delay
+     * @param self The settings
+     * @param changeType The parameter to change
+     * @param value The new value
+     */
+    function queue(Settings storage self, ChangeType changeType, uint256 value) public {
+        if (self.pending[changeType].eta != 0) revert ChangeAlreadyPending();
+        uint256 eta = block.timestamp + self.timelockDelay;
+        self.pending[changeType] = PendingChange(changeType, value, eta);
+        emit ChangeQueued(changeType, value, eta);
+    }
+
+    /**
+     * @notice Removes a queued change whose delay has passed, for execution
+     * @param self The settings
+     * @param changeType The parameter to change
+     * @return value The new value
+     */
+    function take(Settings storage self, ChangeType changeType) public returns (uint256 value) {
+        PendingChange memory change = self.pending[changeType];
+        if (change.eta == 0) revert NoPendingChange();
+        if (block.timestamp < change.eta) revert ChangeNotReady(change.eta);
+        delete self.pending[changeType];
+        return change.value;
+    }
+
+    /**
+     * @notice Applies a change taken from the queue
+     * @param self The settings
+     * @param changeType The parameter to change
+     * @param value The new value
+     */
+    function execute(Settings storage self, ChangeType changeType, uint256 value) public {
+        if (changeType == ChangeType.Oracle) {
+            emit OracleUpdated(address(self.oracle), address(uint160(value)));
+            self.oracle = RWA4626Oracle(address(uint160(value)));
+        } else if (changeType == ChangeType.Fee) {
+            emit FeeUpdated(self.fee, value);
+            self.fee = value;
+        } else if (changeType == ChangeType.MinDeposit) {
+            emit MinDepositUpdated(self.minDeposit, value);
+            self.minDeposit = value;
+        } else if (changeType == ChangeType.TimelockDelay) {
+            emit TimelockDelayUpdated(self.timelockDelay, value);
+            self.timelockDelay = value;
+        } else if (changeType == ChangeType.ExitFee) {
+            emit ExitFeeUpdated(self.exitFee, value);
+            self.exitFee = value;
+        } else if (changeType == ChangeType.ManagementFee) {
+            emit ManagementFeeUpdated(self.managementFee, value);
+            self.managementFee = value;
+        } else if (changeType == ChangeType.PerformanceFee) {
+            emit PerformanceFeeUpdated(self.performanceFee, value);
+            self.performanceFee = value;
+        } else if (changeType == ChangeType.Compliance) {
+            emit ComplianceUpdated(address(self.compliance), address(uint160(value)));
+            self.compliance = IRWA4626Compliance(address(uint160(value)));
+        } else if (changeType == ChangeType.CapacityLimits) {
+            emit CapacityLimitsUpdated(address(self.capacityLimits), address(uint160(value)));
+            self.capacityLimits = IRWA4626CapacityLimits(address(uint160(value)));
+        } else if (changeType == ChangeType.Custodian) {
+            self.isCustodian[address(uint160(value))] = true;
+            emit CustodianUpdated(address(uint160(value)), true);
+        } else if (changeType == ChangeType.RedemptionQueue) {
+            emit RedemptionQueueUpdated(address(self.redemptionQueue), address(uint160(value)));
+            self.redemptionQueue = IRWA4626RedemptionQueue(address(uint160(value)));
+        } else {
+            emit CalendarUpdated(address(self.calendar), address(uint160(value)));
+            self.calendar = IRWA4626DealingCalendar(address(uint160(value)));
+        }
+        emit ChangeExecuted(changeType, value);
+    }
+
+    /**
+     * @notice Discards a queued change
+     * @param self The settings
+     * @param changeType The parameter whose change is discarded
+     */
+    function cancel(Settings storage self, ChangeType changeType) public {
+        PendingChange memory change = self.pending[changeType];
+        if (change.eta == 0) revert NoPendingChange();
+        delete self.pending[changeType];
+        emit ChangeCancelled(changeType, change.value);
+    }
+
+    /**
+     * @notice Gets all queued changes
+     * @param self The settings
+     * @return changes The queued changes, in ChangeType order
+     */
+    function pendingChanges(Settings storage self) public view returns (PendingChange[] memory changes) {
+        uint256 count;
+        for (uint256 i = 0; i <= uint256(type(ChangeType).max); i++) {
+            if (self.pending[ChangeType(i)].eta != 0) count++;
+        }
+        changes = new PendingChange[](count);
+        count = 0;
+        for (uint256 i = 0; i <= uint256(type(ChangeType).max); i++) {
+            if (self.pending[ChangeType(i)].eta != 0) changes[count++] = self.pending[ChangeType(i)];
+        }
+    }
+}
@@ -1,10 +1,24 @@
 // Import the Hardhat toolbox which includes common plugins and tasks
 require("@nomicfoundation/hardhat-toolbox");
 
+// Operational rwa:* tasks (deposit, mint, withdraw, redeem, price updates, ...)
+require("./tasks/rwa");
+// rwa:keeper daemon pushing oracle price updates on schedule
+require("./tasks/keeper");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   // Set Solidity version to 0.8.20 for all contracts
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    settings: {
+      // Keep the vault and the oracle under the 24 KB contract size limit
+      optimizer: {
+        enabled: true,
+        runs: 200
+      }
+    }
+  },
   
   // Network configurations
   networks: {
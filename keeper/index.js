@@ -0,0 +1,291 @@
+// Oracle keeper: pushes NAV updates to RWA4626Oracle as soon as each asset's interval allows it
+const { parseUnits } = require("ethers");
+const { loadState, saveState } = require("./state");
+const { createSource } = require("./sources");
+const { parseEvents } = require("../tasks/lib/common");
+
+// Oracle prices use 6 decimals
+const PRICE_DECIMALS = 6;
+
+/**
+ * Whether an error is a contract revert, which a retry would not fix
+ * @param error The error thrown while sending a transaction
+ */
+function isRevert(error) {
+  return error.code === "CALL_EXCEPTION" || /revert/i.test(error.message || "");
+}
+
+/**
+ * @notice Long-running keeper for RWA4626Oracle
+ * @dev Tracks the registered assets through AssetAdded/AssetRemoved events, pulls each
+ * price from a NAV source and calls updatePrice once canUpdate permits it, or submitPrice
+ * when the oracle requires a quorum of price submitters. Nonces are
+ * managed locally so several updates can be sent back to back, and the scanned block
+ * range plus the last update of every asset are persisted to a state file. Assets that
+ * were due but could not be updated (no source price, pending price, reverted update)
+ * are retried at the poll interval rather than straight away.
+ */
+class OracleKeeper {
+  /**
+   * @param options.oracle The RWA4626Oracle contract connected to the keeper signer
+   * @param options.source The NAV source (see ./sources)
+   * @param options.statePath The path of the state file (no persistence when omitted)
+   * @param options.fromBlock The first block to scan for asset events on a fresh start
+   * @param options.maxBlockRange The maximum number of blocks per event query
+   * @param options.maxRetries The number of retries for a failed update transaction
+   * @param options.retryDelayMs The base delay between retries, multiplied by the attempt number
+   * @param options.confirmations The confirmations to wait for on each update
+   * @param options.pollIntervalMs The maximum time between two checks
+   * @param options.logger The logger (defaults to console)
+   */
+  constructor(options) {
+    this.oracle = options.oracle;
+    this.signer = options.oracle.runner;
+    this.provider = this.signer.provider;
+    this.source = typeof options.source === "string" ? createSource(options.source) : options.source;
+    this.statePath = options.statePath;
+    this.fromBlock = options.fromBlock || 0;
+    this.maxBlockRange = options.maxBlockRange || 10000;
+    this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    this.retryDelayMs = options.retryDelayMs === undefined ? 5000 : options.retryDelayMs;
+    this.confirmations = options.confirmations || 1;
+    this.pollIntervalMs = options.pollIntervalMs || 60000;
+    this.logger = options.logger || console;
+
+    this.state = null;
+    this.nonce = null;
+    this.running = false;
+    this._wake = null;
+    // Assets due during the last pass that could not be updated
+    this.stalled = new Set();
+  }
+
+  /**
+   * Loads the persisted state
+   */
+  async init() {
+    this.state = loadState(this.statePath, await this.oracle.getAddress(), this.fromBlock);
+    return this.state;
+  }
+
+  /**
+   * Replays AssetAdded/AssetRemoved events since the last scanned block
+   * @return The list of tracked assets
+   */
+  async syncAssets() {
+    if (!this.state) {
+      await this.init();
+    }
+    const latest = await this.provider.getBlockNumber();
+    const assets = new Set(this.state.assets);
+
+    for (let from = this.state.lastBlock + 1; from <= latest; from += this.maxBlockRange) {
+      const to = Math.min(from + this.maxBlockRange - 1, latest);
+      const [added, removed] = await Promise.all([
+        this.oracle.queryFilter(this.oracle.filters.AssetAdded(), from, to),
+        this.oracle.queryFilter(this.oracle.filters.AssetRemoved(), from, to),
+      ]);
+      const events = [...added, ...removed].sort(
+        (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+      );
+      for (const event of events) {
+        const asset = event.args.asset;
+        if (event.fragment.name === "AssetAdded") {
+          assets.add(asset);
+          this.logger.log(`Tracking asset ${asset}`);
+        } else {
+          assets.delete(asset);
+          delete this.state.updates[asset];
+          this.logger.log(`Stopped tracking asset ${asset}`);
+        }
+      }
+      this.state.lastBlock = to;
+    }
+
+    this.state.assets = [...assets];
+    saveState(this.statePath, this.state);
+    return this.state.assets;
+  }
+
+  /**
+   * Runs one pass: syncs the assets and updates every asset whose interval has passed
+   * @return The updates sent during this pass
+   */
+  async tick() {
+    const assets = await this.syncAssets();
+    const updates = [];
+
+    for (const asset of assets) {
+      try {
+        const update = await this.updateAsset(asset);
+        if (update) {
+          updates.push(update);
+        }
+      } catch (error) {
+        this.stalled.add(asset);
+        this.logger.error(`Failed to update ${asset}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    this.state.lastRun = new Date().toISOString();
+    saveState(this.statePath, this.state);
+    return updates;
+  }
+
+  /**
+   * Pushes the source price for an asset if the oracle accepts an update now
+   * @param asset The asset address
+   * @return The update record, or undefined when nothing was sent
+   */
+  async updateAsset(asset) {
+    this.stalled.delete(asset);
+    if (!(await this.oracle.canUpdate(asset))) {
+      return undefined;
+    }
+    // Cleared again once the update goes through
+    this.stalled.add(asset);
+
+    // An out-of-band price is parked on-chain until the price confirmer acts on it
+    const [pendingPrice] = await this.oracle.getPendingPrice(asset);
+    if (pendingPrice !== 0n) {
+      this.logger.warn(`Skipping ${asset}: price ${pendingPrice} is awaiting confirmation`);
+      return undefined;
+    }
+
+    const value = await this.source.getPrice(asset);
+    if (value === undefined) {
+      this.logger.warn(`No price for ${asset} in ${this.source.name}`);
+      return undefined;
+    }
+    const price = parseUnits(value, PRICE_DECIMALS);
+
+    const receipt = await this._sendUpdate(asset, price);
+    if (parseEvents(this.oracle, receipt, "PricePending").length > 0) {
+      // Stays stalled: the price is parked until the confirmer acts on it
+      this.logger.warn(`Price ${value} for ${asset} is out of bounds and awaits confirmation`);
+      return { asset, price: price.toString(), pending: true, txHash: receipt.hash };
+    }
+    if (parseEvents(this.oracle, receipt, "PriceUpdated").length === 0) {
+      // Stays stalled: the round waits for the other submitters
+      this.logger.log(`Submitted ${value} for ${asset} in ${receipt.hash}, the round awaits the quorum`);
+      return { asset, price: price.toString(), submitted: true, txHash: receipt.hash };
+    }
+
+    const block = await this.provider.getBlock(receipt.blockNumber);
+    const update = {
+      price: price.toString(),
+      timestamp: block.timestamp,
+      txHash: receipt.hash,
+    };
+    this.state.updates[asset] = update;
+    this.stalled.delete(asset);
+    saveState(this.statePath, this.state);
+    this.logger.log(`Updated ${asset} to ${value} in ${receipt.hash}`);
+    return { asset, ...update };
+  }
+
+  /**
+   * Returns the time until the next asset becomes updatable, capped by the poll interval
+   * @dev Overdue assets that could not be updated during the last pass wait for the poll
+   * interval, so an asset the keeper cannot update does not make it spin
+   * @return The delay in milliseconds
+   */
+  async nextDelay() {
+    const { timestamp } = await this.provider.getBlock("latest");
+    let delay = this.pollIntervalMs;
+    for (const asset of this.state.assets) {
+      const lastUpdate = await this.oracle.getLastUpdateTime(asset);
+      const interval = await this.oracle.getUpdateInterval(asset);
+      const due = Number(lastUpdate + interval) - timestamp;
+      if (due < 0 && this.stalled.has(asset)) {
+        continue;
+      }
+      // Wake up one second after the interval so the next block is past it
+      delay = Math.min(delay, Math.max(due + 1, 0) * 1000);
+    }
+    return delay;
+  }
+
+  /**
+   * Runs until stop() is called
+   */
+  async run() {
+    this.running = true;
+    while (this.running) {
+      try {
+        await this.tick();
+      } catch (error) {
+        this.logger.error(`Keeper pass failed: ${error.shortMessage || error.message}`);
+      }
+      if (!this.running) {
+        break;
+      }
+      const delay = await this.nextDelay().catch(() => this.pollIntervalMs);
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, delay);
+        this._wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  }
+
+  /**
+   * Stops a running keeper after its current pass
+   */
+  stop() {
+    this.running = false;
+    if (this._wake) {
+      this._wake();
+    }
+  }
+
+  /**
+   * Sends updatePrice, or submitPrice under a quorum, with a locally tracked nonce, retrying
+   * transient failures
+   * @dev Throws without sending when a quorum is required and the keeper is not a submitter
+   * or already submitted to the current round
+   * @param asset The asset address
+   * @param price The new price (6 decimals)
+   */
+  async _sendUpdate(asset, price) {
+    let method = "updatePrice";
+    if ((await this.oracle.quorum()) !== 0n) {
+      const account = await this.signer.getAddress();
+      if (!(await this.oracle.isPriceSubmitter(account))) {
+        throw new Error(`The oracle requires a quorum and ${account} is not a price submitter`);
+      }
+      if (await this.oracle.hasSubmitted(asset, account)) {
+        throw new Error(`${account} already submitted to the current round`);
+      }
+      method = "submitPrice";
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        if (this.nonce === null) {
+          this.nonce = await this.provider.getTransactionCount(await this.signer.getAddress(), "pending");
+        }
+        const tx = await this.oracle[method](asset, price, { nonce: this.nonce });
+        this.nonce++;
+        return await tx.wait(this.confirmations);
+      } catch (error) {
+        // Resync the nonce from the node before trying again
+        this.nonce = null;
+        // Reverts (e.g. UpdateTooFrequent) will not succeed on a retry
+        if (isRevert(error) || attempt > this.maxRetries) {
+          throw error;
+        }
+        this.logger.warn(
+          `Update of ${asset} failed (attempt ${attempt}/${this.maxRetries + 1}): ${error.shortMessage || error.message}`
+        );
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * attempt));
+      }
+    }
+  }
+}
+
+module.exports = {
+  OracleKeeper,
+};
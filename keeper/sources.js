@@ -0,0 +1,114 @@
+// NAV sources for the oracle keeper
+//
+// A source resolves the latest NAV of an asset as a decimal string in USD
+// (e.g. "1.0234"), or undefined when it has no value for that asset.
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Normalizes a map of asset addresses to prices so lookups are case-insensitive
+ * @param entries The [asset, price] pairs
+ */
+function toPriceMap(entries) {
+  const prices = new Map();
+  for (const [asset, price] of entries) {
+    prices.set(String(asset).toLowerCase(), String(price).trim());
+  }
+  return prices;
+}
+
+/**
+ * Parses a CSV file with `asset,price` rows (an optional header row is skipped)
+ * @param content The file content
+ */
+function parseCsv(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#"))
+    .map(line => line.split(",").map(cell => cell.trim()))
+    .filter(([asset, price]) => /^0x[0-9a-fA-F]{40}$/.test(asset) && price !== undefined);
+}
+
+/**
+ * Source returning the same price for every asset, for tests and local networks
+ * @param price The price to return
+ */
+function createStubSource(price) {
+  return {
+    name: `stub:${price}`,
+    async getPrice() {
+      return String(price);
+    },
+  };
+}
+
+/**
+ * Source reading prices from a local JSON (`{ "<asset>": "1.02" }`) or CSV (`asset,price`) file
+ * @dev The file is re-read on every lookup so it can be edited while the keeper runs
+ * @param file The path to the file
+ */
+function createFileSource(file) {
+  const load = () => {
+    const content = fs.readFileSync(file, "utf8");
+    if (path.extname(file).toLowerCase() === ".csv") {
+      return toPriceMap(parseCsv(content));
+    }
+    return toPriceMap(Object.entries(JSON.parse(content)));
+  };
+
+  return {
+    name: `file:${file}`,
+    async getPrice(asset) {
+      return load().get(asset.toLowerCase());
+    },
+  };
+}
+
+/**
+ * Source fetching prices from an HTTP endpoint
+ * @dev When the URL contains `{asset}` it is requested once per asset and must return
+ * `{ "price": "1.02" }`; otherwise it must return a `{ "<asset>": "1.02" }` map
+ * @param url The endpoint URL
+ */
+function createHttpSource(url) {
+  return {
+    name: url,
+    async getPrice(asset) {
+      const perAsset = url.includes("{asset}");
+      const response = await fetch(perAsset ? url.replace("{asset}", asset) : url);
+      if (!response.ok) {
+        throw new Error(`NAV endpoint returned ${response.status} for ${asset}`);
+      }
+      const body = await response.json();
+      if (perAsset) {
+        return body.price === undefined ? undefined : String(body.price);
+      }
+      return toPriceMap(Object.entries(body)).get(asset.toLowerCase());
+    },
+  };
+}
+
+/**
+ * Creates a source from a command line spec: `stub:<price>`, `file:<path>` or an http(s) URL
+ * @param spec The source spec
+ */
+function createSource(spec) {
+  if (spec.startsWith("stub:")) {
+    return createStubSource(spec.slice("stub:".length));
+  }
+  if (spec.startsWith("file:")) {
+    return createFileSource(path.resolve(spec.slice("file:".length)));
+  }
+  if (/^https?:\/\//.test(spec)) {
+    return createHttpSource(spec);
+  }
+  throw new Error(`Unknown NAV source: ${spec}`);
+}
+
+module.exports = {
+  createSource,
+  createStubSource,
+  createFileSource,
+  createHttpSource,
+};
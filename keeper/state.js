@@ -0,0 +1,53 @@
+// Persisted keeper state, so a restarted keeper resumes where it stopped
+const fs = require("fs");
+
+/**
+ * Returns an empty state for an oracle
+ * @param oracle The oracle address
+ * @param fromBlock The first block to scan for asset events
+ */
+function emptyState(oracle, fromBlock) {
+  return {
+    oracle,
+    lastBlock: fromBlock - 1,
+    assets: [],
+    updates: {},
+    lastRun: null,
+  };
+}
+
+/**
+ * Loads the state file, or starts fresh when it is missing or belongs to another oracle
+ * @param file The path to the state file (no persistence when empty)
+ * @param oracle The oracle address
+ * @param fromBlock The first block to scan for asset events on a fresh start
+ */
+function loadState(file, oracle, fromBlock) {
+  if (!file || !fs.existsSync(file)) {
+    return emptyState(oracle, fromBlock);
+  }
+  const state = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (state.oracle.toLowerCase() !== oracle.toLowerCase()) {
+    return emptyState(oracle, fromBlock);
+  }
+  return state;
+}
+
+/**
+ * Writes the state file atomically
+ * @param file The path to the state file (no persistence when empty)
+ * @param state The state to write
+ */
+function saveState(file, state) {
+  if (!file) {
+    return;
+  }
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  loadState,
+  saveState,
+};
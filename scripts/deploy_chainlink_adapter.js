@@ -0,0 +1,57 @@
+// Script to deploy a Chainlink AggregatorV3Interface adapter for the share price of one vault
+//
+// Usage: ORACLE_ADDRESS=<oracle> VAULT_ADDRESS=<vault> [DESCRIPTION="rwaUSDC / USD"] \
+//   npx hardhat run scripts/deploy_chainlink_adapter.js --network <network>
+const hre = require("hardhat");
+
+async function main() {
+  const oracleAddress = process.env.ORACLE_ADDRESS;
+  if (!oracleAddress) {
+    throw new Error("Please set ORACLE_ADDRESS environment variable");
+  }
+
+  const vaultAddress = process.env.VAULT_ADDRESS;
+  if (!vaultAddress) {
+    throw new Error("Please set VAULT_ADDRESS environment variable");
+  }
+
+  let description = process.env.DESCRIPTION;
+  if (!description) {
+    const vault = await hre.ethers.getContractAt("RWA4626Vault", vaultAddress);
+    description = `${await vault.symbol()} / USD`;
+  }
+
+  const [deployer] = await hre.ethers.getSigners();
+  console.log(`Deploying adapter "${description}" with account: ${deployer.address}`);
+
+  const RWA4626ChainlinkAdapter = await hre.ethers.getContractFactory("RWA4626ChainlinkAdapter");
+  const adapter = await RWA4626ChainlinkAdapter.deploy(oracleAddress, vaultAddress, description);
+  await adapter.waitForDeployment();
+
+  const adapterAddress = await adapter.getAddress();
+  console.log("RWA4626ChainlinkAdapter deployed to:", adapterAddress);
+
+  const [roundId, answer, , updatedAt] = await adapter.latestRoundData();
+  console.log(`Latest round ${roundId}: ${hre.ethers.formatUnits(answer, 6)} updated at ${new Date(Number(updatedAt) * 1000).toISOString()}`);
+
+  if (hre.network.name !== "hardhat") {
+    console.log("Waiting for 6 block confirmations...");
+    await adapter.deploymentTransaction().wait(6);
+
+    console.log("Verifying contract on Etherscan...");
+    try {
+      await hre.run("verify:verify", {
+        address: adapterAddress,
+        constructorArguments: [oracleAddress, vaultAddress, description],
+      });
+      console.log("Contract verified successfully!");
+    } catch (error) {
+      console.error("Verification failed:", error);
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,9 +1,26 @@
 // Script to deploy the RWA4626Factory contract
-const { ethers } = require("hardhat");
+//
+// Usage: ORACLE_ADDRESS=<oracle> [IMPLEMENTATION_ADDRESS=<vault implementation>] \
+//   [DEFAULT_MIN_DEPOSIT=1000000] [DEFAULT_FEE=50] \
+//   npx hardhat run scripts/deploy_factory.js --network <network>
+//
+// Vaults are created as clones of an RWA4626Vault implementation, deployed first unless
+// IMPLEMENTATION_ADDRESS is given.
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getVaultFactory } = require("../tasks/lib/vault");
 
 async function main() {
   console.log("Deploying RWA4626Factory contract...");
 
+  const oracleAddress = process.env.ORACLE_ADDRESS;
+  if (!oracleAddress) {
+    throw new Error("Please set ORACLE_ADDRESS environment variable");
+  }
+  // Default minimum deposit of 1 USDC (6 decimals) and 0.5% fee
+  const defaultMinDeposit = BigInt(process.env.DEFAULT_MIN_DEPOSIT || "1000000");
+  const defaultFee = BigInt(process.env.DEFAULT_FEE || "50");
+
   // Get the contract factory
   const RWA4626Factory = await ethers.getContractFactory("RWA4626Factory");
 
@@ -11,8 +28,18 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log(`Deploying with account: ${deployer.address}`);
 
-  // Deploy the contract with default minimum deposit of 1 USDC (6 decimals)
-  const factory = await RWA4626Factory.deploy(1000000);
+  // Deploy the vault implementation (a zero asset leaves it uninitializable)
+  let implementationAddress = process.env.IMPLEMENTATION_ADDRESS;
+  if (!implementationAddress) {
+    const RWA4626Vault = await getVaultFactory(hre);
+    const implementation = await RWA4626Vault.deploy(ethers.ZeroAddress, "", "", ethers.ZeroAddress, 0, 0);
+    await implementation.waitForDeployment();
+    implementationAddress = await implementation.getAddress();
+    console.log(`RWA4626Vault implementation deployed to: ${implementationAddress}`);
+  }
+
+  // Deploy the contract
+  const factory = await RWA4626Factory.deploy(implementationAddress, oracleAddress, defaultMinDeposit, defaultFee);
 
   // Wait for deployment to complete
   await factory.waitForDeployment();
@@ -21,15 +48,24 @@ async function main() {
   const factoryAddress = await factory.getAddress();
   console.log(`RWA4626Factory deployed to: ${factoryAddress}`);
 
+  // Let the factory register new vaults in the oracle when the deployer is an oracle admin
+  const oracle = await ethers.getContractAt("RWA4626Oracle", oracleAddress);
+  if (await oracle.hasRole(await oracle.ORACLE_ADMIN_ROLE(), deployer.address)) {
+    await (await oracle.addAssetRegistrar(factoryAddress)).wait();
+    console.log("Factory authorized as oracle asset registrar");
+  } else {
+    console.log(`Ask an oracle admin to call addAssetRegistrar(${factoryAddress}) to register vaults on creation`);
+  }
+
   // Verify the contract on Etherscan (if on a public network)
   if (process.env.ETHERSCAN_API_KEY) {
     console.log("Waiting for 6 block confirmations...");
-    await factory.deployTransaction.wait(6);
+    await factory.deploymentTransaction().wait(6);
     
     console.log("Verifying contract on Etherscan...");
     await hre.run("verify:verify", {
       address: factoryAddress,
-      constructorArguments: [1000000],
+      constructorArguments: [implementationAddress, oracleAddress, defaultMinDeposit, defaultFee],
     });
   }
 
@@ -45,4 +81,4 @@ main()
   .catch((error) => {
     console.error("Deployment failed:", error);
     process.exit(1);
-  }); 
\ No newline at end of file
+  }); 
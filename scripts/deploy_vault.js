@@ -1,11 +1,15 @@
 // Script to deploy the RWA4626Vault contract
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployVaultLibraries, getVaultFactory } = require("../tasks/lib/vault");
 
 async function main() {
   console.log("Deploying RWA4626Vault contract...");
 
-  // Get the contract factory
-  const RWA4626Vault = await ethers.getContractFactory("RWA4626Vault");
+  // Deploy the libraries and get the contract factory linked to them
+  const libraries = await deployVaultLibraries(hre);
+  console.log("Libraries deployed:", libraries);
+  const RWA4626Vault = await getVaultFactory(hre, libraries);
 
   // Get the deployer's address
   const [deployer] = await ethers.getSigners();
@@ -44,6 +48,7 @@ async function main() {
         "RWA",
         1000000
       ],
+      libraries,
     });
   }
 
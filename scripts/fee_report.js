@@ -0,0 +1,31 @@
+// Script reporting the fees of an RWA4626Vault, including management and performance fees
+// accrued since the last checkpoint and not charged yet
+//
+// Usage: VAULT_ADDRESS=<vault> [FORMAT=json] npx hardhat run scripts/fee_report.js --network <network>
+const hre = require("hardhat");
+const { buildFeeReport, formatFeeReport } = require("../tasks/lib/fees");
+
+async function main() {
+  const vaultAddress = process.env.VAULT_ADDRESS;
+  if (!vaultAddress) {
+    throw new Error("Please set VAULT_ADDRESS environment variable");
+  }
+
+  const vault = await hre.ethers.getContractAt("RWA4626Vault", vaultAddress);
+  const report = await buildFeeReport(hre, vault);
+
+  if (process.env.FORMAT === "json") {
+    console.log(JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+    return;
+  }
+
+  console.log(`Fee report for ${vaultAddress}`);
+  for (const line of formatFeeReport(hre, report)) {
+    console.log(`  ${line}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
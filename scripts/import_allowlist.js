@@ -0,0 +1,72 @@
+// Script bulk-importing KYC allowlist entries from a CSV file into RWA4626Compliance
+//
+// Usage: COMPLIANCE_ADDRESS=<compliance> CSV_FILE=allowlist.csv [BATCH_SIZE=100] [DRY_RUN=1] \
+//   npx hardhat run scripts/import_allowlist.js --network <network>
+//
+// The CSV has one investor per line: address,jurisdiction,expiry (see tasks/lib/allowlist.js).
+// Entries already on chain with the same jurisdiction and expiry are skipped. The account
+// configured for the network must be the owner or a compliance officer.
+const fs = require("fs");
+const hre = require("hardhat");
+const { parseAllowlistCsv, toBatches, decodeJurisdiction } = require("../tasks/lib/allowlist");
+
+async function main() {
+  const complianceAddress = process.env.COMPLIANCE_ADDRESS;
+  if (!complianceAddress) {
+    throw new Error("Please set COMPLIANCE_ADDRESS environment variable");
+  }
+
+  const csvFile = process.env.CSV_FILE;
+  if (!csvFile) {
+    throw new Error("Please set CSV_FILE environment variable");
+  }
+  const batchSize = Number(process.env.BATCH_SIZE || "100");
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error(`Invalid BATCH_SIZE: ${process.env.BATCH_SIZE}`);
+  }
+
+  const entries = parseAllowlistCsv(fs.readFileSync(csvFile, "utf8"));
+  const compliance = await hre.ethers.getContractAt("RWA4626Compliance", complianceAddress);
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+
+  const pending = [];
+  for (const entry of entries) {
+    if (entry.expiry <= BigInt(timestamp)) {
+      throw new Error(`KYC of ${entry.account} expired on ${new Date(Number(entry.expiry) * 1000).toISOString()}`);
+    }
+    const [jurisdiction, expiry] = await compliance.getInvestor(entry.account);
+    if (jurisdiction === entry.jurisdiction && expiry === entry.expiry) {
+      continue;
+    }
+    pending.push(entry);
+  }
+  console.log(`${entries.length} entries read, ${pending.length} to import`);
+
+  for (const [index, batch] of toBatches(pending, batchSize).entries()) {
+    for (const entry of batch) {
+      console.log(
+        `  ${entry.account} ${decodeJurisdiction(entry.jurisdiction)} ` +
+          `until ${new Date(Number(entry.expiry) * 1000).toISOString()}`
+      );
+    }
+    if (process.env.DRY_RUN) {
+      continue;
+    }
+    const tx = await compliance.setInvestors(
+      batch.map(entry => entry.account),
+      batch.map(entry => entry.jurisdiction),
+      batch.map(entry => entry.expiry)
+    );
+    await tx.wait();
+    console.log(`Batch ${index + 1}: ${batch.length} entries imported (${tx.hash})`);
+  }
+
+  if (process.env.DRY_RUN) {
+    console.log("Dry run: no transaction sent");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,103 @@
+// Script loading a dealing calendar (weekly schedule, holidays, blackouts) from a JSON or ICS file
+// into RWA4626DealingCalendar, e.g. the calendar of the coming year
+//
+// Usage: CALENDAR_ADDRESS=<calendar> CALENDAR_FILE=calendar.json|calendar.ics [BATCH_SIZE=100] [DRY_RUN=1] \
+//   npx hardhat run scripts/load_calendar.js --network <network>
+//
+// See tasks/lib/calendar.js for the file formats. Holidays and blackouts already on chain are skipped,
+// blackouts that have ended are pruned first. The account configured for the network must be the owner.
+const fs = require("fs");
+const hre = require("hardhat");
+const { parseCalendar, decodeOpenDays, formatTimeOfDay } = require("../tasks/lib/calendar");
+const { toBatches } = require("../tasks/lib/allowlist");
+
+const formatTime = (seconds) => new Date(Number(seconds) * 1000).toISOString();
+
+async function main() {
+  const calendarAddress = process.env.CALENDAR_ADDRESS;
+  if (!calendarAddress) {
+    throw new Error("Please set CALENDAR_ADDRESS environment variable");
+  }
+
+  const calendarFile = process.env.CALENDAR_FILE;
+  if (!calendarFile) {
+    throw new Error("Please set CALENDAR_FILE environment variable");
+  }
+  const batchSize = Number(process.env.BATCH_SIZE || "100");
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error(`Invalid BATCH_SIZE: ${process.env.BATCH_SIZE}`);
+  }
+  const dryRun = Boolean(process.env.DRY_RUN);
+
+  const { schedule, holidays, blackouts } = parseCalendar(fs.readFileSync(calendarFile, "utf8"), calendarFile);
+  const calendar = await hre.ethers.getContractAt("RWA4626DealingCalendar", calendarAddress);
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  const send = async (description, transaction) => {
+    console.log(description);
+    if (!dryRun) {
+      const tx = await transaction();
+      await tx.wait();
+      console.log(`  (${tx.hash})`);
+    }
+  };
+
+  if (schedule) {
+    const [openDays, openTime, closeTime] = await Promise.all([
+      calendar.openDays(), calendar.openTime(), calendar.closeTime(),
+    ]);
+    if (Number(openDays) !== schedule.openDays || Number(openTime) !== schedule.openTime ||
+        Number(closeTime) !== schedule.closeTime) {
+      await send(
+        `Weekly schedule: ${decodeOpenDays(schedule.openDays).join(", ")} ` +
+          `${formatTimeOfDay(schedule.openTime)}-${formatTimeOfDay(schedule.closeTime)} UTC`,
+        () => calendar.setWeeklySchedule(schedule.openDays, schedule.openTime, schedule.closeTime)
+      );
+    }
+  }
+
+  const newHolidays = [];
+  for (const holiday of holidays) {
+    if (!(await calendar.isHoliday(holiday))) {
+      newHolidays.push(holiday);
+    }
+  }
+  console.log(`${holidays.length} holidays read, ${newHolidays.length} to add`);
+  for (const [index, batch] of toBatches(newHolidays, batchSize).entries()) {
+    await send(
+      `Batch ${index + 1}: ${batch.map(holiday => formatTime(holiday).slice(0, 10)).join(", ")}`,
+      () => calendar.setHolidays(batch, true)
+    );
+  }
+
+  const existing = await calendar.getBlackouts();
+  if (existing.some(blackout => blackout.end <= BigInt(timestamp))) {
+    await send("Pruning the blackouts that have ended", () => calendar.pruneBlackouts());
+  }
+  const newBlackouts = blackouts.filter(blackout =>
+    blackout.end > BigInt(timestamp) &&
+    !existing.some(({ start, end }) => start === blackout.start && end === blackout.end)
+  );
+  console.log(`${blackouts.length} blackouts read, ${newBlackouts.length} to add`);
+  for (const blackout of newBlackouts) {
+    await send(
+      `Blackout ${formatTime(blackout.start)} - ${formatTime(blackout.end)}`,
+      () => calendar.addBlackout(blackout.start, blackout.end)
+    );
+  }
+
+  if (dryRun) {
+    console.log("Dry run: no transaction sent");
+    return;
+  }
+  const [start, end] = await calendar.nextOpenWindow((await hre.ethers.provider.getBlock("latest")).timestamp);
+  if (start === 0n) {
+    console.log("No dealing window within a year");
+  } else {
+    console.log(`Next dealing window: ${formatTime(start)} - ${formatTime(end)}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
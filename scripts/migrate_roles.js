@@ -0,0 +1,70 @@
+// Script handing the roles of an RWA4626Vault and/or RWA4626Oracle over from the deployer
+//
+// Usage: [VAULT_ADDRESS=<vault>] [ORACLE_ADDRESS=<oracle>] \
+//   [PAUSER=<addr,...>] [FEE_MANAGER=<addr,...>] [PRICE_REPORTER=<addr,...>] \
+//   [ORACLE_ADMIN=<addr,...>] [GUARDIAN=<addr,...>] [CAPITAL_MANAGER=<addr,...>] \
+//   [LIMITS_MANAGER=<addr,...>] \
+//   [NEW_ADMIN=<admin>] [DRY_RUN=1] \
+//   npx hardhat run scripts/migrate_roles.js --network <network>
+//
+// Run with the legacy owner (the deployer, holding every role). Each listed role is granted to
+// its holders and renounced by the legacy owner; roles left empty stay with the legacy owner.
+// NEW_ADMIN starts the two-step transfer of the default admin role: the new admin completes it
+// with acceptDefaultAdminTransfer() once the admin delay has passed.
+const hre = require("hardhat");
+const { ROLE_NAMES, planRoleMigration, executeRoleMigration, parseAddressList } = require("../tasks/lib/roles");
+
+async function main() {
+  const targets = [
+    ["RWA4626Vault", process.env.VAULT_ADDRESS],
+    ["RWA4626Oracle", process.env.ORACLE_ADDRESS],
+  ].filter(([, address]) => address);
+  if (targets.length === 0) {
+    throw new Error("Please set VAULT_ADDRESS and/or ORACLE_ADDRESS environment variables");
+  }
+
+  const assignments = {};
+  for (const name of ROLE_NAMES) {
+    assignments[name] = parseAddressList(process.env[name]);
+    for (const account of assignments[name]) {
+      if (!hre.ethers.isAddress(account)) {
+        throw new Error(`Invalid ${name} address: ${account}`);
+      }
+    }
+  }
+  const newAdmin = process.env.NEW_ADMIN;
+  if (newAdmin && !hre.ethers.isAddress(newAdmin)) {
+    throw new Error(`Invalid NEW_ADMIN address: ${newAdmin}`);
+  }
+
+  const [legacyOwner] = await hre.ethers.getSigners();
+  console.log(`Migrating roles from ${legacyOwner.address}`);
+
+  for (const [name, address] of targets) {
+    const contract = await hre.ethers.getContractAt(name, address, legacyOwner);
+    const { steps, kept } = await planRoleMigration(contract, legacyOwner.address, assignments, newAdmin);
+
+    console.log(`${name} ${address}: ${steps.length} steps`);
+    for (const step of steps) {
+      console.log(`  ${step.method} ${step.role} ${step.account}`);
+    }
+    if (kept.length > 0) {
+      console.log(`  Kept by ${legacyOwner.address}: ${kept.join(", ")}`);
+    }
+
+    if (!process.env.DRY_RUN) {
+      await executeRoleMigration(contract, steps, (step, receipt) => {
+        console.log(`  Done: ${step.method} ${step.role} (${receipt.hash})`);
+      });
+    }
+  }
+
+  if (process.env.DRY_RUN) {
+    console.log("Dry run: no transaction sent");
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+// Script processing the RWA4626RedemptionQueue of a vault in batches, in queue order
+//
+// Usage: QUEUE_ADDRESS=<queue> [BATCH_SIZE=20] [DRY_RUN=1] \
+//   npx hardhat run scripts/process_redemption_queue.js --network <network>
+//
+// Fund the vault first (returnCapital from the custodians): redemptions are processed while the vault
+// holds their assets and, for redemptions priced at the next NAV, once the oracle published it.
+// Under a redemption gate, the queue stops once the capacity of the gate period is used up.
+// The account configured for the network must be a capital manager of the vault.
+const hre = require("hardhat");
+const { ethers } = hre;
+
+// Prices have 6 decimals
+const PRICE_DECIMALS = 1000000n;
+
+async function main() {
+  const queueAddress = process.env.QUEUE_ADDRESS;
+  if (!queueAddress) {
+    throw new Error("Please set QUEUE_ADDRESS environment variable");
+  }
+  const batchSize = Number(process.env.BATCH_SIZE || "20");
+  if (!Number.isInteger(batchSize) || batchSize <= 0) {
+    throw new Error(`Invalid BATCH_SIZE: ${process.env.BATCH_SIZE}`);
+  }
+
+  const queue = await ethers.getContractAt("RWA4626RedemptionQueue", queueAddress);
+  const vault = await ethers.getContractAt("RWA4626Vault", await queue.vault());
+  const decimals = await vault.decimals();
+  const format = (value) => ethers.formatUnits(value, decimals);
+
+  const queued = (await queue.redemptionCount()) - (await queue.nextRedemptionId());
+  console.log(`${queued} redemptions queued, ${format(await queue.queuedLiabilities())} assets owed`);
+  console.log(`Vault liquidity: ${format(await vault.availableLiquidity())}`);
+
+  let total = 0n;
+  for (let batch = 1; ; batch++) {
+    const processed = await queue.processQueue.staticCall(batchSize);
+    // A batch of cancelled redemptions processes none but moves the queue past them
+    const next = await queue.nextRedemptionId();
+    const skipping = next < (await queue.redemptionCount()) && (await queue.getRedemption(next)).processed;
+    if (processed === 0n && !skipping) {
+      break;
+    }
+    if (process.env.DRY_RUN) {
+      console.log(`Dry run: the next batch processes ${processed} redemptions, no transaction sent`);
+      return;
+    }
+    const tx = await queue.processQueue(batchSize);
+    await tx.wait();
+    total += processed;
+    console.log(`Batch ${batch}: ${processed} redemptions processed (${tx.hash})`);
+  }
+  console.log(`${total} redemptions processed`);
+
+  const next = await queue.nextRedemptionId();
+  if (next < (await queue.redemptionCount())) {
+    const redemption = await queue.getRedemption(next);
+    const remaining = redemption.shares - redemption.redeemedShares;
+    const waiting = redemption.price === 0n
+      ? "the next NAV or liquidity"
+      : `${format(remaining * redemption.price / PRICE_DECIMALS)} assets`;
+    console.log(`Redemption ${next} waits for ${waiting}; liquidity left: ${format(await vault.availableLiquidity())}`);
+    if ((await vault.redemptionGate()) !== 0n) {
+      console.log(`Redemption gate capacity left: ${format(await vault.gateCapacity())} shares`);
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
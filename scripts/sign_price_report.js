@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// Offline signer for RWA4626Oracle price reports (air-gapped workflow)
+//
+// Runs with plain Node and never talks to a network: the chain id, oracle address and
+// reporter nonce (oracle.nonces(reporter)) are passed in, and the signed report is written
+// to a JSON file to be carried to an online machine and relayed with `rwa:relay-price`.
+//
+// Usage:
+//   node scripts/sign_price_report.js --chain-id <id> --oracle <oracle> --asset <vault> \
+//     --price 1.0234 --nonce <n> [--timestamp <unix>] [--keystore <file>] [--out report.json]
+//
+// The reporter key is read from a keystore file (password from KEYSTORE_PASSWORD or a
+// prompt) or from the PRICE_REPORTER_KEY environment variable.
+const fs = require("fs");
+const readline = require("readline");
+const { parseArgs } = require("util");
+const { Wallet, isAddress, parseUnits } = require("ethers");
+const { reportDomain, signPriceReport, serializeReport } = require("../tasks/lib/reports");
+
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(answer);
+  }));
+}
+
+async function loadWallet(keystore) {
+  if (keystore) {
+    const password = process.env.KEYSTORE_PASSWORD || (await prompt("Keystore password: "));
+    return Wallet.fromEncryptedJson(fs.readFileSync(keystore, "utf8"), password);
+  }
+  if (!process.env.PRICE_REPORTER_KEY) {
+    throw new Error("Please pass --keystore or set PRICE_REPORTER_KEY environment variable");
+  }
+  return new Wallet(process.env.PRICE_REPORTER_KEY);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "chain-id": { type: "string" },
+      oracle: { type: "string" },
+      asset: { type: "string" },
+      price: { type: "string" },
+      nonce: { type: "string" },
+      timestamp: { type: "string" },
+      keystore: { type: "string" },
+      out: { type: "string" },
+    },
+  });
+
+  for (const name of ["chain-id", "oracle", "asset", "price", "nonce"]) {
+    if (values[name] === undefined) {
+      throw new Error(`Missing --${name}`);
+    }
+  }
+  if (!isAddress(values.oracle) || !isAddress(values.asset)) {
+    throw new Error("Invalid --oracle or --asset address");
+  }
+
+  const wallet = await loadWallet(values.keystore);
+  const report = {
+    asset: values.asset,
+    price: parseUnits(values.price, 6), // Prices use 6 decimals
+    timestamp: BigInt(values.timestamp || Math.floor(Date.now() / 1000)),
+    nonce: BigInt(values.nonce),
+  };
+
+  const envelope = await signPriceReport(wallet, reportDomain(values["chain-id"], values.oracle), report);
+  const json = serializeReport(envelope);
+
+  if (values.out) {
+    fs.writeFileSync(values.out, json);
+    console.error(`Signed report written to ${values.out} by ${envelope.reporter}`);
+  } else {
+    console.log(json);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,67 @@
+// Script for a registered price submitter to push their NAV to the current quorum round
+//
+// Usage: ORACLE_ADDRESS=<oracle> ASSET_ADDRESS=<vault> PRICE=1.0234 \
+//   npx hardhat run scripts/submit_price.js --network <network>
+//
+// Each submitter (fund administrator, custodian, auditor, ...) runs it with their own
+// key configured for the network; SUBMITTER_ADDRESS selects a specific account.
+const hre = require("hardhat");
+
+async function main() {
+  const oracleAddress = process.env.ORACLE_ADDRESS;
+  if (!oracleAddress) {
+    throw new Error("Please set ORACLE_ADDRESS environment variable");
+  }
+
+  const assetAddress = process.env.ASSET_ADDRESS;
+  if (!assetAddress) {
+    throw new Error("Please set ASSET_ADDRESS environment variable");
+  }
+
+  if (!process.env.PRICE) {
+    throw new Error("Please set PRICE environment variable (USD, e.g. 1.0234)");
+  }
+  const price = hre.ethers.parseUnits(process.env.PRICE, 6); // Prices use 6 decimals
+
+  const submitter = process.env.SUBMITTER_ADDRESS
+    ? await hre.ethers.getSigner(process.env.SUBMITTER_ADDRESS)
+    : (await hre.ethers.getSigners())[0];
+  const oracle = await hre.ethers.getContractAt("RWA4626Oracle", oracleAddress, submitter);
+
+  if (!(await oracle.isPriceSubmitter(submitter.address))) {
+    throw new Error(`${submitter.address} is not a registered price submitter`);
+  }
+  if (await oracle.hasSubmitted(assetAddress, submitter.address)) {
+    throw new Error(`${submitter.address} already submitted in the current round`);
+  }
+  if (!(await oracle.canUpdate(assetAddress))) {
+    throw new Error("The update interval has not passed yet");
+  }
+
+  const [roundId] = await oracle.getCurrentRound(assetAddress);
+  console.log(`Submitting ${process.env.PRICE} for ${assetAddress} to round ${roundId} as ${submitter.address}`);
+
+  const tx = await oracle.submitPrice(assetAddress, price);
+  const receipt = await tx.wait();
+
+  const events = receipt.logs
+    .map(log => oracle.interface.parseLog(log))
+    .filter(event => event !== null);
+  const finalized = events.find(event => event.name === "RoundFinalized");
+  const pending = events.find(event => event.name === "PricePending");
+
+  if (finalized) {
+    console.log(`Round ${finalized.args.roundId} finalized at ${hre.ethers.formatUnits(finalized.args.price, 6)}`);
+    if (pending) {
+      console.log("The median is outside the deviation bounds and awaits confirmation");
+    }
+  } else {
+    const [, prices] = await oracle.getCurrentRound(assetAddress);
+    console.log(`Submitted: ${prices.length} submission(s) in round ${roundId}, quorum is ${await oracle.quorum()}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,43 @@
+// rwa:keeper task running the oracle keeper daemon
+const { task, types } = require("hardhat/config");
+const { getSigner, getContract } = require("./lib/common");
+const { OracleKeeper } = require("../keeper");
+
+task("rwa:keeper", "Keeps RWA4626Oracle prices fresh by pushing NAV updates on schedule")
+  .addParam("oracle", "The oracle address")
+  .addParam("source", "The NAV source: stub:<price>, file:<path.json|path.csv> or an http(s) URL")
+  .addOptionalParam("state", "The state file used to resume after a restart", "keeper-state.json")
+  .addOptionalParam("fromBlock", "The first block to scan for AssetAdded events", 0, types.int)
+  .addOptionalParam("pollInterval", "The maximum number of seconds between two checks", 60, types.int)
+  .addOptionalParam("retries", "The number of retries for a failed update", 3, types.int)
+  .addOptionalParam("confirmations", "The confirmations to wait for on each update", 1, types.int)
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("once", "Run a single pass and exit")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre, args.from);
+    const oracle = await getContract(hre, "RWA4626Oracle", args.oracle, signer);
+    const keeper = new OracleKeeper({
+      oracle,
+      source: args.source,
+      statePath: args.state,
+      fromBlock: args.fromBlock,
+      pollIntervalMs: args.pollInterval * 1000,
+      maxRetries: args.retries,
+      confirmations: args.confirmations,
+    });
+
+    console.log(`Keeper for ${args.oracle} running with account ${signer.address}`);
+    console.log(`NAV source: ${keeper.source.name}`);
+
+    if (args.once) {
+      return keeper.tick();
+    }
+
+    const stop = () => {
+      console.log("Stopping keeper...");
+      keeper.stop();
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+    await keeper.run();
+  });
@@ -0,0 +1,99 @@
+// CSV allowlist entries for RWA4626Compliance.setInvestors
+//
+// One investor per line: address,jurisdiction,expiry
+//   - jurisdiction: ISO 3166-1 alpha-2 code, e.g. US
+//   - expiry: KYC expiry as a date (2027-06-30), an ISO timestamp or unix seconds
+// An optional header line starting with "address" and lines starting with # are ignored.
+const { getAddress, hexlify, toUtf8Bytes, toUtf8String } = require("ethers");
+
+/**
+ * Encodes a jurisdiction code as the bytes2 stored by RWA4626Compliance
+ * @param code The ISO 3166-1 alpha-2 code, e.g. "US"
+ */
+function encodeJurisdiction(code) {
+  const normalized = String(code).trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(normalized)) {
+    throw new Error(`Invalid jurisdiction code: ${code}`);
+  }
+  return hexlify(toUtf8Bytes(normalized));
+}
+
+/**
+ * Decodes a bytes2 jurisdiction code
+ * @param value The bytes2 value, e.g. "0x5553"
+ */
+function decodeJurisdiction(value) {
+  return toUtf8String(value);
+}
+
+/**
+ * Parses an expiry as unix seconds
+ * @param value Unix seconds, a date or an ISO timestamp
+ */
+function parseExpiry(value) {
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return BigInt(trimmed);
+  }
+  const millis = Date.parse(trimmed);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid expiry: ${value}`);
+  }
+  return BigInt(Math.floor(millis / 1000));
+}
+
+/**
+ * Parses allowlist entries from CSV content
+ * @param content The CSV content
+ * @return The entries: [{ account, jurisdiction, expiry }], jurisdiction as bytes2 and expiry as bigint
+ */
+function parseAllowlistCsv(content) {
+  const entries = [];
+  const seen = new Set();
+  content.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#") || (index === 0 && /^address\b/i.test(line))) {
+      return;
+    }
+    const fields = line.split(",").map(field => field.trim());
+    if (fields.length !== 3) {
+      throw new Error(`Line ${index + 1}: expected address,jurisdiction,expiry`);
+    }
+    try {
+      const account = getAddress(fields[0].toLowerCase());
+      if (seen.has(account)) {
+        throw new Error(`Duplicate address ${account}`);
+      }
+      seen.add(account);
+      entries.push({
+        account,
+        jurisdiction: encodeJurisdiction(fields[1]),
+        expiry: parseExpiry(fields[2]),
+      });
+    } catch (error) {
+      throw new Error(`Line ${index + 1}: ${error.shortMessage || error.message}`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Splits entries into batches of at most `size` entries
+ * @param entries The entries
+ * @param size The maximum batch size
+ */
+function toBatches(entries, size) {
+  const batches = [];
+  for (let i = 0; i < entries.length; i += size) {
+    batches.push(entries.slice(i, i + size));
+  }
+  return batches;
+}
+
+module.exports = {
+  encodeJurisdiction,
+  decodeJurisdiction,
+  parseExpiry,
+  parseAllowlistCsv,
+  toBatches,
+};
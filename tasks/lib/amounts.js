@@ -0,0 +1,64 @@
+// Decimal-aware amount parsing and formatting for the rwa:* tasks
+
+/**
+ * Reads the symbol and decimals of an ERC20 token
+ * @param hre The Hardhat runtime environment
+ * @param address The token address
+ */
+async function loadToken(hre, address) {
+  const token = await hre.ethers.getContractAt("IERC20Metadata", address);
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+  return { address, symbol, decimals: Number(decimals) };
+}
+
+/**
+ * Reads the units of a vault: its underlying asset and its own shares
+ * @dev Share decimals follow the asset through ERC4626, so both are read on-chain
+ * @param hre The Hardhat runtime environment
+ * @param vault The vault contract
+ */
+async function loadVaultUnits(hre, vault) {
+  const [asset, share] = await Promise.all([
+    loadToken(hre, await vault.asset()),
+    loadToken(hre, await vault.getAddress()),
+  ]);
+  return { asset, share };
+}
+
+/**
+ * Converts a command line amount to base units
+ * @param hre The Hardhat runtime environment
+ * @param value The amount as typed by the user
+ * @param token The token the amount is expressed in
+ * @param raw Whether the amount is already in base units
+ */
+function parseAmount(hre, value, token, raw) {
+  if (raw) {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`Invalid raw ${token.symbol} amount: ${value}`);
+    }
+    return BigInt(value);
+  }
+  try {
+    return hre.ethers.parseUnits(value, token.decimals);
+  } catch (e) {
+    throw new Error(`Invalid ${token.symbol} amount: ${value} (${token.decimals} decimals)`);
+  }
+}
+
+/**
+ * Formats base units as a human amount followed by the token symbol
+ * @param hre The Hardhat runtime environment
+ * @param value The amount in base units
+ * @param token The token the amount is expressed in
+ */
+function formatAmount(hre, value, token) {
+  return `${hre.ethers.formatUnits(value, token.decimals)} ${token.symbol}`;
+}
+
+module.exports = {
+  loadToken,
+  loadVaultUnits,
+  parseAmount,
+  formatAmount,
+};
@@ -0,0 +1,209 @@
+// Dealing calendar files for RWA4626DealingCalendar
+//
+// JSON:
+//   {
+//     "schedule": { "days": ["Mon", "Tue", "Wed", "Thu", "Fri"], "open": "09:00", "close": "17:00" },
+//     "holidays": ["2027-01-01", "2027-12-25"],
+//     "blackouts": [{ "start": "2027-01-29T16:00:00Z", "end": "2027-02-01T09:00:00Z" }]
+//   }
+//   Every key is optional; times of day are UTC, dates and times accept ISO strings or unix seconds.
+// ICS (RFC 5545): all-day VEVENTs are holidays (every day from DTSTART until DTEND, excluded),
+//   timed VEVENTs are blackouts. Times must be UTC (trailing Z); the weekly schedule is left unchanged.
+const DAY = 86400n;
+const WEEKDAYS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+
+/**
+ * Parses a date or time as unix seconds
+ * @param value Unix seconds, a date (midnight UTC) or an ISO timestamp
+ */
+function parseTimestamp(value) {
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return BigInt(trimmed);
+  }
+  const millis = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? `${trimmed}T00:00:00Z` : trimmed);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return BigInt(Math.floor(millis / 1000));
+}
+
+/**
+ * Parses a UTC time of day as seconds after midnight
+ * @param value "HH:MM", "24:00" for the end of the day
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  const seconds = match ? (Number(match[1]) * 60 + Number(match[2])) * 60 : NaN;
+  if (!match || Number(match[2]) >= 60 || seconds > 86400) {
+    throw new Error(`Invalid time of day: ${value}`);
+  }
+  return seconds;
+}
+
+/**
+ * Formats seconds after midnight as a time of day
+ * @param seconds Seconds after midnight, 86400 for the end of the day
+ */
+function formatTimeOfDay(seconds) {
+  const minutes = Math.floor(Number(seconds) / 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Encodes weekdays as the openDays bitmask of RWA4626DealingCalendar, bit 0 for Monday
+ * @param days Weekday names, e.g. ["Mon", "Tue"]
+ */
+function encodeOpenDays(days) {
+  return days.reduce((mask, day) => {
+    const index = WEEKDAYS.indexOf(String(day).trim().slice(0, 3).toUpperCase());
+    if (index < 0) {
+      throw new Error(`Invalid weekday: ${day}`);
+    }
+    return mask | (1 << index);
+  }, 0);
+}
+
+/**
+ * Decodes an openDays bitmask as weekday names
+ * @param openDays The bitmask, bit 0 for Monday
+ */
+function decodeOpenDays(openDays) {
+  return WEEKDAYS.filter((_, index) => Number(openDays) & (1 << index))
+    .map(day => day[0] + day.slice(1).toLowerCase());
+}
+
+/**
+ * Rounds a timestamp down to the start of its day
+ * @param timestamp Unix seconds
+ */
+function startOfDay(timestamp) {
+  return (timestamp / DAY) * DAY;
+}
+
+/**
+ * Parses a calendar from JSON content
+ * @param content The JSON content
+ * @return { schedule, holidays, blackouts }: schedule as { openDays, openTime, closeTime } or undefined,
+ *   holidays as the start of each day and blackouts as [{ start, end }], in unix seconds (bigint)
+ */
+function parseCalendarJson(content) {
+  const json = JSON.parse(content);
+  let schedule;
+  if (json.schedule) {
+    schedule = {
+      openDays: encodeOpenDays(json.schedule.days || []),
+      openTime: parseTimeOfDay(json.schedule.open || "00:00"),
+      closeTime: parseTimeOfDay(json.schedule.close || "24:00"),
+    };
+    if (schedule.openTime >= schedule.closeTime) {
+      throw new Error(`Schedule closes at ${json.schedule.close} before opening at ${json.schedule.open}`);
+    }
+  }
+  const holidays = (json.holidays || []).map(date => startOfDay(parseTimestamp(date)));
+  const blackouts = (json.blackouts || []).map(({ start, end }) =>
+    toBlackout(parseTimestamp(start), parseTimestamp(end))
+  );
+  return { schedule, holidays: unique(holidays), blackouts };
+}
+
+/**
+ * Parses a calendar from iCalendar content
+ * @param content The ICS content
+ * @return { schedule, holidays, blackouts } as parseCalendarJson, schedule undefined
+ */
+function parseCalendarIcs(content) {
+  const holidays = [];
+  const blackouts = [];
+  let event;
+  // Continuation lines start with a space or a tab
+  for (const line of content.replace(/\r?\n[ \t]/g, "").split(/\r?\n/)) {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+    } else if (line === "END:VEVENT") {
+      if (!event.DTSTART) {
+        throw new Error(`Event ${event.SUMMARY || ""} has no DTSTART`);
+      }
+      if (event.DTSTART.allDay) {
+        const end = event.DTEND ? event.DTEND.timestamp : event.DTSTART.timestamp + DAY;
+        for (let day = event.DTSTART.timestamp; day < end; day += DAY) {
+          holidays.push(day);
+        }
+      } else {
+        if (!event.DTEND) {
+          throw new Error(`Timed event ${event.SUMMARY || ""} has no DTEND`);
+        }
+        blackouts.push(toBlackout(event.DTSTART.timestamp, event.DTEND.timestamp));
+      }
+      event = undefined;
+    } else if (event) {
+      const separator = line.indexOf(":");
+      const [name, ...params] = line.slice(0, separator).split(";");
+      const value = line.slice(separator + 1).trim();
+      if (name === "DTSTART" || name === "DTEND") {
+        event[name] = parseIcsDate(value, params);
+      } else if (name === "SUMMARY") {
+        event.SUMMARY = value;
+      }
+    }
+  }
+  return { schedule: undefined, holidays: unique(holidays), blackouts };
+}
+
+/**
+ * Parses a calendar file, as ICS when its name ends with .ics and as JSON otherwise
+ * @param content The file content
+ * @param fileName The file name
+ */
+function parseCalendar(content, fileName) {
+  return /\.ics$/i.test(fileName) ? parseCalendarIcs(content) : parseCalendarJson(content);
+}
+
+/**
+ * Parses an ICS DATE (all day) or UTC DATE-TIME value
+ * @param value The value, e.g. 20271225 or 20271231T160000Z
+ * @param params The parameters of the property, e.g. ["VALUE=DATE"]
+ */
+function parseIcsDate(value, params) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid ICS date: ${value}`);
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours !== undefined && (utc !== "Z" || params.some(param => param.startsWith("TZID=")))) {
+    throw new Error(`Only UTC times are supported: ${value}`);
+  }
+  const millis = Date.UTC(year, month - 1, day, hours || 0, minutes || 0, seconds || 0);
+  return { timestamp: BigInt(millis / 1000), allDay: hours === undefined };
+}
+
+/**
+ * Builds a blackout, checking that it ends after its start
+ * @param start Unix seconds
+ * @param end Unix seconds
+ */
+function toBlackout(start, end) {
+  if (end <= start) {
+    throw new Error(`Blackout ending at ${end} does not end after its start ${start}`);
+  }
+  return { start, end };
+}
+
+/**
+ * Removes duplicate timestamps and sorts them
+ * @param timestamps Unix seconds (bigint)
+ */
+function unique(timestamps) {
+  return [...new Set(timestamps)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+module.exports = {
+  parseTimestamp,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  encodeOpenDays,
+  decodeOpenDays,
+  parseCalendarJson,
+  parseCalendarIcs,
+  parseCalendar,
+};
@@ -0,0 +1,40 @@
+// Address prediction for vaults created with RWA4626Factory.createVaultDeterministic
+//
+// Only depends on ethers so addresses can be computed before anything is deployed.
+const { getCreate2Address, keccak256, concat, id, isHexString, getAddress } = require("ethers");
+
+// ERC-1167 minimal proxy creation code around the implementation address (see OpenZeppelin Clones)
+const CLONE_PREFIX = "0x3d602d80600a3d3981f3363d3d373d3d3d363d73";
+const CLONE_SUFFIX = "0x5af43d82803e903d91602b57fd5bf3";
+
+/**
+ * Normalizes a salt: 32-byte hex strings are used as is, anything else is hashed
+ * @param salt A bytes32 hex string or a label such as "fund-a/class-b"
+ */
+function toSalt(salt) {
+  return isHexString(salt, 32) ? salt : id(salt);
+}
+
+/**
+ * Returns the creation code of an ERC-1167 clone of an implementation
+ * @param implementation The implementation address
+ */
+function cloneCreationCode(implementation) {
+  return concat([CLONE_PREFIX, getAddress(implementation), CLONE_SUFFIX]);
+}
+
+/**
+ * Predicts the address of a vault clone deployed by a factory
+ * @param factory The factory address
+ * @param implementation The vault implementation cloned by the factory
+ * @param salt A bytes32 hex string or a label (see toSalt)
+ */
+function predictVaultAddress(factory, implementation, salt) {
+  return getCreate2Address(factory, toSalt(salt), keccak256(cloneCreationCode(implementation)));
+}
+
+module.exports = {
+  toSalt,
+  cloneCreationCode,
+  predictVaultAddress,
+};
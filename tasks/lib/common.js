@@ -0,0 +1,123 @@
+// Shared helpers for the rwa:* Hardhat tasks
+
+/**
+ * Returns the signer used to send transactions
+ * @param hre The Hardhat runtime environment
+ * @param from Optional address of the account to use (defaults to the first signer)
+ */
+async function getSigner(hre, from) {
+  if (!from) {
+    const [signer] = await hre.ethers.getSigners();
+    return signer;
+  }
+  if (!hre.ethers.isAddress(from)) {
+    throw new Error(`Invalid signer address: ${from}`);
+  }
+  return hre.ethers.getSigner(from);
+}
+
+/**
+ * Attaches to a deployed contract after validating its address
+ * @param hre The Hardhat runtime environment
+ * @param name The contract or interface name to load the ABI from
+ * @param address The deployed contract address
+ * @param signer The signer to connect the contract to
+ */
+async function getContract(hre, name, address, signer) {
+  if (!hre.ethers.isAddress(address)) {
+    throw new Error(`Invalid ${name} address: ${address}`);
+  }
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") {
+    throw new Error(`No contract deployed at ${address}`);
+  }
+  return hre.ethers.getContractAt(name, address, signer);
+}
+
+/**
+ * Parses the logs of a receipt and returns the events emitted by a contract
+ * @param contract The contract whose interface is used to decode the logs
+ * @param receipt The transaction receipt
+ * @param name Optional event name to filter on
+ */
+function parseEvents(contract, receipt, name) {
+  return receipt.logs
+    .map(log => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(event => event && (!name || event.name === name));
+}
+
+/**
+ * Returns the first event with the given name emitted by a contract in a receipt
+ * @param contract The contract whose interface is used to decode the logs
+ * @param receipt The transaction receipt
+ * @param name The event name
+ */
+function findEvent(contract, receipt, name) {
+  const [event] = parseEvents(contract, receipt, name);
+  if (!event) {
+    throw new Error(`Failed to find ${name} event`);
+  }
+  return event;
+}
+
+/**
+ * Sends a contract call, or only simulates it when dryRun is set
+ * @param contract The contract to call
+ * @param method The method name
+ * @param args The method arguments
+ * @param dryRun Whether to only run staticCall and estimateGas
+ * @return The receipt when sent, or the static call result and gas estimate on a dry run
+ */
+async function execute(contract, method, args, dryRun) {
+  const fn = contract.getFunction(method);
+  if (dryRun) {
+    const result = await fn.staticCall(...args);
+    const gas = await fn.estimateGas(...args);
+    console.log(`[dry-run] ${method} would succeed (estimated gas: ${gas})`);
+    return { result, gas };
+  }
+
+  const tx = await fn(...args);
+  console.log(`${method} transaction sent: ${tx.hash}`);
+  const receipt = await tx.wait();
+  console.log(`${method} confirmed in block ${receipt.blockNumber}`);
+  return { receipt };
+}
+
+/**
+ * Makes sure the vault can pull the given amount of assets from the signer
+ * @param asset The asset token contract connected to the signer
+ * @param owner The address of the token owner
+ * @param spender The address of the spender
+ * @param amount The amount that must be approved
+ * @param dryRun Whether to only report a missing approval
+ * @return Whether the allowance is sufficient after this call
+ */
+async function ensureAllowance(asset, owner, spender, amount, dryRun) {
+  const allowance = await asset.allowance(owner, spender);
+  if (allowance >= amount) {
+    return true;
+  }
+  if (dryRun) {
+    console.log(`[dry-run] Would approve ${amount} to ${spender} (current allowance: ${allowance})`);
+    return false;
+  }
+  console.log("Approving asset transfer...");
+  await execute(asset, "approve", [spender, amount], false);
+  return true;
+}
+
+module.exports = {
+  getSigner,
+  getContract,
+  parseEvents,
+  findEvent,
+  execute,
+  ensureAllowance,
+};
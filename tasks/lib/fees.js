@@ -0,0 +1,98 @@
+// Fee report of an RWA4626Vault: fee settings, unclaimed fees and fees accrued since the last checkpoint
+const { loadVaultUnits, formatAmount } = require("./amounts");
+
+const PRICE_DECIMALS = 6;
+const FEE_FACTOR_PRECISION = 10n ** 18n;
+const ONE_DAY = 24 * 60 * 60;
+
+/**
+ * Reads the fee state of a vault
+ * @dev Accrued fees need a fresh oracle price; when the price is stale they are left out
+ * and `priceUpdateRequired` is set
+ * @param hre The Hardhat runtime environment
+ * @param vault The vault contract
+ */
+async function buildFeeReport(hre, vault) {
+  const { asset, share } = await loadVaultUnits(hre, vault);
+  const [
+    fee, exitFee, managementFee, performanceFee, feeRecipient,
+    totalFees, highWaterMark, lastFeeAccrual, feeFactor, totalSupply, priceUpdateRequired,
+  ] = await Promise.all([
+    vault.fee(), vault.exitFee(), vault.managementFee(), vault.performanceFee(), vault.feeRecipient(),
+    vault.totalFees(), vault.highWaterMark(), vault.lastFeeAccrual(), vault.feeFactor(), vault.totalSupply(),
+    vault.isPriceUpdateRequired(),
+  ]);
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+
+  const report = {
+    asset,
+    share,
+    fee,
+    exitFee,
+    managementFee,
+    performanceFee,
+    feeRecipient,
+    totalFees,
+    highWaterMark,
+    lastFeeAccrual,
+    feeFactor,
+    secondsSinceAccrual: BigInt(timestamp) - lastFeeAccrual,
+    totalSupply,
+    priceUpdateRequired,
+  };
+
+  if (!priceUpdateRequired) {
+    const [price, [managementFees, performanceFees]] = await Promise.all([
+      vault.getCurrentPrice(),
+      vault.accruedFees(),
+    ]);
+    Object.assign(report, {
+      price,
+      sharePrice: price * feeFactor / FEE_FACTOR_PRECISION,
+      managementFees,
+      performanceFees,
+      accruedValue: managementFees + performanceFees,
+    });
+  }
+  return report;
+}
+
+/**
+ * Formats a fee report as printable lines
+ * @param hre The Hardhat runtime environment
+ * @param report The report returned by buildFeeReport
+ */
+function formatFeeReport(hre, report) {
+  const { formatUnits } = hre.ethers;
+  const bps = value => `${value} bps (${formatUnits(value, 2)}%)`;
+  const lines = [
+    `Entry fee: ${bps(report.fee)}`,
+    `Exit fee: ${bps(report.exitFee)}`,
+    `Management fee: ${bps(report.managementFee)} per year`,
+    `Performance fee: ${bps(report.performanceFee)} above the high-water mark`,
+    `Fee recipient: ${report.feeRecipient}`,
+    `Unclaimed fees: ${formatAmount(hre, report.totalFees, report.asset)}`,
+    `High-water mark: ${formatUnits(report.highWaterMark, PRICE_DECIMALS)}`,
+    `Last checkpoint: ${new Date(Number(report.lastFeeAccrual) * 1000).toISOString()} ` +
+      `(${(Number(report.secondsSinceAccrual) / ONE_DAY).toFixed(2)} days ago)`,
+    `Fee factor: ${formatUnits(report.feeFactor, 18)} of the oracle price left to the shares`,
+    `Total supply: ${formatAmount(hre, report.totalSupply, report.share)}`,
+  ];
+
+  if (report.priceUpdateRequired) {
+    lines.push("Price update required: accrued fees cannot be computed until the oracle price is refreshed");
+  } else {
+    lines.push(
+      `Current price: ${formatUnits(report.price, PRICE_DECIMALS)} (${formatUnits(report.sharePrice, PRICE_DECIMALS)} per share after fees)`,
+      `Accrued management fee: ${formatAmount(hre, report.managementFees, report.asset)}`,
+      `Accrued performance fee: ${formatAmount(hre, report.performanceFees, report.asset)}`,
+      `Accrued fees: ${formatAmount(hre, report.accruedValue, report.asset)} (charged at the next checkpoint)`
+    );
+  }
+  return lines;
+}
+
+module.exports = {
+  buildFeeReport,
+  formatFeeReport,
+};
@@ -0,0 +1,82 @@
+// EIP-712 signed price reports accepted by RWA4626Oracle.submitSignedPrice
+//
+// Only depends on ethers so it can be used on an offline signing machine.
+
+// Must match the EIP712 constructor arguments of RWA4626Oracle
+const DOMAIN_NAME = "RWA4626Oracle";
+const DOMAIN_VERSION = "1";
+
+const PRICE_REPORT_TYPES = {
+  PriceReport: [
+    { name: "asset", type: "address" },
+    { name: "price", type: "uint256" },
+    { name: "timestamp", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+/**
+ * Returns the EIP-712 domain of an oracle deployment
+ * @param chainId The chain id the oracle is deployed on
+ * @param oracle The oracle address
+ */
+function reportDomain(chainId, oracle) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract: oracle,
+  };
+}
+
+/**
+ * Signs a price report
+ * @param signer An ethers signer or wallet of an authorized reporter
+ * @param domain The oracle domain (see reportDomain)
+ * @param report The report: { asset, price, timestamp, nonce }
+ * @return The signed report envelope, ready to be serialized and relayed
+ */
+async function signPriceReport(signer, domain, report) {
+  const signature = await signer.signTypedData(domain, PRICE_REPORT_TYPES, report);
+  return {
+    domain,
+    report,
+    reporter: await signer.getAddress(),
+    signature,
+  };
+}
+
+/**
+ * Serializes a signed report envelope to JSON (bigints as strings)
+ * @param envelope The signed report envelope
+ */
+function serializeReport(envelope) {
+  return JSON.stringify(envelope, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+/**
+ * Parses a signed report envelope serialized with serializeReport
+ * @param json The JSON content
+ */
+function parseReport(json) {
+  const envelope = JSON.parse(json);
+  const { report, domain } = envelope;
+  return {
+    ...envelope,
+    domain: { ...domain, chainId: BigInt(domain.chainId) },
+    report: {
+      asset: report.asset,
+      price: BigInt(report.price),
+      timestamp: BigInt(report.timestamp),
+      nonce: BigInt(report.nonce),
+    },
+  };
+}
+
+module.exports = {
+  PRICE_REPORT_TYPES,
+  reportDomain,
+  signPriceReport,
+  serializeReport,
+  parseReport,
+};
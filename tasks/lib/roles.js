@@ -0,0 +1,102 @@
+// Role hand-over for RWA4626Vault and RWA4626Oracle
+//
+// Both contracts grant every role to their deployer. A migration grants each role to its
+// designated holders, then has the deployer renounce the roles handed over and start the
+// two-step transfer of the default admin role.
+const { id } = require("ethers");
+
+// Role names, as exposed by the contracts (`<NAME>_ROLE()`)
+const ROLE_NAMES = ["PAUSER", "FEE_MANAGER", "PRICE_REPORTER", "ORACLE_ADMIN", "GUARDIAN", "CAPITAL_MANAGER", "LIMITS_MANAGER"];
+
+/**
+ * Returns the id of a role
+ * @param name The role name, e.g. "PAUSER"
+ */
+function roleId(name) {
+  return id(`${name}_ROLE`);
+}
+
+/**
+ * Returns the role names a contract defines
+ * @param contract The vault or oracle contract
+ */
+function supportedRoles(contract) {
+  return ROLE_NAMES.filter(name => contract.interface.getFunction(`${name}_ROLE`) !== null);
+}
+
+/**
+ * Plans the hand-over of the roles of a contract
+ * @dev Roles without designated holders stay with the legacy owner
+ * @param contract The vault or oracle contract
+ * @param legacyOwner The address holding every role, usually the deployer
+ * @param assignments The designated holders by role name: { PAUSER: [address, ...], ... }
+ * @param newAdmin Optional address the default admin role is transferred to
+ * @return The steps: [{ method, role, account }], grants first
+ */
+async function planRoleMigration(contract, legacyOwner, assignments, newAdmin) {
+  const grants = [];
+  const renounces = [];
+  const kept = [];
+
+  for (const name of supportedRoles(contract)) {
+    const role = roleId(name);
+    const holders = assignments[name] || [];
+    for (const account of holders) {
+      if (!(await contract.hasRole(role, account))) {
+        grants.push({ method: "grantRole", role: name, account });
+      }
+    }
+    if (!(await contract.hasRole(role, legacyOwner))) {
+      continue;
+    }
+    if (holders.length === 0) {
+      kept.push(name);
+    } else if (!holders.some(account => account.toLowerCase() === legacyOwner.toLowerCase())) {
+      renounces.push({ method: "renounceRole", role: name, account: legacyOwner });
+    }
+  }
+
+  const steps = [...grants, ...renounces];
+  if (newAdmin && newAdmin.toLowerCase() !== (await contract.defaultAdmin()).toLowerCase()) {
+    steps.push({ method: "beginDefaultAdminTransfer", role: "DEFAULT_ADMIN", account: newAdmin });
+  }
+  return { steps, kept };
+}
+
+/**
+ * Sends the transactions of a migration plan
+ * @param contract The vault or oracle contract, connected to the legacy owner
+ * @param steps The steps returned by planRoleMigration
+ * @param onStep Optional callback receiving each step and its receipt
+ */
+async function executeRoleMigration(contract, steps, onStep) {
+  for (const step of steps) {
+    const args = step.method === "beginDefaultAdminTransfer"
+      ? [step.account]
+      : [roleId(step.role), step.account];
+    const receipt = await (await contract[step.method](...args)).wait();
+    if (onStep) {
+      onStep(step, receipt);
+    }
+  }
+}
+
+/**
+ * Parses a comma-separated list of addresses
+ * @param value The list, e.g. "0xabc...,0xdef..."
+ */
+function parseAddressList(value) {
+  if (!value) {
+    return [];
+  }
+  return value.split(",").map(address => address.trim()).filter(Boolean);
+}
+
+module.exports = {
+  ROLE_NAMES,
+  roleId,
+  supportedRoles,
+  planRoleMigration,
+  executeRoleMigration,
+  parseAddressList,
+};
@@ -0,0 +1,90 @@
+// Timelocked parameter changes queued on RWA4626Vault (setOracle, setFee, setMinDeposit, setTimelockDelay,
+// setExitFee, setManagementFee, setPerformanceFee, setCompliance, setCapacityLimits, setCustodian,
+// setRedemptionQueue, setCalendar)
+const { loadVaultUnits, formatAmount } = require("./amounts");
+
+// Must match the order of RWA4626Timelock.ChangeType
+const CHANGE_TYPES = [
+  "Oracle",
+  "Fee",
+  "MinDeposit",
+  "TimelockDelay",
+  "ExitFee",
+  "ManagementFee",
+  "PerformanceFee",
+  "Compliance",
+  "CapacityLimits",
+  "Custodian",
+  "RedemptionQueue",
+  "Calendar",
+];
+
+/**
+ * Formats a duration in seconds, e.g. "1d 2h 3m"
+ * @param seconds The duration
+ */
+function formatDuration(seconds) {
+  const total = Number(seconds);
+  const parts = [
+    [Math.floor(total / 86400), "d"],
+    [Math.floor((total % 86400) / 3600), "h"],
+    [Math.floor((total % 3600) / 60), "m"],
+  ].filter(([value]) => value > 0);
+  return parts.length === 0 ? `${total}s` : parts.map(([value, unit]) => `${value}${unit}`).join(" ");
+}
+
+/**
+ * Formats the new value of a change
+ * @param hre The Hardhat runtime environment
+ * @param change The change: { type, value }
+ * @param units The vault units returned by loadVaultUnits
+ */
+function formatChangeValue(hre, change, units) {
+  switch (change.type) {
+    case "Oracle":
+    case "Compliance":
+    case "CapacityLimits":
+    case "Custodian":
+    case "RedemptionQueue":
+    case "Calendar":
+      return hre.ethers.getAddress(hre.ethers.toBeHex(change.value, 20));
+    case "Fee":
+    case "ExitFee":
+    case "ManagementFee":
+    case "PerformanceFee":
+      return `${change.value} bps`;
+    case "MinDeposit":
+      return formatAmount(hre, change.value, units.asset);
+    default:
+      return formatDuration(change.value);
+  }
+}
+
+/**
+ * Reads the changes queued on a vault
+ * @param hre The Hardhat runtime environment
+ * @param vault The vault contract
+ * @return The changes: [{ vault, type, value, eta, ready, description }]
+ */
+async function loadPendingChanges(hre, vault) {
+  const [changes, units, { timestamp }] = await Promise.all([
+    vault.pendingChanges(),
+    loadVaultUnits(hre, vault),
+    hre.ethers.provider.getBlock("latest"),
+  ]);
+  return changes.map(({ changeType, value, eta }) => {
+    const change = { vault: vault.target, type: CHANGE_TYPES[Number(changeType)], value, eta };
+    change.ready = BigInt(timestamp) >= eta;
+    change.description = `${change.type} -> ${formatChangeValue(hre, change, units)}, ` +
+      (change.ready
+        ? "ready to execute"
+        : `executable at ${new Date(Number(eta) * 1000).toISOString()} (in ${formatDuration(eta - BigInt(timestamp))})`);
+    return change;
+  });
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  formatDuration,
+  loadPendingChanges,
+};
@@ -0,0 +1,36 @@
+// Deployment of RWA4626Vault, whose lock-up, redemption gate and timelock logic lives in linked libraries
+
+// Libraries linked into RWA4626Vault (see contracts/libraries)
+const VAULT_LIBRARIES = ["RWA4626Lockups", "RWA4626RedemptionGate", "RWA4626Timelock"];
+
+/**
+ * Deploys the libraries of RWA4626Vault
+ * @param hre The Hardhat runtime environment
+ * @returns The library addresses by name, as expected by getContractFactory
+ */
+async function deployVaultLibraries(hre) {
+  const libraries = {};
+  for (const name of VAULT_LIBRARIES) {
+    const library = await hre.ethers.deployContract(name);
+    await library.waitForDeployment();
+    libraries[name] = await library.getAddress();
+  }
+  return libraries;
+}
+
+/**
+ * Returns the RWA4626Vault contract factory linked to its libraries
+ * @param hre The Hardhat runtime environment
+ * @param libraries Optional addresses of deployed libraries by name (deployed first when omitted)
+ */
+async function getVaultFactory(hre, libraries) {
+  return hre.ethers.getContractFactory("RWA4626Vault", {
+    libraries: libraries || await deployVaultLibraries(hre),
+  });
+}
+
+module.exports = {
+  VAULT_LIBRARIES,
+  deployVaultLibraries,
+  getVaultFactory,
+};
@@ -0,0 +1,405 @@
+// rwa:* tasks for operating RWA4626 vaults and oracles from the command line
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const {
+  getSigner,
+  getContract,
+  parseEvents,
+  findEvent,
+  execute,
+  ensureAllowance,
+} = require("./lib/common");
+const { loadToken, loadVaultUnits, parseAmount, formatAmount } = require("./lib/amounts");
+const { parseReport } = require("./lib/reports");
+const { toSalt, predictVaultAddress } = require("./lib/clones");
+const { CHANGE_TYPES, loadPendingChanges } = require("./lib/timelock");
+
+// Oracle prices use 6 decimals
+const PRICE_DECIMALS = 6;
+
+task("rwa:deposit", "Deposits assets into an RWA4626Vault")
+  .addParam("vault", "The vault address")
+  .addParam("amount", "The amount of assets to deposit")
+  .addOptionalParam("receiver", "The address receiving the shares (defaults to the signer)")
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("raw", "Treat the amount as base units instead of a human amount")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre, args.from);
+    const vault = await getContract(hre, "RWA4626Vault", args.vault, signer);
+    const units = await loadVaultUnits(hre, vault);
+    const asset = await getContract(hre, "IERC20", units.asset.address, signer);
+    const amount = parseAmount(hre, args.amount, units.asset, args.raw);
+    const receiver = args.receiver || signer.address;
+
+    console.log(`Depositing ${formatAmount(hre, amount, units.asset)} into ${args.vault}`);
+    console.log(`Depositing with account: ${signer.address}`);
+
+    const approved = await ensureAllowance(asset, signer.address, args.vault, amount, args.dryRun);
+    if (!approved) {
+      console.log("[dry-run] Skipping deposit simulation until the approval is in place");
+      return;
+    }
+
+    const { receipt, result } = await execute(vault, "deposit", [amount, receiver], args.dryRun);
+    const shares = receipt ? findEvent(vault, receipt, "Deposit").args.shares : result;
+    console.log(`Shares ${receipt ? "received" : "expected"}: ${formatAmount(hre, shares, units.share)}`);
+    return shares;
+  });
+
+task("rwa:mint", "Mints shares of an RWA4626Vault")
+  .addParam("vault", "The vault address")
+  .addParam("shares", "The amount of shares to mint")
+  .addOptionalParam("receiver", "The address receiving the shares (defaults to the signer)")
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("raw", "Treat the amount as base units instead of a human amount")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre, args.from);
+    const vault = await getContract(hre, "RWA4626Vault", args.vault, signer);
+    const units = await loadVaultUnits(hre, vault);
+    const asset = await getContract(hre, "IERC20", units.asset.address, signer);
+    const shares = parseAmount(hre, args.shares, units.share, args.raw);
+    const receiver = args.receiver || signer.address;
+
+    const assets = await vault.previewMint(shares);
+    console.log(`Minting ${formatAmount(hre, shares, units.share)} of ${args.vault}`);
+    console.log(`Assets required: ${formatAmount(hre, assets, units.asset)}`);
+
+    const approved = await ensureAllowance(asset, signer.address, args.vault, assets, args.dryRun);
+    if (!approved) {
+      console.log("[dry-run] Skipping mint simulation until the approval is in place");
+      return;
+    }
+
+    const { receipt, result } = await execute(vault, "mint", [shares, receiver], args.dryRun);
+    const spent = receipt ? findEvent(vault, receipt, "Deposit").args.assets : result;
+    console.log(`Assets ${receipt ? "deposited" : "expected"}: ${formatAmount(hre, spent, units.asset)}`);
+    return spent;
+  });
+
+task("rwa:withdraw", "Withdraws assets from an RWA4626Vault")
+  .addParam("vault", "The vault address")
+  .addParam("amount", "The amount of assets to withdraw")
+  .addOptionalParam("receiver", "The address receiving the assets (defaults to the signer)")
+  .addOptionalParam("owner", "The address owning the shares (defaults to the signer)")
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("raw", "Treat the amount as base units instead of a human amount")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre, args.from);
+    const vault = await getContract(hre, "RWA4626Vault", args.vault, signer);
+    const units = await loadVaultUnits(hre, vault);
+    const amount = parseAmount(hre, args.amount, units.asset, args.raw);
+    const receiver = args.receiver || signer.address;
+    const owner = args.owner || signer.address;
+
+    console.log(`Withdrawing ${formatAmount(hre, amount, units.asset)} from ${args.vault}`);
+    console.log(`Shares to burn: ${formatAmount(hre, await vault.previewWithdraw(amount), units.share)}`);
+
+    const { receipt, result } = await execute(vault, "withdraw", [amount, receiver, owner], args.dryRun);
+    const shares = receipt ? findEvent(vault, receipt, "Withdraw").args.shares : result;
+    console.log(`Shares ${receipt ? "burned" : "expected to burn"}: ${formatAmount(hre, shares, units.share)}`);
+    return shares;
+  });
+
+task("rwa:redeem", "Redeems shares of an RWA4626Vault for assets")
+  .addParam("vault", "The vault address")
+  .addParam("shares", "The amount of shares to redeem")
+  .addOptionalParam("receiver", "The address receiving the assets (defaults to the signer)")
+  .addOptionalParam("owner", "The address owning the shares (defaults to the signer)")
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("raw", "Treat the amount as base units instead of a human amount")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre, args.from);
+    const vault = await getContract(hre, "RWA4626Vault", args.vault, signer);
+    const units = await loadVaultUnits(hre, vault);
+    const shares = parseAmount(hre, args.shares, units.share, args.raw);
+    const receiver = args.receiver || signer.address;
+    const owner = args.owner || signer.address;
+
+    console.log(`Redeeming ${formatAmount(hre, shares, units.share)} of ${args.vault}`);
+    console.log(`Expected assets: ${formatAmount(hre, await vault.previewRedeem(shares), units.asset)}`);
+
+    const { receipt, result } = await execute(vault, "redeem", [shares, receiver, owner], args.dryRun);
+    const assets = receipt ? findEvent(vault, receipt, "Withdraw").args.assets : result;
+    console.log(`Assets ${receipt ? "received" : "expected"}: ${formatAmount(hre, assets, units.asset)}`);
+    return assets;
+  });
+
+task("rwa:update-price", "Updates the price of an asset in RWA4626Oracle, or submits it when a quorum is required")
+  .addParam("oracle", "The oracle address")
+  .addParam("asset", "The asset (vault) address whose price is updated")
+  .addParam("price", "The new price in USD, e.g. 1.05")
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const signer = await getSigner(hre, args.from);
+    const oracle = await getContract(hre, "RWA4626Oracle", args.oracle, signer);
+    const newPrice = ethers.parseUnits(args.price, PRICE_DECIMALS);
+
+    const lastUpdate = await oracle.getLastUpdateTime(args.asset);
+    const interval = await oracle.getUpdateInterval(args.asset);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    if (BigInt(timestamp) < lastUpdate + interval) {
+      throw new Error(`Update not allowed before ${new Date(Number(lastUpdate + interval) * 1000).toISOString()}`);
+    }
+
+    // updatePrice reverts with QuorumRequired once a quorum of submitters is configured
+    let method = "updatePrice";
+    const quorum = await oracle.quorum();
+    if (quorum !== 0n) {
+      if (!(await oracle.isPriceSubmitter(signer.address))) {
+        throw new Error(`The oracle requires a quorum of ${quorum} and ${signer.address} is not a price submitter`);
+      }
+      if (await oracle.hasSubmitted(args.asset, signer.address)) {
+        throw new Error(`${signer.address} already submitted to the current round`);
+      }
+      method = "submitPrice";
+    }
+
+    console.log(`Current price: ${ethers.formatUnits(await oracle.getPrice(args.asset), PRICE_DECIMALS)}`);
+    console.log(`New price: ${ethers.formatUnits(newPrice, PRICE_DECIMALS)}`);
+
+    const { receipt } = await execute(oracle, method, [args.asset, newPrice], args.dryRun);
+    if (receipt) {
+      const [pending] = parseEvents(oracle, receipt, "PricePending");
+      const [updated] = parseEvents(oracle, receipt, "PriceUpdated");
+      if (pending) {
+        console.log("Price is outside the deviation bounds and awaits confirmation by the price confirmer");
+      } else if (!updated) {
+        const { roundId } = findEvent(oracle, receipt, "PriceSubmitted").args;
+        console.log(`Price submitted to round ${roundId}, which awaits a quorum of ${quorum}`);
+      } else {
+        const event = findEvent(oracle, receipt, "PriceUpdated");
+        console.log(`Price updated from ${event.args.oldPrice} to ${event.args.newPrice}`);
+      }
+    }
+    return newPrice;
+  });
+
+task("rwa:check-price", "Shows the price and update window of an asset in RWA4626Oracle")
+  .addParam("oracle", "The oracle address")
+  .addParam("asset", "The asset (vault) address")
+  .addOptionalParam("history", "The number of past observations to show", 0, types.int)
+  .addOptionalParam("twap", "The window in seconds of a time-weighted average price to show", 0, types.int)
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const oracle = await getContract(hre, "RWA4626Oracle", args.oracle);
+
+    const price = await oracle.getPrice(args.asset);
+    const lastUpdate = await oracle.getLastUpdateTime(args.asset);
+    const nextUpdate = lastUpdate + (await oracle.getUpdateInterval(args.asset));
+    const { timestamp } = await ethers.provider.getBlock("latest");
+
+    console.log(`Current price: ${ethers.formatUnits(price, PRICE_DECIMALS)}`);
+    console.log(`Last update: ${new Date(Number(lastUpdate) * 1000).toISOString()}`);
+    if (BigInt(timestamp) >= nextUpdate) {
+      console.log("Price can be updated now");
+    } else {
+      console.log(`Next update possible at: ${new Date(Number(nextUpdate) * 1000).toISOString()}`);
+    }
+
+    let twap;
+    if (args.twap > 0) {
+      twap = await oracle.getTwap(args.asset, args.twap);
+      console.log(`TWAP over ${args.twap}s: ${ethers.formatUnits(twap, PRICE_DECIMALS)}`);
+    }
+
+    let history;
+    if (args.history > 0) {
+      history = await oracle.getObservations(args.asset, args.history);
+      console.log("History:");
+      for (const { price: observed, timestamp: at } of history) {
+        console.log(`  ${new Date(Number(at) * 1000).toISOString()}  ${ethers.formatUnits(observed, PRICE_DECIMALS)}`);
+      }
+    }
+    return { price, lastUpdate, nextUpdate, twap, history };
+  });
+
+task("rwa:dealing-window", "Shows whether the fund deals now and its next dealing window")
+  .addOptionalParam("calendar", "The RWA4626DealingCalendar address")
+  .addOptionalParam("vault", "A vault whose dealing calendar is used, instead of --calendar")
+  .setAction(async (args, hre) => {
+    let calendarAddress = args.calendar;
+    if (!calendarAddress) {
+      if (!args.vault) {
+        throw new Error("Please pass --calendar or --vault");
+      }
+      const vault = await getContract(hre, "RWA4626Vault", args.vault);
+      calendarAddress = await vault.calendar();
+      if (calendarAddress === hre.ethers.ZeroAddress) {
+        console.log("The vault has no dealing calendar and deals at any time");
+        return { open: true, start: 0n, end: 0n };
+      }
+    }
+    const calendar = await getContract(hre, "RWA4626DealingCalendar", calendarAddress);
+
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    const open = await calendar.isOpen(timestamp);
+    const [start, end] = await calendar.nextOpenWindow(timestamp);
+    const format = (seconds) => new Date(Number(seconds) * 1000).toISOString();
+    if (start === 0n) {
+      console.log("Closed, no dealing window within a year");
+    } else if (open) {
+      console.log(`Open until ${format(end)}`);
+    } else {
+      console.log(`Closed, next dealing window: ${format(start)} - ${format(end)}`);
+    }
+    return { open, start, end };
+  });
+
+task("rwa:relay-price", "Relays a signed price report to RWA4626Oracle")
+  .addParam("report", "The signed report file produced by scripts/sign_price_report.js")
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const { domain, report, reporter, signature } = parseReport(fs.readFileSync(args.report, "utf8"));
+    const signer = await getSigner(hre, args.from);
+    const oracle = await getContract(hre, "RWA4626Oracle", domain.verifyingContract, signer);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    if (chainId !== domain.chainId) {
+      throw new Error(`Report was signed for chain ${domain.chainId}, connected to ${chainId}`);
+    }
+    const nonce = await oracle.nonces(reporter);
+    if (nonce !== report.nonce) {
+      throw new Error(`Report nonce ${report.nonce} does not match the reporter nonce ${nonce}`);
+    }
+
+    console.log(`Relaying ${ethers.formatUnits(report.price, PRICE_DECIMALS)} for ${report.asset} signed by ${reporter}`);
+    console.log(`Report age: ${Math.floor(Date.now() / 1000) - Number(report.timestamp)}s`);
+
+    const { receipt } = await execute(oracle, "submitSignedPrice", [report, signature], args.dryRun);
+    if (receipt && parseEvents(oracle, receipt, "PricePending").length > 0) {
+      console.log("Price is outside the deviation bounds and awaits confirmation by the price confirmer");
+    }
+    return report.price;
+  });
+
+task("rwa:create-vault", "Creates a new RWA4626Vault through the factory")
+  .addParam("factory", "The factory address")
+  .addParam("asset", "The underlying asset address")
+  .addOptionalParam("name", "The vault token name", "RWA Vault")
+  .addOptionalParam("symbol", "The vault token symbol", "RWA-VAULT")
+  .addOptionalParam("minDeposit", "The minimum deposit amount (defaults to the factory default)")
+  .addOptionalParam("fee", "The fee in basis points (defaults to the factory default)", undefined, types.int)
+  .addOptionalParam("price", "The initial price in USD registering the vault in the oracle, e.g. 1.00")
+  .addOptionalParam("interval", "The oracle update interval in seconds, used with --price", 7 * 24 * 60 * 60, types.int)
+  .addOptionalParam("salt", "A bytes32 salt or label deploying the vault at a deterministic address")
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("raw", "Treat the minimum deposit as base units instead of a human amount")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const signer = await getSigner(hre, args.from);
+    const factory = await getContract(hre, "RWA4626Factory", args.factory, signer);
+    await getContract(hre, "IERC20", args.asset);
+    const asset = await loadToken(hre, args.asset);
+    const minDeposit = args.minDeposit === undefined
+      ? await factory.defaultMinDeposit()
+      : parseAmount(hre, args.minDeposit, asset, args.raw);
+    const fee = args.fee === undefined ? await factory.defaultFee() : BigInt(args.fee);
+    const price = args.price === undefined ? 0n : ethers.parseUnits(args.price, PRICE_DECIMALS);
+
+    console.log(`Creating vault for asset ${args.asset} with account ${signer.address}`);
+    console.log(`Minimum deposit: ${formatAmount(hre, minDeposit, asset)}, fee: ${fee} bps`);
+    if (price > 0n) {
+      const oracle = await getContract(hre, "RWA4626Oracle", await factory.oracle());
+      if (!(await oracle.isAssetRegistrar(args.factory))) {
+        throw new Error("The factory is not an asset registrar of the oracle");
+      }
+      console.log(`Registering in the oracle at ${args.price} with a ${args.interval}s update interval`);
+    }
+
+    const vaultArgs = [args.asset, args.name, args.symbol, minDeposit, fee, price, args.interval];
+    let method = "createVault";
+    if (args.salt !== undefined) {
+      const salt = toSalt(args.salt);
+      const predicted = predictVaultAddress(args.factory, await factory.implementation(), salt);
+      if ((await ethers.provider.getCode(predicted)) !== "0x") {
+        throw new Error(`A vault already exists at ${predicted} for salt ${args.salt}`);
+      }
+      console.log(`Deterministic address: ${predicted}`);
+      method = "createVaultDeterministic";
+      vaultArgs.unshift(salt);
+    }
+
+    const { receipt, result } = await execute(factory, method, vaultArgs, args.dryRun);
+    const vault = receipt ? findEvent(factory, receipt, "NewVaultCreated").args.vault : result;
+    console.log(`Vault ${receipt ? "created" : "would be created"} at: ${vault}`);
+    return vault;
+  });
+
+task("rwa:predict-vault", "Predicts the address of a vault created with --salt, before deployment")
+  .addParam("factory", "The factory address")
+  .addParam("salt", "The bytes32 salt or label")
+  .addOptionalParam("implementation", "The vault implementation (defaults to the factory implementation)")
+  .setAction(async (args, hre) => {
+    let implementation = args.implementation;
+    if (implementation === undefined) {
+      const factory = await getContract(hre, "RWA4626Factory", args.factory);
+      implementation = await factory.implementation();
+    }
+    const vault = predictVaultAddress(args.factory, implementation, args.salt);
+    const deployed = (await hre.ethers.provider.getCode(vault)) !== "0x";
+    console.log(`Vault address for salt ${args.salt}: ${vault}${deployed ? " (already deployed)" : ""}`);
+    return vault;
+  });
+
+task("rwa:pending-changes", "Lists the timelocked parameter changes queued on RWA4626 vaults")
+  .addOptionalParam("factory", "A factory whose vaults are all listed")
+  .addOptionalParam("vaults", "A comma-separated list of vault addresses")
+  .setAction(async (args, hre) => {
+    const addresses = args.vaults ? args.vaults.split(",").map(address => address.trim()) : [];
+    if (args.factory) {
+      const factory = await getContract(hre, "RWA4626Factory", args.factory);
+      const count = await factory.vaultCount();
+      for (let i = 0n; i < count; i++) {
+        addresses.push(await factory.getVaultAtIndex(i));
+      }
+    }
+    if (addresses.length === 0) {
+      throw new Error("Please pass --factory and/or --vaults");
+    }
+
+    const pending = [];
+    for (const address of addresses) {
+      const vault = await getContract(hre, "RWA4626Vault", address);
+      const changes = await loadPendingChanges(hre, vault);
+      if (changes.length === 0) {
+        continue;
+      }
+      console.log(`${await vault.name()} (${address}):`);
+      for (const change of changes) {
+        console.log(`  ${change.description}`);
+      }
+      pending.push(...changes);
+    }
+    console.log(`${pending.length} pending change(s) across ${addresses.length} vault(s)`);
+    return pending;
+  });
+
+task("rwa:execute-change", "Executes a timelocked parameter change of an RWA4626Vault once its delay has passed")
+  .addParam("vault", "The vault address")
+  .addParam("change", `The parameter to change: ${CHANGE_TYPES.join(", ")}`)
+  .addOptionalParam("from", "The account to send from (defaults to the first signer)")
+  .addFlag("dryRun", "Only simulate the transaction")
+  .setAction(async (args, hre) => {
+    const changeType = CHANGE_TYPES.indexOf(args.change);
+    if (changeType === -1) {
+      throw new Error(`Unknown change ${args.change}, expected one of ${CHANGE_TYPES.join(", ")}`);
+    }
+    const signer = await getSigner(hre, args.from);
+    const vault = await getContract(hre, "RWA4626Vault", args.vault, signer);
+
+    const { eta } = await vault.getPendingChange(changeType);
+    if (eta === 0n) {
+      throw new Error(`No ${args.change} change is queued on ${args.vault}`);
+    }
+    const { receipt } = await execute(vault, "executeChange", [changeType], args.dryRun);
+    return receipt;
+  });
@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { OracleKeeper } = require("../keeper");
+const { createStubSource } = require("../keeper/sources");
+
+describe("OracleKeeper", function () {
+    let oracle;
+    let keeperSigner;
+    let asset1;
+    let asset2;
+    let tmpDir;
+    let statePath;
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const ONE_DAY = 24 * 60 * 60;
+    const ONE_WEEK = 7 * ONE_DAY;
+
+    // Silent logger keeping keeper output out of the test report
+    const logger = { log() {}, warn() {}, error() {} };
+
+    const newKeeper = (source, options = {}) => new OracleKeeper({
+        oracle: oracle.connect(keeperSigner),
+        source,
+        statePath,
+        retryDelayMs: 0,
+        logger,
+        ...options,
+    });
+
+    beforeEach(async function () {
+        [keeperSigner, asset1, asset2] = await ethers.getSigners();
+
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rwa-keeper-"));
+        statePath = path.join(tmpDir, "state.json");
+    });
+
+    afterEach(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe("Asset discovery", function () {
+        it("Should track assets from AssetAdded and AssetRemoved events", async function () {
+            await oracle.addAsset(asset1.address, INITIAL_PRICE, ONE_WEEK);
+            await oracle.addAsset(asset2.address, INITIAL_PRICE, ONE_WEEK);
+            await oracle.removeAsset(asset1.address);
+
+            const keeper = newKeeper(createStubSource("1"));
+            expect(await keeper.syncAssets()).to.deep.equal([asset2.address]);
+
+            await oracle.addAsset(asset1.address, INITIAL_PRICE, ONE_WEEK);
+            expect(await keeper.syncAssets()).to.have.members([asset1.address, asset2.address]);
+        });
+
+        it("Should resume from the persisted state", async function () {
+            await oracle.addAsset(asset1.address, INITIAL_PRICE, ONE_WEEK);
+            await newKeeper(createStubSource("1")).syncAssets();
+
+            const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+            expect(state.assets).to.deep.equal([asset1.address]);
+            expect(state.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+
+            // A restarted keeper keeps the asset without rescanning old blocks
+            const restarted = newKeeper(createStubSource("1"), { fromBlock: state.lastBlock + 1 });
+            expect(await restarted.syncAssets()).to.deep.equal([asset1.address]);
+        });
+    });
+
+    describe("Price updates", function () {
+        beforeEach(async function () {
+            await oracle.addAsset(asset1.address, INITIAL_PRICE, ONE_WEEK);
+            await oracle.addAsset(asset2.address, INITIAL_PRICE, ONE_DAY);
+        });
+
+        it("Should only update assets whose interval has passed", async function () {
+            const keeper = newKeeper(createStubSource("1.05"));
+            expect(await keeper.tick()).to.be.empty;
+
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const updates = await keeper.tick();
+            expect(updates.map(update => update.asset)).to.deep.equal([asset2.address]);
+            expect(await oracle.getPrice(asset2.address)).to.equal(ethers.parseUnits("1.05", 6));
+            expect(await oracle.getPrice(asset1.address)).to.equal(INITIAL_PRICE);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await ethers.provider.send("evm_mine");
+
+            expect(await keeper.tick()).to.have.lengthOf(2);
+            expect(await oracle.getPrice(asset1.address)).to.equal(ethers.parseUnits("1.05", 6));
+        });
+
+        it("Should read prices from a JSON file", async function () {
+            const file = path.join(tmpDir, "nav.json");
+            fs.writeFileSync(file, JSON.stringify({ [asset1.address.toLowerCase()]: "0.98" }));
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const updates = await newKeeper(`file:${file}`).tick();
+            expect(updates).to.have.lengthOf(1);
+            expect(await oracle.getPrice(asset1.address)).to.equal(ethers.parseUnits("0.98", 6));
+        });
+
+        it("Should read prices from a CSV file", async function () {
+            const file = path.join(tmpDir, "nav.csv");
+            fs.writeFileSync(file, `asset,price\n${asset1.address},1.01\n${asset2.address},1.02\n`);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await newKeeper(`file:${file}`).tick();
+            expect(await oracle.getPrice(asset1.address)).to.equal(ethers.parseUnits("1.01", 6));
+            expect(await oracle.getPrice(asset2.address)).to.equal(ethers.parseUnits("1.02", 6));
+        });
+
+        it("Should persist the last update of each asset", async function () {
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const [update] = await newKeeper(createStubSource("1.1")).tick();
+
+            const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+            expect(state.updates[asset2.address]).to.deep.equal({
+                price: ethers.parseUnits("1.1", 6).toString(),
+                timestamp: update.timestamp,
+                txHash: update.txHash,
+            });
+            expect(state.lastRun).to.not.equal(null);
+        });
+
+        it("Should retry failed transactions with a fresh nonce", async function () {
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const keeper = newKeeper(createStubSource("1.1"));
+            await keeper.init();
+            // Stale nonce left by another process using the same account
+            keeper.nonce = (await ethers.provider.getTransactionCount(keeperSigner.address)) - 1;
+
+            const updates = await keeper.tick();
+            expect(updates).to.have.lengthOf(1);
+            expect(await oracle.getPrice(asset2.address)).to.equal(ethers.parseUnits("1.1", 6));
+        });
+
+        it("Should not resubmit while a price awaits confirmation", async function () {
+            await oracle.setDeviationBounds(asset2.address, 500, 500, true);
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const keeper = newKeeper(createStubSource("2"));
+            const [update] = await keeper.tick();
+            expect(update.pending).to.be.true;
+            expect(await oracle.getPrice(asset2.address)).to.equal(INITIAL_PRICE);
+
+            expect(await keeper.tick()).to.be.empty;
+        });
+
+        it("Should submit prices to the quorum round when a quorum is required", async function () {
+            const [, , , submitter] = await ethers.getSigners();
+            await oracle.addPriceSubmitter(submitter.address);
+            await oracle.setQuorum(1);
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY + 1]);
+            await ethers.provider.send("evm_mine");
+
+            // Not a submitter: nothing is sent
+            const keeper = newKeeper(createStubSource("1.1"));
+            expect(await keeper.tick()).to.be.empty;
+            expect(keeper.stalled.has(asset2.address)).to.be.true;
+
+            await oracle.addPriceSubmitter(keeperSigner.address);
+            await oracle.setQuorum(2);
+            const [update] = await keeper.tick();
+            expect(update.submitted).to.be.true;
+            expect(await oracle.getPrice(asset2.address)).to.equal(INITIAL_PRICE);
+            // Already submitted to the round
+            expect(await keeper.tick()).to.be.empty;
+
+            await oracle.connect(submitter).submitPrice(asset2.address, ethers.parseUnits("1.1", 6));
+            expect(await oracle.getPrice(asset2.address)).to.equal(ethers.parseUnits("1.1", 6));
+        });
+
+        it("Should skip assets missing from the source", async function () {
+            const source = { name: "empty", getPrice: async () => undefined };
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            expect(await newKeeper(source).tick()).to.be.empty;
+            expect(await oracle.getPrice(asset1.address)).to.equal(INITIAL_PRICE);
+        });
+
+        it("Should schedule the next pass when the next interval ends", async function () {
+            const keeper = newKeeper(createStubSource("1"), { pollIntervalMs: 2 * ONE_DAY * 1000 });
+            await keeper.syncAssets();
+
+            const delay = await keeper.nextDelay();
+            expect(delay).to.be.closeTo((ONE_DAY + 1) * 1000, 5000);
+        });
+
+        it("Should wait for the poll interval when an overdue asset cannot be updated", async function () {
+            const source = { name: "empty", getPrice: async () => undefined };
+            const keeper = newKeeper(source, { pollIntervalMs: 30000 });
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+            // Not attempted yet: the next pass is due straight away
+            await keeper.syncAssets();
+            expect(await keeper.nextDelay()).to.equal(0);
+
+            // Skipped during the pass: back off instead of spinning
+            expect(await keeper.tick()).to.be.empty;
+            expect(await keeper.nextDelay()).to.equal(30000);
+        });
+    });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getVaultFactory } = require("../tasks/lib/vault");
+
+describe("RWA4626CapacityLimits", function () {
+    let limits;
+    let vault;
+    let oracle;
+    let asset; // Mock USDC
+    let owner;
+    let user1;
+    let user2;
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
+    const ONE_WEEK = 7 * 24 * 60 * 60;
+    const ONE_DAY = 24 * 60 * 60;
+    const TWO_DAYS = 2 * ONE_DAY;
+    const CAPACITY_LIMITS = 8; // ChangeType.CapacityLimits
+    const usdc = (amount) => ethers.parseUnits(String(amount), 6);
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        asset = await MockERC20.deploy("Mock USDC", "USDC", 6);
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+        const RWA4626Vault = await getVaultFactory(hre);
+        vault = await RWA4626Vault.deploy(asset.target, "RWA Vault", "RWA", oracle.target, MIN_DEPOSIT, 0);
+        await oracle.addAsset(vault.target, INITIAL_PRICE, ONE_WEEK);
+
+        const RWA4626CapacityLimits = await ethers.getContractFactory("RWA4626CapacityLimits");
+        limits = await RWA4626CapacityLimits.deploy(vault.target);
+        await vault.setCapacityLimits(limits.target);
+        await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+        await vault.executeChange(CAPACITY_LIMITS);
+
+        for (const user of [user1, user2]) {
+            await asset.mint(user.address, usdc(2000));
+            await asset.connect(user).approve(vault.target, ethers.MaxUint256);
+        }
+    });
+
+    it("Should only let limits managers set the limits and the vault record deposits", async function () {
+        await expect(ethers.deployContract("RWA4626CapacityLimits", [ethers.ZeroAddress]))
+            .to.be.revertedWithCustomError(limits, "InvalidVault");
+        await expect(vault.connect(user1).setCapacityLimits(ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+        await expect(limits.connect(user1).setLimits(usdc(1000), 0, 0, 0))
+            .to.be.revertedWithCustomError(limits, "AccessControlUnauthorizedAccount")
+            .withArgs(user1.address, await vault.LIMITS_MANAGER_ROLE());
+        await expect(limits.recordDeposit(user1.address, MIN_DEPOSIT))
+            .to.be.revertedWithCustomError(limits, "CallerNotVault");
+
+        // Without limits, deposits are unlimited
+        expect(await vault.maxDeposit(user1.address)).to.equal(ethers.MaxUint256);
+        expect(await vault.maxMint(user1.address)).to.equal(ethers.MaxUint256);
+
+        await vault.grantRole(await vault.LIMITS_MANAGER_ROLE(), user1.address);
+        await expect(limits.connect(user1).setLimits(usdc(1000), usdc(500), usdc(250), usdc(300)))
+            .to.emit(limits, "LimitsUpdated")
+            .withArgs(usdc(1000), usdc(500), usdc(250), usdc(300));
+        // The smallest room left applies
+        expect(await vault.maxDeposit(user1.address)).to.equal(usdc(250));
+
+        // Removing the limits goes through the timelock too
+        await vault.setCapacityLimits(ethers.ZeroAddress);
+        expect(await vault.maxDeposit(user1.address)).to.equal(usdc(250));
+        await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+        await expect(vault.executeChange(CAPACITY_LIMITS))
+            .to.emit(vault, "CapacityLimitsUpdated")
+            .withArgs(limits.target, ethers.ZeroAddress);
+        await vault.connect(user1).deposit(usdc(1500), user1.address);
+    });
+
+    it("Should cap the total assets of the vault", async function () {
+        await limits.setLimits(usdc(1000), 0, 0, 0);
+        await vault.connect(user1).deposit(usdc(600), user1.address);
+
+        expect(await vault.maxDeposit(user2.address)).to.equal(usdc(400));
+        expect(await vault.maxMint(user2.address)).to.equal(usdc(400));
+        await expect(vault.connect(user2).deposit(usdc(400) + 1n, user2.address))
+            .to.be.revertedWithCustomError(limits, "TotalAssetsCapExceeded")
+            .withArgs(usdc(400));
+        await expect(vault.connect(user2).mint(usdc(400) + 1n, user2.address))
+            .to.be.revertedWithCustomError(limits, "TotalAssetsCapExceeded");
+
+        await vault.connect(user2).deposit(usdc(400), user2.address);
+        expect(await vault.totalAssets()).to.equal(usdc(1000));
+        expect(await vault.maxDeposit(user2.address)).to.equal(0);
+        expect(await vault.maxMint(user2.address)).to.equal(0);
+
+        // Redemptions make room again
+        await vault.connect(user1).redeem(usdc(100), user1.address, user1.address);
+        expect(await vault.maxDeposit(user2.address)).to.equal(usdc(100));
+    });
+
+    it("Should cap the holding of each investor", async function () {
+        await limits.setLimits(0, usdc(500), 0, 0);
+        await vault.connect(user1).deposit(usdc(300), user1.address);
+
+        expect(await vault.maxDeposit(user1.address)).to.equal(usdc(200));
+        expect(await vault.maxMint(user1.address)).to.equal(usdc(200));
+        expect(await vault.maxDeposit(user2.address)).to.equal(usdc(500));
+        // The holding of the receiver counts, whoever deposits
+        await expect(vault.connect(user2).mint(usdc(200) + 1n, user1.address))
+            .to.be.revertedWithCustomError(limits, "HoldingLimitExceeded")
+            .withArgs(user1.address, usdc(200));
+
+        await vault.connect(user2).mint(usdc(200), user1.address);
+        expect(await vault.maxDeposit(user1.address)).to.equal(0);
+        await vault.connect(user2).deposit(usdc(500), user2.address);
+    });
+
+    it("Should cap the holding of each investor receiving transfers", async function () {
+        await limits.setLimits(0, usdc(500), 0, 0);
+        await vault.connect(user1).deposit(usdc(400), user1.address);
+        await vault.connect(user2).deposit(usdc(500), user2.address);
+
+        await expect(limits.checkTransfer(user1.address, usdc(100))).not.to.be.reverted;
+        await expect(vault.connect(user2).transfer(user1.address, usdc(100) + 1n))
+            .to.be.revertedWithCustomError(limits, "HoldingLimitExceeded")
+            .withArgs(user1.address, usdc(100));
+        await vault.connect(user2).transfer(user1.address, usdc(100));
+
+        // Holdings are valued at the last price while it is stale
+        await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+        await ethers.provider.send("evm_mine");
+        await expect(vault.connect(user1).transfer(user2.address, usdc(100) + 1n))
+            .to.be.revertedWithCustomError(limits, "HoldingLimitExceeded")
+            .withArgs(user2.address, usdc(100));
+        await vault.connect(user1).transfer(user2.address, usdc(100));
+
+        // Escrows in the redemption queue are not holdings
+        await oracle.updatePrice(vault.target, INITIAL_PRICE);
+        const queue = await ethers.deployContract("RWA4626RedemptionQueue", [vault.target]);
+        await vault.grantRole(await vault.REDEMPTION_QUEUE_ROLE(), queue.target);
+        await limits.setLimits(0, usdc(100), 0, 0);
+        await queue.setPricingMode(1); // Next NAV, cancellable until published
+        await vault.connect(user1).approve(queue.target, usdc(400));
+        await queue.connect(user1).requestRedeem(usdc(400), user1.address);
+        await queue.connect(user1).cancelRequest(0);
+        expect(await vault.balanceOf(user1.address)).to.equal(usdc(400));
+    });
+
+    it("Should cap each deposit", async function () {
+        await limits.setLimits(0, 0, usdc(250), 0);
+
+        expect(await vault.maxDeposit(user1.address)).to.equal(usdc(250));
+        expect(await vault.maxMint(user1.address)).to.equal(usdc(250));
+        await expect(vault.connect(user1).deposit(usdc(250) + 1n, user1.address))
+            .to.be.revertedWithCustomError(limits, "DepositSizeExceeded")
+            .withArgs(usdc(250));
+
+        // The size applies to each deposit, not to the total
+        await vault.connect(user1).deposit(usdc(250), user1.address);
+        await vault.connect(user1).mint(usdc(250), user1.address);
+        expect(await vault.maxDeposit(user1.address)).to.equal(usdc(250));
+    });
+
+    it("Should cap the daily inflow of each investor", async function () {
+        await limits.setLimits(0, 0, 0, usdc(300));
+        await vault.connect(user1).deposit(usdc(200), user1.address);
+
+        expect(await limits.dailyInflow(user1.address)).to.equal(usdc(200));
+        expect(await vault.maxDeposit(user1.address)).to.equal(usdc(100));
+        expect(await vault.maxMint(user1.address)).to.equal(usdc(100));
+        expect(await vault.maxDeposit(user2.address)).to.equal(usdc(300));
+        await expect(vault.connect(user1).deposit(usdc(100) + 1n, user1.address))
+            .to.be.revertedWithCustomError(limits, "DailyInflowLimitExceeded")
+            .withArgs(user1.address, usdc(100));
+
+        await vault.connect(user1).deposit(usdc(100), user1.address);
+        expect(await limits.dailyInflow(user1.address)).to.equal(usdc(300));
+        expect(await vault.maxDeposit(user1.address)).to.equal(0);
+        // Redemptions do not give the inflow back
+        await vault.connect(user1).redeem(usdc(100), user1.address, user1.address);
+        expect(await vault.maxDeposit(user1.address)).to.equal(0);
+
+        // The inflow resets at midnight UTC
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        await ethers.provider.send("evm_setNextBlockTimestamp", [(Math.floor(timestamp / ONE_DAY) + 1) * ONE_DAY]);
+        await ethers.provider.send("evm_mine");
+        expect(await limits.dailyInflow(user1.address)).to.equal(0);
+        expect(await vault.maxDeposit(user1.address)).to.equal(usdc(300));
+        await vault.connect(user1).deposit(usdc(300), user1.address);
+    });
+});
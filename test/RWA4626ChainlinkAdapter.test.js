@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getVaultFactory } = require("../tasks/lib/vault");
+
+describe("RWA4626ChainlinkAdapter", function () {
+    let oracle;
+    let adapter;
+    let owner;
+    let vault;
+    let usdc; // Mock USDC
+    let other;
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const ONE_DAY = 24 * 60 * 60;
+    const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
+    const MANAGEMENT_FEE = 5; // ChangeType.ManagementFee
+
+    const advance = async (seconds) => {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    };
+
+    const timestampOf = async (tx) => {
+        const receipt = await tx.wait();
+        return BigInt((await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
+    };
+
+    let addedAt;
+
+    beforeEach(async function () {
+        [owner, other] = await ethers.getSigners();
+
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+        const RWA4626Vault = await getVaultFactory(hre);
+        vault = await RWA4626Vault.deploy(usdc.target, "RWA Vault", "RWA", oracle.target, MIN_DEPOSIT, 0);
+        addedAt = await timestampOf(await oracle.addAsset(vault.target, INITIAL_PRICE, ONE_DAY));
+
+        const RWA4626ChainlinkAdapter = await ethers.getContractFactory("RWA4626ChainlinkAdapter");
+        adapter = await RWA4626ChainlinkAdapter.deploy(
+            await oracle.getAddress(),
+            vault.target,
+            "rwaUSDC / USD"
+        );
+    });
+
+    describe("Deployment", function () {
+        it("Should expose the feed metadata", async function () {
+            expect(await adapter.decimals()).to.equal(6);
+            expect(await adapter.description()).to.equal("rwaUSDC / USD");
+            expect(await adapter.version()).to.equal(1);
+            expect(await adapter.asset()).to.equal(vault.target);
+            expect(await adapter.heartbeat()).to.equal(ONE_DAY);
+        });
+
+        it("Should not deploy for an asset unknown to the oracle", async function () {
+            const RWA4626ChainlinkAdapter = await ethers.getContractFactory("RWA4626ChainlinkAdapter");
+            await expect(
+                RWA4626ChainlinkAdapter.deploy(await oracle.getAddress(), other.address, "x / USD")
+            ).to.be.revertedWithCustomError(RWA4626ChainlinkAdapter, "AssetNotActive");
+            await expect(
+                RWA4626ChainlinkAdapter.deploy(ethers.ZeroAddress, vault.target, "x / USD")
+            ).to.be.revertedWithCustomError(RWA4626ChainlinkAdapter, "InvalidOracle");
+        });
+    });
+
+    describe("Round data", function () {
+        it("Should report the initial price as round 1", async function () {
+            expect(await adapter.latestRoundData()).to.deep.equal([1n, INITIAL_PRICE, addedAt, addedAt, 1n]);
+        });
+
+        it("Should open a new round on each update", async function () {
+            await advance(ONE_DAY);
+            const updatedAt = await timestampOf(await oracle.updatePrice(vault.target, ethers.parseUnits("1.05", 6)));
+
+            expect(await adapter.latestRoundData()).to.deep.equal([
+                2n, ethers.parseUnits("1.05", 6), updatedAt, updatedAt, 2n,
+            ]);
+            expect(await adapter.getRoundData(1)).to.deep.equal([1n, INITIAL_PRICE, addedAt, addedAt, 1n]);
+            expect(await adapter.getRoundData(2)).to.deep.equal([
+                2n, ethers.parseUnits("1.05", 6), updatedAt, updatedAt, 2n,
+            ]);
+        });
+
+        it("Should not open a round for a price awaiting confirmation", async function () {
+            await oracle.setDeviationBounds(vault.target, 500, 500, true);
+            await advance(ONE_DAY);
+            await oracle.updatePrice(vault.target, ethers.parseUnits("2", 6));
+
+            const [roundId, answer] = await adapter.latestRoundData();
+            expect(roundId).to.equal(1);
+            expect(answer).to.equal(INITIAL_PRICE);
+        });
+
+        it("Should report prices net of the fees charged by the vault", async function () {
+            await vault.setManagementFee(200); // 2% per year
+            await advance(2 * ONE_DAY);
+            await vault.executeChange(MANAGEMENT_FEE);
+            await oracle.updatePrice(vault.target, INITIAL_PRICE);
+            await usdc.mint(owner.address, ethers.parseUnits("2000", 6));
+            await usdc.approve(vault.target, ethers.MaxUint256);
+            await vault.deposit(ethers.parseUnits("1000", 6), owner.address);
+
+            // The next deposit charges the fees of the year
+            await advance(365 * ONE_DAY);
+            await oracle.updatePrice(vault.target, INITIAL_PRICE);
+            await vault.deposit(MIN_DEPOSIT, owner.address);
+            const feeFactor = await vault.feeFactor();
+            expect(feeFactor).to.be.lessThan(ethers.parseUnits("1", 18));
+
+            const sharePrice = INITIAL_PRICE * feeFactor / ethers.parseUnits("1", 18);
+            expect(await vault.sharePrice()).to.equal(sharePrice);
+            const [roundId, answer] = await adapter.latestRoundData();
+            expect(answer).to.equal(sharePrice);
+            expect((await adapter.getRoundData(roundId))[1]).to.equal(sharePrice);
+        });
+
+        it("Should revert for unknown rounds", async function () {
+            await expect(adapter.getRoundData(0)).to.be.revertedWithCustomError(adapter, "RoundNotFound");
+            await expect(adapter.getRoundData(2)).to.be.revertedWithCustomError(adapter, "RoundNotFound");
+        });
+    });
+
+    describe("Staleness", function () {
+        it("Should keep reporting the last update time once the interval has lapsed", async function () {
+            expect(await adapter.isStale()).to.be.false;
+
+            await advance(ONE_DAY + 1);
+
+            // Reads do not revert; consumers compare updatedAt with the heartbeat
+            const [roundId, answer, , updatedAt] = await adapter.latestRoundData();
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            expect(roundId).to.equal(1);
+            expect(answer).to.equal(INITIAL_PRICE);
+            expect(updatedAt).to.equal(addedAt);
+            expect(BigInt(timestamp) - updatedAt).to.be.greaterThan(await adapter.heartbeat());
+            expect(await adapter.isStale()).to.be.true;
+        });
+
+        it("Should agree with the vault on when a price update is required", async function () {
+            expect(await adapter.isStale()).to.equal(await vault.isPriceUpdateRequired());
+            await advance(ONE_DAY);
+            expect(await adapter.isStale()).to.be.true;
+            expect(await vault.isPriceUpdateRequired()).to.be.true;
+
+            await oracle.updatePrice(vault.target, INITIAL_PRICE);
+            expect(await adapter.isStale()).to.be.false;
+            const [roundId] = await adapter.latestRoundData();
+            expect(roundId).to.equal(2);
+        });
+    });
+});
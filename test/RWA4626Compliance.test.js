@@ -0,0 +1,309 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { parseAllowlistCsv, encodeJurisdiction, toBatches } = require("../tasks/lib/allowlist");
+const { getVaultFactory } = require("../tasks/lib/vault");
+
+describe("RWA4626Compliance", function () {
+    let compliance;
+    let vault;
+    let oracle;
+    let asset; // Mock USDC
+    let owner;
+    let officer;
+    let user1;
+    let user2;
+    let outsider;
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
+    const FEE = 50; // 0.5%
+    const ONE_WEEK = 7 * 24 * 60 * 60;
+    const ONE_YEAR = 365 * 24 * 60 * 60;
+    const TWO_DAYS = 2 * 24 * 60 * 60;
+    const MANAGEMENT_FEE = 5; // ChangeType.ManagementFee
+    const COMPLIANCE = 7; // ChangeType.Compliance
+    const US = encodeJurisdiction("US");
+    const FR = encodeJurisdiction("FR");
+
+    const now = async () => BigInt((await ethers.provider.getBlock("latest")).timestamp);
+
+    // Executes a queued vault change once the timelock delay has passed
+    const executeChange = async (changeType) => {
+        await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+        return vault.executeChange(changeType);
+    };
+
+    beforeEach(async function () {
+        [owner, officer, user1, user2, outsider] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        asset = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+
+        const RWA4626Vault = await getVaultFactory(hre);
+        vault = await RWA4626Vault.deploy(
+            asset.target,
+            "RWA Vault",
+            "RWA",
+            oracle.target,
+            MIN_DEPOSIT,
+            FEE
+        );
+        await oracle.addAsset(vault.target, INITIAL_PRICE, ONE_WEEK);
+
+        const RWA4626Compliance = await ethers.getContractFactory("RWA4626Compliance");
+        compliance = await RWA4626Compliance.deploy();
+        await compliance.addComplianceOfficer(officer.address);
+
+        const expiry = (await now()) + BigInt(ONE_YEAR);
+        await compliance.connect(officer).setInvestors(
+            [user1.address, user2.address],
+            [US, FR],
+            [expiry, expiry]
+        );
+
+        for (const user of [user1, user2, outsider]) {
+            await asset.mint(user.address, ethers.parseUnits("1000", 6));
+            await asset.connect(user).approve(vault.target, ethers.parseUnits("1000", 6));
+        }
+    });
+
+    describe("Allowlist", function () {
+        it("Should verify allowlisted investors until their KYC expires", async function () {
+            expect(await compliance.isVerified(user1.address)).to.be.true;
+            expect(await compliance.isVerified(outsider.address)).to.be.false;
+
+            const [jurisdiction, expiry] = await compliance.getInvestor(user1.address);
+            expect(jurisdiction).to.equal(US);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [Number(expiry)]);
+            await ethers.provider.send("evm_mine");
+            expect(await compliance.isVerified(user1.address)).to.be.false;
+        });
+
+        it("Should refuse investors of blocked jurisdictions", async function () {
+            await expect(compliance.setJurisdictionBlocked(FR, true))
+                .to.emit(compliance, "JurisdictionBlockedUpdated")
+                .withArgs(FR, true);
+
+            expect(await compliance.isVerified(user1.address)).to.be.true;
+            expect(await compliance.isVerified(user2.address)).to.be.false;
+        });
+
+        it("Should validate entries", async function () {
+            const expiry = (await now()) + BigInt(ONE_YEAR);
+            await expect(compliance.setInvestor(ethers.ZeroAddress, US, expiry))
+                .to.be.revertedWithCustomError(compliance, "InvalidAccount");
+            await expect(compliance.setInvestor(outsider.address, "0x0000", expiry))
+                .to.be.revertedWithCustomError(compliance, "InvalidJurisdiction");
+            await expect(compliance.setInvestor(outsider.address, US, await now()))
+                .to.be.revertedWithCustomError(compliance, "InvalidExpiry");
+            await expect(compliance.setInvestors([outsider.address], [US, FR], [expiry]))
+                .to.be.revertedWithCustomError(compliance, "LengthMismatch");
+        });
+
+        it("Should restrict the allowlist to the owner and compliance officers", async function () {
+            const expiry = (await now()) + BigInt(ONE_YEAR);
+            await expect(compliance.connect(outsider).setInvestor(outsider.address, US, expiry))
+                .to.be.revertedWithCustomError(compliance, "OwnableUnauthorizedAccount");
+            await expect(compliance.connect(outsider).freeze(user1.address))
+                .to.be.revertedWithCustomError(compliance, "OwnableUnauthorizedAccount");
+            await expect(compliance.connect(officer).addComplianceOfficer(outsider.address))
+                .to.be.revertedWithCustomError(compliance, "OwnableUnauthorizedAccount");
+
+            await expect(compliance.connect(officer).removeInvestor(user2.address))
+                .to.emit(compliance, "InvestorRemoved")
+                .withArgs(user2.address);
+            expect(await compliance.isVerified(user2.address)).to.be.false;
+
+            await compliance.removeComplianceOfficer(officer.address);
+            await expect(compliance.connect(officer).freeze(user1.address))
+                .to.be.revertedWithCustomError(compliance, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("Vault restrictions", function () {
+        beforeEach(async function () {
+            await vault.setCompliance(compliance.target);
+            await expect(executeChange(COMPLIANCE))
+                .to.emit(vault, "ComplianceUpdated")
+                .withArgs(ethers.ZeroAddress, compliance.target);
+            await vault.connect(user1).deposit(MIN_DEPOSIT, user1.address);
+        });
+
+        it("Should only mint shares to verified receivers", async function () {
+            await expect(vault.connect(outsider).deposit(MIN_DEPOSIT, outsider.address))
+                .to.be.revertedWithCustomError(vault, "AccountNotVerified")
+                .withArgs(outsider.address);
+            await expect(vault.connect(outsider).mint(MIN_DEPOSIT, outsider.address))
+                .to.be.revertedWithCustomError(vault, "AccountNotVerified")
+                .withArgs(outsider.address);
+
+            expect(await vault.maxDeposit(outsider.address)).to.equal(0);
+            expect(await vault.maxMint(outsider.address)).to.equal(0);
+            expect(await vault.maxDeposit(user2.address)).to.equal(ethers.MaxUint256);
+
+            // An unverified payer can still subscribe for a verified receiver
+            await vault.connect(outsider).deposit(MIN_DEPOSIT, user2.address);
+            expect(await vault.balanceOf(user2.address)).to.be.greaterThan(0);
+        });
+
+        it("Should only transfer shares between verified accounts", async function () {
+            await expect(vault.connect(user1).transfer(outsider.address, 1))
+                .to.be.revertedWithCustomError(vault, "AccountNotVerified")
+                .withArgs(outsider.address);
+
+            await vault.connect(user1).transfer(user2.address, 1);
+            expect(await vault.balanceOf(user2.address)).to.equal(1);
+
+            // Once the KYC of the sender expires, shares can be redeemed but not transferred
+            await compliance.connect(officer).removeInvestor(user1.address);
+            await expect(vault.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWithCustomError(vault, "AccountNotVerified")
+                .withArgs(user1.address);
+            await vault.connect(user1).redeem(await vault.balanceOf(user1.address), user1.address, user1.address);
+            expect(await vault.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should let unverified holders escrow their shares in the redemption queue", async function () {
+            const RWA4626RedemptionQueue = await ethers.getContractFactory("RWA4626RedemptionQueue");
+            const queue = await RWA4626RedemptionQueue.deploy(vault.target);
+            await vault.grantRole(await vault.REDEMPTION_QUEUE_ROLE(), queue.target);
+            await compliance.connect(officer).setInvestors([queue.target], [US], [(await now()) + BigInt(ONE_YEAR)]);
+            await queue.setPricingMode(1); // Next NAV
+
+            const shares = await vault.balanceOf(user1.address);
+            await compliance.connect(officer).removeInvestor(user1.address);
+            await vault.connect(user1).approve(queue.target, shares);
+            await queue.connect(user1).requestRedeem(shares, user1.address);
+            expect(await vault.balanceOf(queue.target)).to.equal(shares);
+
+            // Cancelled shares return to the unverified holder, but never to a frozen one
+            await compliance.connect(officer).freeze(user1.address);
+            await expect(queue.connect(user1).cancelRequest(0))
+                .to.be.revertedWithCustomError(vault, "AccountFrozen")
+                .withArgs(user1.address);
+            await compliance.connect(officer).unfreeze(user1.address);
+            await queue.connect(user1).cancelRequest(0);
+            expect(await vault.balanceOf(user1.address)).to.equal(shares);
+
+            await vault.connect(user1).approve(queue.target, shares);
+            await compliance.connect(officer).freeze(user1.address);
+            await expect(queue.connect(user1).requestRedeem(shares, user1.address))
+                .to.be.revertedWithCustomError(vault, "AccountFrozen")
+                .withArgs(user1.address);
+        });
+
+        it("Should freeze accounts", async function () {
+            await expect(compliance.connect(officer).freeze(user1.address))
+                .to.emit(compliance, "AccountFrozen")
+                .withArgs(user1.address);
+
+            await expect(vault.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWithCustomError(vault, "AccountFrozen")
+                .withArgs(user1.address);
+            await expect(vault.connect(user1).redeem(1, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "AccountFrozen")
+                .withArgs(user1.address);
+            await expect(vault.connect(user2).deposit(MIN_DEPOSIT, user1.address))
+                .to.be.revertedWithCustomError(vault, "AccountFrozen")
+                .withArgs(user1.address);
+            expect(await vault.maxDeposit(user1.address)).to.equal(0);
+
+            await compliance.connect(officer).unfreeze(user1.address);
+            await vault.connect(user1).transfer(user2.address, 1);
+        });
+
+        it("Should let the owner and compliance officers force transfers", async function () {
+            await compliance.connect(officer).freeze(user1.address);
+            const shares = await vault.balanceOf(user1.address);
+
+            await expect(vault.connect(outsider).forcedTransfer(user1.address, user2.address, shares))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.connect(officer).forcedTransfer(user1.address, outsider.address, shares))
+                .to.be.revertedWithCustomError(vault, "AccountNotVerified")
+                .withArgs(outsider.address);
+
+            await expect(vault.connect(officer).forcedTransfer(user1.address, user2.address, shares))
+                .to.emit(vault, "ForcedTransfer")
+                .withArgs(user1.address, user2.address, shares, officer.address);
+            expect(await vault.balanceOf(user1.address)).to.equal(0);
+            expect(await vault.balanceOf(user2.address)).to.equal(shares);
+
+            await expect(vault.forcedTransfer(user2.address, ethers.ZeroAddress, shares))
+                .to.be.revertedWithCustomError(vault, "ERC20InvalidReceiver");
+        });
+
+        it("Should keep accruing fees while the fee recipient is frozen", async function () {
+            await vault.setFeeRecipient(user2.address);
+            await vault.setManagementFee(200);
+            await executeChange(MANAGEMENT_FEE);
+            await compliance.connect(officer).freeze(user2.address);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+            await oracle.updatePrice(vault.target, INITIAL_PRICE);
+
+            // The fees are charged in assets, so no shares reach the frozen recipient
+            await expect(vault.connect(user1).deposit(MIN_DEPOSIT, user1.address))
+                .to.emit(vault, "FeesAccrued");
+            await vault.connect(user1).redeem(await vault.balanceOf(user1.address), user1.address, user1.address);
+            expect(await vault.balanceOf(user2.address)).to.equal(0);
+
+            const fees = await vault.totalFees();
+            await expect(vault.withdrawFees())
+                .to.emit(vault, "FeesWithdrawn")
+                .withArgs(user2.address, fees);
+        });
+
+        it("Should lift the restrictions when the compliance module is removed", async function () {
+            await vault.setCompliance(ethers.ZeroAddress);
+            await expect(vault.connect(user1).transfer(outsider.address, 1))
+                .to.be.revertedWithCustomError(vault, "AccountNotVerified");
+            await executeChange(COMPLIANCE);
+            await vault.connect(user1).transfer(outsider.address, 1);
+            expect(await vault.balanceOf(outsider.address)).to.equal(1);
+            await expect(vault.connect(user1).setCompliance(compliance.target))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("CSV import", function () {
+        it("Should parse allowlist entries", async function () {
+            const entries = parseAllowlistCsv([
+                "address,jurisdiction,expiry",
+                "# Fund A subscribers",
+                `${user1.address.toLowerCase()}, us, 2030-01-01`,
+                `${user2.address},FR,1900000000`,
+                "",
+            ].join("\n"));
+
+            expect(entries).to.deep.equal([
+                { account: user1.address, jurisdiction: US, expiry: 1893456000n },
+                { account: user2.address, jurisdiction: FR, expiry: 1900000000n },
+            ]);
+            expect(toBatches([1, 2, 3], 2)).to.deep.equal([[1, 2], [3]]);
+
+            await compliance.setInvestors(
+                entries.map(entry => entry.account),
+                entries.map(entry => entry.jurisdiction),
+                entries.map(entry => entry.expiry)
+            );
+            expect(await compliance.getInvestor(user1.address)).to.deep.equal([US, 1893456000n]);
+        });
+
+        it("Should report the line of invalid entries", function () {
+            expect(() => parseAllowlistCsv(`${user1.address},USA,2030-01-01`))
+                .to.throw("Line 1: Invalid jurisdiction code: USA");
+            expect(() => parseAllowlistCsv(`address,jurisdiction,expiry\n0x1234,US,2030-01-01`))
+                .to.throw(/^Line 2: /);
+            expect(() => parseAllowlistCsv(`${user1.address},US,someday`))
+                .to.throw("Line 1: Invalid expiry: someday");
+            expect(() => parseAllowlistCsv(`${user1.address},US,2030-01-01\n${user1.address},FR,2030-01-01`))
+                .to.throw(`Line 2: Duplicate address ${user1.address}`);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { parseCalendarJson, parseCalendarIcs, encodeOpenDays, decodeOpenDays } = require("../tasks/lib/calendar");
+const { getVaultFactory } = require("../tasks/lib/vault");
+
+describe("RWA4626DealingCalendar", function () {
+    let calendar;
+    let vault;
+    let oracle;
+    let asset; // Mock USDC
+    let owner;
+    let user1;
+    let monday; // Midnight UTC starting a Monday, once the calendar of the vault is set
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
+    const ONE_WEEK = 7 * 24 * 60 * 60;
+    const ONE_DAY = 24 * 60 * 60;
+    const ONE_HOUR = 60 * 60;
+    const WEEKDAYS = 0x1f; // Monday to Friday
+    const CALENDAR = 11; // ChangeType.Calendar
+
+    const setTime = async (timestamp) => {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        await ethers.provider.send("evm_mine");
+    };
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        // The Monday after the timelock delay; day 0 of the unix epoch was a Thursday
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const day = Math.floor(timestamp / ONE_DAY) + 3;
+        monday = (day + 7 - ((day + 3) % 7)) * ONE_DAY;
+
+        const RWA4626DealingCalendar = await ethers.getContractFactory("RWA4626DealingCalendar");
+        calendar = await RWA4626DealingCalendar.deploy();
+        await calendar.setWeeklySchedule(WEEKDAYS, 9 * ONE_HOUR, 17 * ONE_HOUR);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        asset = await MockERC20.deploy("Mock USDC", "USDC", 6);
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+        const RWA4626Vault = await getVaultFactory(hre);
+        vault = await RWA4626Vault.deploy(asset.target, "RWA Vault", "RWA", oracle.target, MIN_DEPOSIT, 0);
+        await expect(vault.connect(user1).setCalendar(calendar.target))
+            .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+        await vault.setCalendar(calendar.target);
+        expect(await vault.calendar()).to.equal(ethers.ZeroAddress);
+
+        await setTime(monday + 60);
+        await expect(vault.executeChange(CALENDAR))
+            .to.emit(vault, "CalendarUpdated")
+            .withArgs(ethers.ZeroAddress, calendar.target);
+        await oracle.addAsset(vault.target, INITIAL_PRICE, ONE_WEEK);
+
+        await asset.mint(user1.address, ethers.parseUnits("1000", 6));
+        await asset.connect(user1).approve(vault.target, ethers.MaxUint256);
+    });
+
+    it("Should deal on the weekly schedule outside holidays", async function () {
+        await expect(calendar.connect(user1).setWeeklySchedule(WEEKDAYS, 0, ONE_DAY))
+            .to.be.revertedWithCustomError(calendar, "OwnableUnauthorizedAccount");
+        await expect(calendar.setWeeklySchedule(WEEKDAYS, 17 * ONE_HOUR, 9 * ONE_HOUR))
+            .to.be.revertedWithCustomError(calendar, "InvalidSchedule");
+        await expect(calendar.setWeeklySchedule(0x80, 0, ONE_DAY))
+            .to.be.revertedWithCustomError(calendar, "InvalidSchedule");
+
+        expect(await calendar.isOpen(monday + 9 * ONE_HOUR)).to.be.true;
+        expect(await calendar.isOpen(monday + 9 * ONE_HOUR - 1)).to.be.false;
+        expect(await calendar.isOpen(monday + 17 * ONE_HOUR)).to.be.false;
+        expect(await calendar.isOpen(monday + 4 * ONE_DAY + 10 * ONE_HOUR)).to.be.true; // Friday
+        expect(await calendar.isOpen(monday + 5 * ONE_DAY + 10 * ONE_HOUR)).to.be.false; // Saturday
+
+        const wednesday = monday + 2 * ONE_DAY;
+        await expect(calendar.connect(user1).setHolidays([wednesday], true))
+            .to.be.revertedWithCustomError(calendar, "OwnableUnauthorizedAccount");
+        await expect(calendar.setHolidays([wednesday + 5 * ONE_HOUR], true))
+            .to.emit(calendar, "HolidayUpdated")
+            .withArgs(wednesday / ONE_DAY, true);
+        expect(await calendar.isHoliday(wednesday + 23 * ONE_HOUR)).to.be.true;
+        expect(await calendar.isOpen(wednesday + 10 * ONE_HOUR)).to.be.false;
+
+        await calendar.setHolidays([wednesday], false);
+        expect(await calendar.isOpen(wednesday + 10 * ONE_HOUR)).to.be.true;
+    });
+
+    it("Should close during blackouts and find the next dealing window", async function () {
+        await expect(calendar.addBlackout(monday + ONE_DAY, monday + ONE_DAY))
+            .to.be.revertedWithCustomError(calendar, "InvalidBlackout");
+
+        // Month-end NAV strike from Thursday 15:00 to Friday 12:00, and a holiday the next Monday
+        const strikeStart = monday + 3 * ONE_DAY + 15 * ONE_HOUR;
+        const strikeEnd = monday + 4 * ONE_DAY + 12 * ONE_HOUR;
+        await expect(calendar.addBlackout(strikeStart, strikeEnd))
+            .to.emit(calendar, "BlackoutAdded")
+            .withArgs(strikeStart, strikeEnd);
+        await calendar.setHolidays([monday + ONE_WEEK], true);
+        expect(await calendar.isOpen(strikeStart)).to.be.false;
+        expect(await calendar.isOpen(strikeEnd)).to.be.true;
+
+        const window = async (from) => (await calendar.nextOpenWindow(from)).map(Number);
+        expect(await window(monday)).to.deep.equal([monday + 9 * ONE_HOUR, monday + 17 * ONE_HOUR]);
+        expect(await window(monday + 10 * ONE_HOUR)).to.deep.equal([monday + 10 * ONE_HOUR, monday + 17 * ONE_HOUR]);
+        expect(await window(strikeStart - ONE_HOUR)).to.deep.equal([strikeStart - ONE_HOUR, strikeStart]);
+        expect(await window(strikeStart)).to.deep.equal([strikeEnd, strikeEnd + 5 * ONE_HOUR]);
+        // Friday evening: the fund deals again on Tuesday
+        const tuesday = monday + ONE_WEEK + ONE_DAY;
+        expect(await window(strikeEnd + 6 * ONE_HOUR)).to.deep.equal([tuesday + 9 * ONE_HOUR, tuesday + 17 * ONE_HOUR]);
+
+        await calendar.setWeeklySchedule(0, 0, ONE_DAY);
+        expect(await window(monday)).to.deep.equal([0, 0]);
+
+        await expect(calendar.removeBlackout(1)).to.be.revertedWithCustomError(calendar, "BlackoutNotFound");
+        await calendar.addBlackout(strikeEnd + ONE_WEEK, strikeEnd + ONE_WEEK + ONE_HOUR);
+        await setTime(strikeEnd);
+        await expect(calendar.pruneBlackouts())
+            .to.emit(calendar, "BlackoutRemoved")
+            .withArgs(strikeStart, strikeEnd);
+        expect(await calendar.getBlackouts()).to.have.lengthOf(1);
+        await calendar.removeBlackout(0);
+        expect(await calendar.getBlackouts()).to.have.lengthOf(0);
+    });
+
+    it("Should only accept deposits and redemptions while the fund deals", async function () {
+        expect(await vault.calendar()).to.equal(calendar.target);
+        await setTime(monday + 10 * ONE_HOUR);
+        await vault.connect(user1).deposit(ethers.parseUnits("200", 6), user1.address);
+
+        await setTime(monday + 18 * ONE_HOUR);
+        expect(await vault.maxDeposit(user1.address)).to.equal(0);
+        expect(await vault.maxRedeem(user1.address)).to.equal(0);
+        await expect(vault.connect(user1).deposit(MIN_DEPOSIT, user1.address))
+            .to.be.revertedWithCustomError(vault, "DealingClosed");
+        await expect(vault.connect(user1).redeem(MIN_DEPOSIT, user1.address, user1.address))
+            .to.be.revertedWithCustomError(vault, "DealingClosed");
+
+        const tuesday = monday + ONE_DAY;
+        const { open, start, end } = await hre.run("rwa:dealing-window", { vault: vault.target });
+        expect(open).to.be.false;
+        expect([start, end]).to.deep.equal([BigInt(tuesday + 9 * ONE_HOUR), BigInt(tuesday + 17 * ONE_HOUR)]);
+
+        await setTime(tuesday + 9 * ONE_HOUR);
+        await vault.connect(user1).redeem(MIN_DEPOSIT, user1.address, user1.address);
+        expect(await vault.maxRedeem(user1.address)).to.equal(MIN_DEPOSIT);
+    });
+
+    it("Should parse JSON and ICS calendars", async function () {
+        const json = parseCalendarJson(JSON.stringify({
+            schedule: { days: ["Mon", "tue", "Wednesday", "Thu", "Fri"], open: "09:00", close: "17:30" },
+            holidays: ["2027-12-25", "2027-01-01", "2027-12-25"],
+            blackouts: [{ start: "2027-01-29T16:00:00Z", end: 1801468800 }],
+        }));
+        expect(json).to.deep.equal({
+            schedule: { openDays: WEEKDAYS, openTime: 9 * ONE_HOUR, closeTime: 17 * ONE_HOUR + 1800 },
+            holidays: [1798761600n, 1829692800n],
+            blackouts: [{ start: 1801238400n, end: 1801468800n }],
+        });
+        expect(encodeOpenDays(["Sat", "Sun"])).to.equal(0x60);
+        expect(decodeOpenDays(0x21)).to.deep.equal(["Mon", "Sat"]);
+        expect(() => parseCalendarJson(JSON.stringify({ schedule: { days: ["Mon"], open: "25:00" } })))
+            .to.throw("Invalid time of day");
+
+        const ics = parseCalendarIcs([
+            "BEGIN:VCALENDAR",
+            "BEGIN:VEVENT",
+            "SUMMARY:Christmas",
+            "DTSTART;VALUE=DATE:20271224",
+            "DTEND;VALUE=DATE:20271226",
+            "END:VEVENT",
+            "BEGIN:VEVENT",
+            "SUMMARY:Month-end NAV",
+            "DTSTART:20270129T160000Z",
+            "DTEND:20270201T",
+            " 090000Z",
+            "END:VEVENT",
+            "END:VCALENDAR",
+        ].join("\r\n"));
+        expect(ics).to.deep.equal({
+            schedule: undefined,
+            holidays: [1829606400n, 1829692800n],
+            blackouts: [{ start: 1801238400n, end: 1801472400n }],
+        });
+        expect(() => parseCalendarIcs("BEGIN:VEVENT\nDTSTART;TZID=Europe/Paris:20270129T160000\nEND:VEVENT"))
+            .to.throw("Only UTC times are supported");
+
+        await calendar.setHolidays(ics.holidays, true);
+        expect(await calendar.isHoliday(ics.holidays[1] + 1n)).to.be.true;
+    });
+});
@@ -0,0 +1,282 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { predictVaultAddress, toSalt } = require("../tasks/lib/clones");
+const { getVaultFactory } = require("../tasks/lib/vault");
+
+describe("RWA4626Factory", function () {
+    let factory;
+    let implementation;
+    let oracle;
+    let asset; // Mock USDC
+    let owner;
+    let user1;
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
+    const FEE = 50; // 0.5%
+    const ONE_WEEK = 7 * 24 * 60 * 60;
+
+    const createVault = async (name, symbol, initialPrice = INITIAL_PRICE) => {
+        const tx = await factory.createVault(asset.target, name, symbol, MIN_DEPOSIT, FEE, initialPrice, ONE_WEEK);
+        const receipt = await tx.wait();
+        const event = receipt.logs
+            .map(log => factory.interface.parseLog(log))
+            .find(log => log && log.name === "NewVaultCreated");
+        return ethers.getContractAt("RWA4626Vault", event.args.vault);
+    };
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        asset = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+
+        // Clone implementation: deployed with a zero asset, never initialized
+        const RWA4626Vault = await getVaultFactory(hre);
+        implementation = await RWA4626Vault.deploy(ethers.ZeroAddress, "", "", ethers.ZeroAddress, 0, 0);
+
+        const RWA4626Factory = await ethers.getContractFactory("RWA4626Factory");
+        factory = await RWA4626Factory.deploy(implementation.target, oracle.target, MIN_DEPOSIT, FEE);
+
+        await oracle.addAssetRegistrar(factory.target);
+    });
+
+    describe("Deployment", function () {
+        it("Should set the oracle and defaults", async function () {
+            expect(await factory.owner()).to.equal(owner.address);
+            expect(await factory.implementation()).to.equal(implementation.target);
+            expect(await factory.oracle()).to.equal(oracle.target);
+            expect(await factory.defaultMinDeposit()).to.equal(MIN_DEPOSIT);
+            expect(await factory.defaultFee()).to.equal(FEE);
+        });
+
+        it("Should not deploy without an oracle", async function () {
+            const RWA4626Factory = await ethers.getContractFactory("RWA4626Factory");
+            await expect(
+                RWA4626Factory.deploy(implementation.target, ethers.ZeroAddress, MIN_DEPOSIT, FEE)
+            ).to.be.revertedWithCustomError(factory, "InvalidOracle");
+            await expect(
+                RWA4626Factory.deploy(user1.address, oracle.target, MIN_DEPOSIT, FEE)
+            ).to.be.revertedWithCustomError(factory, "InvalidImplementation");
+        });
+    });
+
+    describe("Vault Creation", function () {
+        it("Should create a vault owned by the caller", async function () {
+            const vault = await createVault("RWA Vault", "RWA");
+
+            expect(await vault.asset()).to.equal(asset.target);
+            expect(await vault.name()).to.equal("RWA Vault");
+            expect(await vault.symbol()).to.equal("RWA");
+            expect(await vault.oracle()).to.equal(oracle.target);
+            expect(await vault.minDeposit()).to.equal(MIN_DEPOSIT);
+            expect(await vault.fee()).to.equal(FEE);
+            expect(await vault.owner()).to.equal(owner.address);
+            expect(await factory.isVault(vault.target)).to.be.true;
+        });
+
+        it("Should emit NewVaultCreated", async function () {
+            await expect(
+                factory.createVault(asset.target, "RWA Vault", "RWA", MIN_DEPOSIT, FEE, 0, 0)
+            ).to.emit(factory, "NewVaultCreated");
+        });
+
+        it("Should register the vault in the oracle in the same transaction", async function () {
+            const vault = await createVault("RWA Vault", "RWA");
+
+            expect(await oracle.isAssetActive(vault.target)).to.be.true;
+            expect(await oracle.getPrice(vault.target)).to.equal(INITIAL_PRICE);
+            expect(await oracle.getUpdateInterval(vault.target)).to.equal(ONE_WEEK);
+
+            // The vault is usable right away
+            await asset.mint(user1.address, MIN_DEPOSIT);
+            await asset.connect(user1).approve(vault.target, MIN_DEPOSIT);
+            await vault.connect(user1).deposit(MIN_DEPOSIT, user1.address);
+            expect(await vault.balanceOf(user1.address)).to.be.greaterThan(0);
+        });
+
+        it("Should skip the oracle registration without an initial price", async function () {
+            const vault = await createVault("RWA Vault", "RWA", 0);
+            expect(await oracle.isAssetActive(vault.target)).to.be.false;
+        });
+
+        it("Should fail to register when the factory is not an asset registrar", async function () {
+            await oracle.removeAssetRegistrar(factory.target);
+
+            await expect(
+                factory.createVault(asset.target, "RWA Vault", "RWA", MIN_DEPOSIT, FEE, INITIAL_PRICE, ONE_WEEK)
+            ).to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should support several vaults (share classes) per asset", async function () {
+            const classA = await createVault("RWA Class A", "RWA-A");
+            const classB = await createVault("RWA Class B", "RWA-B");
+
+            expect(await factory.getVaultsForAsset(asset.target)).to.deep.equal([classA.target, classB.target]);
+            expect(await factory.vaultCount()).to.equal(2);
+            expect(await factory.getVaultAtIndex(1)).to.equal(classB.target);
+            await expect(factory.getVaultAtIndex(2)).to.be.revertedWithCustomError(factory, "IndexOutOfBounds");
+        });
+
+        it("Should use the defaults", async function () {
+            await factory.setDefaultMinDeposit(ethers.parseUnits("1", 6));
+            await factory.setDefaultFee(100);
+
+            await factory.createVaultWithDefaults(asset.target, "RWA Vault", "RWA", INITIAL_PRICE, ONE_WEEK);
+            const vault = await ethers.getContractAt("RWA4626Vault", await factory.getVaultAtIndex(0));
+
+            expect(await vault.minDeposit()).to.equal(ethers.parseUnits("1", 6));
+            expect(await vault.fee()).to.equal(100);
+        });
+
+        it("Should reject invalid vault parameters", async function () {
+            await expect(
+                factory.createVault(ethers.ZeroAddress, "RWA Vault", "RWA", MIN_DEPOSIT, FEE, 0, 0)
+            ).to.be.revertedWithCustomError(factory, "InvalidAsset");
+
+            const RWA4626Vault = await getVaultFactory(hre);
+            await expect(
+                factory.createVault(asset.target, "RWA Vault", "RWA", MIN_DEPOSIT, 1001, 0, 0)
+            ).to.be.revertedWithCustomError(RWA4626Vault, "InvalidFee");
+        });
+
+        it("Should only allow the owner to create vaults", async function () {
+            await expect(
+                factory.connect(user1).createVault(asset.target, "RWA Vault", "RWA", MIN_DEPOSIT, FEE, 0, 0)
+            ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("Clones", function () {
+        const SALT = toSalt("fund-a/class-a");
+
+        it("Should deploy clones at the address predicted off-chain", async function () {
+            const predicted = predictVaultAddress(factory.target, implementation.target, SALT);
+            expect(await factory.predictVaultAddress(SALT)).to.equal(predicted);
+
+            await expect(
+                factory.createVaultDeterministic(SALT, asset.target, "RWA Vault", "RWA", MIN_DEPOSIT, FEE, INITIAL_PRICE, ONE_WEEK)
+            ).to.emit(factory, "NewVaultCreated")
+                .withArgs(predicted, asset.target, "RWA Vault", "RWA", owner.address);
+
+            const vault = await ethers.getContractAt("RWA4626Vault", predicted);
+            expect(await vault.asset()).to.equal(asset.target);
+            expect(await oracle.getPrice(predicted)).to.equal(INITIAL_PRICE);
+
+            // Minimal proxy runtime code, delegating to the implementation
+            const code = await ethers.provider.getCode(predicted);
+            expect(ethers.dataLength(code)).to.equal(45);
+            expect(code.toLowerCase()).to.include(implementation.target.slice(2).toLowerCase());
+        });
+
+        it("Should not reuse a salt", async function () {
+            await factory.createVaultDeterministic(SALT, asset.target, "RWA Vault", "RWA", MIN_DEPOSIT, FEE, 0, 0);
+            await expect(
+                factory.createVaultDeterministic(SALT, asset.target, "RWA Vault 2", "RWA2", MIN_DEPOSIT, FEE, 0, 0)
+            ).to.be.reverted;
+        });
+
+        it("Should not initialize a vault twice", async function () {
+            const vault = await createVault("RWA Vault", "RWA");
+            await expect(
+                vault.initialize(asset.target, "X", "X", oracle.target, MIN_DEPOSIT, FEE, user1.address)
+            ).to.be.revertedWithCustomError(vault, "InvalidInitialization");
+            await expect(
+                implementation.initialize(asset.target, "X", "X", oracle.target, MIN_DEPOSIT, FEE, user1.address)
+            ).to.be.revertedWithCustomError(vault, "InvalidInitialization");
+        });
+
+        it("Should behave like a directly deployed vault", async function () {
+            const clone = await createVault("RWA Vault", "RWA");
+            const RWA4626Vault = await getVaultFactory(hre);
+            const direct = await RWA4626Vault.deploy(asset.target, "RWA Vault", "RWA", oracle.target, MIN_DEPOSIT, FEE);
+            await oracle.addAsset(direct.target, INITIAL_PRICE, ONE_WEEK);
+
+            // Same flows on both vaults, recording every result
+            const run = async (vault) => {
+                await asset.mint(user1.address, ethers.parseUnits("1000", 6));
+                await asset.connect(user1).approve(vault.target, ethers.MaxUint256);
+                const v = vault.connect(user1);
+                const results = [];
+
+                results.push(await v.deposit.staticCall(ethers.parseUnits("300", 6), user1.address));
+                await v.deposit(ethers.parseUnits("300", 6), user1.address);
+                results.push(await v.mint.staticCall(ethers.parseUnits("200", 6), user1.address));
+                await v.mint(ethers.parseUnits("200", 6), user1.address);
+                results.push(await v.withdraw.staticCall(ethers.parseUnits("150", 6), user1.address, user1.address));
+                await v.withdraw(ethers.parseUnits("150", 6), user1.address, user1.address);
+                results.push(await v.redeem.staticCall(ethers.parseUnits("50", 6), user1.address, user1.address));
+                await v.redeem(ethers.parseUnits("50", 6), user1.address, user1.address);
+
+                results.push(await v.balanceOf(user1.address));
+                results.push(await v.totalSupply());
+                results.push(await v.totalAssets());
+                results.push(await v.totalFees());
+                results.push(await v.decimals());
+                await asset.connect(user1).transfer(owner.address, await asset.balanceOf(user1.address));
+                return results;
+            };
+
+            expect(await run(clone)).to.deep.equal(await run(direct));
+            expect(await clone.name()).to.equal(await direct.name());
+            expect(await clone.symbol()).to.equal(await direct.symbol());
+            expect(await clone.owner()).to.equal(await direct.owner());
+            expect(await clone.minDeposit()).to.equal(await direct.minDeposit());
+        });
+
+        it("Should enforce the vault rules on clones", async function () {
+            const clone = await createVault("RWA Vault", "RWA");
+            await asset.mint(user1.address, MIN_DEPOSIT);
+            await asset.connect(user1).approve(clone.target, MIN_DEPOSIT);
+
+            await expect(
+                clone.connect(user1).deposit(MIN_DEPOSIT - 1n, user1.address)
+            ).to.be.revertedWithCustomError(clone, "DepositTooSmall");
+
+            await clone.pause();
+            await expect(
+                clone.connect(user1).deposit(MIN_DEPOSIT, user1.address)
+            ).to.be.revertedWithCustomError(clone, "EnforcedPause");
+            await expect(
+                clone.connect(user1).pause()
+            ).to.be.revertedWithCustomError(clone, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should allow owner to change the implementation", async function () {
+            const RWA4626Vault = await getVaultFactory(hre);
+            const next = await RWA4626Vault.deploy(ethers.ZeroAddress, "", "", ethers.ZeroAddress, 0, 0);
+
+            await expect(factory.setImplementation(next.target))
+                .to.emit(factory, "ImplementationUpdated")
+                .withArgs(implementation.target, next.target);
+            expect(await factory.predictVaultAddress(SALT))
+                .to.equal(predictVaultAddress(factory.target, next.target, SALT));
+
+            await expect(factory.setImplementation(user1.address))
+                .to.be.revertedWithCustomError(factory, "InvalidImplementation");
+        });
+    });
+
+    describe("Admin Functions", function () {
+        it("Should update the oracle and defaults", async function () {
+            await expect(factory.setOracle(user1.address))
+                .to.emit(factory, "OracleUpdated")
+                .withArgs(oracle.target, user1.address);
+            await expect(factory.setDefaultMinDeposit(1))
+                .to.emit(factory, "DefaultMinDepositUpdated")
+                .withArgs(MIN_DEPOSIT, 1);
+            await expect(factory.setDefaultFee(10))
+                .to.emit(factory, "DefaultFeeUpdated")
+                .withArgs(FEE, 10);
+
+            await expect(factory.setOracle(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(factory, "InvalidOracle");
+            await expect(factory.connect(user1).setDefaultFee(0))
+                .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+        });
+    });
+});
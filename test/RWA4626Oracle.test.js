@@ -1,17 +1,19 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { reportDomain, signPriceReport } = require("../tasks/lib/reports");
 
 describe("RWA4626Oracle", function () {
     let oracle;
     let owner;
     let user1;
     let user2;
+    let user3;
     
     const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
     const ONE_WEEK = 7 * 24 * 60 * 60;
     
     beforeEach(async function () {
-        [owner, user1, user2] = await ethers.getSigners();
+        [owner, user1, user2, user3] = await ethers.getSigners();
         
         const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
         oracle = await RWA4626Oracle.deploy();
@@ -35,7 +37,7 @@ describe("RWA4626Oracle", function () {
         it("Should not allow non-owner to add asset", async function () {
             await expect(
                 oracle.connect(user1).addAsset(user2.address, INITIAL_PRICE, ONE_WEEK)
-            ).to.be.revertedWithCustomError(oracle, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
         });
 
         it("Should allow owner to remove asset", async function () {
@@ -68,6 +70,17 @@ describe("RWA4626Oracle", function () {
             
             expect(await oracle.getPrice(user1.address)).to.equal(newPrice);
         });
+
+        it("Should report when an update is allowed", async function () {
+            expect(await oracle.canUpdate(user1.address)).to.be.false;
+            expect(await oracle.canUpdate(user2.address)).to.be.false;
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            expect(await oracle.canUpdate(user1.address)).to.be.true;
+            expect(await oracle.canUpdate(user2.address)).to.be.false;
+        });
     });
 
     describe("Update Interval", function () {
@@ -86,7 +99,518 @@ describe("RWA4626Oracle", function () {
             const newInterval = ONE_WEEK * 2;
             await expect(
                 oracle.connect(user1).setUpdateInterval(user2.address, newInterval)
-            ).to.be.revertedWithCustomError(oracle, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Deviation Bounds", function () {
+        const MAX_UP = 500; // 5%
+        const MAX_DOWN = 200; // 2%
+
+        beforeEach(async function () {
+            await oracle.addAsset(user1.address, INITIAL_PRICE, ONE_WEEK);
+            await oracle.setPriceConfirmer(user2.address);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+        });
+
+        it("Should not bound updates by default", async function () {
+            const newPrice = ethers.parseUnits("1000", 6);
+            await oracle.updatePrice(user1.address, newPrice);
+
+            expect(await oracle.getPrice(user1.address)).to.equal(newPrice);
+        });
+
+        it("Should allow owner to set deviation bounds", async function () {
+            await expect(oracle.setDeviationBounds(user1.address, MAX_UP, MAX_DOWN, false))
+                .to.emit(oracle, "DeviationBoundsChanged")
+                .withArgs(user1.address, MAX_UP, MAX_DOWN, false);
+
+            const [up, down, confirm] = await oracle.getDeviationBounds(user1.address);
+            expect(up).to.equal(MAX_UP);
+            expect(down).to.equal(MAX_DOWN);
+            expect(confirm).to.be.false;
+        });
+
+        it("Should not allow non-owner to set deviation bounds", async function () {
+            await expect(
+                oracle.connect(user1).setDeviationBounds(user1.address, MAX_UP, MAX_DOWN, false)
+            ).to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should not allow a maximum decrease above 100%", async function () {
+            await expect(
+                oracle.setDeviationBounds(user1.address, MAX_UP, 10001, false)
+            ).to.be.revertedWithCustomError(oracle, "InvalidDeviationBounds");
+        });
+
+        it("Should not allow the owner as price confirmer", async function () {
+            await expect(
+                oracle.setPriceConfirmer(owner.address)
+            ).to.be.revertedWithCustomError(oracle, "InvalidPriceConfirmer");
+        });
+
+        describe("Rejecting out-of-band updates", function () {
+            beforeEach(async function () {
+                await oracle.setDeviationBounds(user1.address, MAX_UP, MAX_DOWN, false);
+            });
+
+            it("Should accept updates at the bounds", async function () {
+                const newPrice = ethers.parseUnits("1.05", 6);
+                await oracle.updatePrice(user1.address, newPrice);
+
+                expect(await oracle.getPrice(user1.address)).to.equal(newPrice);
+            });
+
+            it("Should reject increases above the bound", async function () {
+                await expect(
+                    oracle.updatePrice(user1.address, ethers.parseUnits("1.050001", 6))
+                ).to.be.revertedWithCustomError(oracle, "PriceDeviationTooHigh");
+            });
+
+            it("Should reject decreases below the bound", async function () {
+                await expect(
+                    oracle.updatePrice(user1.address, ethers.parseUnits("0.979999", 6))
+                ).to.be.revertedWithCustomError(oracle, "PriceDeviationTooHigh");
+
+                const newPrice = ethers.parseUnits("0.98", 6);
+                await oracle.updatePrice(user1.address, newPrice);
+                expect(await oracle.getPrice(user1.address)).to.equal(newPrice);
+            });
+        });
+
+        describe("Parking out-of-band updates", function () {
+            const OUT_OF_BAND_PRICE = ethers.parseUnits("1000", 6);
+
+            beforeEach(async function () {
+                await oracle.setDeviationBounds(user1.address, MAX_UP, MAX_DOWN, true);
+            });
+
+            it("Should park the price without applying it", async function () {
+                const lastUpdate = await oracle.getLastUpdateTime(user1.address);
+
+                await expect(oracle.updatePrice(user1.address, OUT_OF_BAND_PRICE))
+                    .to.emit(oracle, "PricePending")
+                    .withArgs(user1.address, INITIAL_PRICE, OUT_OF_BAND_PRICE)
+                    .and.not.to.emit(oracle, "PriceUpdated");
+
+                expect(await oracle.getPrice(user1.address)).to.equal(INITIAL_PRICE);
+                expect(await oracle.getLastUpdateTime(user1.address)).to.equal(lastUpdate);
+                const [pendingPrice] = await oracle.getPendingPrice(user1.address);
+                expect(pendingPrice).to.equal(OUT_OF_BAND_PRICE);
+            });
+
+            it("Should apply the price once confirmed", async function () {
+                await oracle.updatePrice(user1.address, OUT_OF_BAND_PRICE);
+
+                await expect(oracle.connect(user2).confirmPendingPrice(user1.address))
+                    .to.emit(oracle, "PendingPriceConfirmed")
+                    .withArgs(user1.address, user2.address, OUT_OF_BAND_PRICE)
+                    .and.to.emit(oracle, "PriceUpdated")
+                    .withArgs(user1.address, INITIAL_PRICE, OUT_OF_BAND_PRICE);
+
+                expect(await oracle.getPrice(user1.address)).to.equal(OUT_OF_BAND_PRICE);
+                const [pendingPrice] = await oracle.getPendingPrice(user1.address);
+                expect(pendingPrice).to.equal(0);
+            });
+
+            it("Should only let the price confirmer confirm", async function () {
+                await oracle.updatePrice(user1.address, OUT_OF_BAND_PRICE);
+
+                await expect(
+                    oracle.confirmPendingPrice(user1.address)
+                ).to.be.revertedWithCustomError(oracle, "NotPriceConfirmer");
+            });
+
+            it("Should revert when confirming without a pending price", async function () {
+                await expect(
+                    oracle.connect(user2).confirmPendingPrice(user1.address)
+                ).to.be.revertedWithCustomError(oracle, "NoPendingPrice");
+            });
+
+            it("Should discard a rejected price", async function () {
+                await oracle.updatePrice(user1.address, OUT_OF_BAND_PRICE);
+
+                await expect(oracle.connect(user2).rejectPendingPrice(user1.address))
+                    .to.emit(oracle, "PendingPriceRejected")
+                    .withArgs(user1.address, OUT_OF_BAND_PRICE);
+
+                expect(await oracle.getPrice(user1.address)).to.equal(INITIAL_PRICE);
+                await expect(
+                    oracle.connect(user2).confirmPendingPrice(user1.address)
+                ).to.be.revertedWithCustomError(oracle, "NoPendingPrice");
+            });
+
+            it("Should clear the pending price on an in-band update", async function () {
+                await oracle.updatePrice(user1.address, OUT_OF_BAND_PRICE);
+                await oracle.updatePrice(user1.address, ethers.parseUnits("1.01", 6));
+
+                const [pendingPrice] = await oracle.getPendingPrice(user1.address);
+                expect(pendingPrice).to.equal(0);
+            });
+        });
+    });
+
+    describe("Quorum Submissions", function () {
+        let asset;
+
+        const TOLERANCE = 100; // 1%
+
+        beforeEach(async function () {
+            asset = owner.address;
+            await oracle.addAsset(asset, INITIAL_PRICE, ONE_WEEK);
+            for (const submitter of [user1, user2, user3]) {
+                await oracle.addPriceSubmitter(submitter.address);
+            }
+            await oracle.setQuorum(2);
+            await oracle.setSubmissionTolerance(TOLERANCE);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+        });
+
+        it("Should register submitters", async function () {
+            expect(await oracle.isPriceSubmitter(user1.address)).to.be.true;
+            expect(await oracle.submitterCount()).to.equal(3);
+            expect(await oracle.quorum()).to.equal(2);
+        });
+
+        it("Should not allow non-owner to manage submitters", async function () {
+            await expect(
+                oracle.connect(user1).addPriceSubmitter(user1.address)
+            ).to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should not allow a quorum above the number of submitters", async function () {
+            await expect(oracle.setQuorum(4)).to.be.revertedWithCustomError(oracle, "InvalidQuorum");
+            await oracle.setQuorum(3);
+            await expect(
+                oracle.removePriceSubmitter(user3.address)
+            ).to.be.revertedWithCustomError(oracle, "InvalidQuorum");
+        });
+
+        it("Should disable owner updates while a quorum is set", async function () {
+            await expect(
+                oracle.updatePrice(asset, ethers.parseUnits("1.1", 6))
+            ).to.be.revertedWithCustomError(oracle, "QuorumRequired");
+        });
+
+        it("Should only accept submissions from submitters", async function () {
+            await expect(
+                oracle.submitPrice(asset, ethers.parseUnits("1.1", 6))
+            ).to.be.revertedWithCustomError(oracle, "NotPriceSubmitter");
+        });
+
+        it("Should not accept two submissions from the same submitter", async function () {
+            await oracle.connect(user1).submitPrice(asset, ethers.parseUnits("1.1", 6));
+            await expect(
+                oracle.connect(user1).submitPrice(asset, ethers.parseUnits("1.1", 6))
+            ).to.be.revertedWithCustomError(oracle, "AlreadySubmitted");
+        });
+
+        it("Should not finalize before the quorum is reached", async function () {
+            await expect(oracle.connect(user1).submitPrice(asset, ethers.parseUnits("1.1", 6)))
+                .to.emit(oracle, "PriceSubmitted")
+                .withArgs(asset, 0, user1.address, ethers.parseUnits("1.1", 6))
+                .and.not.to.emit(oracle, "RoundFinalized");
+
+            expect(await oracle.getPrice(asset)).to.equal(INITIAL_PRICE);
+            const [roundId, prices] = await oracle.getCurrentRound(asset);
+            expect(roundId).to.equal(0);
+            expect(prices).to.deep.equal([ethers.parseUnits("1.1", 6)]);
+        });
+
+        it("Should finalize at the median once submissions agree", async function () {
+            const price1 = ethers.parseUnits("1.100", 6);
+            const price2 = ethers.parseUnits("1.105", 6);
+            const median = (price1 + price2) / 2n;
+
+            await oracle.connect(user1).submitPrice(asset, price1);
+            await expect(oracle.connect(user2).submitPrice(asset, price2))
+                .to.emit(oracle, "RoundFinalized")
+                .withArgs(asset, 0, median, 2)
+                .and.to.emit(oracle, "PriceUpdated")
+                .withArgs(asset, INITIAL_PRICE, median);
+
+            expect(await oracle.getPrice(asset)).to.equal(median);
+            const [roundId, prices] = await oracle.getCurrentRound(asset);
+            expect(roundId).to.equal(1);
+            expect(prices).to.be.empty;
+        });
+
+        it("Should wait for more submissions when they disagree", async function () {
+            await oracle.connect(user1).submitPrice(asset, ethers.parseUnits("1.1", 6));
+            await expect(oracle.connect(user2).submitPrice(asset, ethers.parseUnits("1.5", 6)))
+                .not.to.emit(oracle, "RoundFinalized");
+
+            // The third submission agrees with the first one
+            await expect(oracle.connect(user3).submitPrice(asset, ethers.parseUnits("1.101", 6)))
+                .to.emit(oracle, "RoundFinalized")
+                .withArgs(asset, 0, ethers.parseUnits("1.101", 6), 3);
+
+            expect(await oracle.getPrice(asset)).to.equal(ethers.parseUnits("1.101", 6));
+        });
+
+        it("Should let the owner reset a round", async function () {
+            await oracle.connect(user1).submitPrice(asset, ethers.parseUnits("1.1", 6));
+
+            await expect(oracle.resetRound(asset))
+                .to.emit(oracle, "RoundReset")
+                .withArgs(asset, 0);
+
+            expect(await oracle.hasSubmitted(asset, user1.address)).to.be.false;
+            await oracle.connect(user1).submitPrice(asset, ethers.parseUnits("1.1", 6));
+        });
+
+        it("Should drop the submissions of a removed submitter", async function () {
+            await oracle.connect(user1).submitPrice(asset, ethers.parseUnits("1.5", 6));
+            await oracle.removePriceSubmitter(user1.address);
+
+            const [, prices] = await oracle.getCurrentRound(asset);
+            expect(prices).to.be.empty;
+            // The removed price no longer counts toward the quorum
+            await expect(oracle.connect(user2).submitPrice(asset, ethers.parseUnits("1.5", 6)))
+                .not.to.emit(oracle, "RoundFinalized");
+            expect(await oracle.hasSubmitted(asset, user1.address)).to.be.false;
+
+            await expect(oracle.connect(user3).submitPrice(asset, ethers.parseUnits("1.1", 6)))
+                .not.to.emit(oracle, "RoundFinalized");
+            await oracle.addPriceSubmitter(user1.address);
+            await expect(oracle.connect(user1).submitPrice(asset, ethers.parseUnits("1.1", 6)))
+                .to.emit(oracle, "RoundFinalized")
+                .withArgs(asset, 0, ethers.parseUnits("1.1", 6), 3);
+        });
+
+        it("Should apply deviation bounds to the finalized price", async function () {
+            await oracle.setPriceConfirmer(user3.address);
+            await oracle.setDeviationBounds(asset, 500, 500, true);
+
+            await oracle.connect(user1).submitPrice(asset, ethers.parseUnits("2", 6));
+            await expect(oracle.connect(user2).submitPrice(asset, ethers.parseUnits("2", 6)))
+                .to.emit(oracle, "PricePending")
+                .withArgs(asset, INITIAL_PRICE, ethers.parseUnits("2", 6));
+
+            expect(await oracle.getPrice(asset)).to.equal(INITIAL_PRICE);
+        });
+    });
+
+    describe("Signed Price Reports", function () {
+        let reporter;
+        let domain;
+
+        const NEW_PRICE = ethers.parseUnits("1.02", 6);
+
+        const latestTimestamp = async () => BigInt((await ethers.provider.getBlock("latest")).timestamp);
+
+        const sign = async (overrides = {}, signer = reporter) => {
+            const report = {
+                asset: user1.address,
+                price: NEW_PRICE,
+                timestamp: await latestTimestamp(),
+                nonce: await oracle.nonces(signer.address),
+                ...overrides,
+            };
+            return signPriceReport(signer, domain, report);
+        };
+
+        beforeEach(async function () {
+            reporter = user3;
+            const { chainId } = await ethers.provider.getNetwork();
+            domain = reportDomain(chainId, oracle.target);
+
+            await oracle.addAsset(user1.address, INITIAL_PRICE, ONE_WEEK);
+            await oracle.addPriceReporter(reporter.address);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+        });
+
+        it("Should apply a report relayed by anyone", async function () {
+            const { report, signature } = await sign();
+
+            await expect(oracle.connect(user2).submitSignedPrice(report, signature))
+                .to.emit(oracle, "SignedPriceSubmitted")
+                .withArgs(user1.address, reporter.address, user2.address, NEW_PRICE, 0)
+                .and.to.emit(oracle, "PriceUpdated")
+                .withArgs(user1.address, INITIAL_PRICE, NEW_PRICE);
+
+            expect(await oracle.getPrice(user1.address)).to.equal(NEW_PRICE);
+            expect(await oracle.nonces(reporter.address)).to.equal(1);
+        });
+
+        it("Should reject reports from unauthorized signers", async function () {
+            const { report, signature } = await sign({}, user2);
+
+            await expect(
+                oracle.submitSignedPrice(report, signature)
+            ).to.be.revertedWithCustomError(oracle, "NotPriceReporter");
+        });
+
+        it("Should reject a tampered report", async function () {
+            const { report, signature } = await sign();
+
+            await expect(
+                oracle.submitSignedPrice({ ...report, price: NEW_PRICE * 2n }, signature)
+            ).to.be.revertedWithCustomError(oracle, "NotPriceReporter");
+        });
+
+        it("Should not accept the same report twice", async function () {
+            const { report, signature } = await sign();
+            await oracle.submitSignedPrice(report, signature);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                oracle.submitSignedPrice(report, signature)
+            ).to.be.revertedWithCustomError(oracle, "InvalidAccountNonce");
+        });
+
+        it("Should reject reports older than the maximum age", async function () {
+            const { report, signature } = await sign();
+
+            await ethers.provider.send("evm_increaseTime", [60 * 60 + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                oracle.submitSignedPrice(report, signature)
+            ).to.be.revertedWithCustomError(oracle, "ReportExpired");
+        });
+
+        it("Should reject reports dated in the future", async function () {
+            const { report, signature } = await sign({ timestamp: (await latestTimestamp()) + 3600n });
+
+            await expect(
+                oracle.submitSignedPrice(report, signature)
+            ).to.be.revertedWithCustomError(oracle, "InvalidReportTimestamp");
+        });
+
+        it("Should enforce the update interval", async function () {
+            const first = await sign();
+            await oracle.submitSignedPrice(first.report, first.signature);
+
+            const second = await sign({ timestamp: (await latestTimestamp()) + 1n });
+            await ethers.provider.send("evm_mine");
+            await expect(
+                oracle.submitSignedPrice(second.report, second.signature)
+            ).to.be.revertedWithCustomError(oracle, "UpdateTooFrequent");
+        });
+
+        it("Should allow owner to manage reporters and the maximum age", async function () {
+            await expect(oracle.removePriceReporter(reporter.address))
+                .to.emit(oracle, "PriceReporterRemoved")
+                .withArgs(reporter.address);
+            await expect(oracle.setMaxReportAge(600))
+                .to.emit(oracle, "MaxReportAgeUpdated")
+                .withArgs(60 * 60, 600);
+
+            await expect(
+                oracle.connect(user1).addPriceReporter(user1.address)
+            ).to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Price History", function () {
+        const ONE_DAY = 24 * 60 * 60;
+        let addedAt;
+
+        const advance = async (seconds) => {
+            await ethers.provider.send("evm_increaseTime", [seconds]);
+            await ethers.provider.send("evm_mine");
+        };
+
+        const updateAt = async (price) => {
+            const tx = await oracle.updatePrice(user1.address, ethers.parseUnits(price, 6));
+            return (await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp;
+        };
+
+        beforeEach(async function () {
+            const tx = await oracle.addAsset(user1.address, INITIAL_PRICE, ONE_DAY);
+            addedAt = (await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp;
+        });
+
+        it("Should record the initial price and every update", async function () {
+            await advance(ONE_DAY);
+            const firstUpdate = await updateAt("1.1");
+            await advance(ONE_DAY);
+            const secondUpdate = await updateAt("1.2");
+
+            const observations = await oracle.getObservations(user1.address, 10);
+            expect(observations.map(o => [o.price, o.timestamp])).to.deep.equal([
+                [INITIAL_PRICE, BigInt(addedAt)],
+                [ethers.parseUnits("1.1", 6), BigInt(firstUpdate)],
+                [ethers.parseUnits("1.2", 6), BigInt(secondUpdate)],
+            ]);
+
+            const latest = await oracle.getObservations(user1.address, 1);
+            expect(latest[0].price).to.equal(ethers.parseUnits("1.2", 6));
+        });
+
+        it("Should return the price in effect at a timestamp", async function () {
+            await advance(ONE_DAY);
+            const firstUpdate = await updateAt("1.1");
+            await advance(ONE_DAY);
+            await updateAt("1.2");
+
+            expect(await oracle.getPriceAt(user1.address, addedAt)).to.equal(INITIAL_PRICE);
+            expect(await oracle.getPriceAt(user1.address, firstUpdate - 1)).to.equal(INITIAL_PRICE);
+            expect(await oracle.getPriceAt(user1.address, firstUpdate)).to.equal(ethers.parseUnits("1.1", 6));
+            expect(await oracle.getPriceAt(user1.address, firstUpdate + ONE_DAY - 10))
+                .to.equal(ethers.parseUnits("1.1", 6));
+            expect(await oracle.getPriceAt(user1.address, firstUpdate + 10 * ONE_DAY))
+                .to.equal(ethers.parseUnits("1.2", 6));
+
+            await expect(
+                oracle.getPriceAt(user1.address, addedAt - 1)
+            ).to.be.revertedWithCustomError(oracle, "ObservationTooOld");
+        });
+
+        it("Should compute the time-weighted average price", async function () {
+            await advance(ONE_DAY);
+            const update = await updateAt("2");
+            await advance(ONE_DAY);
+
+            // Now is one day after the update: half of a two-day window at each price
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            expect(now - update).to.equal(ONE_DAY);
+            expect(await oracle.getTwap(user1.address, 2 * ONE_DAY)).to.equal(ethers.parseUnits("1.5", 6));
+            expect(await oracle.getTwap(user1.address, ONE_DAY)).to.equal(ethers.parseUnits("2", 6));
+
+            await expect(
+                oracle.getTwap(user1.address, 10 * ONE_DAY)
+            ).to.be.revertedWithCustomError(oracle, "ObservationTooOld");
+            await expect(
+                oracle.getTwap(user1.address, 0)
+            ).to.be.revertedWithCustomError(oracle, "InvalidWindow");
+        });
+
+        it("Should keep only the most recent observations", async function () {
+            const max = Number(await oracle.MAX_OBSERVATIONS());
+            for (let i = 1; i <= max + 2; i++) {
+                await advance(ONE_DAY);
+                await updateAt((1 + i / 1000).toString());
+            }
+
+            const observations = await oracle.getObservations(user1.address, max + 10);
+            expect(observations).to.have.lengthOf(max);
+            expect(observations[0].price).to.equal(ethers.parseUnits("1.003", 6));
+            expect(observations[max - 1].price).to.equal(ethers.parseUnits((1 + (max + 2) / 1000).toString(), 6));
+
+            await expect(
+                oracle.getPriceAt(user1.address, addedAt + ONE_DAY)
+            ).to.be.revertedWithCustomError(oracle, "ObservationTooOld");
+        });
+
+        it("Should start a fresh history when an asset is re-added", async function () {
+            await advance(ONE_DAY);
+            await updateAt("1.1");
+            await oracle.removeAsset(user1.address);
+            await oracle.addAsset(user1.address, INITIAL_PRICE, ONE_DAY);
+
+            const observations = await oracle.getObservations(user1.address, 10);
+            expect(observations).to.have.lengthOf(1);
+            expect(observations[0].price).to.equal(INITIAL_PRICE);
         });
     });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,335 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getVaultFactory } = require("../tasks/lib/vault");
+
+describe("RWA4626RedemptionQueue", function () {
+    let vault;
+    let oracle;
+    let asset; // Mock USDC
+    let queue;
+    let owner;
+    let user1;
+    let user2;
+    let custodian;
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
+    const ONE_WEEK = 7 * 24 * 60 * 60;
+    const CURRENT_PRICE = 0;
+    const NEXT_NAV = 1;
+    const TWO_DAYS = 2 * 24 * 60 * 60;
+    const EXIT_FEE = 4; // ChangeType.ExitFee
+    const CUSTODIAN = 9; // ChangeType.Custodian
+    const REDEMPTION_QUEUE = 10; // ChangeType.RedemptionQueue
+
+    // Executes a queued vault change once the timelock delay has passed
+    const executeChange = async (changeType) => {
+        await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+        return vault.executeChange(changeType);
+    };
+
+    beforeEach(async function () {
+        [owner, user1, user2, custodian] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        asset = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+
+        // No entry fee, so shares match the deposited assets at $1.00
+        const RWA4626Vault = await getVaultFactory(hre);
+        vault = await RWA4626Vault.deploy(asset.target, "RWA Vault", "RWA", oracle.target, MIN_DEPOSIT, 0);
+        await oracle.addAsset(vault.target, INITIAL_PRICE, ONE_WEEK);
+
+        const RWA4626RedemptionQueue = await ethers.getContractFactory("RWA4626RedemptionQueue");
+        queue = await RWA4626RedemptionQueue.deploy(vault.target);
+        await vault.grantRole(await vault.REDEMPTION_QUEUE_ROLE(), queue.target);
+        await vault.setRedemptionQueue(queue.target);
+        await executeChange(REDEMPTION_QUEUE);
+
+        // Deposit 500 USDC and deploy most of it to a custodian
+        await asset.mint(user1.address, ethers.parseUnits("500", 6));
+        await asset.connect(user1).approve(vault.target, ethers.parseUnits("500", 6));
+        await vault.connect(user1).deposit(ethers.parseUnits("500", 6), user1.address);
+        await vault.setCustodian(custodian.address, true);
+        await executeChange(CUSTODIAN);
+        await vault.deployCapital(custodian.address, ethers.parseUnits("450", 6));
+        await asset.connect(custodian).approve(vault.target, ethers.MaxUint256);
+
+        await vault.connect(user1).approve(queue.target, ethers.MaxUint256);
+    });
+
+    it("Should escrow redemptions at the current price and process them once funded", async function () {
+        const shares = ethers.parseUnits("200", 6);
+        await expect(queue.connect(user1).requestRedeem(shares, user2.address))
+            .to.emit(queue, "RedemptionQueued")
+            .withArgs(0, user1.address, user2.address, shares, INITIAL_PRICE);
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("100", 6), user1.address);
+
+        expect(await vault.balanceOf(queue.target)).to.equal(ethers.parseUnits("300", 6));
+        expect(await queue.queuePosition(1)).to.equal(2);
+        expect(await queue.queuedLiabilities()).to.equal(ethers.parseUnits("300", 6));
+
+        // 50 USDC on chain are not enough for the first redemption
+        await expect(queue.connect(user1).processQueue(10))
+            .to.be.revertedWithCustomError(queue, "AccessControlUnauthorizedAccount");
+        expect(await queue.processQueue.staticCall(10)).to.equal(0);
+        await expect(queue.claim(0)).to.be.revertedWithCustomError(queue, "RedemptionNotProcessed");
+
+        await vault.returnCapital(custodian.address, ethers.parseUnits("250", 6));
+        await expect(queue.processQueue(10))
+            .to.emit(queue, "RedemptionProcessed")
+            .withArgs(0, INITIAL_PRICE, shares);
+        expect(await queue.nextRedemptionId()).to.equal(2);
+        expect(await queue.queuePosition(0)).to.equal(0);
+        expect(await queue.totalQueuedShares()).to.equal(0);
+        expect(await queue.queuedLiabilities()).to.equal(0);
+        expect(await vault.totalSupply()).to.equal(ethers.parseUnits("200", 6));
+
+        await expect(queue.claim(0))
+            .to.emit(queue, "RedemptionClaimed")
+            .withArgs(0, user2.address, shares);
+        expect(await asset.balanceOf(user2.address)).to.equal(shares);
+        await expect(queue.claim(0)).to.be.revertedWithCustomError(queue, "RedemptionAlreadyClaimed");
+    });
+
+    it("Should process redemptions in order", async function () {
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("200", 6), user1.address);
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("10", 6), user1.address);
+
+        // The second redemption fits the liquidity but cannot overtake the first one
+        await queue.processQueue(10);
+        expect(await queue.nextRedemptionId()).to.equal(0);
+        expect((await queue.getRedemption(1)).processed).to.be.false;
+
+        await vault.returnCapital(custodian.address, ethers.parseUnits("200", 6));
+        await queue.processQueue(1);
+        expect(await queue.nextRedemptionId()).to.equal(1);
+        expect(await queue.queuePosition(1)).to.equal(1);
+    });
+
+    it("Should price redemptions at the next NAV", async function () {
+        await expect(queue.connect(user1).setPricingMode(NEXT_NAV))
+            .to.be.revertedWithCustomError(queue, "AccessControlUnauthorizedAccount");
+        await expect(queue.setPricingMode(NEXT_NAV))
+            .to.emit(queue, "PricingModeUpdated")
+            .withArgs(NEXT_NAV);
+        await vault.setExitFee(100); // 1%
+        await executeChange(EXIT_FEE);
+
+        const shares = ethers.parseUnits("100", 6);
+        await expect(queue.connect(user1).requestRedeem(shares, user1.address))
+            .to.emit(queue, "RedemptionQueued")
+            .withArgs(0, user1.address, user1.address, shares, 0);
+        expect(await queue.queuedLiabilities()).to.equal(shares);
+
+        await vault.returnCapital(custodian.address, ethers.parseUnits("200", 6));
+        await queue.processQueue(10);
+        expect(await queue.nextRedemptionId()).to.equal(0);
+
+        const nav = ethers.parseUnits("1.02", 6);
+        await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+        await oracle.updatePrice(vault.target, nav);
+        expect(await queue.queuedLiabilities()).to.equal(ethers.parseUnits("102", 6));
+
+        const gross = ethers.parseUnits("102", 6);
+        const assets = gross - gross / 100n;
+        await expect(queue.processQueue(10))
+            .to.emit(queue, "RedemptionProcessed")
+            .withArgs(0, nav, assets);
+        expect(await vault.totalFees()).to.equal(gross / 100n);
+        await queue.claim(0);
+        expect(await asset.balanceOf(user1.address)).to.equal(assets);
+    });
+
+    it("Should price redemptions at the current NAV once the next NAV is out of reach", async function () {
+        await queue.setPricingMode(NEXT_NAV);
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("100", 6), user1.address);
+        await vault.returnCapital(custodian.address, ethers.parseUnits("200", 6));
+
+        // The oracle is replaced before the next NAV, whose history does not cover the redemption
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        const newOracle = await RWA4626Oracle.deploy();
+        const price = ethers.parseUnits("1.05", 6);
+        await newOracle.addAsset(vault.target, price, ONE_WEEK);
+        for (let i = 0; i < 2; i++) {
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await newOracle.updatePrice(vault.target, price);
+        }
+        await vault.setOracle(newOracle.target);
+        await executeChange(0); // ChangeType.Oracle
+
+        await expect(queue.processQueue(10))
+            .to.emit(queue, "RedemptionProcessed")
+            .withArgs(0, price, ethers.parseUnits("105", 6));
+    });
+
+    it("Should price redemptions at the current NAV once the next NAV left the oracle history", async function () {
+        await queue.setPricingMode(NEXT_NAV);
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("100", 6), user1.address);
+        await vault.returnCapital(custodian.address, ethers.parseUnits("200", 6));
+
+        const prices = [];
+        for (let i = 1n; i <= BigInt(await oracle.MAX_OBSERVATIONS()) + 1n; i++) {
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            prices.push(INITIAL_PRICE + i * 1000n);
+            await oracle.updatePrice(vault.target, prices[prices.length - 1]);
+        }
+        await expect(oracle.getObservation(vault.target, 2))
+            .to.be.revertedWithCustomError(oracle, "ObservationTooOld");
+
+        const price = prices[prices.length - 1];
+        await expect(queue.processQueue(10))
+            .to.emit(queue, "RedemptionProcessed")
+            .withArgs(0, price, ethers.parseUnits("100", 6) * price / 10n ** 6n);
+    });
+
+    it("Should cancel redemptions until they are priced", async function () {
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("150", 6), user2.address);
+        await expect(queue.connect(user2).cancelRequest(0))
+            .to.be.revertedWithCustomError(queue, "NotRedemptionOwner")
+            .withArgs(user2.address);
+        await expect(queue.cancelRequest(1)).to.be.revertedWithCustomError(queue, "RedemptionNotFound");
+
+        // The price is locked when queued at the current price
+        await expect(queue.connect(user1).cancelRequest(0))
+            .to.be.revertedWithCustomError(queue, "RedemptionAlreadyPriced");
+
+        // At the next NAV, the shares are returned until the oracle publishes it
+        await queue.setPricingMode(NEXT_NAV);
+        const shares = ethers.parseUnits("50", 6);
+        await queue.connect(user1).requestRedeem(shares, user1.address);
+        const balance = await vault.balanceOf(user1.address);
+        await expect(queue.connect(user1).cancelRequest(1))
+            .to.emit(queue, "RedemptionCancelled")
+            .withArgs(1, shares);
+        expect(await vault.balanceOf(user1.address)).to.equal(balance + shares);
+        expect(await queue.totalQueuedShares()).to.equal(ethers.parseUnits("150", 6));
+        expect(await queue.queuedLiabilities()).to.equal(ethers.parseUnits("150", 6));
+        await expect(queue.connect(user1).cancelRequest(1))
+            .to.be.revertedWithCustomError(queue, "RedemptionAlreadyProcessed");
+
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("10", 6), user1.address);
+        await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+        await oracle.updatePrice(vault.target, INITIAL_PRICE);
+        await expect(queue.connect(user1).cancelRequest(2))
+            .to.be.revertedWithCustomError(queue, "RedemptionAlreadyPriced");
+
+        // The cancelled redemption is skipped by the queue
+        await vault.returnCapital(custodian.address, ethers.parseUnits("200", 6));
+        expect(await queue.processQueue.staticCall(10)).to.equal(2);
+        await queue.processQueue(10);
+        expect(await queue.nextRedemptionId()).to.equal(3);
+        expect((await queue.getRedemption(1)).cancelled).to.be.true;
+        expect((await queue.getRedemption(1)).assets).to.equal(0);
+        await queue.claim(0);
+        expect(await asset.balanceOf(user2.address)).to.equal(ethers.parseUnits("150", 6));
+    });
+
+    it("Should count cancelled redemptions toward the batch size", async function () {
+        await queue.setPricingMode(NEXT_NAV);
+        for (let i = 0; i < 5; i++) {
+            await queue.connect(user1).requestRedeem(1, user1.address);
+            await queue.connect(user1).cancelRequest(i);
+        }
+        const shares = ethers.parseUnits("10", 6);
+        await queue.connect(user1).requestRedeem(shares, user1.address);
+        await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+        await oracle.updatePrice(vault.target, INITIAL_PRICE);
+
+        // Each batch moves past the cancelled redemptions it went through
+        expect(await queue.processQueue.staticCall(3)).to.equal(0);
+        await queue.processQueue(3);
+        expect(await queue.nextRedemptionId()).to.equal(3);
+        await queue.processQueue(3);
+        expect(await queue.nextRedemptionId()).to.equal(6);
+        expect(await queue.queuePosition(5)).to.equal(0);
+        await queue.claim(5);
+        expect(await queue.totalQueuedShares()).to.equal(0);
+    });
+
+    it("Should reserve the liquidity of queued redemptions against direct withdrawals", async function () {
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("200", 6), user1.address);
+        await vault.returnCapital(custodian.address, ethers.parseUnits("150", 6));
+
+        // The 200 USDC returned for the queue are not available to the other shares
+        expect(await vault.availableLiquidity()).to.equal(0);
+        expect(await vault.maxRedeem(user1.address)).to.equal(0);
+        await expect(vault.connect(user1).withdraw(ethers.parseUnits("10", 6), user1.address, user1.address))
+            .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxWithdraw");
+        await expect(vault.deployCapital(custodian.address, 1))
+            .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+
+        await expect(queue.processQueue(10))
+            .to.emit(queue, "RedemptionProcessed")
+            .withArgs(0, INITIAL_PRICE, ethers.parseUnits("200", 6));
+        expect(await vault.availableLiquidity()).to.equal(0);
+
+        // Liquidity beyond the queue is available again
+        await vault.returnCapital(custodian.address, ethers.parseUnits("10", 6));
+        expect(await vault.availableLiquidity()).to.equal(ethers.parseUnits("10", 6));
+    });
+
+    it("Should queue the shares redeemed beyond the vault liquidity", async function () {
+        // 50 USDC are on chain: the rest of the redemption waits for the custodian
+        const shares = ethers.parseUnits("200", 6);
+        const paid = ethers.parseUnits("50", 6);
+        expect(await vault.maxRedeem(user1.address)).to.equal(paid);
+        await expect(vault.connect(user1).redeem(shares, user2.address, user1.address))
+            .to.emit(queue, "RedemptionQueued")
+            .withArgs(0, user1.address, user2.address, shares - paid, INITIAL_PRICE);
+        expect(await asset.balanceOf(user2.address)).to.equal(paid);
+        expect(await vault.balanceOf(queue.target)).to.equal(shares - paid);
+        expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseUnits("300", 6));
+
+        await vault.returnCapital(custodian.address, shares - paid);
+        await queue.processQueue(10);
+        await queue.claim(0);
+        expect(await asset.balanceOf(user2.address)).to.equal(shares);
+
+        // Shares beyond the balance are not queued
+        await expect(vault.connect(user1).redeem(ethers.parseUnits("301", 6), user1.address, user1.address))
+            .to.be.revertedWithCustomError(vault, "ERC20InsufficientBalance");
+    });
+
+    it("Should partially fill redemptions beyond the redemption gate", async function () {
+        const ONE_DAY = 24 * 60 * 60;
+        await vault.setRedemptionGate(2000, ONE_DAY); // 20% of the supply per day
+        await queue.connect(user1).requestRedeem(ethers.parseUnits("150", 6), user1.address);
+        await vault.returnCapital(custodian.address, ethers.parseUnits("200", 6));
+
+        const filled = ethers.parseUnits("100", 6);
+        await expect(queue.processQueue(10))
+            .to.emit(queue, "RedemptionPartiallyFilled")
+            .withArgs(0, filled, filled);
+        expect(await queue.nextRedemptionId()).to.equal(0);
+        expect((await queue.getRedemption(0)).redeemedShares).to.equal(filled);
+        expect(await queue.totalQueuedShares()).to.equal(ethers.parseUnits("50", 6));
+        expect(await queue.queuedLiabilities()).to.equal(ethers.parseUnits("50", 6));
+        expect(await queue.processQueue.staticCall(10)).to.equal(0);
+        await expect(queue.claim(0)).to.be.revertedWithCustomError(queue, "RedemptionNotProcessed");
+
+        // The rest is redeemed in the next gate period
+        await ethers.provider.send("evm_increaseTime", [ONE_DAY]);
+        await expect(queue.processQueue(10))
+            .to.emit(queue, "RedemptionProcessed")
+            .withArgs(0, INITIAL_PRICE, ethers.parseUnits("150", 6));
+        expect(await queue.queuedLiabilities()).to.equal(0);
+        await queue.claim(0);
+        expect(await asset.balanceOf(user1.address)).to.equal(ethers.parseUnits("150", 6));
+    });
+
+    it("Should only redeem queued shares through the queue", async function () {
+        await expect(vault.connect(user1).redeemQueued(1, INITIAL_PRICE))
+            .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+        await expect(queue.connect(user1).requestRedeem(0, user1.address))
+            .to.be.revertedWithCustomError(queue, "InvalidShares");
+
+        await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+        await ethers.provider.send("evm_mine");
+        await expect(queue.connect(user1).requestRedeem(MIN_DEPOSIT, user1.address))
+            .to.be.revertedWithCustomError(queue, "PriceUpdateRequired");
+    });
+});
@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { roleId, planRoleMigration, executeRoleMigration } = require("../tasks/lib/roles");
+const { getVaultFactory } = require("../tasks/lib/vault");
+
+describe("RWA4626 roles", function () {
+    let vault;
+    let oracle;
+    let asset; // Mock USDC
+    let owner;
+    let pauser;
+    let feeManager;
+    let reporter;
+    let oracleAdmin;
+    let guardian;
+    let user1;
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
+    const FEE = 50; // 0.5%
+    const ONE_WEEK = 7 * 24 * 60 * 60;
+
+    const PAUSER_ROLE = roleId("PAUSER");
+    const FEE_MANAGER_ROLE = roleId("FEE_MANAGER");
+    const PRICE_REPORTER_ROLE = roleId("PRICE_REPORTER");
+    const ORACLE_ADMIN_ROLE = roleId("ORACLE_ADMIN");
+    const GUARDIAN_ROLE = roleId("GUARDIAN");
+    const CAPITAL_MANAGER_ROLE = roleId("CAPITAL_MANAGER");
+    const LIMITS_MANAGER_ROLE = roleId("LIMITS_MANAGER");
+    const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+    const advance = async (seconds) => {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine");
+    };
+
+    beforeEach(async function () {
+        [owner, pauser, feeManager, reporter, oracleAdmin, guardian, user1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        asset = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+
+        const RWA4626Vault = await getVaultFactory(hre);
+        vault = await RWA4626Vault.deploy(
+            asset.target,
+            "RWA Vault",
+            "RWA",
+            oracle.target,
+            MIN_DEPOSIT,
+            FEE
+        );
+        await oracle.addAsset(vault.target, INITIAL_PRICE, ONE_WEEK);
+
+        await asset.mint(user1.address, ethers.parseUnits("1000", 6));
+        await asset.connect(user1).approve(vault.target, ethers.parseUnits("1000", 6));
+    });
+
+    describe("Deployment", function () {
+        it("Should grant every role to the deployer", async function () {
+            for (const role of [DEFAULT_ADMIN_ROLE, PAUSER_ROLE, FEE_MANAGER_ROLE, ORACLE_ADMIN_ROLE, GUARDIAN_ROLE, CAPITAL_MANAGER_ROLE, LIMITS_MANAGER_ROLE]) {
+                expect(await vault.hasRole(role, owner.address)).to.be.true;
+            }
+            for (const role of [DEFAULT_ADMIN_ROLE, PAUSER_ROLE, PRICE_REPORTER_ROLE, ORACLE_ADMIN_ROLE, GUARDIAN_ROLE]) {
+                expect(await oracle.hasRole(role, owner.address)).to.be.true;
+            }
+            expect(await vault.owner()).to.equal(owner.address);
+            expect(await vault.PAUSER_ROLE()).to.equal(PAUSER_ROLE);
+            expect(await oracle.getRoleAdmin(PRICE_REPORTER_ROLE)).to.equal(ORACLE_ADMIN_ROLE);
+        });
+    });
+
+    describe("Vault", function () {
+        it("PAUSER should pause and unpause", async function () {
+            await vault.grantRole(PAUSER_ROLE, pauser.address);
+
+            await expect(vault.connect(user1).pause())
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, PAUSER_ROLE);
+            await vault.connect(pauser).pause();
+            expect(await vault.paused()).to.be.true;
+            await vault.connect(pauser).unpause();
+            expect(await vault.paused()).to.be.false;
+        });
+
+        it("GUARDIAN should pause but not unpause", async function () {
+            await vault.grantRole(GUARDIAN_ROLE, guardian.address);
+
+            await vault.connect(guardian).pause();
+            await expect(vault.connect(guardian).unpause())
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount")
+                .withArgs(guardian.address, PAUSER_ROLE);
+        });
+
+        it("FEE_MANAGER should set and collect fees", async function () {
+            await vault.grantRole(FEE_MANAGER_ROLE, feeManager.address);
+            await vault.connect(user1).deposit(MIN_DEPOSIT, user1.address);
+
+            await expect(vault.connect(user1).setFee(10))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, FEE_MANAGER_ROLE);
+            await expect(vault.connect(user1).withdrawFees())
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+
+            await vault.connect(feeManager).setFee(10);
+            await vault.connect(feeManager).setExitFee(10);
+            await vault.connect(feeManager).setManagementFee(100);
+            await vault.connect(feeManager).setPerformanceFee(1000);
+            await vault.connect(feeManager).setFeeRecipient(feeManager.address);
+            await expect(vault.connect(feeManager).withdrawFees())
+                .to.changeTokenBalance(asset, feeManager, MIN_DEPOSIT * BigInt(FEE) / 10000n);
+
+            // Fee managers cannot touch the other settings
+            await expect(vault.connect(feeManager).setOracle(oracle.target))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.connect(feeManager).pause())
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+        });
+
+        it("ORACLE_ADMIN should swap the oracle", async function () {
+            await vault.grantRole(ORACLE_ADMIN_ROLE, oracleAdmin.address);
+
+            await expect(vault.connect(user1).setOracle(user1.address))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, ORACLE_ADMIN_ROLE);
+            await expect(vault.connect(oracleAdmin).setOracle(user1.address))
+                .to.emit(vault, "ChangeQueued");
+        });
+
+        it("Default admin should manage roles and the remaining settings", async function () {
+            await vault.grantRole(ORACLE_ADMIN_ROLE, oracleAdmin.address);
+
+            await expect(vault.connect(oracleAdmin).setMinDeposit(1))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount")
+                .withArgs(oracleAdmin.address, DEFAULT_ADMIN_ROLE);
+            await expect(vault.connect(oracleAdmin).grantRole(PAUSER_ROLE, user1.address))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.setMinDeposit(1)).to.emit(vault, "ChangeQueued");
+        });
+    });
+
+    describe("Oracle", function () {
+        it("PRICE_REPORTER should post prices", async function () {
+            await oracle.addPriceReporter(reporter.address);
+            expect(await oracle.isPriceReporter(reporter.address)).to.be.true;
+            await advance(ONE_WEEK);
+
+            await expect(oracle.connect(user1).updatePrice(vault.target, INITIAL_PRICE))
+                .to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, PRICE_REPORTER_ROLE);
+            await oracle.connect(reporter).updatePrice(vault.target, ethers.parseUnits("1.01", 6));
+            expect(await oracle.getPrice(vault.target)).to.equal(ethers.parseUnits("1.01", 6));
+
+            // Reporters cannot change the pricing settings
+            await expect(oracle.connect(reporter).setUpdateInterval(vault.target, 1))
+                .to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount")
+                .withArgs(reporter.address, ORACLE_ADMIN_ROLE);
+        });
+
+        it("ORACLE_ADMIN should manage assets and price reporters", async function () {
+            await oracle.grantRole(ORACLE_ADMIN_ROLE, oracleAdmin.address);
+
+            await oracle.connect(oracleAdmin).addAsset(user1.address, INITIAL_PRICE, ONE_WEEK);
+            await oracle.connect(oracleAdmin).setUpdateInterval(user1.address, ONE_WEEK * 2);
+            await oracle.connect(oracleAdmin).grantRole(PRICE_REPORTER_ROLE, reporter.address);
+            expect(await oracle.isPriceReporter(reporter.address)).to.be.true;
+            await oracle.connect(oracleAdmin).removePriceReporter(reporter.address);
+            expect(await oracle.isPriceReporter(reporter.address)).to.be.false;
+
+            // The price confirmer must not be able to post prices
+            await expect(oracle.connect(oracleAdmin).setPriceConfirmer(owner.address))
+                .to.be.revertedWithCustomError(oracle, "InvalidPriceConfirmer");
+            await expect(oracle.connect(oracleAdmin).updatePrice(user1.address, INITIAL_PRICE))
+                .to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+        });
+
+        it("PAUSER and GUARDIAN should pause the oracle", async function () {
+            await oracle.grantRole(PAUSER_ROLE, pauser.address);
+            await oracle.grantRole(GUARDIAN_ROLE, guardian.address);
+
+            await expect(oracle.connect(user1).pause())
+                .to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount");
+            await oracle.connect(guardian).pause();
+            await expect(oracle.connect(guardian).unpause())
+                .to.be.revertedWithCustomError(oracle, "AccessControlUnauthorizedAccount")
+                .withArgs(guardian.address, PAUSER_ROLE);
+            await oracle.connect(pauser).unpause();
+            expect(await oracle.paused()).to.be.false;
+        });
+    });
+
+    describe("Admin transfer", function () {
+        it("Should transfer the default admin role in two steps", async function () {
+            await expect(vault.grantRole(DEFAULT_ADMIN_ROLE, user1.address))
+                .to.be.revertedWithCustomError(vault, "AccessControlEnforcedDefaultAdminRules");
+
+            await vault.beginDefaultAdminTransfer(user1.address);
+            expect(await vault.owner()).to.equal(owner.address);
+            const [pendingAdmin] = await vault.pendingDefaultAdmin();
+            expect(pendingAdmin).to.equal(user1.address);
+
+            await expect(vault.connect(pauser).acceptDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(vault, "AccessControlInvalidDefaultAdmin");
+            await vault.connect(user1).acceptDefaultAdminTransfer();
+
+            expect(await vault.owner()).to.equal(user1.address);
+            expect(await vault.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+            await vault.connect(user1).setMinDeposit(1);
+        });
+
+        it("Should enforce the admin delay once set", async function () {
+            await oracle.changeDefaultAdminDelay(ONE_WEEK);
+            await advance(5 * 24 * 60 * 60); // Delay increases take effect after at most 5 days
+
+            await oracle.beginDefaultAdminTransfer(user1.address);
+            await expect(oracle.connect(user1).acceptDefaultAdminTransfer())
+                .to.be.revertedWithCustomError(oracle, "AccessControlEnforcedDefaultAdminDelay");
+            await advance(ONE_WEEK);
+            await oracle.connect(user1).acceptDefaultAdminTransfer();
+            expect(await oracle.defaultAdmin()).to.equal(user1.address);
+        });
+    });
+
+    describe("Migration", function () {
+        it("Should grant the roles and renounce the legacy owner powers", async function () {
+            const assignments = {
+                PAUSER: [pauser.address],
+                FEE_MANAGER: [feeManager.address],
+                PRICE_REPORTER: [reporter.address],
+                ORACLE_ADMIN: [oracleAdmin.address, owner.address],
+            };
+
+            const vaultPlan = await planRoleMigration(vault, owner.address, assignments, user1.address);
+            expect(vaultPlan.steps.map(step => `${step.method} ${step.role}`)).to.deep.equal([
+                "grantRole PAUSER",
+                "grantRole FEE_MANAGER",
+                "grantRole ORACLE_ADMIN",
+                "renounceRole PAUSER",
+                "renounceRole FEE_MANAGER",
+                "beginDefaultAdminTransfer DEFAULT_ADMIN",
+            ]);
+            expect(vaultPlan.kept).to.deep.equal(["GUARDIAN", "CAPITAL_MANAGER", "LIMITS_MANAGER"]);
+
+            const oraclePlan = await planRoleMigration(oracle, owner.address, assignments);
+            await executeRoleMigration(vault, vaultPlan.steps);
+            await executeRoleMigration(oracle, oraclePlan.steps);
+
+            expect(await vault.hasRole(PAUSER_ROLE, pauser.address)).to.be.true;
+            expect(await vault.hasRole(PAUSER_ROLE, owner.address)).to.be.false;
+            expect(await vault.hasRole(FEE_MANAGER_ROLE, owner.address)).to.be.false;
+            expect(await vault.hasRole(ORACLE_ADMIN_ROLE, owner.address)).to.be.true;
+            expect(await oracle.hasRole(PRICE_REPORTER_ROLE, reporter.address)).to.be.true;
+            expect(await oracle.hasRole(PRICE_REPORTER_ROLE, owner.address)).to.be.false;
+            await expect(vault.setFee(10)).to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+
+            await vault.connect(user1).acceptDefaultAdminTransfer();
+            expect(await vault.owner()).to.equal(user1.address);
+
+            // Running it again has nothing left to do
+            const rerun = await planRoleMigration(oracle, owner.address, assignments);
+            expect(rerun.steps).to.deep.equal([]);
+        });
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getVaultFactory } = require("../tasks/lib/vault");
 
 describe("RWA4626Vault Rounding", function () {
     let vault;
@@ -25,7 +27,7 @@ describe("RWA4626Vault Rounding", function () {
         oracle = await RWA4626Oracle.deploy();
         
         // Deploy vault
-        const RWA4626Vault = await ethers.getContractFactory("RWA4626Vault");
+        const RWA4626Vault = await getVaultFactory(hre);
         vault = await RWA4626Vault.deploy(
             asset.target,
             "RWA Vault",
@@ -45,52 +47,62 @@ describe("RWA4626Vault Rounding", function () {
         await asset.connect(user1).approve(vault.target, ethers.parseUnits("1000", 6));
     });
 
+    // Rounding helpers mirroring Math.mulDiv
+    const ceilDiv = (a, b) => (a + b - 1n) / b;
+    const entryFee = (assets) => ceilDiv(assets * BigInt(FEE), 10000n);
+
+    const updatePrice = async (price) => {
+        await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+        await ethers.provider.send("evm_mine");
+        await oracle.updatePrice(vault.target, price);
+    };
+
     describe("Rounding Behavior", function () {
         it("Should round down when depositing assets", async function () {
             // Deposit 100.5 USDC
             const depositAmount = ethers.parseUnits("100.5", 6);
-            const shares = await vault.connect(user1).deposit(depositAmount, user1.address);
+            const shares = await vault.connect(user1).deposit.staticCall(depositAmount, user1.address);
             
-            // Should get 100 shares (rounds down)
-            expect(shares).to.equal(ethers.parseUnits("100", 6));
+            // Should get the deposit net of the fee
+            expect(shares).to.equal(depositAmount - entryFee(depositAmount));
         });
 
         it("Should round up when minting shares", async function () {
             // Try to mint 100.5 shares
             const mintAmount = ethers.parseUnits("100.5", 6);
-            const assets = await vault.connect(user1).mint(mintAmount, user1.address);
+            const assets = await vault.connect(user1).mint.staticCall(mintAmount, user1.address);
             
-            // Should need 101 assets (rounds up)
-            expect(assets).to.equal(ethers.parseUnits("101", 6));
+            // Should need the shares plus the fee on top (rounds up)
+            expect(assets).to.equal(mintAmount + ceilDiv(mintAmount * BigInt(FEE), 10000n - BigInt(FEE)));
         });
 
         it("Should round down when redeeming shares", async function () {
             // First deposit some assets
-            await vault.connect(user1).deposit(ethers.parseUnits("100", 6), user1.address);
+            await vault.connect(user1).deposit(ethers.parseUnits("200", 6), user1.address);
             
             // Try to redeem 100.5 shares
             const redeemAmount = ethers.parseUnits("100.5", 6);
-            const assets = await vault.connect(user1).redeem(redeemAmount, user1.address, user1.address);
+            const assets = await vault.connect(user1).redeem.staticCall(redeemAmount, user1.address, user1.address);
             
-            // Should get 100 assets (rounds down)
-            expect(assets).to.equal(ethers.parseUnits("100", 6));
+            // Should get 100.5 assets at $1.00
+            expect(assets).to.equal(redeemAmount);
         });
 
         it("Should round up when withdrawing assets", async function () {
             // First deposit some assets
-            await vault.connect(user1).deposit(ethers.parseUnits("100", 6), user1.address);
+            await vault.connect(user1).deposit(ethers.parseUnits("200", 6), user1.address);
             
             // Try to withdraw 100.5 assets
             const withdrawAmount = ethers.parseUnits("100.5", 6);
-            const shares = await vault.connect(user1).withdraw(withdrawAmount, user1.address, user1.address);
+            const shares = await vault.connect(user1).withdraw.staticCall(withdrawAmount, user1.address, user1.address);
             
-            // Should need 101 shares (rounds up)
-            expect(shares).to.equal(ethers.parseUnits("101", 6));
+            // Should need 100.5 shares at $1.00
+            expect(shares).to.equal(withdrawAmount);
         });
 
         it("Should maintain consistent rounding with price changes", async function () {
             // First deposit some assets
-            await vault.connect(user1).deposit(ethers.parseUnits("100", 6), user1.address);
+            await vault.connect(user1).deposit(ethers.parseUnits("200", 6), user1.address);
             
             // Fast forward time to allow price update
             await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
@@ -102,7 +114,7 @@ describe("RWA4626Vault Rounding", function () {
             
             // Try to withdraw 100.5 assets
             const withdrawAmount = ethers.parseUnits("100.5", 6);
-            const shares = await vault.connect(user1).withdraw(withdrawAmount, user1.address, user1.address);
+            const shares = await vault.connect(user1).withdraw.staticCall(withdrawAmount, user1.address, user1.address);
             
             // Should need more shares due to higher price (rounds up)
             const expectedShares = withdrawAmount * BigInt(1e6) / newPrice;
@@ -112,9 +124,10 @@ describe("RWA4626Vault Rounding", function () {
         it("Should handle rounding with fees correctly", async function () {
             // Deposit 100.5 USDC
             const depositAmount = ethers.parseUnits("100.5", 6);
-            const shares = await vault.connect(user1).deposit(depositAmount, user1.address);
+            const shares = await vault.connect(user1).deposit.staticCall(depositAmount, user1.address);
+            await vault.connect(user1).deposit(depositAmount, user1.address);
             
-            // Calculate expected fee (0.5% of 100.5 = 0.5025, rounds down to 0.50)
+            // Calculate expected fee (0.5% of 100.5 = 0.5025, no rounding)
             const expectedFee = depositAmount * BigInt(FEE) / BigInt(10000);
             
             // Check total fees
@@ -124,4 +137,91 @@ describe("RWA4626Vault Rounding", function () {
             expect(shares).to.be.below(depositAmount);
         });
     });
-}); 
\ No newline at end of file
+
+    describe("Rounding on Actual Results", function () {
+        const PRICE = ethers.parseUnits("1.1", 6); // $1.10, so that conversions do not divide evenly
+
+        it("Should round down the shares of a deposit that does not divide evenly", async function () {
+            await updatePrice(PRICE);
+            const depositAmount = ethers.parseUnits("100.000001", 6);
+            const net = depositAmount - entryFee(depositAmount);
+            const expected = net * 10n ** 6n / PRICE;
+            // The conversion does not divide evenly and the shares round down
+            expect(expected * PRICE).to.be.lessThan(net * 10n ** 6n);
+
+            expect(await vault.connect(user1).deposit.staticCall(depositAmount, user1.address)).to.equal(expected);
+            await vault.connect(user1).deposit(depositAmount, user1.address);
+            expect(await vault.balanceOf(user1.address)).to.equal(expected);
+        });
+
+        it("Should round up the assets of a mint that does not divide evenly", async function () {
+            await updatePrice(PRICE);
+            const mintAmount = ethers.parseUnits("100.000001", 6);
+            const net = ceilDiv(mintAmount * PRICE, 10n ** 6n);
+            const expected = net + ceilDiv(net * BigInt(FEE), 10000n - BigInt(FEE));
+
+            expect(await vault.connect(user1).mint.staticCall(mintAmount, user1.address)).to.equal(expected);
+            await vault.connect(user1).mint(mintAmount, user1.address);
+            expect(await asset.balanceOf(user1.address)).to.equal(ethers.parseUnits("1000", 6) - expected);
+            expect(await vault.balanceOf(user1.address)).to.equal(mintAmount);
+        });
+
+        it("Should round down the assets of a redemption that does not divide evenly", async function () {
+            await updatePrice(PRICE);
+            await vault.connect(user1).deposit(ethers.parseUnits("100", 6), user1.address);
+
+            // Every share left after the entry fee
+            const shares = await vault.balanceOf(user1.address);
+            const expected = shares * PRICE / 10n ** 6n;
+            expect(expected * 10n ** 6n).to.be.lessThan(shares * PRICE);
+
+            const balance = await asset.balanceOf(user1.address);
+            expect(await vault.connect(user1).redeem.staticCall(shares, user1.address, user1.address))
+                .to.equal(expected);
+            await vault.connect(user1).redeem(shares, user1.address, user1.address);
+            expect(await asset.balanceOf(user1.address)).to.equal(balance + expected);
+        });
+
+        it("Should round up the shares burned by a withdrawal that does not divide evenly", async function () {
+            await updatePrice(PRICE);
+            await vault.connect(user1).deposit(ethers.parseUnits("100", 6), user1.address);
+
+            const withdrawAmount = ethers.parseUnits("50.000001", 6);
+            const expected = ceilDiv(withdrawAmount * 10n ** 6n, PRICE);
+            const shares = await vault.balanceOf(user1.address);
+
+            expect(await vault.connect(user1).withdraw.staticCall(withdrawAmount, user1.address, user1.address))
+                .to.equal(expected);
+            await vault.connect(user1).withdraw(withdrawAmount, user1.address, user1.address);
+            expect(await vault.balanceOf(user1.address)).to.equal(shares - expected);
+        });
+
+        it("Should round up the shares burned after a price change", async function () {
+            await vault.connect(user1).deposit(ethers.parseUnits("100", 6), user1.address);
+            const shares = await vault.balanceOf(user1.address);
+
+            // The shares are worth more at $1.10
+            await updatePrice(PRICE);
+            await asset.mint(vault.target, shares * PRICE / 10n ** 6n - await vault.totalAssets());
+
+            // Fewer shares are burned for the same assets, rounded up
+            const withdrawAmount = ethers.parseUnits("50.5", 6);
+            const expectedShares = withdrawAmount * 10n ** 6n / PRICE;
+            await vault.connect(user1).withdraw(withdrawAmount, user1.address, user1.address);
+            expect(await vault.balanceOf(user1.address)).to.equal(shares - expectedShares - 1n);
+        });
+
+        it("Should round the fee up in favour of the vault", async function () {
+            // 0.5% of 100.000001 is 0.500000005, rounded up in favour of the vault
+            const depositAmount = ethers.parseUnits("100.000001", 6);
+            const expectedFee = ethers.parseUnits("0.500001", 6);
+            expect(entryFee(depositAmount)).to.equal(expectedFee);
+
+            await vault.connect(user1).deposit(depositAmount, user1.address);
+            expect(await vault.totalFees()).to.equal(expectedFee);
+            // At $1.00 the shares are the deposit net of the fee
+            expect(await vault.balanceOf(user1.address)).to.equal(depositAmount - expectedFee);
+            expect(await vault.totalAssets()).to.equal(depositAmount - expectedFee);
+        });
+    });
+});
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getVaultFactory } = require("../tasks/lib/vault");
 
 describe("RWA4626Vault", function () {
     let vault;
@@ -13,6 +15,23 @@ describe("RWA4626Vault", function () {
     const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
     const FEE = 50; // 0.5%
     const ONE_WEEK = 7 * 24 * 60 * 60;
+    const TWO_DAYS = 2 * 24 * 60 * 60;
+    // ChangeType values of the timelocked settings
+    const EXIT_FEE_CHANGE = 4;
+    const MANAGEMENT_FEE_CHANGE = 5;
+    const PERFORMANCE_FEE_CHANGE = 6;
+    const COMPLIANCE_CHANGE = 7;
+    const CAPACITY_LIMITS_CHANGE = 8;
+    const CUSTODIAN_CHANGE = 9;
+    const REDEMPTION_QUEUE_CHANGE = 10;
+
+    // Executes queued changes once the timelock delay has passed
+    const executeChanges = async (...changeTypes) => {
+        await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+        for (const changeType of changeTypes) {
+            await vault.executeChange(changeType);
+        }
+    };
     
     beforeEach(async function () {
         [owner, user1, user2] = await ethers.getSigners();
@@ -26,7 +45,7 @@ describe("RWA4626Vault", function () {
         oracle = await RWA4626Oracle.deploy();
         
         // Deploy vault
-        const RWA4626Vault = await ethers.getContractFactory("RWA4626Vault");
+        const RWA4626Vault = await getVaultFactory(hre);
         vault = await RWA4626Vault.deploy(
             asset.target,
             "RWA Vault",
@@ -63,7 +82,8 @@ describe("RWA4626Vault", function () {
     describe("Share Calculations", function () {
         it("Should calculate shares correctly at $1.00 price", async function () {
             const depositAmount = ethers.parseUnits("100", 6);
-            const expectedShares = depositAmount; // 1:1 ratio at $1.00
+            const fee = depositAmount * BigInt(FEE) / BigInt(10000);
+            const expectedShares = depositAmount - fee; // 1:1 ratio at $1.00, net of the entry fee
             
             await vault.connect(user1).deposit(depositAmount, user1.address);
             expect(await vault.balanceOf(user1.address)).to.equal(expectedShares);
@@ -78,7 +98,8 @@ describe("RWA4626Vault", function () {
             await oracle.updatePrice(vault.target, newPrice);
             
             const depositAmount = ethers.parseUnits("100", 6);
-            const expectedShares = depositAmount * BigInt(1e6) / newPrice;
+            const fee = depositAmount * BigInt(FEE) / BigInt(10000);
+            const expectedShares = (depositAmount - fee) * BigInt(1e6) / newPrice;
             
             await vault.connect(user1).deposit(depositAmount, user1.address);
             expect(await vault.balanceOf(user1.address)).to.equal(expectedShares);
@@ -106,12 +127,291 @@ describe("RWA4626Vault", function () {
         it("Should allow withdrawal of assets", async function () {
             const depositAmount = ethers.parseUnits("100", 6);
             await vault.connect(user1).deposit(depositAmount, user1.address);
+            const withdrawAmount = await vault.maxWithdraw(user1.address);
             
             const balanceBefore = await asset.balanceOf(user1.address);
-            await vault.connect(user1).withdraw(depositAmount, user1.address, user1.address);
+            await vault.connect(user1).withdraw(withdrawAmount, user1.address, user1.address);
             const balanceAfter = await asset.balanceOf(user1.address);
             
-            expect(balanceAfter - balanceBefore).to.equal(depositAmount);
+            expect(balanceAfter - balanceBefore).to.equal(withdrawAmount);
+            expect(await vault.balanceOf(user1.address)).to.equal(0);
+        });
+    });
+
+    describe("Fees", function () {
+        const bps = (amount, fee) => (amount * BigInt(fee) + 9999n) / 10000n; // Rounded up
+
+        it("Should include the entry fee in previewDeposit and previewMint", async function () {
+            const assets = ethers.parseUnits("200", 6);
+            const shares = await vault.previewDeposit(assets);
+            expect(shares).to.equal(assets - bps(assets, FEE));
+            expect(await vault.convertToShares(assets)).to.equal(assets);
+
+            // Minting those shares costs the same deposit
+            expect(await vault.previewMint(shares)).to.equal(assets);
+        });
+
+        it("Should charge the entry fee on mint", async function () {
+            const shares = ethers.parseUnits("199", 6);
+            const assets = await vault.previewMint(shares);
+            expect(assets).to.equal(ethers.parseUnits("200", 6));
+
+            await expect(vault.connect(user1).mint(shares, user1.address))
+                .to.changeTokenBalance(asset, user1, -assets);
+            expect(await vault.balanceOf(user1.address)).to.equal(shares);
+            expect(await vault.totalFees()).to.equal(assets - shares);
+        });
+
+        it("Should include the exit fee in previewWithdraw and previewRedeem", async function () {
+            await vault.setExitFee(100); // 1%
+            await executeChanges(EXIT_FEE_CHANGE);
+            await vault.connect(user1).deposit(ethers.parseUnits("500", 6), user1.address);
+
+            const shares = ethers.parseUnits("100", 6);
+            const assets = await vault.previewRedeem(shares);
+            expect(assets).to.equal(shares - bps(shares, 100));
+            expect(await vault.previewWithdraw(assets)).to.equal(shares);
+
+            const feesBefore = await vault.totalFees();
+            await expect(vault.connect(user1).redeem(shares, user1.address, user1.address))
+                .to.changeTokenBalance(asset, user1, assets);
+            expect(await vault.totalFees() - feesBefore).to.equal(shares - assets);
+        });
+
+        it("Should exclude unclaimed fees from totalAssets", async function () {
+            const depositAmount = ethers.parseUnits("100", 6);
+            await vault.connect(user1).deposit(depositAmount, user1.address);
+
+            const fees = await vault.totalFees();
+            expect(await asset.balanceOf(vault.target)).to.equal(depositAmount);
+            expect(await vault.totalAssets()).to.equal(depositAmount - fees);
+            expect(await vault.convertToAssets(await vault.totalSupply())).to.equal(depositAmount - fees);
+        });
+
+        it("Should send the fees to the fee recipient", async function () {
+            expect(await vault.feeRecipient()).to.equal(owner.address);
+            await expect(vault.setFeeRecipient(user2.address))
+                .to.emit(vault, "FeeRecipientUpdated")
+                .withArgs(owner.address, user2.address);
+
+            await vault.connect(user1).deposit(ethers.parseUnits("100", 6), user1.address);
+            const fees = await vault.totalFees();
+
+            await expect(vault.withdrawFees())
+                .to.emit(vault, "FeesWithdrawn")
+                .withArgs(user2.address, fees);
+            expect(await asset.balanceOf(user2.address)).to.equal(ethers.parseUnits("1000", 6) + fees);
+            expect(await vault.totalFees()).to.equal(0);
+
+            await expect(vault.setFeeRecipient(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(vault, "InvalidFeeRecipient");
+            await expect(vault.connect(user1).setExitFee(10))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.setExitFee(1001))
+                .to.be.revertedWithCustomError(vault, "InvalidFee");
+        });
+
+        it("Should stay solvent after every user exits", async function () {
+            await vault.setExitFee(30);
+            await executeChanges(EXIT_FEE_CHANGE);
+            await vault.setFeeRecipient(owner.address);
+
+            await vault.connect(user1).deposit(ethers.parseUnits("333.333333", 6), user1.address);
+            await vault.connect(user2).mint(ethers.parseUnits("123.456789", 6), user2.address);
+            await vault.connect(user1).mint(ethers.parseUnits("101.010101", 6), user1.address);
+            await vault.connect(user2).deposit(ethers.parseUnits("100.000001", 6), user2.address);
+            await vault.connect(user1).withdraw(ethers.parseUnits("77.777777", 6), user1.address, user1.address);
+
+            // Everyone leaves, with both exit paths
+            await vault.connect(user1).redeem(await vault.balanceOf(user1.address), user1.address, user1.address);
+            await vault.connect(user2).withdraw(await vault.maxWithdraw(user2.address), user2.address, user2.address);
+            await vault.connect(user2).redeem(await vault.balanceOf(user2.address), user2.address, user2.address);
+            expect(await vault.totalSupply()).to.equal(0);
+
+            // The fees are fully backed and rounding dust stays in the vault
+            const fees = await vault.totalFees();
+            expect(await asset.balanceOf(vault.target)).to.be.at.least(fees);
+            await vault.withdrawFees();
+            expect(await vault.totalAssets()).to.be.lessThan(10);
+        });
+
+        it("Should stay solvent after a price change", async function () {
+            await vault.connect(user1).deposit(ethers.parseUnits("500", 6), user1.address);
+            await vault.connect(user2).deposit(ethers.parseUnits("500", 6), user2.address);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+            await oracle.updatePrice(vault.target, ethers.parseUnits("0.97", 6));
+
+            await vault.connect(user1).redeem(await vault.balanceOf(user1.address), user1.address, user1.address);
+            await vault.connect(user2).redeem(await vault.balanceOf(user2.address), user2.address, user2.address);
+
+            // Would revert if the fees were paid out of the depositors' principal
+            await vault.withdrawFees();
+            expect(await vault.totalSupply()).to.equal(0);
+            expect(await vault.totalAssets()).to.equal(await asset.balanceOf(vault.target));
+        });
+    });
+
+    describe("Management and Performance Fees", function () {
+        const ONE_YEAR = 365 * 24 * 60 * 60;
+
+        const updatePrice = async (price) => {
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+            await oracle.updatePrice(vault.target, ethers.parseUnits(price, 6));
+        };
+
+        const timestampOf = async (tx) => {
+            const receipt = await tx.wait();
+            return BigInt((await ethers.provider.getBlock(receipt.blockNumber)).timestamp);
+        };
+
+        beforeEach(async function () {
+            await vault.setFeeRecipient(user2.address);
+        });
+
+        it("Should accrue the management fee pro-rata per second", async function () {
+            await vault.setManagementFee(200); // 2% per year
+            await executeChanges(MANAGEMENT_FEE_CHANGE);
+            const depositedAt = await timestampOf(
+                await vault.connect(user1).deposit(ethers.parseUnits("1000", 6), user1.address)
+            );
+            const supply = await vault.totalSupply();
+
+            await ethers.provider.send("evm_increaseTime", [ONE_YEAR / 2]);
+            await ethers.provider.send("evm_mine");
+            await oracle.updatePrice(vault.target, INITIAL_PRICE);
+
+            const entryFees = await vault.totalFees();
+            const accruedAt = await timestampOf(await vault.accrueFees());
+            // The value of the shares at $1.00 is their supply
+            const expected = supply * 200n * (accruedAt - depositedAt) / (10000n * BigInt(ONE_YEAR));
+
+            // Charged in assets, not minted as shares
+            expect(await vault.totalFees()).to.equal(entryFees + expected);
+            expect(await vault.balanceOf(user2.address)).to.equal(0);
+            expect(await vault.totalSupply()).to.equal(supply);
+            expect(expected).to.be.closeTo(supply / 100n, supply / 10000n); // About 1% over half a year
+            expect(await vault.lastFeeAccrual()).to.equal(accruedAt);
+
+            // The share price drops by the fees
+            expect(await vault.feeFactor()).to.equal(10n ** 18n * (supply - expected) / supply);
+            expect(await vault.convertToAssets(supply)).to.be.closeTo(supply - expected, 1);
+            expect(await vault.totalAssets()).to.equal(ethers.parseUnits("1000", 6) - entryFees - expected);
+        });
+
+        it("Should charge the performance fee on gains above the high-water mark only", async function () {
+            await vault.setPerformanceFee(2000); // 20%
+            await executeChanges(PERFORMANCE_FEE_CHANGE);
+            await vault.connect(user1).deposit(ethers.parseUnits("1000", 6), user1.address);
+            const supply = await vault.totalSupply();
+            expect(await vault.highWaterMark()).to.equal(INITIAL_PRICE);
+
+            // +10%: 20% of the gain, charged in assets
+            await updatePrice("1.1");
+            const price = ethers.parseUnits("1.1", 6);
+            const expected = supply * (price - INITIAL_PRICE) * 2000n / (10n ** 6n * 10000n);
+            expect((await vault.accruedFees())[1]).to.equal(expected);
+
+            // The share price after the fee becomes the high-water mark
+            const value = supply * price / 10n ** 6n;
+            const factor = 10n ** 18n * (value - expected) / value;
+            const sharePrice = price * factor / 10n ** 18n;
+            await expect(vault.accrueFees())
+                .to.emit(vault, "FeesAccrued")
+                .withArgs(0, expected, sharePrice);
+            expect(await vault.highWaterMark()).to.equal(sharePrice);
+
+            // A drawdown and a partial recovery are not charged
+            await updatePrice("1.0");
+            await vault.accrueFees();
+            await updatePrice("1.05");
+            expect(await vault.accruedFees()).to.deep.equal([0n, 0n]);
+            await expect(vault.accrueFees()).to.not.emit(vault, "FeesAccrued");
+            expect(await vault.highWaterMark()).to.equal(sharePrice);
+
+            // Only the gain above the previous high is charged
+            await updatePrice("1.2");
+            const newSharePrice = ethers.parseUnits("1.2", 6) * factor / 10n ** 18n;
+            expect((await vault.accruedFees())[1])
+                .to.equal(supply * (newSharePrice - sharePrice) * 2000n / (10n ** 6n * 10000n));
+        });
+
+        it("Should let every holder redeem after the fees accrue", async function () {
+            await vault.setManagementFee(200);
+            await vault.setPerformanceFee(2000);
+            await executeChanges(MANAGEMENT_FEE_CHANGE, PERFORMANCE_FEE_CHANGE);
+            await vault.connect(user1).deposit(ethers.parseUnits("600", 6), user1.address);
+            await vault.connect(user2).deposit(ethers.parseUnits("400", 6), user2.address);
+
+            // +10% earned by the vault over a year
+            const supply = await vault.totalSupply();
+            await asset.mint(vault.target, supply / 10n);
+            await ethers.provider.send("evm_increaseTime", [ONE_YEAR]);
+            await ethers.provider.send("evm_mine");
+            await oracle.updatePrice(vault.target, ethers.parseUnits("1.1", 6));
+            await expect(vault.accrueFees()).to.emit(vault, "FeesAccrued");
+
+            expect(await vault.convertToAssets(supply)).to.be.at.most(await vault.totalAssets());
+            for (const user of [user1, user2]) {
+                await vault.connect(user).redeem(await vault.balanceOf(user.address), user.address, user.address);
+            }
+            expect(await vault.totalSupply()).to.equal(0);
+
+            // The fees are fully backed and only rounding dust stays in the vault
+            await expect(vault.withdrawFees()).to.emit(vault, "FeesWithdrawn");
+            expect(await vault.totalFees()).to.equal(0);
+            expect(await asset.balanceOf(vault.target)).to.be.lessThan(10);
+        });
+
+        it("Should checkpoint before deposits and redemptions", async function () {
+            await vault.setPerformanceFee(1000);
+            await executeChanges(PERFORMANCE_FEE_CHANGE);
+            await vault.connect(user1).deposit(ethers.parseUnits("500", 6), user1.address);
+
+            await updatePrice("1.5");
+            const [, pending] = await vault.accruedFees();
+            expect(pending).to.be.greaterThan(0);
+
+            // The new depositor does not pay for gains made before they entered
+            await expect(vault.connect(user2).deposit(ethers.parseUnits("300", 6), user2.address))
+                .to.emit(vault, "FeesAccrued");
+            expect(await vault.accruedFees()).to.deep.equal([0n, 0n]);
+
+            await updatePrice("1.6");
+            await expect(
+                vault.connect(user1).redeem(ethers.parseUnits("100", 6), user1.address, user1.address)
+            ).to.emit(vault, "FeesAccrued");
+        });
+
+        it("Should not accrue anything while the vault is empty", async function () {
+            await vault.setManagementFee(500);
+            await vault.setPerformanceFee(3000);
+            await executeChanges(MANAGEMENT_FEE_CHANGE, PERFORMANCE_FEE_CHANGE);
+
+            await updatePrice("2");
+            await vault.accrueFees();
+            expect(await vault.totalSupply()).to.equal(0);
+            expect(await vault.highWaterMark()).to.equal(ethers.parseUnits("2", 6));
+        });
+
+        it("Should only allow owner to set the fees within bounds", async function () {
+            await vault.setManagementFee(150);
+            await vault.setPerformanceFee(2000);
+            await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+            await expect(vault.executeChange(MANAGEMENT_FEE_CHANGE))
+                .to.emit(vault, "ManagementFeeUpdated")
+                .withArgs(0, 150);
+            await expect(vault.executeChange(PERFORMANCE_FEE_CHANGE))
+                .to.emit(vault, "PerformanceFeeUpdated")
+                .withArgs(0, 2000);
+
+            await expect(vault.setManagementFee(501)).to.be.revertedWithCustomError(vault, "InvalidFee");
+            await expect(vault.setPerformanceFee(3001)).to.be.revertedWithCustomError(vault, "InvalidFee");
+            await expect(
+                vault.connect(user1).setManagementFee(100)
+            ).to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -127,4 +427,544 @@ describe("RWA4626Vault", function () {
             ).to.be.revertedWithCustomError(vault, "PriceUpdateRequired");
         });
     });
-}); 
\ No newline at end of file
+
+    describe("Stale Price Policy", function () {
+        const STRICT = 0;
+        const GRACE = 1;
+        const VIEWS_ONLY = 2;
+        const ONE_DAY = 24 * 60 * 60;
+
+        beforeEach(async function () {
+            await vault.connect(user1).deposit(ethers.parseUnits("500", 6), user1.address);
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await ethers.provider.send("evm_mine");
+        });
+
+        it("Should report zero limits instead of reverting at a stale price", async function () {
+            expect(await vault.stalePricePolicy()).to.equal(STRICT);
+            await expect(vault.convertToAssets(100)).to.be.revertedWithCustomError(vault, "PriceUpdateRequired");
+
+            expect(await vault.maxDeposit(user2.address)).to.equal(0);
+            expect(await vault.maxMint(user2.address)).to.equal(0);
+            expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+
+            await oracle.updatePrice(vault.target, INITIAL_PRICE);
+            expect(await vault.maxRedeem(user1.address)).to.equal(await vault.balanceOf(user1.address));
+            await vault.pause();
+            expect(await vault.maxDeposit(user2.address)).to.equal(0);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+        });
+
+        it("Should keep views working at the last price in views-only mode", async function () {
+            await expect(vault.setStalePricePolicy(VIEWS_ONLY, 0, 0))
+                .to.emit(vault, "StalePricePolicyUpdated")
+                .withArgs(VIEWS_ONLY, 0, 0);
+
+            const shares = ethers.parseUnits("100", 6);
+            expect(await vault.convertToAssets(shares)).to.equal(shares);
+            expect(await vault.previewRedeem(shares)).to.equal(shares);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+            await expect(vault.connect(user1).redeem(shares, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "PriceUpdateRequired");
+        });
+
+        it("Should let holders redeem with a haircut during the grace period", async function () {
+            await vault.setStalePricePolicy(GRACE, ONE_DAY, 200); // 2% haircut
+            expect(await vault.isInGracePeriod()).to.be.true;
+
+            await expect(vault.connect(user2).deposit(MIN_DEPOSIT, user2.address))
+                .to.be.revertedWithCustomError(vault, "PriceUpdateRequired");
+            expect(await vault.maxDeposit(user2.address)).to.equal(0);
+
+            const shares = ethers.parseUnits("100", 6);
+            const assets = shares - shares * 200n / 10000n;
+            expect(await vault.previewRedeem(shares)).to.equal(assets);
+            expect(await vault.previewWithdraw(assets)).to.equal(shares);
+            expect(await vault.maxRedeem(user1.address)).to.equal(await vault.balanceOf(user1.address));
+            await expect(vault.connect(user1).redeem(shares, user1.address, user1.address))
+                .to.changeTokenBalance(asset, user1, assets);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY]);
+            await ethers.provider.send("evm_mine");
+            expect(await vault.isInGracePeriod()).to.be.false;
+            expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+            expect(await vault.previewRedeem(shares)).to.equal(shares);
+            await expect(vault.connect(user1).redeem(shares, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "PriceUpdateRequired");
+        });
+
+        it("Should only allow oracle admins to set a valid policy", async function () {
+            await expect(vault.setStalePricePolicy(GRACE, 0, 200))
+                .to.be.revertedWithCustomError(vault, "InvalidStalePricePolicy");
+            await expect(vault.setStalePricePolicy(GRACE, ONE_DAY, 2001))
+                .to.be.revertedWithCustomError(vault, "InvalidStalePricePolicy");
+            await expect(vault.setStalePricePolicy(STRICT, ONE_DAY, 0))
+                .to.be.revertedWithCustomError(vault, "InvalidStalePricePolicy");
+            await expect(vault.connect(user1).setStalePricePolicy(VIEWS_ONLY, 0, 0))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Timelock", function () {
+        const ORACLE = 0;
+        const FEE_CHANGE = 1;
+        const MIN_DEPOSIT_CHANGE = 2;
+        const TIMELOCK_DELAY = 3;
+
+        it("Should queue changes and apply them only after the delay", async function () {
+            expect(await vault.timelockDelay()).to.equal(TWO_DAYS);
+
+            const tx = await vault.setFee(100);
+            const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+            const eta = BigInt(timestamp + TWO_DAYS);
+            await expect(tx).to.emit(vault, "ChangeQueued").withArgs(FEE_CHANGE, 100, eta);
+            expect(await vault.fee()).to.equal(FEE);
+
+            await expect(vault.connect(user1).executeChange(FEE_CHANGE))
+                .to.be.revertedWithCustomError(vault, "ChangeNotReady")
+                .withArgs(eta);
+
+            await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+            await expect(vault.connect(user1).executeChange(FEE_CHANGE))
+                .to.emit(vault, "FeeUpdated").withArgs(FEE, 100)
+                .and.to.emit(vault, "ChangeExecuted").withArgs(FEE_CHANGE, 100);
+            expect(await vault.fee()).to.equal(100);
+            await expect(vault.executeChange(FEE_CHANGE))
+                .to.be.revertedWithCustomError(vault, "NoPendingChange");
+        });
+
+        it("Should list pending changes", async function () {
+            await vault.setOracle(user2.address);
+            await vault.setMinDeposit(MIN_DEPOSIT * 2n);
+            await expect(vault.setMinDeposit(MIN_DEPOSIT * 3n))
+                .to.be.revertedWithCustomError(vault, "ChangeAlreadyPending");
+
+            const changes = await vault.pendingChanges();
+            expect(changes.map(change => [change.changeType, change.value])).to.deep.equal([
+                [BigInt(ORACLE), BigInt(user2.address)],
+                [BigInt(MIN_DEPOSIT_CHANGE), MIN_DEPOSIT * 2n],
+            ]);
+            expect((await vault.getPendingChange(FEE_CHANGE)).eta).to.equal(0);
+
+            await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+            await vault.executeChange(ORACLE);
+            expect(await vault.oracle()).to.equal(user2.address);
+            expect(await vault.pendingChanges()).to.have.lengthOf(1);
+        });
+
+        it("Should let a guardian cancel a queued change", async function () {
+            await vault.setOracle(user2.address);
+
+            await expect(vault.connect(user1).cancelChange(ORACLE))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await vault.grantRole(await vault.GUARDIAN_ROLE(), user1.address);
+            await expect(vault.connect(user1).cancelChange(ORACLE))
+                .to.emit(vault, "ChangeCancelled")
+                .withArgs(ORACLE, BigInt(user2.address));
+
+            await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+            await expect(vault.executeChange(ORACLE))
+                .to.be.revertedWithCustomError(vault, "NoPendingChange");
+            expect(await vault.oracle()).to.equal(oracle.target);
+        });
+
+        it("Should timelock the fee, compliance, capacity, redemption queue and custodian settings", async function () {
+            const module = user2.address;
+            await vault.setExitFee(100);
+            await vault.setManagementFee(200);
+            await vault.setPerformanceFee(2000);
+            await vault.setCompliance(module);
+            await vault.setCapacityLimits(module);
+            await vault.setRedemptionQueue(module);
+            await expect(vault.setCustodian(user1.address, true))
+                .to.emit(vault, "ChangeQueued")
+                .and.not.to.emit(vault, "CustodianUpdated");
+
+            // Nothing applies before the delay
+            expect(await vault.exitFee()).to.equal(0);
+            expect(await vault.managementFee()).to.equal(0);
+            expect(await vault.performanceFee()).to.equal(0);
+            expect(await vault.compliance()).to.equal(ethers.ZeroAddress);
+            expect(await vault.capacityLimits()).to.equal(ethers.ZeroAddress);
+            expect(await vault.redemptionQueue()).to.equal(ethers.ZeroAddress);
+            expect(await vault.isCustodian(user1.address)).to.be.false;
+            expect(await vault.pendingChanges()).to.have.lengthOf(7);
+            await expect(vault.executeChange(CUSTODIAN_CHANGE))
+                .to.be.revertedWithCustomError(vault, "ChangeNotReady");
+
+            await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+            await expect(vault.executeChange(EXIT_FEE_CHANGE))
+                .to.emit(vault, "ExitFeeUpdated").withArgs(0, 100);
+            await expect(vault.executeChange(MANAGEMENT_FEE_CHANGE))
+                .to.emit(vault, "ManagementFeeUpdated").withArgs(0, 200);
+            await expect(vault.executeChange(PERFORMANCE_FEE_CHANGE))
+                .to.emit(vault, "PerformanceFeeUpdated").withArgs(0, 2000);
+            await expect(vault.executeChange(COMPLIANCE_CHANGE))
+                .to.emit(vault, "ComplianceUpdated").withArgs(ethers.ZeroAddress, module);
+            await expect(vault.executeChange(CAPACITY_LIMITS_CHANGE))
+                .to.emit(vault, "CapacityLimitsUpdated").withArgs(ethers.ZeroAddress, module);
+            await expect(vault.executeChange(REDEMPTION_QUEUE_CHANGE))
+                .to.emit(vault, "RedemptionQueueUpdated").withArgs(ethers.ZeroAddress, module);
+            await expect(vault.executeChange(CUSTODIAN_CHANGE))
+                .to.emit(vault, "CustodianUpdated").withArgs(user1.address, true)
+                .and.to.emit(vault, "ChangeExecuted").withArgs(CUSTODIAN_CHANGE, BigInt(user1.address));
+            expect(await vault.isCustodian(user1.address)).to.be.true;
+            expect(await vault.pendingChanges()).to.have.lengthOf(0);
+
+            // Removing a custodian only stops deployments, so it is not delayed
+            await expect(vault.setCustodian(user1.address, false))
+                .to.emit(vault, "CustodianUpdated")
+                .withArgs(user1.address, false);
+            expect(await vault.isCustodian(user1.address)).to.be.false;
+        });
+
+        it("Should timelock changes of the delay itself", async function () {
+            await expect(vault.setTimelockDelay(60))
+                .to.be.revertedWithCustomError(vault, "InvalidTimelockDelay");
+            await expect(vault.setTimelockDelay(31 * 24 * 60 * 60))
+                .to.be.revertedWithCustomError(vault, "InvalidTimelockDelay");
+
+            await vault.setTimelockDelay(ONE_WEEK);
+            await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+            await expect(vault.executeChange(TIMELOCK_DELAY))
+                .to.emit(vault, "TimelockDelayUpdated")
+                .withArgs(TWO_DAYS, ONE_WEEK);
+
+            const tx = await vault.setFee(0);
+            const { timestamp } = await ethers.provider.getBlock(tx.blockNumber);
+            expect((await vault.getPendingChange(FEE_CHANGE)).eta).to.equal(timestamp + ONE_WEEK);
+        });
+    });
+
+    describe("Capital Deployment", function () {
+        let custodian;
+        const depositAmount = ethers.parseUnits("500", 6);
+        const netAssets = depositAmount - depositAmount * BigInt(FEE) / BigInt(10000);
+        const deployed = ethers.parseUnits("400", 6);
+
+        beforeEach(async function () {
+            [, , , custodian] = await ethers.getSigners();
+            await vault.connect(user1).deposit(depositAmount, user1.address);
+            await asset.connect(custodian).approve(vault.target, ethers.MaxUint256);
+        });
+
+        it("Should move assets to and from whitelisted custodians", async function () {
+            await expect(vault.deployCapital(custodian.address, deployed))
+                .to.be.revertedWithCustomError(vault, "InvalidCustodian")
+                .withArgs(custodian.address);
+            await expect(vault.connect(user1).setCustodian(custodian.address, true))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await vault.setCustodian(custodian.address, true);
+            await ethers.provider.send("evm_increaseTime", [TWO_DAYS]);
+            await expect(vault.executeChange(CUSTODIAN_CHANGE))
+                .to.emit(vault, "CustodianUpdated")
+                .withArgs(custodian.address, true);
+
+            await expect(vault.connect(user1).deployCapital(custodian.address, deployed))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.deployCapital(custodian.address, netAssets + 1n))
+                .to.be.revertedWithCustomError(vault, "InsufficientLiquidity");
+            await expect(vault.deployCapital(custodian.address, deployed))
+                .to.emit(vault, "CapitalDeployed")
+                .withArgs(custodian.address, deployed, deployed);
+
+            expect(await asset.balanceOf(custodian.address)).to.equal(deployed);
+            expect(await vault.deployedCapital(custodian.address)).to.equal(deployed);
+            expect(await vault.offchainAssets()).to.equal(deployed);
+            expect(await vault.availableLiquidity()).to.equal(netAssets - deployed);
+            expect(await vault.totalAssets()).to.equal(netAssets);
+
+            await expect(vault.returnCapital(custodian.address, deployed))
+                .to.emit(vault, "CapitalReturned")
+                .withArgs(custodian.address, deployed, 0);
+            expect(await vault.deployedCapital(custodian.address)).to.equal(0);
+            expect(await vault.availableLiquidity()).to.equal(netAssets);
+            expect(await vault.totalAssets()).to.equal(netAssets);
+        });
+
+        it("Should limit withdrawals to the assets held by the vault", async function () {
+            await vault.setCustodian(custodian.address, true);
+            await executeChanges(CUSTODIAN_CHANGE);
+            await vault.deployCapital(custodian.address, deployed);
+
+            const liquidity = netAssets - deployed;
+            expect(await vault.maxWithdraw(user1.address)).to.equal(liquidity);
+            expect(await vault.maxRedeem(user1.address)).to.equal(liquidity);
+            await expect(vault.connect(user1).withdraw(liquidity + 1n, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxWithdraw");
+
+            // The exit fee stays in the vault, so less can be paid out
+            await vault.setExitFee(100);
+            await executeChanges(EXIT_FEE_CHANGE);
+            const withdrawable = liquidity - liquidity / 100n;
+            expect(await vault.maxWithdraw(user1.address)).to.equal(withdrawable);
+            const maxShares = await vault.maxRedeem(user1.address);
+            expect(await vault.previewRedeem(maxShares)).to.be.at.most(withdrawable);
+            await vault.connect(user1).redeem(maxShares, user1.address, user1.address);
+            expect(await vault.maxWithdraw(user1.address)).to.be.at.most(1);
+        });
+
+        it("Should track the off-chain assets from capital movements and custodian valuations", async function () {
+            await vault.setCustodian(custodian.address, true);
+            await executeChanges(CUSTODIAN_CHANGE);
+            await vault.deployCapital(custodian.address, deployed);
+
+            // A new NAV does not change the tracked assets
+            const newPrice = ethers.parseUnits("1.01", 6);
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await oracle.updatePrice(vault.target, newPrice);
+            const nav = (await vault.totalSupply()) * newPrice / INITIAL_PRICE;
+            expect(await vault.oracleNav()).to.equal(nav);
+            expect(await vault.offchainAssets()).to.equal(deployed);
+            expect(await vault.totalAssets()).to.equal(netAssets);
+
+            // The custodian's statement values its holdings with their yield
+            const valuation = nav - (netAssets - deployed);
+            await expect(vault.connect(user1).reportCustodianValuation(custodian.address, valuation))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.reportCustodianValuation(user2.address, valuation))
+                .to.be.revertedWithCustomError(vault, "InvalidCustodian")
+                .withArgs(user2.address);
+            await expect(vault.reportCustodianValuation(custodian.address, valuation))
+                .to.emit(vault, "CustodianValuationReported")
+                .withArgs(custodian.address, deployed, valuation, valuation);
+            expect(await vault.deployedCapital(custodian.address)).to.equal(valuation);
+            expect(await vault.totalAssets()).to.equal(nav);
+
+            // The custodian returns the capital with its yield
+            await asset.mint(custodian.address, valuation - deployed);
+            await vault.returnCapital(custodian.address, valuation);
+            expect(await vault.offchainAssets()).to.equal(0);
+            expect(await vault.deployedCapital(custodian.address)).to.equal(0);
+            expect(await vault.totalAssets()).to.equal(nav);
+        });
+
+        it("Should check the oracle NAV against the tracked assets", async function () {
+            await expect(vault.connect(user1).setMaxNavDeviation(100))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.setMaxNavDeviation(10001))
+                .to.be.revertedWithCustomError(vault, "InvalidNavDeviation");
+            await expect(vault.setMaxNavDeviation(100)) // 1%
+                .to.emit(vault, "MaxNavDeviationUpdated")
+                .withArgs(0, 100);
+
+            await vault.setCustodian(custodian.address, true);
+            await executeChanges(CUSTODIAN_CHANGE);
+            await vault.deployCapital(custodian.address, deployed);
+
+            // +5% reported by the oracle, not by the custodian
+            const newPrice = ethers.parseUnits("1.05", 6);
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await oracle.updatePrice(vault.target, newPrice);
+            const nav = (await vault.totalSupply()) * newPrice / INITIAL_PRICE;
+            await expect(vault.connect(user2).deposit(MIN_DEPOSIT, user2.address))
+                .to.be.revertedWithCustomError(vault, "NavMismatch")
+                .withArgs(nav, netAssets);
+            await expect(vault.connect(user1).redeem(MIN_DEPOSIT, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "NavMismatch");
+
+            await vault.reportCustodianValuation(custodian.address, nav - (netAssets - deployed));
+            await vault.connect(user2).deposit(MIN_DEPOSIT, user2.address);
+            await vault.connect(user1).redeem(MIN_DEPOSIT, user1.address, user1.address);
+        });
+    });
+
+    describe("Redemption Gates and Lock-ups", function () {
+        const ONE_DAY = 24 * 60 * 60;
+
+        it("Should limit the shares redeemed per gate period", async function () {
+            await expect(vault.connect(user1).setRedemptionGate(1000, ONE_DAY))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.setRedemptionGate(10001, ONE_DAY))
+                .to.be.revertedWithCustomError(vault, "InvalidRedemptionGate");
+            await expect(vault.setRedemptionGate(1000, 0))
+                .to.be.revertedWithCustomError(vault, "InvalidRedemptionGate");
+            await expect(vault.setRedemptionGate(1000, ONE_DAY)) // 10% per day
+                .to.emit(vault, "RedemptionGateUpdated")
+                .withArgs(1000, ONE_DAY);
+
+            await vault.connect(user1).deposit(ethers.parseUnits("500", 6), user1.address);
+            await vault.connect(user2).deposit(ethers.parseUnits("500", 6), user2.address);
+            const supply = await vault.totalSupply();
+            expect(await vault.gateCapacity()).to.equal(supply / 10n);
+            expect(await vault.maxRedeem(user1.address)).to.equal(supply / 10n);
+
+            const redeemed = ethers.parseUnits("60", 6);
+            await vault.connect(user1).redeem(redeemed, user1.address, user1.address);
+            const left = supply / 10n - redeemed;
+            expect(await vault.gateCapacity()).to.equal(left);
+            expect(await vault.maxRedeem(user2.address)).to.equal(left);
+            expect(await vault.maxWithdraw(user2.address)).to.equal(await vault.previewRedeem(left));
+            // Without a redemption queue, nothing is redeemed beyond the capacity left
+            await expect(vault.connect(user2).redeem(left + 1n, user2.address, user2.address))
+                .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxRedeem")
+                .withArgs(user2.address, left + 1n, left);
+
+            // A new period starts with 10% of the supply left
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY]);
+            await ethers.provider.send("evm_mine");
+            expect(await vault.gateCapacity()).to.equal((supply - redeemed) / 10n);
+            await vault.connect(user2).redeem(left + 1n, user2.address, user2.address);
+
+            await vault.setRedemptionGate(0, 0);
+            expect(await vault.gateCapacity()).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should queue the shares redeemed beyond the gate", async function () {
+            const RWA4626RedemptionQueue = await ethers.getContractFactory("RWA4626RedemptionQueue");
+            const queue = await RWA4626RedemptionQueue.deploy(vault.target);
+            await vault.grantRole(await vault.REDEMPTION_QUEUE_ROLE(), queue.target);
+            await vault.setRedemptionQueue(queue.target);
+            await executeChanges(REDEMPTION_QUEUE_CHANGE);
+            await vault.setRedemptionGate(1000, ONE_DAY); // 10% per day
+
+            await vault.connect(user1).deposit(ethers.parseUnits("500", 6), user1.address);
+            await vault.connect(user2).deposit(ethers.parseUnits("500", 6), user2.address);
+            const capacity = await vault.gateCapacity();
+            const shares = ethers.parseUnits("150", 6);
+            const deferred = shares - capacity;
+
+            // The capacity left is redeemed now, the rest is queued for the owner
+            const balance = await asset.balanceOf(user1.address);
+            await vault.connect(user2).approve(user1.address, shares);
+            await expect(vault.connect(user1).redeem(shares, user1.address, user2.address))
+                .to.emit(queue, "RedemptionQueued")
+                .withArgs(0, user2.address, user1.address, deferred, INITIAL_PRICE);
+            expect(await asset.balanceOf(user1.address)).to.equal(balance + capacity);
+            expect(await vault.allowance(user2.address, user1.address)).to.equal(0);
+            expect(await vault.balanceOf(queue.target)).to.equal(deferred);
+            expect(await vault.gateCapacity()).to.equal(0);
+
+            // Queued shares are redeemed in the next period, before any other redemption
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY]);
+            await queue.processQueue(10);
+            await queue.claim(0);
+            expect(await asset.balanceOf(user1.address)).to.equal(balance + shares);
+        });
+
+        it("Should refuse to queue the excess at a stale price in current price mode", async function () {
+            const RWA4626RedemptionQueue = await ethers.getContractFactory("RWA4626RedemptionQueue");
+            const queue = await RWA4626RedemptionQueue.deploy(vault.target);
+            await vault.grantRole(await vault.REDEMPTION_QUEUE_ROLE(), queue.target);
+            await vault.setRedemptionQueue(queue.target);
+            await executeChanges(REDEMPTION_QUEUE_CHANGE);
+            await vault.setRedemptionGate(1000, ONE_DAY); // 10% per day
+            await vault.connect(user1).deposit(ethers.parseUnits("500", 6), user1.address);
+            await vault.connect(user2).deposit(ethers.parseUnits("500", 6), user2.address);
+
+            // Holders can still redeem within the gate with a haircut during the grace period
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK - TWO_DAYS]);
+            await ethers.provider.send("evm_mine");
+            await vault.setStalePricePolicy(1, ONE_DAY, 200); // Grace period, 2% haircut
+            const capacity = await vault.gateCapacity();
+            await expect(vault.connect(user1).redeem(capacity + 1n, user1.address, user1.address))
+                .to.be.revertedWithCustomError(queue, "PriceUpdateRequired");
+            await vault.connect(user1).redeem(capacity, user1.address, user1.address);
+
+            // At the next NAV, the excess is queued unpriced
+            await queue.setPricingMode(1);
+            const deferred = ethers.parseUnits("10", 6);
+            await expect(vault.connect(user2).redeem(deferred, user2.address, user2.address))
+                .to.emit(queue, "RedemptionQueued")
+                .withArgs(0, user2.address, user2.address, deferred, 0);
+        });
+
+        it("Should move the lock-ups of the shares taken by a forced transfer", async function () {
+            await vault.setLockupPeriod(3 * ONE_DAY);
+            await vault.connect(user1).deposit(ethers.parseUnits("200", 6), user1.address);
+            const first = await vault.balanceOf(user1.address);
+            await ethers.provider.send("evm_increaseTime", [4 * ONE_DAY]);
+            await vault.connect(user1).deposit(ethers.parseUnits("100", 6), user1.address);
+            const second = await vault.balanceOf(user1.address) - first;
+
+            const balance = first + second;
+            await expect(vault.forcedTransfer(user1.address, user2.address, balance + 1n))
+                .to.be.revertedWithCustomError(vault, "ERC20InsufficientBalance")
+                .withArgs(user1.address, balance, balance + 1n);
+
+            // The shares beyond the matured ones stay locked up for the receiver
+            const moved = ethers.parseUnits("40", 6);
+            await vault.forcedTransfer(user1.address, user2.address, first + moved);
+            expect(await vault.lockedShares(user1.address)).to.equal(second - moved);
+            expect(await vault.lockedShares(user2.address)).to.equal(moved);
+            expect(await vault.balanceOf(user1.address)).to.equal(second - moved);
+            await expect(vault.connect(user2).transfer(user1.address, first + 1n))
+                .to.be.revertedWithCustomError(vault, "SharesLocked")
+                .withArgs(user2.address);
+            await vault.connect(user2).transfer(user1.address, first);
+
+            await ethers.provider.send("evm_increaseTime", [3 * ONE_DAY]);
+            await ethers.provider.send("evm_mine");
+            expect(await vault.lockedShares(user2.address)).to.equal(0);
+            await vault.connect(user2).transfer(user1.address, moved);
+        });
+
+        it("Should lock up the shares of each deposit until maturity", async function () {
+            const lockup = 3 * ONE_DAY;
+            await expect(vault.connect(user1).setLockupPeriod(lockup))
+                .to.be.revertedWithCustomError(vault, "AccessControlUnauthorizedAccount");
+            await expect(vault.setLockupPeriod(366 * ONE_DAY))
+                .to.be.revertedWithCustomError(vault, "InvalidLockupPeriod");
+            await expect(vault.setLockupPeriod(lockup))
+                .to.emit(vault, "LockupPeriodUpdated")
+                .withArgs(0, lockup);
+
+            await vault.connect(user1).deposit(ethers.parseUnits("200", 6), user1.address);
+            const first = await vault.balanceOf(user1.address);
+            expect(await vault.lockedShares(user1.address)).to.equal(first);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+            expect(await vault.maxWithdraw(user1.address)).to.equal(0);
+            await expect(vault.connect(user1).transfer(user2.address, 1))
+                .to.be.revertedWithCustomError(vault, "SharesLocked")
+                .withArgs(user1.address);
+
+            await ethers.provider.send("evm_increaseTime", [2 * ONE_DAY]);
+            await vault.connect(user1).mint(ethers.parseUnits("100", 6), user1.address);
+            const second = await vault.balanceOf(user1.address) - first;
+
+            // The first deposit matured, the second one is still locked up
+            await ethers.provider.send("evm_increaseTime", [2 * ONE_DAY]);
+            await ethers.provider.send("evm_mine");
+            expect(await vault.lockedShares(user1.address)).to.equal(second);
+            expect(await vault.maxRedeem(user1.address)).to.equal(first);
+            await expect(vault.connect(user1).redeem(first + 1n, user1.address, user1.address))
+                .to.be.revertedWithCustomError(vault, "ERC4626ExceededMaxRedeem");
+            await vault.connect(user1).transfer(user2.address, first);
+            expect(await vault.maxRedeem(user2.address)).to.equal(first);
+            expect(await vault.maxRedeem(user1.address)).to.equal(0);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_DAY]);
+            await ethers.provider.send("evm_mine");
+            expect(await vault.lockedShares(user1.address)).to.equal(0);
+            await vault.connect(user1).redeem(second, user1.address, user1.address);
+        });
+
+        it("Should merge the lock-ups maturing the same day", async function () {
+            const lockup = 3 * ONE_DAY;
+            await vault.setLockupPeriod(lockup);
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            const day = Math.floor(timestamp / ONE_DAY) + 1;
+            await ethers.provider.send("evm_setNextBlockTimestamp", [day * ONE_DAY + 3600]);
+            await vault.connect(user1).deposit(ethers.parseUnits("200", 6), user1.address);
+
+            // Shares deposited for the holder later that day extend its lock-up to their maturity
+            await ethers.provider.send("evm_setNextBlockTimestamp", [day * ONE_DAY + 7200]);
+            await vault.connect(user2).deposit(ethers.parseUnits("100", 6), user1.address);
+            const merged = await vault.balanceOf(user1.address);
+
+            // A deposit the next day is locked up on its own
+            await ethers.provider.send("evm_setNextBlockTimestamp", [(day + 1) * ONE_DAY + 3600]);
+            await vault.connect(user2).deposit(ethers.parseUnits("100", 6), user1.address);
+            const last = await vault.balanceOf(user1.address) - merged;
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [day * ONE_DAY + 3600 + lockup]);
+            await ethers.provider.send("evm_mine");
+            expect(await vault.lockedShares(user1.address)).to.equal(merged + last);
+            await ethers.provider.send("evm_setNextBlockTimestamp", [day * ONE_DAY + 7200 + lockup]);
+            await ethers.provider.send("evm_mine");
+            expect(await vault.lockedShares(user1.address)).to.equal(last);
+            await vault.connect(user1).redeem(merged, user1.address, user1.address);
+        });
+    });
+});
@@ -0,0 +1,316 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { buildFeeReport, formatFeeReport } = require("../tasks/lib/fees");
+const { getVaultFactory } = require("../tasks/lib/vault");
+
+describe("rwa tasks", function () {
+    let vault;
+    let oracle;
+    let asset; // Mock USDC
+    let owner;
+    let user1;
+
+    const INITIAL_PRICE = ethers.parseUnits("1", 6); // $1.00
+    const MIN_DEPOSIT = ethers.parseUnits("100", 6); // 100 USDC
+    const FEE = 50; // 0.5%
+    const ONE_WEEK = 7 * 24 * 60 * 60;
+
+    before(function () {
+        // Keep task output out of the test report
+        this.log = console.log;
+        console.log = () => {};
+    });
+
+    after(function () {
+        console.log = this.log;
+    });
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        asset = await MockERC20.deploy("Mock USDC", "USDC", 6);
+
+        const RWA4626Oracle = await ethers.getContractFactory("RWA4626Oracle");
+        oracle = await RWA4626Oracle.deploy();
+
+        const RWA4626Vault = await getVaultFactory(hre);
+        vault = await RWA4626Vault.deploy(
+            asset.target,
+            "RWA Vault",
+            "RWA",
+            oracle.target,
+            MIN_DEPOSIT,
+            FEE
+        );
+
+        await oracle.addAsset(vault.target, INITIAL_PRICE, ONE_WEEK);
+        await asset.mint(user1.address, ethers.parseUnits("1000", 6));
+    });
+
+    describe("rwa:deposit", function () {
+        it("Should approve and deposit from the given account", async function () {
+            const shares = await hre.run("rwa:deposit", {
+                vault: vault.target,
+                amount: "100",
+                from: user1.address,
+            });
+
+            expect(shares).to.equal(ethers.parseUnits("99.5", 6)); // Net of the 0.5% entry fee
+            expect(await vault.balanceOf(user1.address)).to.equal(shares);
+            expect(await asset.balanceOf(vault.target)).to.equal(ethers.parseUnits("100", 6));
+        });
+
+        it("Should not send anything on a dry run", async function () {
+            await asset.connect(user1).approve(vault.target, ethers.parseUnits("100", 6));
+
+            const shares = await hre.run("rwa:deposit", {
+                vault: vault.target,
+                amount: "100",
+                from: user1.address,
+                dryRun: true,
+            });
+
+            expect(shares).to.equal(ethers.parseUnits("99.5", 6));
+            expect(await vault.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should reject an invalid vault address", async function () {
+            await expect(
+                hre.run("rwa:deposit", { vault: "0x1234", amount: "100" })
+            ).to.be.rejectedWith("Invalid RWA4626Vault address");
+        });
+    });
+
+    describe("rwa:mint", function () {
+        it("Should mint shares using the vault's share decimals", async function () {
+            const assets = await hre.run("rwa:mint", { vault: vault.target, shares: "150", from: user1.address });
+
+            expect(assets).to.equal(await vault.previewMint(ethers.parseUnits("150", 6)));
+            expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseUnits("150", 6));
+        });
+
+        it("Should accept raw base units", async function () {
+            await hre.run("rwa:mint", { vault: vault.target, shares: "150000000", raw: true, from: user1.address });
+
+            expect(await vault.balanceOf(user1.address)).to.equal(ethers.parseUnits("150", 6));
+        });
+
+        it("Should reject amounts with more decimals than the token", async function () {
+            await expect(
+                hre.run("rwa:mint", { vault: vault.target, shares: "1.0000001", from: user1.address })
+            ).to.be.rejectedWith("Invalid RWA amount");
+        });
+    });
+
+    describe("18-decimal assets", function () {
+        it("Should deposit and redeem using 18 decimals", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const dai = await MockERC20.deploy("Mock DAI", "DAI", 18);
+            const RWA4626Vault = await getVaultFactory(hre);
+            const daiVault = await RWA4626Vault.deploy(
+                dai.target,
+                "RWA DAI Vault",
+                "RWAD",
+                oracle.target,
+                ethers.parseUnits("100", 18),
+                FEE
+            );
+            await oracle.addAsset(daiVault.target, INITIAL_PRICE, ONE_WEEK);
+            await dai.mint(user1.address, ethers.parseUnits("1000", 18));
+
+            const shares = await hre.run("rwa:deposit", { vault: daiVault.target, amount: "250", from: user1.address });
+            expect(shares).to.equal(ethers.parseUnits("248.75", 18)); // Net of the 0.5% entry fee
+
+            const assets = await hre.run("rwa:redeem", { vault: daiVault.target, shares: "50", from: user1.address });
+            expect(assets).to.equal(ethers.parseUnits("50", 18));
+        });
+    });
+
+    describe("rwa:withdraw", function () {
+        it("Should withdraw assets", async function () {
+            await hre.run("rwa:deposit", { vault: vault.target, amount: "200", from: user1.address });
+
+            await hre.run("rwa:withdraw", { vault: vault.target, amount: "50", from: user1.address });
+
+            expect(await asset.balanceOf(user1.address)).to.equal(ethers.parseUnits("850", 6));
+        });
+    });
+
+    describe("rwa:update-price", function () {
+        it("Should refuse to update before the interval", async function () {
+            await expect(
+                hre.run("rwa:update-price", { oracle: oracle.target, asset: vault.target, price: "1.1" })
+            ).to.be.rejectedWith("Update not allowed");
+        });
+
+        it("Should update the price after the interval", async function () {
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await hre.run("rwa:update-price", { oracle: oracle.target, asset: vault.target, price: "1.1" });
+
+            expect(await oracle.getPrice(vault.target)).to.equal(ethers.parseUnits("1.1", 6));
+            const { price } = await hre.run("rwa:check-price", { oracle: oracle.target, asset: vault.target });
+            expect(price).to.equal(ethers.parseUnits("1.1", 6));
+        });
+
+        it("Should submit the price when the oracle requires a quorum", async function () {
+            await oracle.addPriceSubmitter(user1.address);
+            await oracle.setQuorum(1);
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                hre.run("rwa:update-price", { oracle: oracle.target, asset: vault.target, price: "1.1" })
+            ).to.be.rejectedWith("is not a price submitter");
+
+            await hre.run("rwa:update-price", {
+                oracle: oracle.target, asset: vault.target, price: "1.1", from: user1.address,
+            });
+            expect(await oracle.getPrice(vault.target)).to.equal(ethers.parseUnits("1.1", 6));
+        });
+    });
+
+    describe("rwa:relay-price", function () {
+        it("Should relay a report signed offline", async function () {
+            const reporter = ethers.Wallet.createRandom();
+            await oracle.addPriceReporter(reporter.address);
+
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK + 1]);
+            await ethers.provider.send("evm_mine");
+
+            const { chainId } = await ethers.provider.getNetwork();
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "rwa-report-")), "report.json");
+            execFileSync("node", [
+                "scripts/sign_price_report.js",
+                "--chain-id", chainId.toString(),
+                "--oracle", oracle.target,
+                "--asset", vault.target,
+                "--price", "1.03",
+                "--nonce", "0",
+                "--timestamp", timestamp.toString(),
+                "--out", out,
+            ], { env: { ...process.env, PRICE_REPORTER_KEY: reporter.privateKey }, stdio: "pipe" });
+
+            await hre.run("rwa:relay-price", { report: out, from: user1.address });
+
+            expect(await oracle.getPrice(vault.target)).to.equal(ethers.parseUnits("1.03", 6));
+            expect(await oracle.nonces(reporter.address)).to.equal(1);
+            fs.rmSync(path.dirname(out), { recursive: true, force: true });
+        });
+    });
+
+    describe("rwa:create-vault", function () {
+        let factory;
+
+        beforeEach(async function () {
+            const RWA4626Vault = await getVaultFactory(hre);
+            const implementation = await RWA4626Vault.deploy(ethers.ZeroAddress, "", "", ethers.ZeroAddress, 0, 0);
+            const RWA4626Factory = await ethers.getContractFactory("RWA4626Factory");
+            factory = await RWA4626Factory.deploy(implementation.target, oracle.target, MIN_DEPOSIT, FEE);
+            await oracle.addAssetRegistrar(factory.target);
+        });
+
+        it("Should create and register a vault through the factory", async function () {
+            const address = await hre.run("rwa:create-vault", {
+                factory: factory.target,
+                asset: asset.target,
+                name: "RWA Class B",
+                symbol: "RWA-B",
+                minDeposit: "10",
+                price: "1.02",
+            });
+
+            const created = await ethers.getContractAt("RWA4626Vault", address);
+            expect(await created.minDeposit()).to.equal(ethers.parseUnits("10", 6));
+            expect(await created.fee()).to.equal(FEE);
+            expect(await created.owner()).to.equal(owner.address);
+            expect(await oracle.getPrice(address)).to.equal(ethers.parseUnits("1.02", 6));
+            expect(await oracle.getUpdateInterval(address)).to.equal(ONE_WEEK);
+        });
+
+        it("Should create a vault at the predicted address with a salt", async function () {
+            const predicted = await hre.run("rwa:predict-vault", { factory: factory.target, salt: "fund-a/class-b" });
+
+            const address = await hre.run("rwa:create-vault", {
+                factory: factory.target,
+                asset: asset.target,
+                salt: "fund-a/class-b",
+            });
+
+            expect(address).to.equal(predicted);
+            await expect(
+                hre.run("rwa:create-vault", { factory: factory.target, asset: asset.target, salt: "fund-a/class-b" })
+            ).to.be.rejectedWith("A vault already exists");
+        });
+    });
+
+    describe("fee report", function () {
+        it("Should report the management fees accrued since the last checkpoint", async function () {
+            await hre.run("rwa:deposit", { vault: vault.target, amount: "1000", from: user1.address });
+            await vault.setManagementFee(200); // 2% per year
+            await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+            await vault.executeChange(5); // ChangeType.ManagementFee
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK / 7]);
+            await ethers.provider.send("evm_mine");
+
+            const report = await buildFeeReport(hre, vault);
+            const [managementFees, performanceFees] = await vault.accruedFees();
+            expect(report.managementFee).to.equal(200);
+            expect(report.managementFees).to.equal(managementFees);
+            expect(report.managementFees).to.be.greaterThan(0);
+            expect(report.performanceFees).to.equal(performanceFees);
+            expect(report.accruedValue).to.equal(managementFees + performanceFees);
+            expect(report.sharePrice).to.equal(await vault.convertToAssets(ethers.parseUnits("1", 6)));
+            expect(formatFeeReport(hre, report)).to.include("Management fee: 200 bps (2.0%) per year");
+        });
+
+        it("Should leave accrued fees out while the price is stale", async function () {
+            await ethers.provider.send("evm_increaseTime", [ONE_WEEK]);
+            await ethers.provider.send("evm_mine");
+
+            const report = await buildFeeReport(hre, vault);
+            expect(report.priceUpdateRequired).to.be.true;
+            expect(report.managementFees).to.be.undefined;
+            expect(formatFeeReport(hre, report).at(-1)).to.match(/^Price update required/);
+        });
+    });
+
+    describe("rwa:pending-changes", function () {
+        it("Should list and execute queued changes", async function () {
+            await vault.setManagementFee(150);
+            await vault.setCustodian(user1.address, true);
+            await vault.setFee(25);
+            await vault.setMinDeposit(ethers.parseUnits("250", 6));
+
+            let changes = await hre.run("rwa:pending-changes", { vaults: vault.target });
+            expect(changes.map(change => change.type)).to.deep.equal(["Fee", "MinDeposit", "ManagementFee", "Custodian"]);
+            expect(changes[0].ready).to.be.false;
+            expect(changes[1].description).to.match(/^MinDeposit -> 250\.0 USDC, executable at .* \(in 2d\)$/);
+            expect(changes[2].description).to.match(/^ManagementFee -> 150 bps, /);
+            expect(changes[3].description).to.match(new RegExp(`^Custodian -> ${user1.address}, `));
+
+            await expect(hre.run("rwa:execute-change", { vault: vault.target, change: "Fee" }))
+                .to.be.rejectedWith("ChangeNotReady");
+            await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+            await ethers.provider.send("evm_mine");
+
+            changes = await hre.run("rwa:pending-changes", { vaults: vault.target });
+            expect(changes[0].description).to.equal("Fee -> 25 bps, ready to execute");
+            await hre.run("rwa:execute-change", { vault: vault.target, change: "Fee" });
+            expect(await vault.fee()).to.equal(25);
+
+            await expect(hre.run("rwa:execute-change", { vault: vault.target, change: "Fee" }))
+                .to.be.rejectedWith("No Fee change is queued");
+            await expect(hre.run("rwa:execute-change", { vault: vault.target, change: "Owner" }))
+                .to.be.rejectedWith("Unknown change Owner");
+        });
+    });
+});